@@ -0,0 +1,161 @@
+/**
+ * 💾 Autosave
+ * Debounced project snapshots in IndexedDB for crash recovery
+ *
+ * Features:
+ * - Saves a few seconds after the last edit, building the project only when it saves
+ * - Keeps the newest N snapshots and prunes older ones
+ * - Lists snapshots with a small summary for the restore prompt
+ *
+ * @module Autosave
+ */
+
+import IndexedDBStore from "./IndexedDBStore";
+
+class Autosave {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      delay: options.delay || 2000, // Quiet time after the last edit before saving (ms)
+      maxSnapshots: options.maxSnapshots || 5,
+    };
+
+    this.store = options.store || new IndexedDBStore({ dbName: "open-air-brush", storeName: "snapshots", autoIncrement: true });
+
+    // Callbacks
+    this.onSave = options.onSave || null; // ({id, savedAt, summary}) => void
+    this.onError = options.onError || null; // (error) => void
+
+    // State
+    this.enabled = false; // Off until the startup restore prompt is answered
+    this.timer = null;
+    this.pending = null; // Function that builds the project to save
+  }
+
+  /**
+   * Whether snapshots can be stored
+   */
+  get available() {
+    return this.store.available !== false;
+  }
+
+  /**
+   * Start or stop saving
+   * @param {boolean} enabled - Whether edits are saved
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Save after the edit burst settles
+   * @param {Function} getProject - Returns the project to save, or null to skip
+   */
+  schedule(getProject) {
+    if (!this.enabled || !this.available) return;
+    this.pending = getProject;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.config.delay);
+  }
+
+  /**
+   * Save a scheduled snapshot now
+   * @returns {Promise<number|null>} Snapshot ID, or null if nothing was saved
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const getProject = this.pending;
+    this.pending = null;
+    if (!getProject) return null;
+
+    const project = getProject();
+    if (!project) return null;
+    try {
+      return await this.save(project);
+    } catch (error) {
+      if (this.onError) this.onError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a snapshot and prune old ones
+   * @param {Object} project - Project data
+   * @returns {Promise<number>} Snapshot ID
+   */
+  async save(project) {
+    const record = { savedAt: Date.now(), summary: this._summarize(project), project };
+    const id = await this.store.add(record);
+    await this._prune();
+    if (this.onSave) this.onSave({ id, savedAt: record.savedAt, summary: record.summary });
+    return id;
+  }
+
+  /**
+   * Stored snapshots, newest first
+   * @returns {Promise<Array>} [{id, savedAt, summary}]
+   */
+  async list() {
+    if (!this.available) return [];
+    const records = await this.store.getAll();
+    return records.map(({ id, savedAt, summary }) => ({ id, savedAt, summary })).sort((a, b) => b.savedAt - a.savedAt || b.id - a.id);
+  }
+
+  /**
+   * Project stored in a snapshot
+   * @param {number} id - Snapshot ID
+   * @returns {Promise<Object|null>} Project data
+   */
+  async load(id) {
+    const record = await this.store.get(id);
+    return record ? record.project : null;
+  }
+
+  /**
+   * Delete all snapshots
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Delete snapshots beyond the newest maxSnapshots
+   * @private
+   */
+  async _prune() {
+    const keys = await this.store.getAllKeys();
+    const excess = keys.length - this.config.maxSnapshots;
+    if (excess <= 0) return;
+    // Auto-increment keys grow with every save, so the smallest are the oldest
+    await this.store.delete(keys.sort((a, b) => a - b).slice(0, excess));
+  }
+
+  /**
+   * Counts shown in the restore prompt
+   * @private
+   */
+  _summarize(project) {
+    const layers = project.layers || [];
+    return {
+      layers: layers.length,
+      cubes: layers.reduce((sum, layer) => sum + (layer.cubes ? layer.cubes.length : 0), 0),
+      strokes: layers.reduce((sum, layer) => sum + (layer.strokes ? layer.strokes.length : 0), 0),
+    };
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.setEnabled(false);
+    this.store.dispose();
+  }
+}
+
+export default Autosave;
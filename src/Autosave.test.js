@@ -0,0 +1,116 @@
+import Autosave from "./Autosave";
+import ProjectSchema from "./ProjectSchema";
+
+// Same async surface as an auto-increment IndexedDBStore, kept in a Map
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+    this.nextId = 1;
+  }
+  async get(key) {
+    return this.records.get(key);
+  }
+  async getAll() {
+    return [...this.records.values()];
+  }
+  async getAllKeys() {
+    return [...this.records.keys()];
+  }
+  async add(record) {
+    const id = this.nextId++;
+    this.records.set(id, { ...JSON.parse(JSON.stringify(record)), id });
+    return id;
+  }
+  async delete(keys) {
+    (Array.isArray(keys) ? keys : [keys]).forEach((key) => this.records.delete(key));
+  }
+  async clear() {
+    this.records.clear();
+  }
+  dispose() {}
+}
+
+const project = (cubes = 1) =>
+  ProjectSchema.create({
+    layers: [{ name: "Layer 1", cubes: Array.from({ length: cubes }, (_, x) => ({ position: { x, y: 0, z: 0 }, color: 0xff0000, size: 0.15 })), strokes: [] }],
+  });
+
+describe("Autosave", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test("saves once, after the last edit of a burst settles", async () => {
+    const store = new MemoryStore();
+    const autosave = new Autosave({ store, delay: 2000 });
+    const saved = new Promise((resolve) => {
+      autosave.onSave = resolve;
+    });
+    const build = jest.fn(() => project(2));
+
+    autosave.schedule(build);
+    expect(store.records.size).toBe(0); // Disabled until the restore prompt is answered
+
+    autosave.setEnabled(true);
+    [0, 1, 2].forEach(() => {
+      autosave.schedule(build);
+      jest.advanceTimersByTime(1500);
+    });
+    expect(build).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(await saved).toMatchObject({ id: 1, summary: { layers: 1, cubes: 2, strokes: 0 } });
+    expect(build).toHaveBeenCalledTimes(1);
+    expect(await autosave.load(1)).toEqual(project(2));
+  });
+
+  test("flush saves a scheduled snapshot right away, and only once", async () => {
+    const store = new MemoryStore();
+    const autosave = new Autosave({ store });
+    autosave.setEnabled(true);
+
+    expect(await autosave.flush()).toBeNull();
+    autosave.schedule(() => project());
+    expect(await autosave.flush()).toBe(1);
+    jest.runAllTimers();
+    expect(await autosave.flush()).toBeNull();
+    expect(store.records.size).toBe(1);
+
+    // Empty drawings build no project and are skipped
+    autosave.schedule(() => null);
+    expect(await autosave.flush()).toBeNull();
+
+    // Disabling drops a pending save
+    autosave.schedule(() => project());
+    autosave.setEnabled(false);
+    expect(await autosave.flush()).toBeNull();
+    expect(store.records.size).toBe(1);
+  });
+
+  test("keeps only the newest snapshots, listed newest first", async () => {
+    const store = new MemoryStore();
+    const autosave = new Autosave({ store, maxSnapshots: 3 });
+    for (let cubes = 1; cubes <= 5; cubes++) {
+      await autosave.save(project(cubes));
+      if (cubes !== 4) jest.advanceTimersByTime(1000); // The last two share a timestamp
+    }
+
+    expect([...store.records.keys()]).toEqual([3, 4, 5]);
+    const snapshots = await autosave.list();
+    expect(snapshots.map((snapshot) => snapshot.id)).toEqual([5, 4, 3]);
+    expect(snapshots.map((snapshot) => snapshot.summary.cubes)).toEqual([5, 4, 3]);
+    expect(snapshots[0].project).toBeUndefined();
+    expect(await autosave.load(1)).toBeNull();
+  });
+
+  test("reports failed saves instead of throwing", async () => {
+    const store = new MemoryStore();
+    store.add = () => Promise.reject(new Error("Quota exceeded"));
+    const onError = jest.fn();
+    const autosave = new Autosave({ store, onError });
+    autosave.setEnabled(true);
+
+    autosave.schedule(() => project());
+    expect(await autosave.flush()).toBeNull();
+    expect(onError).toHaveBeenCalledWith(new Error("Quota exceeded"));
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Bindings Panel Component
+ * Table of gesture bindings: which gesture, on which hand, held how long, runs which command
+ */
+
+import { useState, useEffect } from "react";
+
+const HANDS = [
+  { id: "any", name: "Any hand" },
+  { id: "left", name: "Left" },
+  { id: "right", name: "Right" },
+];
+
+const buttonStyle = (color, rgb) => ({
+  padding: "6px 10px",
+  background: `rgba(${rgb}, 0.15)`,
+  border: `1px solid ${color}`,
+  borderRadius: "6px",
+  color,
+  cursor: "pointer",
+  fontSize: "11px",
+});
+
+const fieldStyle = {
+  padding: "4px",
+  background: "rgba(0,0,0,0.4)",
+  border: "1px solid rgba(255,255,255,0.2)",
+  borderRadius: "4px",
+  color: "#fff",
+  fontSize: "11px",
+  minWidth: 0,
+};
+
+function BindingsPanel({ isMobile, onClose }) {
+  const api = window.gestureBindings;
+  const [bindings, setBindings] = useState(() => (api ? api.list() : []));
+  const [status, setStatus] = useState("");
+  const gestures = api ? api.gestures() : [];
+  const commands = api ? api.commands() : [];
+
+  useEffect(() => {
+    const handleChange = (e) => setBindings(e.detail.bindings);
+    window.addEventListener("gestureBindingsChanged", handleChange);
+    return () => window.removeEventListener("gestureBindingsChanged", handleChange);
+  }, []);
+
+  // Run an edit, showing validation errors instead of throwing
+  const run = (action) => {
+    if (!api) return;
+    try {
+      action();
+      setStatus("");
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0, 0, 0, 0.85)",
+        zIndex: 3000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: "linear-gradient(135deg, rgba(20,20,40,0.98), rgba(10,30,40,0.98))",
+          border: "2px solid #00ffff",
+          borderRadius: "15px",
+          padding: isMobile ? "15px" : "25px",
+          width: isMobile ? "95%" : "640px",
+          maxWidth: "95%",
+          maxHeight: "90vh",
+          display: "flex",
+          flexDirection: "column",
+          color: "white",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+          <h3 style={{ color: "#00ffff", fontSize: "18px", margin: 0 }}>🎛️ Gesture Bindings</h3>
+          <button onClick={onClose} style={buttonStyle("#fff", "255, 255, 255")}>
+            ✕
+          </button>
+        </div>
+        <div style={{ fontSize: "11px", color: "rgba(255,255,255,0.6)", marginBottom: "12px", lineHeight: "1.5" }}>
+          Holding a gesture runs its command once; zoom and rotate keep running while the gesture is held. Two-hand gestures ignore the hand.
+          Bindings are saved in this browser.
+        </div>
+
+        {status && <div style={{ fontSize: "12px", color: "rgba(255,255,255,0.8)", marginBottom: "10px" }}>{status}</div>}
+
+        <div style={{ overflow: "auto", marginBottom: "12px" }}>
+          {bindings.length === 0 && (
+            <div style={{ textAlign: "center", padding: "20px", color: "rgba(255,255,255,0.5)", fontSize: "13px" }}>No bindings - gestures only draw</div>
+          )}
+          {bindings.map((binding) => {
+            const gesture = gestures.find((g) => g.id === binding.gesture);
+            return (
+              <div
+                key={binding.id}
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: isMobile ? "1fr 1fr" : "1.4fr 1fr 0.8fr 1.4fr auto",
+                  gap: "4px",
+                  alignItems: "center",
+                  padding: "6px",
+                  marginBottom: "4px",
+                  background: "rgba(255,255,255,0.05)",
+                  border: "1px solid rgba(255,255,255,0.15)",
+                  borderRadius: "6px",
+                }}
+              >
+                <select value={binding.gesture} onChange={(e) => run(() => api.change(binding.id, { gesture: e.target.value }))} style={fieldStyle}>
+                  {/* Keep bindings to deleted custom gestures visible */}
+                  {!gesture && <option value={binding.gesture}>{binding.gesture} (missing)</option>}
+                  {gestures.map((g) => (
+                    <option key={g.id} value={g.id}>
+                      {g.custom ? `✍️ ${g.name}` : g.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={binding.hand}
+                  disabled={Boolean(gesture && gesture.twoHand)}
+                  onChange={(e) => run(() => api.change(binding.id, { hand: e.target.value }))}
+                  style={fieldStyle}
+                >
+                  {HANDS.map((h) => (
+                    <option key={h.id} value={h.id}>
+                      {h.name}
+                    </option>
+                  ))}
+                </select>
+                <label style={{ display: "flex", alignItems: "center", gap: "3px", fontSize: "10px", color: "#aaa" }} title="How long the gesture must be held">
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={binding.hold}
+                    onChange={(e) => run(() => api.change(binding.id, { hold: Math.max(0, Number(e.target.value) || 0) }))}
+                    onKeyDown={(e) => e.stopPropagation()}
+                    style={{ ...fieldStyle, width: "100%" }}
+                  />
+                  ms
+                </label>
+                <select value={binding.command} onChange={(e) => run(() => api.change(binding.id, { command: e.target.value }))} style={fieldStyle}>
+                  {commands.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.icon} {c.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => run(() => api.remove(binding.id))}
+                  title="Delete binding"
+                  style={{ ...buttonStyle("#ff4444", "255, 68, 68"), padding: "3px 8px", fontSize: "10px" }}
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div style={{ display: "flex", gap: "6px" }}>
+          <button
+            onClick={() => run(() => api.add({ gesture: "openPalm", hand: "any", hold: 500, command: "undo" }))}
+            style={{ ...buttonStyle("#00ff00", "0, 255, 0"), flex: 1 }}
+          >
+            ➕ Add binding
+          </button>
+          <button
+            onClick={() => window.confirm("Replace all bindings with the defaults?") && run(() => api.resetToDefaults())}
+            style={{ ...buttonStyle("#ffaa00", "255, 170, 0"), flex: 1 }}
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BindingsPanel;
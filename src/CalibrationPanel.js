@@ -0,0 +1,255 @@
+/**
+ * Calibration Panel Component
+ * Guided hand calibration (open hand, pinch, fist, reach) saved as per-user profiles
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+// Seconds to get the hand in place before a step is recorded
+const COUNTDOWN_SECONDS = 3;
+
+const buttonStyle = (color, rgb) => ({
+  padding: "6px 10px",
+  background: `rgba(${rgb}, 0.15)`,
+  border: `1px solid ${color}`,
+  borderRadius: "6px",
+  color,
+  cursor: "pointer",
+  fontSize: "11px",
+});
+
+const rowStyle = (selected) => ({
+  display: "flex",
+  alignItems: "center",
+  gap: "6px",
+  padding: "6px 8px",
+  marginBottom: "4px",
+  background: selected ? "rgba(0,255,255,0.12)" : "rgba(255,255,255,0.05)",
+  border: `1px solid ${selected ? "#00ffff" : "rgba(255,255,255,0.15)"}`,
+  borderRadius: "6px",
+  fontSize: "12px",
+});
+
+function CalibrationPanel({ isMobile, onClose }) {
+  const api = window.gestureCalibration;
+  const steps = api ? api.steps() : [];
+  const [profiles, setProfiles] = useState(() => (api ? api.profiles() : []));
+  const [active, setActive] = useState(() => (api ? api.active() : null));
+  const [measured, setMeasured] = useState(() => (api ? api.measured() : []));
+  const [name, setName] = useState("");
+  const [countdown, setCountdown] = useState(0);
+  const [recording, setRecording] = useState(false);
+  const [status, setStatus] = useState("");
+  const timerRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  useEffect(() => {
+    const handleChange = (e) => {
+      setProfiles(e.detail.profiles);
+      setActive(e.detail.active);
+    };
+    window.addEventListener("gestureCalibrationChanged", handleChange);
+    return () => {
+      window.removeEventListener("gestureCalibrationChanged", handleChange);
+      clearInterval(timerRef.current);
+      if (window.gestureCalibration) window.gestureCalibration.cancel();
+    };
+  }, []);
+
+  const busy = countdown > 0 || recording;
+  const step = steps.find((s) => !measured.includes(s.id)) || null;
+
+  const record = async () => {
+    setRecording(true);
+    setStatus(`🔴 ${step.instruction}...`);
+    cancelledRef.current = false;
+    const recorded = await api.record(step.id);
+    if (recorded) setStatus(`✅ ${step.name} measured`);
+    else if (!cancelledRef.current) setStatus("⚠️ Hand not seen long enough: keep it in view and try again");
+    setMeasured(api.measured());
+    setRecording(false);
+  };
+
+  const handleRecord = () => {
+    if (!api || busy || !step) return;
+    let remaining = COUNTDOWN_SECONDS;
+    setCountdown(remaining);
+    setStatus(`Get ready: ${step.instruction.toLowerCase()}`);
+    timerRef.current = setInterval(() => {
+      remaining--;
+      setCountdown(remaining);
+      if (remaining > 0) return;
+      clearInterval(timerRef.current);
+      record();
+    }, 1000);
+  };
+
+  const handleCancel = () => {
+    clearInterval(timerRef.current);
+    setCountdown(0);
+    cancelledRef.current = true;
+    api.cancel();
+    setStatus("Recording cancelled");
+  };
+
+  const handleSave = () => {
+    try {
+      const profile = api.save(name);
+      setMeasured(api.measured());
+      setName("");
+      setStatus(`💾 Saved and using "${profile.name}"`);
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        // Lighter while recording so the hand stays visible
+        background: busy ? "rgba(0, 0, 0, 0.3)" : "rgba(0, 0, 0, 0.85)",
+        zIndex: 3000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={busy ? undefined : onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: "linear-gradient(135deg, rgba(20,20,40,0.98), rgba(10,30,40,0.98))",
+          border: "2px solid #00ffff",
+          borderRadius: "15px",
+          padding: isMobile ? "15px" : "25px",
+          width: isMobile ? "95%" : "460px",
+          maxWidth: "95%",
+          maxHeight: "90vh",
+          display: "flex",
+          flexDirection: "column",
+          color: "white",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+          <h3 style={{ color: "#00ffff", fontSize: "18px", margin: 0 }}>📏 Hand Calibration</h3>
+          <button onClick={onClose} disabled={busy} style={buttonStyle("#fff", "255, 255, 255")}>
+            ✕
+          </button>
+        </div>
+        <div style={{ fontSize: "11px", color: "rgba(255,255,255,0.6)", marginBottom: "12px", lineHeight: "1.5" }}>
+          Gestures already adapt to how big your hand looks. Calibrating tunes pinch, palm and fist to your hand and stretches the area you can
+          reach over the whole view. Stand where you usually draw and use your drawing hand.
+        </div>
+
+        {/* Steps */}
+        <div style={{ display: "grid", gridTemplateColumns: `repeat(${steps.length}, 1fr)`, gap: "4px", marginBottom: "8px" }}>
+          {steps.map((s) => {
+            const done = measured.includes(s.id);
+            const current = step && step.id === s.id;
+            return (
+              <div
+                key={s.id}
+                style={{
+                  padding: "6px 4px",
+                  textAlign: "center",
+                  fontSize: "10px",
+                  borderRadius: "4px",
+                  background: current ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: current ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                  color: done ? "#00ff00" : "#fff",
+                }}
+              >
+                <div style={{ fontSize: "16px" }}>{s.icon}</div>
+                {done ? "✓ " : ""}
+                {s.name}
+              </div>
+            );
+          })}
+        </div>
+
+        {step ? (
+          <div style={{ display: "flex", flexDirection: "column", gap: "6px", marginBottom: "12px" }}>
+            <div style={{ fontSize: "13px", textAlign: "center", padding: "6px" }}>
+              {step.icon} {step.instruction}
+            </div>
+            {busy ? (
+              <button onClick={handleCancel} style={buttonStyle("#ff4444", "255, 68, 68")}>
+                {countdown > 0 ? `⏳ ${countdown}… Cancel` : "⏹️ Cancel"}
+              </button>
+            ) : (
+              <button onClick={handleRecord} style={buttonStyle("#ff4444", "255, 68, 68")}>
+                🔴 Record {step.name.toLowerCase()} ({step.duration / 1000}s)
+              </button>
+            )}
+          </div>
+        ) : (
+          <div style={{ display: "flex", gap: "6px", marginBottom: "12px" }}>
+            <input
+              type="text"
+              value={name}
+              placeholder="Profile name, e.g. your name"
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                e.stopPropagation();
+                if (e.key === "Enter") handleSave();
+              }}
+              style={{
+                flex: 1,
+                minWidth: "140px",
+                padding: "6px 10px",
+                background: "rgba(0,0,0,0.4)",
+                border: "1px solid rgba(0,255,255,0.4)",
+                borderRadius: "6px",
+                color: "#fff",
+                fontSize: "12px",
+              }}
+            />
+            <button onClick={handleSave} disabled={!name.trim()} style={buttonStyle("#00ff00", "0, 255, 0")}>
+              💾 Save profile
+            </button>
+          </div>
+        )}
+        {measured.length > 0 && !busy && (
+          <button
+            onClick={() => {
+              api.restart();
+              setMeasured([]);
+              setStatus("");
+            }}
+            style={{ ...buttonStyle("#ffaa00", "255, 170, 0"), marginBottom: "12px" }}
+          >
+            Start over
+          </button>
+        )}
+
+        {status && <div style={{ fontSize: "12px", color: "rgba(255,255,255,0.8)", marginBottom: "10px" }}>{status}</div>}
+
+        {/* Profiles */}
+        <div style={{ overflow: "auto" }}>
+          <div onClick={() => !busy && api.use(null)} title="Use the built-in settings" style={{ ...rowStyle(active === null), cursor: "pointer" }}>
+            <div style={{ flex: 1 }}>Default</div>
+          </div>
+          {profiles.map((p) => (
+            <div key={p.name} style={rowStyle(active === p.name)}>
+              <div onClick={() => !busy && api.use(p.name)} title="Use this profile" style={{ flex: 1, cursor: "pointer" }}>
+                {p.name}
+                <span style={{ fontSize: "10px", color: "rgba(255,255,255,0.5)" }}> · {new Date(p.created).toLocaleDateString()}</span>
+              </div>
+              <button
+                onClick={() => window.confirm(`Delete the profile "${p.name}"?`) && api.remove(p.name)}
+                disabled={busy}
+                style={{ ...buttonStyle("#ff4444", "255, 68, 68"), padding: "3px 6px", fontSize: "9px" }}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,232 @@
+/**
+ * ↩️ Command History
+ * Delta-based undo/redo stack for drawing operations
+ *
+ * Features:
+ * - Records add/erase/recolor/transform operations as deltas
+ * - Groups a whole stroke into one undoable command
+ * - Undo/redo cost proportional to the changed voxels only
+ * - History capped by estimated memory instead of entry count
+ *
+ * Operation types:
+ * - { type: "add", voxel }            voxel = {position, color, size}
+ * - { type: "erase", voxel }
+ * - { type: "recolor", position, from, to }
+ * - { type: "transform", before, after }   arrays of voxels
+ * - { type: "addStroke", stroke }     stroke = TubeStroke JSON
+ * - { type: "eraseStroke", stroke }
+ * Operations may also carry the ID of the `layer` they apply to.
+ *
+ * @module CommandHistory
+ */
+
+// Rough per-item memory costs used for the history budget
+const OPERATION_BYTES = 64;
+const VOXEL_BYTES = 96;
+const STROKE_POINT_BYTES = 32;
+
+class CommandHistory {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      maxBytes: options.maxBytes || 32 * 1024 * 1024,
+    };
+
+    // State
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroup = null;
+    this.totalBytes = 0;
+
+    // Change callback (stack sizes changed)
+    this.onChange = options.onChange || null;
+  }
+
+  /**
+   * Start grouping recorded operations into one command
+   * @param {string} label - Command label, e.g. "stroke"
+   */
+  beginGroup(label = "group") {
+    if (this.openGroup) return;
+    this.openGroup = { label, operations: [], bytes: 0 };
+  }
+
+  /**
+   * Close the open group and push it as a single command
+   */
+  endGroup() {
+    const group = this.openGroup;
+    this.openGroup = null;
+    if (group && group.operations.length > 0) {
+      this._push(group);
+    }
+  }
+
+  /**
+   * Whether a group is currently open
+   * @returns {boolean} Group open
+   */
+  isGrouping() {
+    return this.openGroup !== null;
+  }
+
+  /**
+   * Record an operation that has already been applied
+   * @param {Object} operation - Operation delta
+   */
+  record(operation) {
+    const bytes = this._estimateBytes(operation);
+
+    if (this.openGroup) {
+      this.openGroup.operations.push(operation);
+      this.openGroup.bytes += bytes;
+      this._dropRedo();
+      return;
+    }
+
+    this._push({ label: operation.type, operations: [operation], bytes });
+  }
+
+  /**
+   * Undo the most recent command
+   * @param {Function} apply - Applies one operation to the scene
+   * @returns {Object|null} Undone command
+   */
+  undo(apply) {
+    this.endGroup();
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    for (let i = command.operations.length - 1; i >= 0; i--) {
+      apply(CommandHistory.invert(command.operations[i]));
+    }
+
+    this.redoStack.push(command);
+    this._notify();
+    return command;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @param {Function} apply - Applies one operation to the scene
+   * @returns {Object|null} Redone command
+   */
+  redo(apply) {
+    this.endGroup();
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    command.operations.forEach((operation) => apply(operation));
+
+    this.undoStack.push(command);
+    this._notify();
+    return command;
+  }
+
+  /**
+   * Inverse of an operation
+   * @param {Object} operation - Operation delta
+   * @returns {Object} Operation that reverts it
+   */
+  static invert(operation) {
+    switch (operation.type) {
+      case "add":
+        return { ...operation, type: "erase" };
+      case "erase":
+        return { ...operation, type: "add" };
+      case "recolor":
+        return { ...operation, from: operation.to, to: operation.from };
+      case "transform":
+        return { ...operation, before: operation.after, after: operation.before };
+      case "addStroke":
+        return { ...operation, type: "eraseStroke" };
+      case "eraseStroke":
+        return { ...operation, type: "addStroke" };
+      default:
+        throw new Error(`Unknown history operation: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Whether there is anything to undo
+   * @returns {boolean} Can undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0 || (this.openGroup !== null && this.openGroup.operations.length > 0);
+  }
+
+  /**
+   * Whether there is anything to redo
+   * @returns {boolean} Can redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Drop all history
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroup = null;
+    this.totalBytes = 0;
+    this._notify();
+  }
+
+  /**
+   * Push a finished command and enforce the memory budget
+   * @private
+   */
+  _push(command) {
+    this._dropRedo();
+    this.undoStack.push(command);
+    this.totalBytes += command.bytes;
+
+    // Always keep the newest command, even if it alone exceeds the budget
+    while (this.totalBytes > this.config.maxBytes && this.undoStack.length > 1) {
+      this.totalBytes -= this.undoStack.shift().bytes;
+    }
+
+    this._notify();
+  }
+
+  /**
+   * Discard redoable commands after a new edit
+   * @private
+   */
+  _dropRedo() {
+    this.redoStack.forEach((command) => {
+      this.totalBytes -= command.bytes;
+    });
+    this.redoStack = [];
+  }
+
+  /**
+   * Estimate memory held by an operation
+   * @private
+   */
+  _estimateBytes(operation) {
+    switch (operation.type) {
+      case "transform":
+        return OPERATION_BYTES + (operation.before.length + operation.after.length) * VOXEL_BYTES;
+      case "addStroke":
+      case "eraseStroke":
+        return OPERATION_BYTES + operation.stroke.points.length * STROKE_POINT_BYTES;
+      default:
+        return OPERATION_BYTES + VOXEL_BYTES;
+    }
+  }
+
+  /**
+   * Notify listeners of stack changes
+   * @private
+   */
+  _notify() {
+    if (this.onChange) {
+      this.onChange({ undo: this.undoStack.length, redo: this.redoStack.length, bytes: this.totalBytes });
+    }
+  }
+}
+
+export default CommandHistory;
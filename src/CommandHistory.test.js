@@ -0,0 +1,116 @@
+import CommandHistory from "./CommandHistory";
+
+const voxel = (x, color = 0xff0000) => ({ position: { x, y: 0, z: 0 }, color, size: 0.15 });
+const stroke = (pointCount) => ({ id: "stroke_1", type: "stroke", points: Array.from({ length: pointCount }, (_, x) => ({ x, y: 0, z: 0 })), color: 0, radius: 0.04 });
+
+// Transform touching `count` voxels before and after: 64 + count * 2 * 96 bytes
+const transform = (count) => ({ type: "transform", before: new Array(count).fill(voxel(0)), after: new Array(count).fill(voxel(1)) });
+const MB = 1024 * 1024;
+
+describe("CommandHistory", () => {
+  test("inverts every operation type, and inverting twice restores it", () => {
+    const operations = [
+      { type: "add", voxel: voxel(0), layer: "layer_1" },
+      { type: "erase", voxel: voxel(0) },
+      { type: "recolor", position: { x: 0, y: 0, z: 0 }, from: 0xff0000, to: 0x00ff00 },
+      { type: "transform", before: [voxel(0)], after: [voxel(1)] },
+      { type: "addStroke", stroke: stroke(3) },
+      { type: "eraseStroke", stroke: stroke(3) },
+    ];
+    const inverted = operations.map((operation) => CommandHistory.invert(operation));
+
+    expect(inverted.map((operation) => operation.type)).toEqual(["erase", "add", "recolor", "transform", "eraseStroke", "addStroke"]);
+    expect(inverted[0]).toEqual({ type: "erase", voxel: voxel(0), layer: "layer_1" });
+    expect(inverted[2]).toMatchObject({ from: 0x00ff00, to: 0xff0000 });
+    expect(inverted[3]).toEqual({ type: "transform", before: [voxel(1)], after: [voxel(0)] });
+    expect(inverted[4].stroke).toBe(operations[4].stroke);
+    inverted.forEach((operation, i) => expect(CommandHistory.invert(operation)).toEqual(operations[i]));
+    expect(() => CommandHistory.invert({ type: "paint" })).toThrow("Unknown history operation: paint");
+  });
+
+  test("groups operations into one command; a nested group joins the open one", () => {
+    const history = new CommandHistory();
+    history.beginGroup("stroke");
+    history.record({ type: "add", voxel: voxel(0) });
+    history.beginGroup("erase");
+    expect(history.isGrouping()).toBe(true);
+    history.record({ type: "erase", voxel: voxel(1) });
+    expect(history.canUndo()).toBe(true);
+    history.endGroup();
+    history.endGroup();
+
+    expect(history.undoStack).toHaveLength(1);
+    expect(history.undoStack[0].label).toBe("stroke");
+
+    // Undo reverts the operations last first; redo replays them in order
+    const applied = [];
+    const apply = (operation) => applied.push(`${operation.type} ${operation.voxel.position.x}`);
+    history.undo(apply);
+    expect(applied).toEqual(["add 1", "erase 0"]);
+    history.redo(apply);
+    expect(applied.slice(2)).toEqual(["add 0", "erase 1"]);
+
+    // Empty groups record nothing
+    history.beginGroup("stroke");
+    history.endGroup();
+    expect(history.undoStack).toHaveLength(1);
+  });
+
+  test("undo closes an open group first", () => {
+    const history = new CommandHistory();
+    history.record({ type: "add", voxel: voxel(0) });
+    history.beginGroup("stroke");
+    history.record({ type: "add", voxel: voxel(1) });
+
+    const undone = history.undo(() => {});
+    expect(undone.label).toBe("stroke");
+    expect(history.isGrouping()).toBe(false);
+    expect(history.undoStack).toHaveLength(1);
+  });
+
+  test("a new edit clears redo and its bytes", () => {
+    const changes = [];
+    const history = new CommandHistory({ onChange: (state) => changes.push(state) });
+    history.record({ type: "add", voxel: voxel(0) });
+    history.record({ type: "addStroke", stroke: stroke(10) });
+    expect(history.totalBytes).toBe(64 + 96 + 64 + 10 * 32);
+
+    history.undo(() => {});
+    expect(history.canRedo()).toBe(true);
+    history.record({ type: "recolor", position: { x: 0, y: 0, z: 0 }, from: 0, to: 1 });
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo(() => {})).toBeNull();
+    expect(history.totalBytes).toBe(2 * (64 + 96));
+    expect(changes[changes.length - 1]).toEqual({ undo: 2, redo: 0, bytes: 2 * (64 + 96) });
+
+    // Recording into a group drops redo too
+    history.undo(() => {});
+    history.beginGroup("stroke");
+    history.record({ type: "add", voxel: voxel(2) });
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test("evicts the oldest commands past the 32 MB budget, but keeps the newest", () => {
+    const history = new CommandHistory();
+    expect(history.config.maxBytes).toBe(32 * MB);
+
+    // About 12 MB each: the third pushes the total over 32 MB
+    const count = Math.floor((12 * MB) / (2 * 96));
+    history.record({ type: "add", voxel: voxel(0) });
+    [1, 2, 3].forEach(() => history.record(transform(count)));
+
+    expect(history.undoStack.map((command) => command.label)).toEqual(["transform", "transform"]);
+    expect(history.totalBytes).toBe(2 * (64 + count * 2 * 96));
+    expect(history.totalBytes).toBeLessThanOrEqual(32 * MB);
+
+    // A single command over budget is still undoable
+    history.record(transform(Math.ceil((40 * MB) / (2 * 96))));
+    expect(history.undoStack).toHaveLength(1);
+    expect(history.totalBytes).toBeGreaterThan(32 * MB);
+
+    history.clear();
+    expect(history.totalBytes).toBe(0);
+    expect(history.canUndo()).toBe(false);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * 🎛️ Gesture Bindings
+ * Declarative map from gestures to commands
+ *
+ * Features:
+ * - Bindings of gesture + hand + optional hold time to a command
+ * - One-shot commands fire once per hold; continuous commands run every frame while held
+ * - Built-in gestures, two-hand gestures, hand poses (finger counts, signs) and custom "custom:<name>" templates
+ * - Defaults matching the original hard-wired interactions
+ * - Replaces GestureEngine's onGestureStart callbacks as the way gestures and poses trigger actions
+ * - JSON persistence with validation
+ *
+ * @module GestureBindings
+ */
+
+import { HAND_POSES } from "./HandPoses";
+
+export const GESTURE_BINDINGS_VERSION = 1;
+
+// Palette colors a command can pick directly, e.g. for finger counts
+const PALETTE_COMMANDS = 5;
+
+// Commands a gesture can run; continuous ones receive the gesture data every frame
+export const GESTURE_COMMANDS = [
+  { id: "undo", name: "Undo", icon: "↩️" },
+  { id: "redo", name: "Redo", icon: "↪️" },
+  { id: "nextTool", name: "Next tool", icon: "🔁" },
+  { id: "toolDraw", name: "Draw tool", icon: "✏️" },
+  { id: "toolErase", name: "Erase tool", icon: "🧽" },
+  { id: "toolSelect", name: "Select tool", icon: "🔲" },
+  { id: "nextColor", name: "Next color", icon: "🎨" },
+  { id: "previousColor", name: "Previous color", icon: "🎨" },
+  ...Array.from({ length: PALETTE_COMMANDS }, (_, i) => ({ id: `color${i + 1}`, name: `Palette color ${i + 1}`, icon: "🎨" })),
+  { id: "save", name: "Save project", icon: "💾" },
+  { id: "clear", name: "Clear scene", icon: "🗑️" },
+  { id: "resetObjects", name: "Reset objects", icon: "🔄" },
+  { id: "lockDraw", name: "Lock to draw", icon: "🔒" },
+  { id: "resetView", name: "Reset view", icon: "🎯" },
+  { id: "zoom", name: "Zoom", icon: "🔍", continuous: true },
+  { id: "rotateScene", name: "Rotate scene", icon: "🌀", continuous: true },
+];
+
+// Built-in gestures that can be bound; two-hand gestures ignore the hand setting
+export const BINDABLE_GESTURES = [
+  { id: "openPalm", name: "Open palm" },
+  { id: "closedFist", name: "Fist" },
+  { id: "pinch", name: "Pinch" },
+  { id: "rotation", name: "Wrist turn" },
+  { id: "twoHandZoom", name: "Two-hand spread", twoHand: true },
+  { id: "twoHandRotation", name: "Two-hand turn", twoHand: true },
+  { id: "twoHandPinch", name: "Two-hand pinch", twoHand: true },
+  ...HAND_POSES.map((pose) => ({ id: pose.id, name: `${pose.icon} ${pose.name}` })),
+];
+
+export const BINDING_HANDS = ["any", "left", "right"];
+
+// The interactions that used to be hard-wired in the scene
+const DEFAULT_BINDINGS = [
+  { gesture: "openPalm", hand: "any", hold: 0, command: "resetObjects" },
+  { gesture: "closedFist", hand: "any", hold: 0, command: "lockDraw" },
+  { gesture: "rotation", hand: "any", hold: 300, command: "rotateScene" },
+  { gesture: "twoHandZoom", hand: "any", hold: 0, command: "zoom" },
+];
+
+// A hold survives tracking dropouts up to this long (ms)
+const HOLD_GAP = 250;
+
+class GestureBindings {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      minConfidence: options.minConfidence !== undefined ? options.minConfidence : 0.6, // Below this an active gesture does not trigger
+    };
+
+    // State
+    this.bindings = [];
+    this.holds = new Map(); // binding ID -> {start, last, fired}
+    this.nextId = 1;
+
+    // Callbacks
+    this.onChange = options.onChange || null; // (bindings) => void
+
+    this._setBindings(options.bindings || DEFAULT_BINDINGS);
+  }
+
+  /**
+   * Current bindings
+   * @returns {Array} [{id, gesture, hand, hold, command}]
+   */
+  list() {
+    return this.bindings.map((binding) => ({ ...binding }));
+  }
+
+  /**
+   * Add a binding
+   * @param {Object} binding - {gesture, hand, hold, command}
+   * @returns {Object} The binding with its ID
+   */
+  add(binding) {
+    const error = GestureBindings.validate(binding);
+    if (error) throw new Error(error);
+    const added = this._create(binding);
+    this.bindings.push(added);
+    this._notify();
+    return { ...added };
+  }
+
+  /**
+   * Change fields of a binding
+   * @param {string} id - Binding ID
+   * @param {Object} changes - Any of {gesture, hand, hold, command}
+   */
+  change(id, changes) {
+    const index = this.bindings.findIndex((binding) => binding.id === id);
+    if (index === -1) return;
+    const changed = { ...this.bindings[index], ...changes, id };
+    const error = GestureBindings.validate(changed);
+    if (error) throw new Error(error);
+    this.bindings[index] = changed;
+    this.holds.delete(id);
+    this._notify();
+  }
+
+  /**
+   * Delete a binding
+   * @param {string} id - Binding ID
+   */
+  remove(id) {
+    this.bindings = this.bindings.filter((binding) => binding.id !== id);
+    this.holds.delete(id);
+    this._notify();
+  }
+
+  /**
+   * Go back to the default bindings
+   */
+  resetToDefaults() {
+    this._setBindings(DEFAULT_BINDINGS);
+    this._notify();
+  }
+
+  /**
+   * Commands to run for this frame's gestures
+   * @param {Object} results - GestureEngine.analyze results
+   * @param {number} time - Frame time in ms
+   * @param {Array} ignore - Gestures to treat as inactive, e.g. those the current tool uses itself
+   * @returns {Array} [{command, binding, gesture, handId}]
+   */
+  evaluate(results, time, ignore = []) {
+    const commands = [];
+    this.bindings.forEach((binding) => {
+      const match = ignore.includes(binding.gesture) ? null : this._match(results, binding);
+      const hold = this.holds.get(binding.id);
+      if (!match) {
+        if (hold && time - hold.last > HOLD_GAP) this.holds.delete(binding.id);
+        return;
+      }
+
+      const current = hold && time - hold.last <= HOLD_GAP ? hold : { start: time, last: time, fired: false };
+      current.last = time;
+      this.holds.set(binding.id, current);
+      if (time - current.start < binding.hold) return;
+
+      const command = GESTURE_COMMANDS.find((c) => c.id === binding.command);
+      if (command.continuous || !current.fired) {
+        current.fired = true;
+        commands.push({ command: binding.command, binding: { ...binding }, gesture: match.gesture, handId: match.handId });
+      }
+    });
+    return commands;
+  }
+
+  /**
+   * Forget held gestures, e.g. when the hands leave the view
+   */
+  reset() {
+    this.holds.clear();
+  }
+
+  /**
+   * Bindings for storage
+   * @returns {Object} {version, bindings}
+   */
+  toJSON() {
+    return {
+      version: GESTURE_BINDINGS_VERSION,
+      bindings: this.bindings.map(({ gesture, hand, hold, command }) => ({ gesture, hand, hold, command })),
+    };
+  }
+
+  /**
+   * Replace the bindings with stored ones; invalid entries are dropped
+   * @param {string|Object} input - JSON text or object from toJSON()
+   * @returns {Object} {loaded, skipped: [{binding, reason}]}
+   */
+  load(input) {
+    const data = typeof input === "string" ? JSON.parse(input) : input;
+    if (!data || !Array.isArray(data.bindings)) throw new Error("Not a gesture bindings file");
+
+    const skipped = [];
+    const valid = data.bindings.filter((binding) => {
+      const reason = GestureBindings.validate(binding);
+      if (reason) skipped.push({ binding, reason });
+      return !reason;
+    });
+    this._setBindings(valid);
+    this._notify();
+    return { loaded: valid.length, skipped };
+  }
+
+  /**
+   * Why a binding is unusable, or null if it is fine
+   * @param {Object} binding - {gesture, hand, hold, command}
+   * @returns {string|null} Reason
+   */
+  static validate(binding) {
+    if (!binding || typeof binding !== "object") return "Binding is not an object";
+    if (typeof binding.gesture !== "string" || !binding.gesture) return "Binding has no gesture";
+    if (!BINDING_HANDS.includes(binding.hand)) return `Unknown hand "${binding.hand}"`;
+    if (typeof binding.hold !== "number" || !Number.isFinite(binding.hold) || binding.hold < 0) return "Hold time must be 0 or more";
+    if (!GESTURE_COMMANDS.some((command) => command.id === binding.command)) return `Unknown command "${binding.command}"`;
+    return null;
+  }
+
+  /**
+   * The active gesture a binding refers to, with the hand showing it
+   * @private
+   */
+  _match(results, binding) {
+    const isActive = (gesture) => gesture && gesture.isActive && !(gesture.confidence < this.config.minConfidence);
+
+    if (BINDABLE_GESTURES.some((g) => g.id === binding.gesture && g.twoHand)) {
+      const gesture = results.gestures && results.gestures[binding.gesture];
+      return isActive(gesture) ? { gesture, handId: null } : null;
+    }
+
+    const handIds = binding.hand === "any" ? results.handIds || [] : [binding.hand];
+    for (const handId of handIds) {
+      const gesture = results.hands && results.hands[handId] && results.hands[handId][binding.gesture];
+      if (isActive(gesture)) return { gesture, handId };
+    }
+    return null;
+  }
+
+  /**
+   * Binding with a fresh ID
+   * @private
+   */
+  _create({ gesture, hand, hold, command }) {
+    return { id: `binding-${this.nextId++}`, gesture, hand, hold, command };
+  }
+
+  /**
+   * Replace all bindings
+   * @private
+   */
+  _setBindings(bindings) {
+    this.bindings = bindings.map((binding) => this._create(binding));
+    this.holds.clear();
+  }
+
+  /**
+   * Report binding changes
+   * @private
+   */
+  _notify() {
+    if (this.onChange) this.onChange(this.list());
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.holds.clear();
+    this.onChange = null;
+  }
+}
+
+export default GestureBindings;
@@ -0,0 +1,89 @@
+import GestureBindings from "./GestureBindings";
+
+// GestureEngine.analyze-shaped results with the given active gestures per hand
+const results = (hands, twoHand = {}) => ({
+  handIds: Object.keys(hands),
+  hands: Object.fromEntries(
+    Object.entries(hands).map(([handId, names]) => [handId, Object.fromEntries(names.map((name) => [name, { isActive: true, confidence: 0.9 }]))])
+  ),
+  gestures: Object.fromEntries(Object.entries(twoHand).map(([name, data]) => [name, { isActive: true, confidence: 0.9, ...data }])),
+});
+
+const commandsOf = (fired) => fired.map((f) => f.command);
+
+describe("GestureBindings", () => {
+  test("starts with the default bindings", () => {
+    const bindings = new GestureBindings();
+    expect(bindings.list().map((b) => [b.gesture, b.command])).toEqual([
+      ["openPalm", "resetObjects"],
+      ["closedFist", "lockDraw"],
+      ["rotation", "rotateScene"],
+      ["twoHandZoom", "zoom"],
+    ]);
+  });
+
+  test("fires one-shot commands once per hold and continuous ones every frame", () => {
+    const bindings = new GestureBindings({ bindings: [] });
+    bindings.add({ gesture: "closedFist", hand: "any", hold: 0, command: "undo" });
+    bindings.add({ gesture: "twoHandZoom", hand: "any", hold: 0, command: "zoom" });
+
+    const frame = results({ right: ["closedFist"] }, { twoHandZoom: { direction: 1 } });
+    expect(commandsOf(bindings.evaluate(frame, 0))).toEqual(["undo", "zoom"]);
+    expect(commandsOf(bindings.evaluate(frame, 33))).toEqual(["zoom"]);
+    expect(bindings.evaluate(frame, 66)[0].gesture.direction).toBe(1);
+
+    // A short dropout continues the hold; a longer one ends it
+    expect(commandsOf(bindings.evaluate(results({ right: ["closedFist"] }), 200))).toEqual([]);
+    bindings.evaluate(results({ right: [] }), 300);
+    expect(commandsOf(bindings.evaluate(results({ right: ["closedFist"] }), 600))).toEqual(["undo"]);
+  });
+
+  test("waits for the hold time and matches the bound hand", () => {
+    const bindings = new GestureBindings({ bindings: [{ gesture: "custom:wave", hand: "left", hold: 500, command: "save" }] });
+
+    expect(bindings.evaluate(results({ right: ["custom:wave"] }), 0)).toEqual([]);
+    expect(bindings.evaluate(results({ right: ["custom:wave"] }), 600)).toEqual([]);
+
+    expect(bindings.evaluate(results({ left: ["custom:wave"] }), 1000)).toEqual([]);
+    expect(bindings.evaluate(results({ left: ["custom:wave"] }), 1200)).toEqual([]);
+    expect(bindings.evaluate(results({ left: ["custom:wave"] }), 1400)).toEqual([]);
+    const fired = bindings.evaluate(results({ left: ["custom:wave"], right: [] }), 1500);
+    expect(fired).toHaveLength(1);
+    expect(fired[0]).toMatchObject({ command: "save", handId: "left" });
+  });
+
+  test("ignores low-confidence and excluded gestures", () => {
+    const bindings = new GestureBindings({ bindings: [{ gesture: "openPalm", hand: "any", hold: 0, command: "clear" }] });
+    const weak = results({ right: ["openPalm"] });
+    weak.hands.right.openPalm.confidence = 0.3;
+
+    expect(bindings.evaluate(weak, 0)).toEqual([]);
+    expect(bindings.evaluate(results({ right: ["openPalm"] }), 1000, ["openPalm"])).toEqual([]);
+    expect(commandsOf(bindings.evaluate(results({ right: ["openPalm"] }), 2000))).toEqual(["clear"]);
+  });
+
+  test("validates edits and round-trips through JSON", () => {
+    const bindings = new GestureBindings();
+    const [first] = bindings.list();
+    expect(() => bindings.add({ gesture: "pinch", hand: "both", hold: 0, command: "undo" })).toThrow('Unknown hand "both"');
+    expect(() => bindings.change(first.id, { command: "explode" })).toThrow('Unknown command "explode"');
+    bindings.change(first.id, { hold: 400, command: "redo" });
+    bindings.remove(bindings.list()[1].id);
+
+    const restored = new GestureBindings();
+    const data = JSON.parse(JSON.stringify(bindings));
+    data.bindings.push({ gesture: "pinch", hand: "left", hold: -1, command: "undo" });
+    const { loaded, skipped } = restored.load(data);
+
+    expect(loaded).toBe(3);
+    expect(skipped.map((s) => s.reason)).toEqual(["Hold time must be 0 or more"]);
+    expect(restored.list().map(({ gesture, hold, command }) => [gesture, hold, command])).toEqual([
+      ["openPalm", 400, "redo"],
+      ["rotation", 300, "rotateScene"],
+      ["twoHandZoom", 0, "zoom"],
+    ]);
+
+    restored.resetToDefaults();
+    expect(restored.list()).toHaveLength(4);
+  });
+});
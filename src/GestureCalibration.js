@@ -0,0 +1,316 @@
+/**
+ * 📏 Gesture Calibration
+ * Measures one user's hand and reach in a few guided steps and keeps the results as profiles
+ *
+ * Features:
+ * - Steps: open hand, pinch, fist and reach extents, each recorded from live frames
+ * - Measurements in palm units (wrist to middle knuckle), like GestureEngine's thresholds
+ * - Computes GestureEngine settings: pinchThreshold, fullExtension, fullCurl and reach
+ * - Named profiles (e.g. one per family member) with one active profile
+ * - JSON serialization for storage
+ *
+ * @module GestureCalibration
+ */
+
+import GestureTemplates from "./GestureTemplates";
+
+export const CALIBRATION_FORMAT = "open-air-brush-calibration";
+export const CALIBRATION_VERSION = 1;
+
+// Guided steps, in the order the wizard shows them
+export const CALIBRATION_STEPS = [
+  { id: "openHand", name: "Open hand", icon: "🖐️", instruction: "Hold your hand open with the fingers spread", duration: 1500 },
+  { id: "pinch", name: "Pinch", icon: "🤏", instruction: "Touch your thumb and index fingertips together", duration: 1500 },
+  { id: "fist", name: "Fist", icon: "✊", instruction: "Make a fist", duration: 1500 },
+  { id: "reach", name: "Reach", icon: "↔️", instruction: "Move your index finger slowly around the area you can comfortably reach", duration: 5000 },
+];
+
+const FINGER_TIPS = [8, 12, 16, 20];
+const FINGER_PIPS = [6, 10, 14, 18];
+const INDEX_TIP = 8;
+
+// Confidence the measured open hand and fist should reach, leaving headroom for a lazier pose
+const TARGET_CONFIDENCE = 0.8;
+// A measured pinch sits this far inside the pinch threshold, so it clears the enter confidence
+const PINCH_MARGIN = 2.5;
+// Smallest reach extent, so a barely moving hand can't blow the view up
+const MIN_REACH = 0.2;
+
+class GestureCalibration {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      minFrames: options.minFrames || 10, // Frames a step needs to count
+      outlierFraction: options.outlierFraction !== undefined ? options.outlierFraction : 0.05, // Reach points ignored at each edge
+    };
+
+    // State
+    this.measurements = {}; // step ID -> summary of the recorded frames
+    this.profiles = new Map(); // name -> {name, settings, palmSize, created}
+    this.active = null; // Name of the profile in use
+    this.recording = null; // Step being recorded
+
+    // Callbacks
+    this.onChange = options.onChange || null; // ({profiles, active}) => void
+  }
+
+  /**
+   * Record one step from the frames passed to capture()
+   * @param {string} stepId - One of CALIBRATION_STEPS
+   * @returns {Promise<Object|null>} Step summary, or null if cancelled or too few frames
+   */
+  record(stepId) {
+    const step = CALIBRATION_STEPS.find((s) => s.id === stepId);
+    if (!step) throw new Error(`Unknown calibration step "${stepId}"`);
+    this.cancelRecording();
+    return new Promise((resolve) => {
+      this.recording = { step, start: null, frames: [], resolve };
+    });
+  }
+
+  /**
+   * Stop recording without a summary
+   */
+  cancelRecording() {
+    if (!this.recording) return;
+    const { resolve } = this.recording;
+    this.recording = null;
+    resolve(null);
+  }
+
+  /**
+   * Feed a frame of the calibrating hand
+   * @param {Array} landmarks - 21 landmarks
+   * @param {number} time - Frame time in ms
+   */
+  capture(landmarks, time = Date.now()) {
+    const recording = this.recording;
+    if (!recording || !landmarks) return;
+    if (recording.start === null) recording.start = time;
+    recording.frames.push(GestureCalibration.measure(landmarks));
+    if (time - recording.start < recording.step.duration) return;
+
+    this.recording = null;
+    if (recording.frames.length < this.config.minFrames) {
+      recording.resolve(null);
+      return;
+    }
+    const summary = this._summarize(recording.step.id, recording.frames);
+    this.measurements[recording.step.id] = summary;
+    recording.resolve(summary);
+  }
+
+  /**
+   * Steps recorded so far
+   * @returns {Array} Step IDs
+   */
+  measuredSteps() {
+    return CALIBRATION_STEPS.map((s) => s.id).filter((id) => this.measurements[id]);
+  }
+
+  /**
+   * Forget the recorded steps
+   */
+  restart() {
+    this.cancelRecording();
+    this.measurements = {};
+  }
+
+  /**
+   * GestureEngine settings from the recorded steps
+   * @returns {Object} {pinchThreshold, fullExtension, fullCurl, reach}
+   */
+  compute() {
+    const missing = CALIBRATION_STEPS.find((s) => !this.measurements[s.id]);
+    if (missing) throw new Error(`Record the "${missing.name}" step first`);
+    const { openHand, pinch, fist, reach } = this.measurements;
+
+    // Between the measured pinch and the open hand's thumb-index gap
+    const pinchThreshold = Math.min(pinch.pinch * PINCH_MARGIN, openHand.pinch * 0.6);
+    if (pinchThreshold <= pinch.pinch) throw new Error("The pinch and the open hand look alike; record them again");
+
+    return {
+      pinchThreshold: GestureCalibration._round(pinchThreshold),
+      fullExtension: GestureCalibration._round(Math.max(0.1, openHand.extension / TARGET_CONFIDENCE)),
+      fullCurl: GestureCalibration._round(Math.max(0.05, fist.curl / TARGET_CONFIDENCE)),
+      reach: {
+        ...GestureCalibration._span(reach.minX, reach.maxX),
+        ...GestureCalibration._span(reach.minY, reach.maxY, "Y"),
+      },
+    };
+  }
+
+  /**
+   * Save the recorded steps as a profile and make it active
+   * @param {string} name - Profile name; an existing profile is replaced
+   * @returns {Object} The profile
+   */
+  save(name) {
+    const key = name.trim();
+    if (!key) throw new Error("Profile name is empty");
+    const profile = { name: key, settings: this.compute(), palmSize: this.measurements.openHand.palmSize, created: Date.now() };
+    this.profiles.set(key, profile);
+    this.active = key;
+    this.measurements = {};
+    this._notify();
+    return profile;
+  }
+
+  /**
+   * Switch profiles
+   * @param {string|null} name - Profile name, or null for the defaults
+   */
+  use(name) {
+    if (name !== null && !this.profiles.has(name)) throw new Error(`No calibration profile "${name}"`);
+    this.active = name;
+    this._notify();
+  }
+
+  /**
+   * Delete a profile; deleting the active one goes back to the defaults
+   * @param {string} name - Profile name
+   */
+  remove(name) {
+    if (!this.profiles.delete(name)) return;
+    if (this.active === name) this.active = null;
+    this._notify();
+  }
+
+  /**
+   * Profile summaries
+   * @returns {Array} [{name, settings, palmSize, created}]
+   */
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Settings of the active profile
+   * @returns {Object|null} GestureEngine settings, or null when using the defaults
+   */
+  getActive() {
+    const profile = this.active !== null ? this.profiles.get(this.active) : null;
+    return profile ? profile.settings : null;
+  }
+
+  /**
+   * Serializable profiles
+   * @returns {Object} {format, version, active, profiles}
+   */
+  toJSON() {
+    return { format: CALIBRATION_FORMAT, version: CALIBRATION_VERSION, active: this.active, profiles: this.list() };
+  }
+
+  /**
+   * Replace the profiles with saved ones; invalid profiles are dropped
+   * @param {string|Object} input - JSON text or object from toJSON()
+   */
+  load(input) {
+    const data = typeof input === "string" ? JSON.parse(input) : input;
+    if (!data || data.format !== CALIBRATION_FORMAT || !Array.isArray(data.profiles)) {
+      throw new Error("Not a calibration file");
+    }
+    if (data.version > CALIBRATION_VERSION) {
+      throw new Error(`Calibration version ${data.version} is newer than supported (${CALIBRATION_VERSION})`);
+    }
+
+    this.profiles.clear();
+    data.profiles.forEach((profile) => {
+      if (GestureCalibration._isValid(profile)) this.profiles.set(profile.name, profile);
+    });
+    this.active = this.profiles.has(data.active) ? data.active : null;
+    this._notify();
+  }
+
+  /**
+   * Notify listeners of profile changes
+   * @private
+   */
+  _notify() {
+    if (this.onChange) this.onChange({ profiles: this.list(), active: this.active });
+  }
+
+  /**
+   * Hand measurements of one frame, in palm units except the fingertip position
+   * @param {Array} landmarks - 21 landmarks
+   * @returns {Object} {palmSize, pinch, extension, curl, x, y}
+   */
+  static measure(landmarks) {
+    const palmSize = GestureTemplates.palmSize(landmarks);
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[INDEX_TIP];
+    let extension = 0;
+    let curl = 0;
+    FINGER_TIPS.forEach((tip, i) => {
+      const offset = (landmarks[FINGER_PIPS[i]].y - landmarks[tip].y) / palmSize;
+      extension += Math.max(0, offset) / FINGER_TIPS.length;
+      curl += Math.max(0, -offset) / FINGER_TIPS.length;
+    });
+    return {
+      palmSize,
+      pinch: Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y, thumbTip.z - indexTip.z) / palmSize,
+      extension,
+      curl,
+      x: indexTip.x,
+      y: indexTip.y,
+    };
+  }
+
+  /**
+   * Summary of a step's frames: medians of the hand measurements, or the fingertip extents for reach
+   * @private
+   */
+  _summarize(stepId, frames) {
+    if (stepId === "reach") {
+      const xs = frames.map((f) => f.x).sort((a, b) => a - b);
+      const ys = frames.map((f) => f.y).sort((a, b) => a - b);
+      const edge = Math.floor(frames.length * this.config.outlierFraction);
+      return { minX: xs[edge], maxX: xs[xs.length - 1 - edge], minY: ys[edge], maxY: ys[ys.length - 1 - edge] };
+    }
+    const median = (key) => {
+      const values = frames.map((f) => f[key]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    };
+    return { palmSize: median("palmSize"), pinch: median("pinch"), extension: median("extension"), curl: median("curl") };
+  }
+
+  /**
+   * Reach extent on one axis, widened around its center to at least MIN_REACH and kept inside the image
+   * @private
+   */
+  static _span(min, max, axis = "X") {
+    const center = (min + max) / 2;
+    const half = Math.max(max - min, MIN_REACH) / 2;
+    const lower = Math.max(0, Math.min(center - half, 1 - 2 * half));
+    return { [`min${axis}`]: GestureCalibration._round(lower), [`max${axis}`]: GestureCalibration._round(Math.min(1, lower + 2 * half)) };
+  }
+
+  /**
+   * Round a setting for storage
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Whether a stored profile has usable settings
+   * @private
+   */
+  static _isValid(profile) {
+    if (!profile || typeof profile.name !== "string" || !profile.name.trim() || !profile.settings) return false;
+    const { pinchThreshold, fullExtension, fullCurl, reach } = profile.settings;
+    const positive = [pinchThreshold, fullExtension, fullCurl].every((v) => typeof v === "number" && v > 0);
+    return positive && Boolean(reach) && reach.maxX > reach.minX && reach.maxY > reach.minY;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.cancelRecording();
+    this.onChange = null;
+  }
+}
+
+export default GestureCalibration;
@@ -0,0 +1,117 @@
+import GestureCalibration, { CALIBRATION_STEPS } from "./GestureCalibration";
+import GestureEngine from "./GestureEngine";
+
+// Synthetic hand (y grows downward) with its wrist at (x, y), scaled around the wrist
+const hand = (shape, { scale = 1, x = 0.5, y = 0.8 } = {}) => {
+  const points = [[0, 0]];
+  const thumb = {
+    open: [[-0.05, -0.05], [-0.09, -0.08], [-0.12, -0.11], [-0.15, -0.14]],
+    pinch: [[-0.04, -0.06], [-0.05, -0.12], [-0.04, -0.2], [-0.03, -0.18]],
+    fist: [[-0.04, -0.06], [-0.05, -0.12], [-0.04, -0.2], [0.02, -0.14]],
+  }[shape];
+  points.push(...thumb);
+  [-0.05, 0, 0.05, 0.1].forEach((fx) => {
+    const ys = shape === "open" ? [-0.2, -0.3, -0.35, -0.4] : [-0.2, -0.28, -0.24, -0.2];
+    ys.forEach((fy) => points.push([fx, fy]));
+  });
+  // Pinch: index tip on the thumb tip
+  if (shape === "pinch") points[8] = [-0.03, -0.175];
+  return points.map(([px, py]) => ({ x: x + px * scale, y: y + py * scale, z: 0 }));
+};
+
+// Record a step from a frame sequence at 30 fps
+const recordStep = (calibration, stepId, frameAt) => {
+  const step = CALIBRATION_STEPS.find((s) => s.id === stepId);
+  const result = calibration.record(stepId);
+  for (let t = 0; t < step.duration + 33; t += 33) calibration.capture(frameAt(t), t);
+  return result;
+};
+
+// A small, far-away hand that only reaches the middle of the image
+const calibrateChild = async (calibration) => {
+  const small = { scale: 0.5 };
+  await recordStep(calibration, "openHand", () => hand("open", small));
+  await recordStep(calibration, "pinch", () => hand("pinch", small));
+  await recordStep(calibration, "fist", () => hand("fist", small));
+  return recordStep(calibration, "reach", (t) => hand("open", { ...small, x: 0.4 + 0.2 * Math.sin(t / 300), y: 0.6 + 0.15 * Math.cos(t / 300) }));
+};
+
+describe("GestureCalibration", () => {
+  test("measures hands in palm units", () => {
+    const near = GestureCalibration.measure(hand("pinch"));
+    const far = GestureCalibration.measure(hand("pinch", { scale: 0.4, x: 0.3 }));
+
+    expect(far.palmSize).toBeCloseTo(near.palmSize * 0.4);
+    ["pinch", "extension", "curl"].forEach((key) => expect(far[key]).toBeCloseTo(near[key]));
+  });
+
+  test("computes settings from the guided steps and keeps them as the active profile", async () => {
+    const calibration = new GestureCalibration();
+    const changes = [];
+    calibration.onChange = (state) => changes.push(state.active);
+
+    await calibrateChild(calibration);
+    expect(calibration.measuredSteps()).toEqual(["openHand", "pinch", "fist", "reach"]);
+
+    const profile = calibration.save("Kid");
+    const { pinchThreshold, fullExtension, fullCurl, reach } = profile.settings;
+    const pinch = GestureCalibration.measure(hand("pinch")).pinch;
+    expect(pinchThreshold).toBeGreaterThan(pinch);
+    expect(pinchThreshold).toBeLessThan(GestureCalibration.measure(hand("open")).pinch);
+    expect(fullExtension).toBeGreaterThan(0);
+    expect(fullCurl).toBeGreaterThan(0);
+    expect(reach.minX).toBeGreaterThan(0.15);
+    expect(reach.maxX).toBeLessThan(0.65);
+    expect(calibration.getActive()).toBe(profile.settings);
+    expect(changes).toEqual(["Kid"]);
+
+    // A fresh calibration needs every step again
+    expect(() => calibration.compute()).toThrow('Record the "Open hand" step first');
+  });
+
+  test("calibrated settings make the engine recognize the user's poses", async () => {
+    const calibration = new GestureCalibration();
+    await calibrateChild(calibration);
+    const engine = new GestureEngine({ minHoldFrames: 1 });
+    engine.updateConfig(calibration.save("Kid").settings);
+
+    const small = { scale: 0.5 };
+    expect(engine.analyze([hand("open", small)], ["right"]).gestures.openPalm.isActive).toBe(true);
+    engine.reset();
+    expect(engine.analyze([hand("fist", small)], ["right"]).gestures.closedFist.isActive).toBe(true);
+    engine.reset();
+    expect(engine.analyze([hand("pinch", small)], ["right"]).gestures.pinch.isActive).toBe(true);
+    expect(engine.isPinchClosed(hand("pinch", small))).toBe(true);
+    expect(engine.isPinchClosed(hand("open", small))).toBe(false);
+
+    // The calibrated reach covers the whole view
+    const { reach } = engine.config;
+    expect(engine.mapToReach({ x: reach.minX, y: reach.maxY, z: 0.1 })).toEqual({ x: 0, y: 1, z: 0.1 });
+  });
+
+  test("skips short recordings and round-trips profiles through JSON", async () => {
+    const calibration = new GestureCalibration();
+    const cut = calibration.record("fist");
+    calibration.capture(hand("fist"), 0);
+    calibration.capture(hand("fist"), 2000);
+    expect(await cut).toBeNull();
+    expect(() => calibration.record("wave")).toThrow('Unknown calibration step "wave"');
+
+    await calibrateChild(calibration);
+    calibration.save("Kid");
+    await calibrateChild(calibration);
+    calibration.save("Parent");
+    calibration.use("Kid");
+
+    const restored = new GestureCalibration();
+    const data = JSON.parse(JSON.stringify(calibration));
+    data.profiles.push({ name: "Broken", settings: { pinchThreshold: 0 } });
+    restored.load(data);
+
+    expect(restored.list().map((p) => p.name)).toEqual(["Kid", "Parent"]);
+    expect(restored.getActive()).toEqual(calibration.getActive());
+    restored.remove("Kid");
+    expect(restored.getActive()).toBeNull();
+    expect(() => restored.load({ format: "other" })).toThrow("Not a calibration file");
+  });
+});
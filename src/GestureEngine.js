@@ -11,30 +11,84 @@
  * - Drag gesture detection
  * - Depth-aware scaling
  * - Confidence visualization
+ * - Per-hand gestures keyed by stable hand ID (left/right)
+ * - User-recorded poses and motions ("custom:<name>") from GestureTemplates
+ * - Gesture lifecycles (idle → candidate → active → releasing) with hysteresis and
+ *   mutually exclusive groups, so gestures don't flicker or overlap
+ * - Distances measured in palm units (wrist to middle knuckle) each frame, so thresholds hold
+ *   for any hand size and camera distance; per-user calibration via updateConfig()
+ * - Static hand poses from HandPoses: finger counts 1–5 and signs (peace, thumbs up/down,
+ *   point, rock, OK), held for a moment before they start
  *
  * @module GestureEngine
  */
 
 import * as THREE from "three";
+import GestureTemplates from "./GestureTemplates";
+import GestureStateMachine, { GESTURE_STATES } from "./GestureStateMachine";
+import HandPoses, { HAND_POSES, HAND_POSE_TYPE } from "./HandPoses";
+
+// Hand ID under which two-hand gestures are tracked
+export const TWO_HANDS = "both";
+
+// Per-user settings, in palm units; a calibration profile replaces them through updateConfig()
+export const CALIBRATION_DEFAULTS = {
+  pinchThreshold: 0.35, // Thumb-index distance at which pinch confidence reaches 0
+  fullExtension: 1.2, // Fingertip above its middle joint by this much counts as fully extended
+  fullCurl: 1.2, // Fingertip below its middle joint by this much counts as fully curled
+  reach: { minX: 0, maxX: 1, minY: 0, maxY: 1 }, // Image area mapToReach() stretches over the whole view
+};
+
+// Enter/exit confidence thresholds and frame counts, matched to each detector's confidence scale
+const GESTURE_SETTINGS = {
+  pinch: { enter: 0.65, exit: 0.45 },
+  openPalm: { enter: 0.3, exit: 0.2 },
+  closedFist: { enter: 0.3, exit: 0.2 },
+  rotation: { enter: 0.5, exit: 0.3 },
+  drag: { enter: 0.25, exit: 0.1, holdFrames: 1, releaseFrames: 3 },
+  twoHandZoom: { enter: 0.5, exit: 0.25 },
+  twoHandRotation: { enter: 0.2, exit: 0.1 },
+  twoHandPinch: { enter: 0.1, exit: 0.05 },
+};
+
+// Hand poses must be held longer, so the shapes a hand passes through on the way to a pose don't fire
+const HAND_POSE_SETTINGS = { enter: 0.6, exit: 0.4, holdFrames: 8 };
+
+// Mutually exclusive gestures per hand, highest priority first: one hand shape at a time,
+// a pinch pauses dragging, two-hand gestures don't overlap, and one finger count and one sign at a time
+const EXCLUSIVE_GROUPS = [
+  ["pinch", "closedFist", "openPalm"],
+  ["pinch", "drag"],
+  ["twoHandPinch", "twoHandZoom", "twoHandRotation"],
+  HAND_POSES.filter((pose) => pose.family === "count").map((pose) => pose.id),
+  HAND_POSES.filter((pose) => pose.family === "sign").map((pose) => pose.id),
+];
 
 class GestureEngine {
   constructor(options = {}) {
     // Configuration
     this.config = {
+      // Hand-size dependent thresholds (palm units)
+      pinchThreshold: options.pinchThreshold || CALIBRATION_DEFAULTS.pinchThreshold,
+      fullExtension: options.fullExtension || CALIBRATION_DEFAULTS.fullExtension,
+      fullCurl: options.fullCurl || CALIBRATION_DEFAULTS.fullCurl,
+      reach: options.reach || { ...CALIBRATION_DEFAULTS.reach },
+      dragThreshold: options.dragThreshold || 0.03, // Fingertip movement per frame that counts as dragging
+      movementThreshold: options.movementThreshold || 0.06, // Wrist or fingertip movement per frame that counts for rotation
+      twoHandMovementThreshold: options.twoHandMovementThreshold || 0.03, // Wrist movement per frame for two-hand rotation
+      twoHandGrabDistance: options.twoHandGrabDistance || 0.6, // Thumb-thumb distance for a two-hand pinch
+
       // Confidence thresholds
-      pinchThreshold: options.pinchThreshold || 0.06,
       openPalmThreshold: options.openPalmThreshold || 0.7,
       closedFistThreshold: options.closedFistThreshold || 0.7,
-      twoHandZoomThreshold: options.twoHandZoomThreshold || 0.02,
+      twoHandZoomThreshold: options.twoHandZoomThreshold || 0.02, // Relative to the distance between the hands
       rotationThreshold: options.rotationThreshold || 0.5,
 
       // Hysteresis for stability
-      hysteresisBuffer: options.hysteresisBuffer || 5,
+      hysteresisBuffer: options.hysteresisBuffer || 5, // Frames below the exit threshold before a gesture ends
+      minHoldFrames: options.minHoldFrames || 3, // Frames a gesture must be detected before it starts
       confidenceThreshold: options.confidenceThreshold || 0.65,
 
-      // Gesture smoothing
-      smoothingFactor: options.smoothingFactor || 0.3,
-
       // Debug options
       debugMode: options.debugMode || false,
     };
@@ -43,28 +97,53 @@ class GestureEngine {
     this.gestureHistory = [];
     this.currentGestures = new Map(); // Track ongoing gestures
     this.lastLandmarks = new Map(); // Previous landmarks for velocity
+    this.lastTwoHandDistance = null; // Index tip distance in the previous two-hand frame, for zoom
     this.gestureStartTime = new Map(); // When gesture started
     this.confidenceScores = {}; // Current confidence scores
 
     // Hand state tracking
     this.handStates = new Map(); // Track state of each hand
 
-    // Gesture callbacks
+    // User-recorded gestures, matched alongside the built-in ones
+    this.templates = options.templates || new GestureTemplates({ confidenceThreshold: this.config.confidenceThreshold });
+
+    // Finger counts and signs
+    this.poses = new HandPoses({ okDistance: this.config.pinchThreshold });
+
+    // Gesture callbacks, called with (name, data) where data includes handId, state and duration
     this.onGestureStart = options.onGestureStart || null;
     this.onGestureEnd = options.onGestureEnd || null;
     this.onGestureUpdate = options.onGestureUpdate || null;
+
+    // Gesture lifecycles; callbacks are looked up when they fire so they can be replaced later
+    this.stateMachine = new GestureStateMachine({
+      enterThreshold: this.config.confidenceThreshold,
+      exitThreshold: this.config.confidenceThreshold * 0.75,
+      minHoldFrames: this.config.minHoldFrames,
+      releaseFrames: this.config.hysteresisBuffer,
+      groups: options.groups || EXCLUSIVE_GROUPS,
+      settingsFor: (name, data) => this._gestureSettings(name, data),
+      onStart: (name, data) => this.onGestureStart && this.onGestureStart(name, data),
+      onUpdate: (name, data) => this.onGestureUpdate && this.onGestureUpdate(name, data),
+      onEnd: (name, data) => this.onGestureEnd && this.onGestureEnd(name, data),
+    });
   }
 
   /**
    * Analyze hand landmarks and return detected gestures
-   * @param {Array} hands - Array of hand landmark arrays from MediaPipe
-   * @returns {Object} Detected gestures with confidence scores
+   * @param {Array} hands - Array of hand landmark arrays from MediaPipe, primary hand first
+   * @param {Array} handIds - Stable ID per hand, e.g. "right"/"left" (defaults to array index)
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object} Detected gestures with confidence scores; isActive and state follow the gesture state machine
    */
-  analyze(hands) {
+  analyze(hands, handIds = null, timestamp = Date.now()) {
+    const ids = this._handIds(hands, handIds);
     const results = {
-      timestamp: Date.now(),
+      timestamp,
       handCount: hands.length,
+      handIds: ids,
       gestures: {},
+      hands: {}, // Single-hand gestures for every hand, by hand ID
       primaryGesture: null,
       primaryConfidence: 0,
       debug: {},
@@ -75,61 +154,63 @@ class GestureEngine {
       return results;
     }
 
-    // Analyze single-hand gestures
-    if (hands.length >= 1) {
-      const singleHandResult = this._analyzeSingleHand(hands[0], 0);
-      Object.assign(results.gestures, singleHandResult.gestures);
+    // Samples of custom gestures are recorded from the primary hand
+    this.templates.capture(hands[0], ids[0], results.timestamp);
+    this.templates.keepHands(ids);
 
-      // Track hand 0 state
-      this.handStates.set(0, singleHandResult.state);
-    }
+    // Analyze single-hand gestures; the primary hand's drive results.gestures
+    hands.forEach((landmarks, handIndex) => {
+      const singleHandResult = this._analyzeSingleHand(landmarks, ids[handIndex], results.timestamp);
+      results.hands[ids[handIndex]] = singleHandResult.gestures;
+      if (handIndex === 0) {
+        Object.assign(results.gestures, singleHandResult.gestures);
+      }
+
+      // Track hand state
+      this.handStates.set(ids[handIndex], singleHandResult.state);
+    });
+    this.handStates.forEach((state, handId) => {
+      if (!ids.includes(handId)) this.handStates.delete(handId);
+    });
 
     // Analyze two-hand gestures
+    const frame = { ...results.hands };
     if (hands.length === 2) {
       const twoHandResult = this._analyzeTwoHands(hands[0], hands[1]);
       Object.assign(results.gestures, twoHandResult.gestures);
+      frame[TWO_HANDS] = twoHandResult.gestures;
+    } else {
+      // Zoom starts over when both hands are back, rather than jumping to where they reappear
+      this.lastTwoHandDistance = null;
     }
 
-    // Determine primary gesture
-    const gestureList = [];
-    for (const [name, data] of Object.entries(results.gestures)) {
-      if (data.confidence > this.config.confidenceThreshold) {
-        gestureList.push({ name, ...data });
-      }
-    }
-
-    // Sort by confidence and apply hysteresis
-    gestureList.sort((a, b) => b.confidence - a.confidence);
+    // Per-frame detections become stable gestures: isActive now follows the state machine
+    const states = this.stateMachine.update(frame, results.timestamp);
+    Object.entries(frame).forEach(([handId, gestures]) => {
+      Object.entries(gestures).forEach(([name, data]) => {
+        data.detected = Boolean(data.isActive);
+        data.state = states[handId][name];
+        data.isActive = data.state === GESTURE_STATES.ACTIVE || data.state === GESTURE_STATES.RELEASING;
+      });
+    });
 
+    // Primary gesture: the most confident active one of the primary hand or both hands; hand poses
+    // describe the hand shape next to the gestures, so they don't compete
+    const gestureList = Object.entries(results.gestures)
+      .filter(([, data]) => data.isActive && data.type !== HAND_POSE_TYPE)
+      .map(([name, data]) => ({ name, ...data }))
+      .sort((a, b) => b.confidence - a.confidence);
     if (gestureList.length > 0) {
-      const primary = gestureList[0];
-      results.primaryGesture = primary.name;
-      results.primaryConfidence = primary.confidence;
-
-      // Check if gesture started
-      const prevGesture = this.currentGestures.get(primary.name);
-      if (!prevGesture) {
-        this.currentGestures.set(primary.name, {
-          startTime: Date.now(),
-          confidence: primary.confidence,
-        });
-        if (this.onGestureStart) {
-          this.onGestureStart(primary.name, primary);
-        }
-      } else {
-        // Update gesture
-        this.currentGestures.set(primary.name, {
-          ...prevGesture,
-          confidence: primary.confidence,
-        });
-        if (this.onGestureUpdate) {
-          this.onGestureUpdate(primary.name, primary);
-        }
-      }
+      results.primaryGesture = gestureList[0].name;
+      results.primaryConfidence = gestureList[0].confidence;
     }
 
-    // Clean up ended gestures
-    this._cleanupGestures(gestureList.map((g) => g.name));
+    // Active gestures of the primary hand and both hands, by name
+    this.currentGestures.clear();
+    this.stateMachine.getActive().forEach(({ handId, name, state, startTime, data }) => {
+      if (handId !== String(ids[0]) && handId !== TWO_HANDS) return;
+      this.currentGestures.set(name, { handId, state, startTime, confidence: data.confidence });
+    });
 
     // Store history
     this.gestureHistory.push(results);
@@ -153,7 +234,7 @@ class GestureEngine {
    * Analyze single hand gestures
    * @private
    */
-  _analyzeSingleHand(landmarks, handIndex) {
+  _analyzeSingleHand(landmarks, handId, timestamp = Date.now()) {
     const state = {
       isPinching: false,
       isOpenPalm: false,
@@ -164,40 +245,48 @@ class GestureEngine {
       pinchPosition: null,
       dragDelta: null,
       velocity: null,
+      palmSize: GestureTemplates.palmSize(landmarks),
     };
 
     const gestures = {};
+    const palmSize = state.palmSize;
 
     // Pinch detection
-    const pinch = this._detectPinch(landmarks);
+    const pinch = this._detectPinch(landmarks, palmSize);
     gestures.pinch = pinch;
     state.isPinching = pinch.isActive;
     state.pinchPosition = pinch.position;
 
     // Open palm detection
-    const openPalm = this._detectOpenPalm(landmarks);
+    const openPalm = this._detectOpenPalm(landmarks, palmSize);
     gestures.openPalm = openPalm;
     state.isOpenPalm = openPalm.isActive;
 
     // Closed fist detection
-    const closedFist = this._detectClosedFist(landmarks);
+    const closedFist = this._detectClosedFist(landmarks, palmSize);
     gestures.closedFist = closedFist;
     state.isClosedFist = closedFist.isActive;
 
     // Rotation detection
-    const rotation = this._detectRotation(landmarks, handIndex);
+    const rotation = this._detectRotation(landmarks, handId, palmSize);
     gestures.rotation = rotation;
     state.isRotating = rotation.isActive;
     state.rotationAxis = rotation.axis;
 
     // Drag detection
-    const drag = this._detectDrag(landmarks, handIndex);
+    const drag = this._detectDrag(landmarks, handId, palmSize);
     gestures.drag = drag;
     state.isDragging = drag.isActive;
     state.dragDelta = drag.delta;
 
     // Calculate velocity
-    state.velocity = this._calculateVelocity(landmarks, handIndex);
+    state.velocity = this._calculateVelocity(landmarks, handId);
+
+    // Finger counts and signs
+    Object.assign(gestures, this.poses.classify(landmarks));
+
+    // Custom gestures
+    Object.assign(gestures, this.templates.recognize(landmarks, handId, timestamp));
 
     return { gestures, state };
   }
@@ -208,17 +297,18 @@ class GestureEngine {
    */
   _analyzeTwoHands(landmarks1, landmarks2) {
     const gestures = {};
+    const palmSize = (GestureTemplates.palmSize(landmarks1) + GestureTemplates.palmSize(landmarks2)) / 2;
 
     // Two-hand zoom/spread
     const twoHandZoom = this._detectTwoHandZoom(landmarks1, landmarks2);
     gestures.twoHandZoom = twoHandZoom;
 
     // Two-hand rotation
-    const twoHandRotation = this._detectTwoHandRotation(landmarks1, landmarks2);
+    const twoHandRotation = this._detectTwoHandRotation(landmarks1, landmarks2, palmSize);
     gestures.twoHandRotation = twoHandRotation;
 
     // Two-hand pinch (grab object)
-    const twoHandPinch = this._detectTwoHandPinch(landmarks1, landmarks2);
+    const twoHandPinch = this._detectTwoHandPinch(landmarks1, landmarks2, palmSize);
     gestures.twoHandPinch = twoHandPinch;
 
     return { gestures };
@@ -228,16 +318,14 @@ class GestureEngine {
    * Detect pinch gesture (thumb + index finger)
    * @private
    */
-  _detectPinch(landmarks) {
+  _detectPinch(landmarks, palmSize) {
     const thumbTip = landmarks[4];
     const indexTip = landmarks[8];
     const indexPIP = landmarks[6];
     const thumbIP = landmarks[3];
 
-    // Calculate 3D distance
-    const distance = Math.sqrt(
-      Math.pow(thumbTip.x - indexTip.x, 2) + Math.pow(thumbTip.y - indexTip.y, 2) + Math.pow(thumbTip.z - indexTip.z, 2)
-    );
+    // 3D distance in palm units
+    const distance = this.pinchDistance(landmarks, palmSize);
 
     // Check if fingers are bent (pinching motion)
     const isIndexBent = indexTip.y > indexPIP.y;
@@ -256,8 +344,9 @@ class GestureEngine {
     };
 
     // Calculate world coordinates
-    position.worldX = -(position.x - 0.5) * 5;
-    position.worldY = -(position.y - 0.5) * 5;
+    const reached = this.mapToReach(position);
+    position.worldX = -(reached.x - 0.5) * 5;
+    position.worldY = -(reached.y - 0.5) * 5;
     position.worldZ = position.z * 2 + 1;
 
     // Calculate pinch strength (0-1)
@@ -279,7 +368,7 @@ class GestureEngine {
    * Detect open palm gesture
    * @private
    */
-  _detectOpenPalm(landmarks) {
+  _detectOpenPalm(landmarks, palmSize) {
     const fingerTips = [8, 12, 16, 20];
     const fingerPIPs = [6, 10, 14, 18];
 
@@ -294,8 +383,8 @@ class GestureEngine {
       const isExtended = tip.y < pip.y;
       if (isExtended) extendedFingers++;
 
-      const extension = Math.max(0, pip.y - tip.y);
-      extensionScore += Math.min(1, extension * 5);
+      const extension = Math.max(0, pip.y - tip.y) / palmSize;
+      extensionScore += Math.min(1, extension / this.config.fullExtension);
     }
 
     // Check thumb
@@ -319,7 +408,7 @@ class GestureEngine {
    * Detect closed fist gesture
    * @private
    */
-  _detectClosedFist(landmarks) {
+  _detectClosedFist(landmarks, palmSize) {
     const fingerTips = [8, 12, 16, 20];
     const fingerPIPs = [6, 10, 14, 18];
 
@@ -333,8 +422,8 @@ class GestureEngine {
       const isCurled = tip.y > pip.y;
       if (isCurled) curledFingers++;
 
-      const curl = Math.max(0, tip.y - pip.y);
-      curlScore += Math.min(1, curl * 5);
+      const curl = Math.max(0, tip.y - pip.y) / palmSize;
+      curlScore += Math.min(1, curl / this.config.fullCurl);
     }
 
     const isActive = curledFingers >= 3;
@@ -353,13 +442,13 @@ class GestureEngine {
    * Detect rotation gesture using wrist and finger movement
    * @private
    */
-  _detectRotation(landmarks, handIndex) {
+  _detectRotation(landmarks, handId, palmSize) {
     const wrist = landmarks[0];
     const indexTip = landmarks[8];
 
     // Get previous positions
-    const prevWrist = this.lastLandmarks.get(`hand_${handIndex}_wrist`);
-    const prevIndex = this.lastLandmarks.get(`hand_${handIndex}_index`);
+    const prevWrist = this.lastLandmarks.get(`hand_${handId}_wrist`);
+    const prevIndex = this.lastLandmarks.get(`hand_${handId}_index`);
 
     if (!prevWrist || !prevIndex) {
       return { type: "rotation", isActive: false, confidence: 0, axis: null, angle: 0 };
@@ -378,9 +467,9 @@ class GestureEngine {
       y: indexTip.y - prevIndex.y,
     };
 
-    // Detect circular motion (simplified rotation detection)
-    const movement = Math.sqrt(wristDelta.x ** 2 + wristDelta.y ** 2);
-    const isMoving = movement > 0.01;
+    // Detect circular motion (simplified rotation detection), in palm units
+    const movement = Math.sqrt(wristDelta.x ** 2 + wristDelta.y ** 2) / palmSize;
+    const isMoving = movement > this.config.movementThreshold;
 
     // Determine rotation axis based on dominant movement
     let axis = "none";
@@ -396,14 +485,14 @@ class GestureEngine {
       }
 
       // Check for Z rotation (wrist roll)
-      const indexMovement = Math.sqrt(indexDelta.x ** 2 + indexDelta.y ** 2);
-      if (indexMovement > 0.01) {
+      const indexMovement = Math.sqrt(indexDelta.x ** 2 + indexDelta.y ** 2) / palmSize;
+      if (indexMovement > this.config.movementThreshold) {
         axis = "Z";
         angle = indexDelta.x;
       }
     }
 
-    const confidence = isMoving ? Math.min(1, movement * 20) : 0;
+    const confidence = isMoving ? Math.min(1, movement / (this.config.movementThreshold * 5)) : 0;
 
     return {
       type: "rotation",
@@ -419,13 +508,11 @@ class GestureEngine {
    * Detect drag gesture
    * @private
    */
-  // eslint-disable-next-line no-unused-vars
-  _detectDrag(landmarks, handIndex) {
-    // handIndex kept for future features like per-hand gesture recognition
+  _detectDrag(landmarks, handId, palmSize) {
     const indexTip = landmarks[8];
 
-    const prevWrist = this.lastLandmarks.get(`hand_${handIndex}_wrist`);
-    const prevIndex = this.lastLandmarks.get(`hand_${handIndex}_index`);
+    const prevWrist = this.lastLandmarks.get(`hand_${handId}_wrist`);
+    const prevIndex = this.lastLandmarks.get(`hand_${handId}_index`);
 
     if (!prevWrist || !prevIndex) {
       return { type: "drag", isActive: false, delta: null, position: null };
@@ -437,13 +524,13 @@ class GestureEngine {
       z: indexTip.z - prevIndex.z,
     };
 
-    const movement = Math.sqrt(delta.x ** 2 + delta.y ** 2 + delta.z ** 2);
-    const isDragging = movement > 0.005;
+    const movement = Math.sqrt(delta.x ** 2 + delta.y ** 2 + delta.z ** 2) / palmSize;
+    const isDragging = movement > this.config.dragThreshold;
 
     return {
       type: "drag",
       isActive: isDragging,
-      confidence: Math.min(1, movement * 50),
+      confidence: Math.min(1, movement / (this.config.dragThreshold * 4)),
       delta,
       position: {
         x: indexTip.x,
@@ -468,12 +555,12 @@ class GestureEngine {
       Math.pow(index1.x - index2.x, 2) + Math.pow(index1.y - index2.y, 2) + Math.pow(index1.z - index2.z, 2)
     );
 
-    // Calculate palm distance for reference
+    // Changes relative to the distance between the wrists don't depend on hand size
     const palmDistance = Math.sqrt(Math.pow(wrist1.x - wrist2.x, 2) + Math.pow(wrist1.y - wrist2.y, 2));
 
     // Get previous distance
-    const prevDistance =
-      this.gestureHistory.length > 0 ? this.gestureHistory[this.gestureHistory.length - 1].twoHandDistance : currentDistance;
+    const prevDistance = this.lastTwoHandDistance !== null ? this.lastTwoHandDistance : currentDistance;
+    this.lastTwoHandDistance = currentDistance;
 
     const distanceChange = currentDistance - prevDistance;
     const normalizedChange = distanceChange / palmDistance;
@@ -481,12 +568,7 @@ class GestureEngine {
     // Zoom direction: positive = zoom out, negative = zoom in
     const direction = normalizedChange > 0 ? 1 : -1;
     const isZooming = Math.abs(normalizedChange) > this.config.twoHandZoomThreshold;
-    const confidence = Math.min(1, Math.abs(normalizedChange) * 10);
-
-    // Store current distance
-    this.gestureHistory.forEach((h) => {
-      h.twoHandDistance = currentDistance;
-    });
+    const confidence = Math.min(1, Math.abs(normalizedChange) / (this.config.twoHandZoomThreshold * 2));
 
     // Calculate zoom factor
     const zoomFactor = 1 + normalizedChange * 2;
@@ -506,7 +588,7 @@ class GestureEngine {
    * Detect two-hand rotation (both hands rotating together)
    * @private
    */
-  _detectTwoHandRotation(landmarks1, landmarks2) {
+  _detectTwoHandRotation(landmarks1, landmarks2, palmSize) {
     const wrist1 = landmarks1[0];
     const wrist2 = landmarks2[0];
 
@@ -517,14 +599,15 @@ class GestureEngine {
       return { type: "twoHandRotation", isActive: false, confidence: 0, direction: null };
     }
 
-    // Calculate rotation direction based on relative movement
-    const delta1 = wrist1.x - prevWrist1.x;
-    const delta2 = wrist2.x - prevWrist2.x;
+    // Calculate rotation direction based on relative movement, in palm units
+    const delta1 = (wrist1.x - prevWrist1.x) / palmSize;
+    const delta2 = (wrist2.x - prevWrist2.x) / palmSize;
 
     // Both moving in same direction = Y rotation
     // Both moving in opposite directions = X rotation (pinch zoom)
     const sameDirection = Math.sign(delta1) === Math.sign(delta2);
-    const isRotating = Math.abs(delta1) > 0.005 && Math.abs(delta2) > 0.005;
+    const threshold = this.config.twoHandMovementThreshold;
+    const isRotating = Math.abs(delta1) > threshold && Math.abs(delta2) > threshold;
 
     let direction = null;
     if (sameDirection) {
@@ -533,7 +616,7 @@ class GestureEngine {
       direction = delta1 > delta2 ? "spread" : "pinch";
     }
 
-    const confidence = isRotating ? Math.min(1, (Math.abs(delta1) + Math.abs(delta2)) * 20) : 0;
+    const confidence = isRotating ? Math.min(1, (Math.abs(delta1) + Math.abs(delta2)) / (threshold * 10)) : 0;
 
     return {
       type: "twoHandRotation",
@@ -547,19 +630,20 @@ class GestureEngine {
    * Detect two-hand pinch (grab object between hands)
    * @private
    */
-  _detectTwoHandPinch(landmarks1, landmarks2) {
+  _detectTwoHandPinch(landmarks1, landmarks2, palmSize) {
     const thumb1 = landmarks1[4];
     const thumb2 = landmarks2[4];
     const index1 = landmarks1[8];
     const index2 = landmarks2[8];
 
-    // Calculate distances
-    const thumbDistance = Math.sqrt(Math.pow(thumb1.x - thumb2.x, 2) + Math.pow(thumb1.y - thumb2.y, 2));
+    // Calculate distances in palm units
+    const thumbDistance = Math.sqrt(Math.pow(thumb1.x - thumb2.x, 2) + Math.pow(thumb1.y - thumb2.y, 2)) / palmSize;
 
-    const indexDistance = Math.sqrt(Math.pow(index1.x - index2.x, 2) + Math.pow(index1.y - index2.y, 2));
+    const indexDistance = Math.sqrt(Math.pow(index1.x - index2.x, 2) + Math.pow(index1.y - index2.y, 2)) / palmSize;
 
-    const isGrabbing = thumbDistance < 0.1 && indexDistance < 0.15;
-    const confidence = isGrabbing ? Math.max(0, 1 - thumbDistance * 10) : 0;
+    const grabDistance = this.config.twoHandGrabDistance;
+    const isGrabbing = thumbDistance < grabDistance && indexDistance < grabDistance * 1.5;
+    const confidence = isGrabbing ? Math.max(0, 1 - thumbDistance / grabDistance) : 0;
 
     return {
       type: "twoHandPinch",
@@ -574,9 +658,9 @@ class GestureEngine {
    * Calculate hand velocity
    * @private
    */
-  _calculateVelocity(landmarks, handIndex) {
+  _calculateVelocity(landmarks, handId) {
     const wrist = landmarks[0];
-    const prevWrist = this.lastLandmarks.get(`hand_${handIndex}_wrist`);
+    const prevWrist = this.lastLandmarks.get(`hand_${handId}_wrist`);
 
     if (!prevWrist) return new THREE.Vector3();
 
@@ -590,18 +674,16 @@ class GestureEngine {
   }
 
   /**
-   * Clean up ended gestures
+   * State machine settings for a gesture: custom motions fire for a single frame, so they start and end at once
    * @private
    */
-  _cleanupGestures(activeGestures) {
-    for (const [name, data] of this.currentGestures) {
-      if (!activeGestures.includes(name)) {
-        if (this.onGestureEnd) {
-          this.onGestureEnd(name, data);
-        }
-        this.currentGestures.delete(name);
-      }
+  _gestureSettings(name, data) {
+    if (data.type === HAND_POSE_TYPE) return HAND_POSE_SETTINGS;
+    if (data.type === "custom") {
+      const threshold = this.templates.config.confidenceThreshold;
+      return data.kind === "motion" ? { enter: threshold, exit: threshold, holdFrames: 1, releaseFrames: 1 } : { enter: threshold, exit: threshold * 0.75 };
     }
+    return GESTURE_SETTINGS[name] || null;
   }
 
   /**
@@ -609,23 +691,39 @@ class GestureEngine {
    * @private
    */
   _clearAllGestures() {
-    for (const [name, data] of this.currentGestures) {
-      if (this.onGestureEnd) {
-        this.onGestureEnd(name, data);
-      }
-    }
+    this.stateMachine.reset();
     this.currentGestures.clear();
     this.handStates.clear();
     this.lastLandmarks.clear();
+    this.lastTwoHandDistance = null;
+    this.templates.keepHands([]);
+  }
+
+  /**
+   * Stable ID per hand, falling back to array index
+   * @private
+   */
+  _handIds(hands, handIds) {
+    return hands.map((landmarks, handIndex) => (handIds && handIds[handIndex] !== undefined ? handIds[handIndex] : handIndex));
   }
 
   /**
    * Update last landmarks for velocity calculation
+   * @param {Array} hands - Array of hand landmark arrays
+   * @param {Array} handIds - Stable ID per hand (defaults to array index)
    */
-  updateLastLandmarks(hands) {
+  updateLastLandmarks(hands, handIds = null) {
+    const ids = this._handIds(hands, handIds);
+
+    // Forget hands that left so they don't resume from a stale position
+    const currentKeys = ids.flatMap((id) => [`hand_${id}_wrist`, `hand_${id}_index`]);
+    this.lastLandmarks.forEach((value, key) => {
+      if (key.startsWith("hand_") && !currentKeys.includes(key)) this.lastLandmarks.delete(key);
+    });
+
     hands.forEach((landmarks, handIndex) => {
-      this.lastLandmarks.set(`hand_${handIndex}_wrist`, { ...landmarks[0] });
-      this.lastLandmarks.set(`hand_${handIndex}_index`, { ...landmarks[8] });
+      this.lastLandmarks.set(`hand_${ids[handIndex]}_wrist`, { ...landmarks[0] });
+      this.lastLandmarks.set(`hand_${ids[handIndex]}_index`, { ...landmarks[8] });
     });
 
     if (hands.length === 2) {
@@ -634,6 +732,37 @@ class GestureEngine {
     }
   }
 
+  /**
+   * Thumb-index tip distance in palm units, the unit of pinchThreshold
+   * @param {Array} landmarks - 21 landmarks
+   * @param {number} palmSize - Palm size, if already measured
+   * @returns {number} Distance
+   */
+  pinchDistance(landmarks, palmSize = GestureTemplates.palmSize(landmarks)) {
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+    return Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y, thumbTip.z - indexTip.z) / palmSize;
+  }
+
+  /**
+   * Whether thumb and index tips are within the pinch threshold, whatever the finger bend
+   * @param {Array} landmarks - 21 landmarks
+   * @returns {boolean} Pinch closed
+   */
+  isPinchClosed(landmarks) {
+    return this.pinchDistance(landmarks) < this.config.pinchThreshold;
+  }
+
+  /**
+   * Stretch the calibrated reach area over the whole image, so a small reach covers the whole view
+   * @param {Object} point - Normalized image point {x, y, z}
+   * @returns {Object} Point with x and y remapped (z unchanged)
+   */
+  mapToReach(point) {
+    const { minX, maxX, minY, maxY } = this.config.reach;
+    return { ...point, x: (point.x - minX) / (maxX - minX), y: (point.y - minY) / (maxY - minY) };
+  }
+
   /**
    * Get active gesture with highest confidence
    * @returns {Object} Primary gesture info
@@ -679,6 +808,14 @@ class GestureEngine {
    */
   updateConfig(config) {
     Object.assign(this.config, config);
+    if (config.confidenceThreshold) this.templates.config.confidenceThreshold = config.confidenceThreshold;
+    if (config.pinchThreshold) this.poses.config.okDistance = config.pinchThreshold;
+    this.stateMachine.updateConfig({
+      enterThreshold: this.config.confidenceThreshold,
+      exitThreshold: this.config.confidenceThreshold * 0.75,
+      minHoldFrames: this.config.minHoldFrames,
+      releaseFrames: this.config.hysteresisBuffer,
+    });
   }
 
   /**
@@ -0,0 +1,120 @@
+import GestureEngine from "./GestureEngine";
+import GestureBindings from "./GestureBindings";
+
+// Synthetic MediaPipe hand in image coordinates (y grows downward), wrist at (x, 0.8)
+const FINGER_X = [0.45, 0.5, 0.55, 0.6];
+const hand = (shape, x = 0.5) => {
+  const points = [{ x: 0.5, y: 0.8, z: 0 }];
+  // Thumb: sideways for an open palm, across the fingers for a fist, tip on the index tip for a pinch
+  const thumb = {
+    open: [[0.45, 0.75], [0.41, 0.72], [0.38, 0.69], [0.35, 0.66]],
+    pinch: [[0.46, 0.74], [0.45, 0.68], [0.46, 0.6], [0.47, 0.62]],
+    fist: [[0.46, 0.74], [0.45, 0.68], [0.46, 0.6], [0.52, 0.66]],
+  }[shape];
+  thumb.forEach(([tx, ty]) => points.push({ x: tx, y: ty, z: 0 }));
+  FINGER_X.forEach((fx, finger) => {
+    const extended = shape === "open";
+    const ys = extended ? [0.6, 0.5, 0.45, 0.4] : [0.6, 0.52, 0.56, 0.6];
+    ys.forEach((fy) => points.push({ x: fx, y: fy, z: 0 }));
+    // Pinch: index tip meets the thumb tip
+    if (shape === "pinch" && finger === 0) points[8] = { x: 0.47, y: 0.625, z: 0 };
+  });
+  return points.map((point) => ({ ...point, x: point.x + x - 0.5 }));
+};
+
+// Feed a landmark sequence frame by frame, like the scene does, and collect events;
+// a frame is one hand, a list of hands (named by ids) or null
+const play = (engine, frames, ids = ["right"]) => {
+  const events = [];
+  engine.onGestureStart = (name, data) => events.push(`start ${data.handId}:${name}`);
+  engine.onGestureEnd = (name, data) => events.push(`end ${data.handId}:${name}`);
+  const results = frames.map((landmarks, i) => {
+    const hands = !landmarks ? [] : Array.isArray(landmarks[0]) ? landmarks : [landmarks];
+    const handIds = ids.slice(0, hands.length);
+    const result = engine.analyze(hands, handIds, i * 33);
+    engine.updateLastLandmarks(hands, handIds);
+    return result;
+  });
+  return { results, events };
+};
+
+describe("GestureEngine", () => {
+  test("a flickering pinch is one gesture; a brief one never starts", () => {
+    const engine = new GestureEngine({ minHoldFrames: 3, hysteresisBuffer: 3 });
+    const pinch = hand("pinch");
+    const open = hand("open");
+    const { results, events } = play(engine, [open, pinch, pinch, open, pinch, pinch, pinch, open, pinch, open, open, open]);
+
+    const pinchStates = results.map((r) => r.gestures.pinch.state);
+    expect(pinchStates.slice(0, 5)).toEqual(["idle", "candidate", "candidate", "idle", "candidate"]);
+    expect(pinchStates.slice(6)).toEqual(["active", "releasing", "active", "releasing", "releasing", "idle"]);
+    expect(results[7].gestures.pinch).toMatchObject({ isActive: true, detected: false });
+    expect(results[6].primaryGesture).toBe("pinch");
+    expect(events.filter((e) => e.includes("pinch"))).toEqual(["start right:pinch", "end right:pinch"]);
+  });
+
+  test("one hand shape at a time, and a pinch pauses dragging", () => {
+    const engine = new GestureEngine({ minHoldFrames: 2 });
+    // Open hand moving right, then pinching while it keeps moving
+    const frames = [0, 1, 2, 3, 4, 5, 6].map((i) => hand(i < 3 ? "open" : "pinch", 0.3 + i * 0.03));
+    const { results, events } = play(engine, frames);
+
+    expect(results[2].hands.right.drag.isActive).toBe(true);
+    expect(results[2].hands.right.openPalm.isActive).toBe(true);
+
+    const pinching = results[5].hands.right;
+    expect(pinching.pinch.isActive).toBe(true);
+    // Still detected, but held back by the pinch
+    expect(pinching.drag).toMatchObject({ detected: true, isActive: false });
+    expect(pinching.closedFist).toMatchObject({ detected: true, isActive: false });
+    expect(events).toContain("end right:drag");
+    expect(engine.isGestureActive("pinch")).toBe(true);
+    expect(engine.isGestureActive("drag")).toBe(false);
+  });
+
+  test("thresholds follow the hand size, not the image", () => {
+    // The same hands at 40% size, as if three times further from the camera
+    const far = (shape) => hand(shape).map((point) => ({ x: 0.5 + (point.x - 0.5) * 0.4, y: 0.8 + (point.y - 0.8) * 0.4, z: 0 }));
+    const near = new GestureEngine({ minHoldFrames: 1 }).analyze([hand("pinch")], ["right"]).gestures.pinch;
+    const engine = new GestureEngine({ minHoldFrames: 1 });
+    const small = engine.analyze([far("pinch")], ["right"]).gestures.pinch;
+
+    expect(small.isActive).toBe(true);
+    expect(small.confidence).toBeCloseTo(near.confidence);
+    expect(engine.isPinchClosed(far("pinch"))).toBe(true);
+    expect(engine.isPinchClosed(far("open"))).toBe(false);
+    // Drag movement is measured in palm units too
+    const frames = [0, 1, 2].map((i) => far("open").map((point) => ({ ...point, x: point.x + i * 0.012 })));
+    expect(play(new GestureEngine(), frames).results[2].hands.right.drag.isActive).toBe(true);
+  });
+
+  test("gestures end when the hand leaves", () => {
+    const engine = new GestureEngine({ minHoldFrames: 1 });
+    const { events } = play(engine, [hand("fist"), hand("fist"), null]);
+
+    expect(events).toEqual(["start right:closedFist", "end right:closedFist"]);
+    expect(engine.getPrimaryGesture()).toBeNull();
+  });
+
+  test("two hands spreading apart zoom in through the default binding", () => {
+    const engine = new GestureEngine();
+    const bindings = new GestureBindings();
+    const apart = (offset) => [hand("open", 0.5 + offset), hand("open", 0.5 - offset)];
+    const { results } = play(engine, [0, 1, 2, 3, 4, 5].map((i) => apart(0.15 + i * 0.01)), ["right", "left"]);
+
+    const zoom = results.map((result) => result.gestures.twoHandZoom);
+    expect(zoom[0]).toMatchObject({ normalizedChange: 0, detected: false });
+    expect(zoom[1]).toMatchObject({ detected: true, direction: 1 });
+    expect(zoom[1].normalizedChange).toBeCloseTo(0.02 / 0.32);
+    expect(zoom[5]).toMatchObject({ isActive: true, state: "active" });
+    expect(zoom[5].zoomFactor).toBeGreaterThan(1);
+
+    const fired = results.flatMap((result) => bindings.evaluate(result, result.timestamp));
+    expect(fired.length).toBeGreaterThan(0);
+    expect(fired.every(({ command, gesture }) => command === "zoom" && gesture.direction === 1)).toBe(true);
+
+    // Hands that leave and come back further apart start over instead of zooming by the jump
+    const { results: after } = play(engine, [hand("open", 0.7), apart(0.3)], ["right", "left"]);
+    expect(after[1].gestures.twoHandZoom).toMatchObject({ normalizedChange: 0, detected: false });
+  });
+});
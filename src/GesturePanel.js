@@ -0,0 +1,293 @@
+/**
+ * Gesture Panel Component
+ * Records custom poses and motions as gesture templates, and shares them as JSON gesture sets
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+const GESTURE_TYPES = [
+  { id: "pose", name: "✋ Pose", hint: "Hold the pose still" },
+  { id: "motion", name: "〰️ Motion", hint: "Draw the motion with your index finger" },
+];
+
+// Seconds to get the hand in place before a sample is recorded
+const COUNTDOWN_SECONDS = 3;
+
+const buttonStyle = (color, rgb) => ({
+  padding: "6px 10px",
+  background: `rgba(${rgb}, 0.15)`,
+  border: `1px solid ${color}`,
+  borderRadius: "6px",
+  color,
+  cursor: "pointer",
+  fontSize: "11px",
+});
+
+function GesturePanel({ isMobile, onClose }) {
+  const [templates, setTemplates] = useState(() => (window.gestureTemplates ? window.gestureTemplates.list() : []));
+  const [name, setName] = useState("");
+  const [type, setType] = useState("pose");
+  const [countdown, setCountdown] = useState(0);
+  const [recording, setRecording] = useState(false);
+  const [status, setStatus] = useState("");
+  const timerRef = useRef(null);
+  const cancelledRef = useRef(false);
+  const setInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleChange = (e) => setTemplates(e.detail.templates);
+    window.addEventListener("gestureTemplatesChanged", handleChange);
+    return () => {
+      window.removeEventListener("gestureTemplatesChanged", handleChange);
+      clearInterval(timerRef.current);
+      if (window.gestureTemplates) window.gestureTemplates.cancel();
+    };
+  }, []);
+
+  const existing = templates.find((t) => t.name === name.trim());
+  const busy = countdown > 0 || recording;
+  const gestureType = GESTURE_TYPES.find((t) => t.id === type);
+
+  const record = async () => {
+    setRecording(true);
+    setStatus(`🔴 ${gestureType.hint}...`);
+    cancelledRef.current = false;
+    try {
+      const recorded = await window.gestureTemplates.record(name.trim(), type);
+      if (recorded) setStatus(`✅ Sample added to "${name.trim()}"`);
+      else if (!cancelledRef.current) setStatus("⚠️ Nothing recorded: move your finger further while recording");
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    }
+    setRecording(false);
+  };
+
+  const handleRecord = () => {
+    if (!window.gestureTemplates || busy || !name.trim()) return;
+    if (existing && existing.type !== type) {
+      setStatus(`❌ "${existing.name}" is already a ${existing.type} gesture`);
+      return;
+    }
+    let remaining = COUNTDOWN_SECONDS;
+    setCountdown(remaining);
+    setStatus("Get your hand in view");
+    timerRef.current = setInterval(() => {
+      remaining--;
+      setCountdown(remaining);
+      if (remaining > 0) return;
+      clearInterval(timerRef.current);
+      record();
+    }, 1000);
+  };
+
+  const handleCancel = () => {
+    clearInterval(timerRef.current);
+    setCountdown(0);
+    cancelledRef.current = true;
+    window.gestureTemplates.cancel();
+    setStatus("Recording cancelled");
+  };
+
+  const handleImport = (file) => {
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        const { imported, skipped } = window.gestureTemplates.importSet(ev.target.result);
+        setStatus(
+          `📥 Imported ${imported} ${imported === 1 ? "gesture" : "gestures"}` +
+            (skipped.length > 0 ? `, skipped ${skipped.length} invalid (${skipped.map((s) => s.name).join(", ")})` : "")
+        );
+      } catch (error) {
+        setStatus(`❌ ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        // Lighter while recording so the hand stays visible
+        background: busy ? "rgba(0, 0, 0, 0.3)" : "rgba(0, 0, 0, 0.85)",
+        zIndex: 3000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={busy ? undefined : onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: "linear-gradient(135deg, rgba(20,20,40,0.98), rgba(10,30,40,0.98))",
+          border: "2px solid #00ffff",
+          borderRadius: "15px",
+          padding: isMobile ? "15px" : "25px",
+          width: isMobile ? "95%" : "460px",
+          maxWidth: "95%",
+          maxHeight: "90vh",
+          display: "flex",
+          flexDirection: "column",
+          color: "white",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+          <h3 style={{ color: "#00ffff", fontSize: "18px", margin: 0 }}>🤟 Custom Gestures</h3>
+          <button onClick={onClose} disabled={busy} style={buttonStyle("#fff", "255, 255, 255")}>
+            ✕
+          </button>
+        </div>
+        <div style={{ fontSize: "11px", color: "rgba(255,255,255,0.6)", marginBottom: "12px", lineHeight: "1.5" }}>
+          Record a few samples of each gesture with your drawing hand. Recognized gestures show up as "custom:name" next to pinch, palm and fist.
+        </div>
+
+        {/* Record a sample */}
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "8px" }}>
+          <input
+            type="text"
+            value={name}
+            placeholder="Gesture name"
+            disabled={busy}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              e.stopPropagation();
+              if (e.key === "Enter") handleRecord();
+            }}
+            style={{
+              flex: 1,
+              minWidth: "140px",
+              padding: "6px 10px",
+              background: "rgba(0,0,0,0.4)",
+              border: "1px solid rgba(0,255,255,0.4)",
+              borderRadius: "6px",
+              color: "#fff",
+              fontSize: "12px",
+            }}
+          />
+          {GESTURE_TYPES.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => setType(t.id)}
+              disabled={busy}
+              style={{
+                padding: "6px",
+                background: type === t.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                border: type === t.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                borderRadius: "4px",
+                color: "#fff",
+                cursor: "pointer",
+                fontSize: "10px",
+              }}
+            >
+              {t.name}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: "6px", marginBottom: "12px" }}>
+          {busy ? (
+            <button onClick={handleCancel} style={{ ...buttonStyle("#ff4444", "255, 68, 68"), flex: 1 }}>
+              {countdown > 0 ? `⏳ ${countdown}… Cancel` : "⏹️ Cancel"}
+            </button>
+          ) : (
+            <button onClick={handleRecord} disabled={!name.trim()} style={{ ...buttonStyle("#ff4444", "255, 68, 68"), flex: 1 }}>
+              {existing ? `🔴 Add sample to "${existing.name}" (${existing.samples})` : "🔴 Record sample"}
+            </button>
+          )}
+        </div>
+
+        {status && <div style={{ fontSize: "12px", color: "rgba(255,255,255,0.8)", marginBottom: "10px" }}>{status}</div>}
+
+        {/* Templates */}
+        <div style={{ overflow: "auto", marginBottom: "12px" }}>
+          {templates.length === 0 && (
+            <div style={{ textAlign: "center", padding: "20px", color: "rgba(255,255,255,0.5)", fontSize: "13px" }}>No custom gestures yet</div>
+          )}
+          {templates.map((t) => (
+            <div
+              key={t.name}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+                padding: "6px 8px",
+                marginBottom: "4px",
+                background: "rgba(255,255,255,0.05)",
+                border: `1px solid ${t.name === name.trim() ? "#00ffff" : "rgba(255,255,255,0.15)"}`,
+                borderRadius: "6px",
+              }}
+            >
+              <div
+                onClick={() => {
+                  if (busy) return;
+                  setName(t.name);
+                  setType(t.type);
+                }}
+                title="Add samples"
+                style={{ flex: 1, cursor: "pointer", fontSize: "12px" }}
+              >
+                {t.type === "pose" ? "✋" : "〰️"} {t.name}
+                <span style={{ fontSize: "10px", color: "rgba(255,255,255,0.5)" }}>
+                  {" "}
+                  · {t.samples} {t.samples === 1 ? "sample" : "samples"}
+                </span>
+              </div>
+              <button
+                onClick={() => window.gestureTemplates.remove(t.name, t.samples - 1)}
+                disabled={busy}
+                title="Delete the last sample"
+                style={{ ...buttonStyle("#ffaa00", "255, 170, 0"), padding: "3px 6px", fontSize: "9px" }}
+              >
+                Undo sample
+              </button>
+              <button
+                onClick={() => window.confirm(`Delete the gesture "${t.name}"?`) && window.gestureTemplates.remove(t.name)}
+                disabled={busy}
+                style={{ ...buttonStyle("#ff4444", "255, 68, 68"), padding: "3px 6px", fontSize: "9px" }}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* Share */}
+        <div style={{ display: "flex", gap: "6px" }}>
+          <button
+            onClick={() => {
+              const count = window.gestureTemplates.exportSet();
+              setStatus(`📤 Exported ${count} ${count === 1 ? "gesture" : "gestures"}`);
+            }}
+            disabled={busy || templates.length === 0}
+            title="Download the gestures as a JSON gesture set"
+            style={{ ...buttonStyle("#ff00ff", "255, 0, 255"), flex: 1 }}
+          >
+            Export gestures
+          </button>
+          <button
+            onClick={() => setInputRef.current?.click()}
+            disabled={busy}
+            title="Add the gestures of a gesture set; gestures with the same name are replaced"
+            style={{ ...buttonStyle("#00ff00", "0, 255, 0"), flex: 1 }}
+          >
+            Import gestures
+          </button>
+          <input
+            ref={setInputRef}
+            type="file"
+            accept=".json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const f = e.target.files[0];
+              e.target.value = "";
+              if (f) handleImport(f);
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GesturePanel;
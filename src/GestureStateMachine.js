@@ -0,0 +1,261 @@
+/**
+ * 🚦 Gesture State Machine
+ * Turns flickering per-frame gesture detections into stable gesture lifecycles
+ *
+ * Features:
+ * - idle → candidate → active → releasing per hand and gesture
+ * - Enter/exit confidence thresholds (hysteresis) and minimum hold / release frames
+ * - Per-gesture settings, e.g. one-frame motions
+ * - Mutually exclusive groups ordered by priority: a ready gesture preempts lower-priority ones
+ *   and waits for higher-priority ones to release
+ * - onStart / onUpdate / onEnd events fired from the transitions
+ *
+ * @module GestureStateMachine
+ */
+
+export const GESTURE_STATES = {
+  IDLE: "idle",
+  CANDIDATE: "candidate", // Detected, waiting for enough frames
+  ACTIVE: "active",
+  RELEASING: "releasing", // Below the exit threshold, waiting for enough frames to end
+};
+
+class GestureStateMachine {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      enterThreshold: options.enterThreshold !== undefined ? options.enterThreshold : 0.65, // Confidence to become a candidate
+      exitThreshold: options.exitThreshold !== undefined ? options.exitThreshold : 0.5, // Confidence to stay active
+      minHoldFrames: options.minHoldFrames || 3, // Candidate frames before the gesture starts
+      releaseFrames: options.releaseFrames || 5, // Frames below the exit threshold before it ends
+      groups: options.groups || [], // Arrays of mutually exclusive gesture names, highest priority first
+      settingsFor: options.settingsFor || null, // (name, data) => overrides of {enter, exit, holdFrames, releaseFrames}
+    };
+
+    // State
+    this.tracks = new Map(); // "handId:name" -> {handId, name, state, frames, startTime, data}
+
+    // Callbacks, called with (name, data) where data includes handId, state and duration
+    this.onStart = options.onStart || null;
+    this.onUpdate = options.onUpdate || null;
+    this.onEnd = options.onEnd || null;
+  }
+
+  /**
+   * Advance every gesture by one frame
+   * @param {Object} frame - Detections by hand ID: {[handId]: {[name]: {isActive, confidence, ...}}}
+   * @param {number} time - Frame time in ms
+   * @returns {Object} States by hand ID: {[handId]: {[name]: state}}
+   */
+  update(frame, time = Date.now()) {
+    const seen = new Set();
+    const ready = new Set(); // Candidates that have been held long enough
+
+    Object.entries(frame).forEach(([handId, gestures]) => {
+      Object.entries(gestures).forEach(([name, data]) => {
+        const key = `${handId}:${name}`;
+        seen.add(key);
+        const track = this.tracks.get(key) || { handId, name, state: GESTURE_STATES.IDLE, frames: 0, startTime: null, data };
+        track.data = data;
+        this.tracks.set(key, track);
+        if (this._step(track, this._settings(name, data), time)) ready.add(key);
+      });
+    });
+
+    // Hands that left end their gestures
+    this.tracks.forEach((track, key) => {
+      if (!seen.has(key)) this._end(key, time);
+    });
+
+    this._resolveGroups(frame, ready, time);
+
+    ready.forEach((key) => {
+      const track = this.tracks.get(key);
+      track.state = GESTURE_STATES.ACTIVE;
+      track.startTime = time;
+      this._emit(this.onStart, track, time);
+    });
+
+    const states = {};
+    this.tracks.forEach((track) => {
+      states[track.handId] = states[track.handId] || {};
+      states[track.handId][track.name] = track.state;
+      if (!ready.has(`${track.handId}:${track.name}`) && this.isActive(track.handId, track.name)) this._emit(this.onUpdate, track, time);
+    });
+    return states;
+  }
+
+  /**
+   * Current state of a gesture
+   * @param {string|number} handId - Hand ID
+   * @param {string} name - Gesture name
+   * @returns {string} One of GESTURE_STATES
+   */
+  getState(handId, name) {
+    const track = this.tracks.get(`${handId}:${name}`);
+    return track ? track.state : GESTURE_STATES.IDLE;
+  }
+
+  /**
+   * Whether a gesture has started and not ended (active or releasing)
+   * @param {string|number} handId - Hand ID
+   * @param {string} name - Gesture name
+   * @returns {boolean} Active state
+   */
+  isActive(handId, name) {
+    const state = this.getState(handId, name);
+    return state === GESTURE_STATES.ACTIVE || state === GESTURE_STATES.RELEASING;
+  }
+
+  /**
+   * Active gestures
+   * @returns {Array} [{handId, name, state, startTime, data}]
+   */
+  getActive() {
+    return Array.from(this.tracks.values())
+      .filter((track) => this.isActive(track.handId, track.name))
+      .map(({ handId, name, state, startTime, data }) => ({ handId, name, state, startTime, data }));
+  }
+
+  /**
+   * End every gesture and forget all tracks
+   * @param {number} time - Time in ms, for the end event durations
+   */
+  reset(time = Date.now()) {
+    Array.from(this.tracks.keys()).forEach((key) => this._end(key, time));
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config - New configuration options
+   */
+  updateConfig(config) {
+    Object.assign(this.config, config);
+  }
+
+  /**
+   * Advance one track, ignoring groups
+   * @returns {boolean} Whether the candidate is ready to start
+   * @private
+   */
+  _step(track, settings, time) {
+    const confidence = track.data.confidence !== undefined ? track.data.confidence : track.data.isActive ? 1 : 0;
+    const enters = Boolean(track.data.isActive) && confidence >= settings.enter;
+    const stays = confidence >= settings.exit && (Boolean(track.data.isActive) || settings.exit > 0);
+
+    switch (track.state) {
+      case GESTURE_STATES.IDLE:
+      case GESTURE_STATES.CANDIDATE:
+        if (!enters) {
+          track.state = GESTURE_STATES.IDLE;
+          track.frames = 0;
+          return false;
+        }
+        track.state = GESTURE_STATES.CANDIDATE;
+        track.frames = Math.min(track.frames + 1, settings.holdFrames);
+        return track.frames >= settings.holdFrames;
+      case GESTURE_STATES.ACTIVE:
+      case GESTURE_STATES.RELEASING:
+        if (stays) {
+          track.state = GESTURE_STATES.ACTIVE;
+          track.frames = 0;
+          return false;
+        }
+        track.frames = track.state === GESTURE_STATES.RELEASING ? track.frames + 1 : 1;
+        track.state = GESTURE_STATES.RELEASING;
+        if (track.frames >= settings.releaseFrames) this._finish(track, time);
+        return false;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Let one gesture per hand and group through, by priority
+   * @private
+   */
+  _resolveGroups(frame, ready, time) {
+    Object.keys(frame).forEach((handId) => {
+      const blocked = new Set();
+      this.config.groups.forEach((group) => {
+        let winner = null;
+        group.forEach((name) => {
+          const key = `${handId}:${name}`;
+          const track = this.tracks.get(key);
+          if (!track || blocked.has(name)) return;
+          const claims = ready.has(key) || this.isActive(handId, name);
+          if (!claims) return;
+          if (!winner) {
+            winner = name;
+            return;
+          }
+          // Lower priority than the winner: preempt it or keep it waiting
+          blocked.add(name);
+          if (ready.has(key)) ready.delete(key);
+          else this._finish(track, time);
+        });
+      });
+    });
+  }
+
+  /**
+   * Merged settings for a gesture
+   * @private
+   */
+  _settings(name, data) {
+    return {
+      enter: this.config.enterThreshold,
+      exit: this.config.exitThreshold,
+      holdFrames: this.config.minHoldFrames,
+      releaseFrames: this.config.releaseFrames,
+      ...(this.config.settingsFor ? this.config.settingsFor(name, data) : null),
+    };
+  }
+
+  /**
+   * End a track's gesture and make it idle
+   * @private
+   */
+  _finish(track, time) {
+    const wasActive = this.isActive(track.handId, track.name);
+    if (wasActive) this._emit(this.onEnd, { ...track, state: GESTURE_STATES.IDLE }, time);
+    track.state = GESTURE_STATES.IDLE;
+    track.frames = 0;
+    track.startTime = null;
+  }
+
+  /**
+   * End and remove a track
+   * @private
+   */
+  _end(key, time) {
+    this._finish(this.tracks.get(key), time);
+    this.tracks.delete(key);
+  }
+
+  /**
+   * Call an event callback
+   * @private
+   */
+  _emit(callback, track, time) {
+    if (!callback) return;
+    callback(track.name, {
+      ...track.data,
+      handId: track.handId,
+      state: track.state,
+      duration: track.startTime !== null ? time - track.startTime : 0,
+    });
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.tracks.clear();
+    this.onStart = null;
+    this.onUpdate = null;
+    this.onEnd = null;
+  }
+}
+
+export default GestureStateMachine;
@@ -0,0 +1,52 @@
+import GestureStateMachine from "./GestureStateMachine";
+
+// Run confidence sequences through a machine and record the states and events
+const run = (machine, frames) => {
+  const events = [];
+  machine.onStart = (name, data) => events.push(`start ${data.handId}:${name}`);
+  machine.onEnd = (name, data) => events.push(`end ${data.handId}:${name}`);
+  const states = frames.map((frame, i) => machine.update(frame, i * 33));
+  return { states, events };
+};
+const detection = (confidence) => ({ isActive: confidence > 0.5, confidence });
+
+describe("GestureStateMachine", () => {
+  test("passes through candidate, active and releasing with enter/exit thresholds", () => {
+    const machine = new GestureStateMachine({ enterThreshold: 0.7, exitThreshold: 0.4, minHoldFrames: 2, releaseFrames: 2 });
+    const confidences = [0.8, 0.8, 0.6, 0.3, 0.6, 0.3, 0.3, 0.6];
+    const { states, events } = run(
+      machine,
+      confidences.map((c) => ({ right: { pinch: detection(c) } }))
+    );
+
+    expect(states.map((s) => s.right.pinch)).toEqual(["candidate", "active", "active", "releasing", "active", "releasing", "idle", "idle"]);
+    expect(events).toEqual(["start right:pinch", "end right:pinch"]);
+  });
+
+  test("per-gesture settings and hands leaving", () => {
+    const machine = new GestureStateMachine({ settingsFor: (name) => (name === "swipe" ? { holdFrames: 1, releaseFrames: 1 } : null) });
+    const { states, events } = run(machine, [{ left: { swipe: detection(0.9) } }, { left: { swipe: detection(0) } }, { left: { fist: detection(0.9) } }, {}]);
+
+    expect(states[0].left.swipe).toBe("active");
+    expect(states[1].left.swipe).toBe("idle");
+    expect(events).toEqual(["start left:swipe", "end left:swipe"]);
+    expect(machine.tracks.size).toBe(0);
+  });
+
+  test("lets one gesture per exclusive group through, by priority", () => {
+    const machine = new GestureStateMachine({ minHoldFrames: 1, releaseFrames: 1, groups: [["pinch", "drag"]] });
+    const { states, events } = run(machine, [
+      { right: { drag: detection(0.9), pinch: detection(0) } },
+      { right: { drag: detection(0.9), pinch: detection(0.9) }, left: { drag: detection(0.9) } },
+      { right: { drag: detection(0.9), pinch: detection(0) }, left: { drag: detection(0.9) } },
+    ]);
+
+    expect(states[0].right).toEqual({ drag: "active", pinch: "idle" });
+    // The pinch preempts the drag on the same hand only
+    expect(states[1].right).toEqual({ drag: "idle", pinch: "active" });
+    expect(states[1].left.drag).toBe("active");
+    // Once the pinch is released the drag starts again
+    expect(states[2].right).toEqual({ drag: "active", pinch: "idle" });
+    expect(events).toEqual(["start right:drag", "end right:drag", "start right:pinch", "start left:drag", "end right:pinch", "start right:drag"]);
+  });
+});
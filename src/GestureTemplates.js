@@ -0,0 +1,438 @@
+/**
+ * ✍️ Gesture Templates
+ * User-recorded static poses and short motions, recognized by nearest-sample matching
+ *
+ * Features:
+ * - Poses: all 21 landmarks relative to the wrist, scaled by palm size and rotated upright
+ *   (left hands are mirrored, so a pose recorded with one hand matches either)
+ * - Motions: index fingertip path in palm units, resampled to a fixed number of points
+ * - Several samples per template; confidence comes from the distance to the nearest one
+ * - Recording samples from live frames
+ * - JSON export / import to share gesture sets
+ *
+ * @module GestureTemplates
+ */
+
+export const GESTURE_SET_FORMAT = "open-air-brush-gestures";
+export const GESTURE_SET_VERSION = 1;
+// Recognized gestures are reported under this prefix, next to the built-in gesture names
+export const CUSTOM_GESTURE_PREFIX = "custom:";
+
+const LANDMARK_COUNT = 21;
+const WRIST = 0;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+
+class GestureTemplates {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      poseTolerance: options.poseTolerance || 0.6, // Mean landmark distance (palm units) at which confidence reaches 0
+      motionTolerance: options.motionTolerance || 1.5, // Mean path point distance (palm units) at which confidence reaches 0
+      motionPoints: options.motionPoints || 32, // Points per resampled path
+      minMotionLength: options.minMotionLength || 1.5, // Shortest path that counts as a motion (palm units)
+      poseDuration: options.poseDuration || 600, // How long a pose sample is averaged (ms)
+      motionDuration: options.motionDuration || 1500, // Default motion sample length (ms)
+      confidenceThreshold: options.confidenceThreshold || 0.65,
+    };
+
+    // State
+    this.templates = new Map(); // name -> {name, type: "pose" | "motion", samples}
+    this.trails = new Map(); // hand ID -> [{x, y, scale, time}] recent fingertip positions
+    this.recording = null; // Sample being recorded
+
+    // Callbacks
+    this.onChange = options.onChange || null; // (templates) => void
+  }
+
+  /**
+   * Template summaries
+   * @returns {Array} [{name, type, samples: count}]
+   */
+  list() {
+    return Array.from(this.templates.values()).map(({ name, type, samples }) => ({ name, type, samples: samples.length }));
+  }
+
+  /**
+   * Add a recorded sample, creating the template if needed
+   * @param {string} name - Gesture name
+   * @param {string} type - "pose" or "motion"
+   * @param {Array|Object} sample - Pose vector or {duration, points}
+   */
+  addSample(name, type, sample) {
+    const key = name.trim();
+    if (!key) throw new Error("Gesture name is empty");
+    const existing = this.templates.get(key);
+    if (existing && existing.type !== type) throw new Error(`"${key}" is already a ${existing.type} gesture`);
+    if (existing) existing.samples.push(sample);
+    else this.templates.set(key, { name: key, type, samples: [sample] });
+    this._notify();
+  }
+
+  /**
+   * Delete a template, or one of its samples
+   * @param {string} name - Gesture name
+   * @param {number} sampleIndex - Sample to delete (whole template when omitted)
+   */
+  remove(name, sampleIndex = null) {
+    const template = this.templates.get(name);
+    if (!template) return;
+    if (sampleIndex === null) this.templates.delete(name);
+    else {
+      template.samples.splice(sampleIndex, 1);
+      if (template.samples.length === 0) this.templates.delete(name);
+    }
+    this._notify();
+  }
+
+  /**
+   * Record one sample from the frames passed to capture()
+   * @param {string} type - "pose" or "motion"
+   * @param {Object} options - {duration: ms}
+   * @returns {Promise<Array|Object|null>} Sample, or null if cancelled
+   */
+  record(type, options = {}) {
+    this.cancelRecording();
+    return new Promise((resolve) => {
+      this.recording = {
+        type,
+        duration: options.duration || (type === "motion" ? this.config.motionDuration : this.config.poseDuration),
+        start: null,
+        frames: [],
+        resolve,
+      };
+    });
+  }
+
+  /**
+   * Stop recording without a sample
+   */
+  cancelRecording() {
+    if (!this.recording) return;
+    const { resolve } = this.recording;
+    this.recording = null;
+    resolve(null);
+  }
+
+  /**
+   * Feed a frame of the recording hand
+   * @param {Array} landmarks - 21 landmarks
+   * @param {string|number} handId - Stable hand ID
+   * @param {number} time - Frame time in ms
+   */
+  capture(landmarks, handId, time = Date.now()) {
+    const recording = this.recording;
+    if (!recording || !landmarks) return;
+    if (recording.start === null) recording.start = time;
+    recording.frames.push(recording.type === "pose" ? GestureTemplates.normalizePose(landmarks, handId) : GestureTemplates._trailPoint(landmarks, time));
+    if (time - recording.start < recording.duration) return;
+
+    this.recording = null;
+    recording.resolve(recording.type === "pose" ? GestureTemplates._averagePose(recording.frames) : this._motionSample(recording.frames));
+  }
+
+  /**
+   * Match a hand against all templates
+   * @param {Array} landmarks - 21 landmarks
+   * @param {string|number} handId - Stable hand ID
+   * @param {number} time - Frame time in ms
+   * @returns {Object} Gestures by "custom:<name>": {type, template, kind, isActive, confidence, distance}
+   */
+  recognize(landmarks, handId, time = Date.now()) {
+    const gestures = {};
+    if (this.templates.size === 0) return gestures;
+
+    const trail = this._updateTrail(landmarks, handId, time);
+    let pose = null;
+    let recognizedMotion = false;
+
+    this.templates.forEach((template) => {
+      let distance = Infinity;
+      let tolerance;
+      if (template.type === "pose") {
+        pose = pose || GestureTemplates.normalizePose(landmarks, handId);
+        template.samples.forEach((sample) => {
+          distance = Math.min(distance, GestureTemplates.poseDistance(pose, sample));
+        });
+        tolerance = this.config.poseTolerance;
+      } else {
+        template.samples.forEach((sample) => {
+          const path = this._recentPath(trail, sample.duration, time);
+          if (path) distance = Math.min(distance, GestureTemplates.pathDistance(path, sample.points));
+        });
+        tolerance = this.config.motionTolerance;
+      }
+
+      const confidence = Number.isFinite(distance) ? Math.max(0, 1 - distance / tolerance) : 0;
+      const isActive = confidence > this.config.confidenceThreshold;
+      if (isActive && template.type === "motion") recognizedMotion = true;
+      gestures[CUSTOM_GESTURE_PREFIX + template.name] = {
+        type: "custom",
+        template: template.name,
+        kind: template.type,
+        isActive,
+        confidence,
+        distance,
+      };
+    });
+
+    // A finished motion starts over, so it fires once instead of on every following frame
+    if (recognizedMotion) this.trails.set(handId, []);
+    return gestures;
+  }
+
+  /**
+   * Forget fingertip trails of hands that are gone
+   * @param {Array} handIds - Hands still visible
+   */
+  keepHands(handIds) {
+    this.trails.forEach((trail, handId) => {
+      if (!handIds.includes(handId)) this.trails.delete(handId);
+    });
+  }
+
+  /**
+   * Gesture set for sharing
+   * @returns {Object} {format, version, templates}
+   */
+  toJSON() {
+    return {
+      format: GESTURE_SET_FORMAT,
+      version: GESTURE_SET_VERSION,
+      templates: Array.from(this.templates.values()).map(({ name, type, samples }) => ({ name, type, samples })),
+    };
+  }
+
+  /**
+   * Add the templates of a gesture set; templates with the same name are replaced
+   * @param {string|Object} input - Gesture set JSON text or object
+   * @returns {Object} {imported, skipped: [{name, reason}]}
+   */
+  load(input) {
+    const data = typeof input === "string" ? JSON.parse(input) : input;
+    if (!data || data.format !== GESTURE_SET_FORMAT || !Array.isArray(data.templates)) {
+      throw new Error("Not a gesture set file");
+    }
+    if (data.version > GESTURE_SET_VERSION) {
+      throw new Error(`Gesture set version ${data.version} is newer than supported (${GESTURE_SET_VERSION})`);
+    }
+
+    const skipped = [];
+    let imported = 0;
+    data.templates.forEach((template) => {
+      const name = template && typeof template.name === "string" ? template.name.trim() : "";
+      const reason = GestureTemplates._validate(template, this.config.motionPoints);
+      if (!name || reason) {
+        skipped.push({ name: name || "(unnamed)", reason: reason || "missing name" });
+        return;
+      }
+      this.templates.set(name, { name, type: template.type, samples: template.samples });
+      imported++;
+    });
+    if (imported > 0) this._notify();
+    return { imported, skipped };
+  }
+
+  /**
+   * Pose as a flat vector: landmarks relative to the wrist, in palm units, rotated so the palm points up
+   * @param {Array} landmarks - 21 landmarks
+   * @param {string|number} handId - "left" hands are mirrored
+   * @returns {Array} 63 numbers
+   */
+  static normalizePose(landmarks, handId) {
+    const wrist = landmarks[WRIST];
+    const scale = GestureTemplates.palmSize(landmarks);
+    const mirror = handId === "left" ? -1 : 1;
+    const dx = (landmarks[MIDDLE_MCP].x - wrist.x) * mirror;
+    const dy = landmarks[MIDDLE_MCP].y - wrist.y;
+    // Rotate the wrist -> middle knuckle direction onto -y (up in image coordinates)
+    const angle = Math.atan2(dx, -dy);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const vector = [];
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+      const x = ((landmarks[i].x - wrist.x) * mirror) / scale;
+      const y = (landmarks[i].y - wrist.y) / scale;
+      vector.push(x * cos + y * sin, -x * sin + y * cos, (landmarks[i].z - wrist.z) / scale);
+    }
+    return vector;
+  }
+
+  /**
+   * Mean distance between corresponding landmarks of two pose vectors
+   * @param {Array} a - Pose vector
+   * @param {Array} b - Pose vector
+   * @returns {number} Distance in palm units
+   */
+  static poseDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 3) {
+      total += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+    }
+    return total / (a.length / 3);
+  }
+
+  /**
+   * Mean distance between corresponding points of two paths with the same point count
+   * @param {Array} a - [[x, y]]
+   * @param {Array} b - [[x, y]]
+   * @returns {number} Distance in palm units
+   */
+  static pathDistance(a, b) {
+    if (a.length !== b.length) return Infinity;
+    return a.reduce((sum, point, i) => sum + Math.hypot(point[0] - b[i][0], point[1] - b[i][1]), 0) / a.length;
+  }
+
+  /**
+   * Resample a path to evenly spaced points along its length
+   * @param {Array} points - [[x, y]]
+   * @param {number} count - Points wanted
+   * @returns {Array} [[x, y]]
+   */
+  static resample(points, count) {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+      lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    const total = lengths[lengths.length - 1];
+    if (total === 0) return Array.from({ length: count }, () => [...points[0]]);
+
+    const result = [];
+    let segment = 1;
+    for (let i = 0; i < count; i++) {
+      const target = (total * i) / (count - 1);
+      while (segment < points.length - 1 && lengths[segment] < target) segment++;
+      const span = lengths[segment] - lengths[segment - 1];
+      const t = span > 0 ? (target - lengths[segment - 1]) / span : 0;
+      const a = points[segment - 1];
+      const b = points[segment];
+      result.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+    return result;
+  }
+
+  /**
+   * Distance from wrist to middle finger knuckle, the unit for all template coordinates
+   * @param {Array} landmarks - 21 landmarks
+   * @returns {number} Palm size in normalized image units
+   */
+  static palmSize(landmarks) {
+    const wrist = landmarks[WRIST];
+    const knuckle = landmarks[MIDDLE_MCP];
+    return Math.max(1e-6, Math.hypot(knuckle.x - wrist.x, knuckle.y - wrist.y, knuckle.z - wrist.z));
+  }
+
+  /**
+   * Append the fingertip to a hand's trail and drop points older than the longest motion
+   * @private
+   */
+  _updateTrail(landmarks, handId, time) {
+    const trail = this.trails.get(handId) || [];
+    trail.push(GestureTemplates._trailPoint(landmarks, time));
+
+    let longest = 0;
+    this.templates.forEach((template) => {
+      if (template.type === "motion") template.samples.forEach((sample) => (longest = Math.max(longest, sample.duration)));
+    });
+    while (trail.length > 0 && time - trail[0].time > longest * 1.5) trail.shift();
+    this.trails.set(handId, trail);
+    return trail;
+  }
+
+  /**
+   * Normalized path over the last `duration` ms, or null if the trail is too short or barely moves
+   * @private
+   */
+  _recentPath(trail, duration, time) {
+    const recent = trail.filter((point) => time - point.time <= duration);
+    if (recent.length < 3 || time - recent[0].time < duration * 0.75) return null;
+    return this._normalizePath(recent);
+  }
+
+  /**
+   * Path relative to its centroid in palm units, resampled; null when it is shorter than minMotionLength
+   * @private
+   */
+  _normalizePath(trail) {
+    const scale = trail.reduce((sum, point) => sum + point.scale, 0) / trail.length;
+    const cx = trail.reduce((sum, point) => sum + point.x, 0) / trail.length;
+    const cy = trail.reduce((sum, point) => sum + point.y, 0) / trail.length;
+    const points = trail.map((point) => [(point.x - cx) / scale, (point.y - cy) / scale]);
+
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    if (length < this.config.minMotionLength) return null;
+    return GestureTemplates.resample(points, this.config.motionPoints);
+  }
+
+  /**
+   * Motion sample from recorded trail points
+   * @private
+   */
+  _motionSample(trail) {
+    const points = trail.length >= 3 ? this._normalizePath(trail) : null;
+    if (!points) return null;
+    return { duration: trail[trail.length - 1].time - trail[0].time, points };
+  }
+
+  /**
+   * Fingertip position with the palm size at that moment
+   * @private
+   */
+  static _trailPoint(landmarks, time) {
+    return { x: landmarks[INDEX_TIP].x, y: landmarks[INDEX_TIP].y, scale: GestureTemplates.palmSize(landmarks), time };
+  }
+
+  /**
+   * Mean of recorded pose vectors
+   * @private
+   */
+  static _averagePose(frames) {
+    if (frames.length === 0) return null;
+    return frames[0].map((value, i) => frames.reduce((sum, frame) => sum + frame[i], 0) / frames.length);
+  }
+
+  /**
+   * Why an imported template is unusable, or null if it is fine
+   * @private
+   */
+  static _validate(template, motionPoints) {
+    if (!template || typeof template !== "object") return "not an object";
+    if (template.type !== "pose" && template.type !== "motion") return `unknown type "${template.type}"`;
+    if (!Array.isArray(template.samples) || template.samples.length === 0) return "no samples";
+    const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+    const bad = template.samples.some((sample) => {
+      if (template.type === "pose") return !Array.isArray(sample) || sample.length !== LANDMARK_COUNT * 3 || !sample.every(isNumber);
+      return (
+        !sample ||
+        !isNumber(sample.duration) ||
+        sample.duration <= 0 ||
+        !Array.isArray(sample.points) ||
+        sample.points.length !== motionPoints ||
+        !sample.points.every((point) => Array.isArray(point) && point.length === 2 && point.every(isNumber))
+      );
+    });
+    return bad ? "malformed samples" : null;
+  }
+
+  /**
+   * Report template changes
+   * @private
+   */
+  _notify() {
+    if (this.onChange) this.onChange(this.list());
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.cancelRecording();
+    this.trails.clear();
+    this.onChange = null;
+  }
+}
+
+export default GestureTemplates;
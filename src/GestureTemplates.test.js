@@ -0,0 +1,123 @@
+import GestureTemplates, { GESTURE_SET_FORMAT } from "./GestureTemplates";
+
+// Synthetic hand: wrist at the origin, palm up, fingers either extended or curled back toward the palm
+const hand = ({ extended = [true, true, true, true, true], x = 0.5, y = 0.7, size = 0.1, angle = 0, mirror = false } = {}) => {
+  const points = [[0, 0]];
+  [-0.8, -0.35, 0, 0.3, 0.6].forEach((spread, finger) => {
+    for (let joint = 1; joint <= 4; joint++) {
+      const reach = extended[finger] ? 0.5 + joint * 0.35 : 0.9 - joint * 0.15;
+      points.push([spread * (extended[finger] ? 1 : 0.6), -reach]);
+    }
+  });
+  // Middle knuckle sits exactly one palm unit above the wrist
+  points[9] = [0, -1];
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(([px, py]) => {
+    const rx = (mirror ? -px : px) * cos - py * sin;
+    const ry = (mirror ? -px : px) * sin + py * cos;
+    return { x: x + rx * size, y: y + ry * size, z: 0 };
+  });
+};
+const OPEN = hand();
+const FIST = hand({ extended: [false, false, false, false, false] });
+const POINT = hand({ extended: [false, true, false, false, false] });
+
+// Hand with the index fingertip moved by (dx, dy)
+const moved = (landmarks, dx, dy) => landmarks.map((point, i) => (i === 8 ? { ...point, x: point.x + dx, y: point.y + dy } : point));
+
+// Feed frames 1000/30 ms apart and return the result of the last one
+const feed = (templates, frames, handId = "right", start = 0) => {
+  let result;
+  frames.forEach((landmarks, i) => (result = templates.recognize(landmarks, handId, start + (i * 1000) / 30)));
+  return result;
+};
+
+// Fingertip drawing a horizontal line over `count` frames
+const swipe = (count, distance = 0.3) => Array.from({ length: count }, (_, i) => moved(POINT, (distance * i) / (count - 1), 0));
+
+describe("GestureTemplates", () => {
+  test("pose vectors ignore position, size, rotation and handedness", () => {
+    const base = GestureTemplates.normalizePose(OPEN, "right");
+    const variant = GestureTemplates.normalizePose(hand({ x: 0.2, y: 0.4, size: 0.25, angle: 0.7, mirror: true }), "left");
+
+    expect(base).toHaveLength(63);
+    expect(GestureTemplates.poseDistance(base, variant)).toBeCloseTo(0, 6);
+    expect(GestureTemplates.poseDistance(base, GestureTemplates.normalizePose(FIST, "right"))).toBeGreaterThan(0.5);
+  });
+
+  test("recognizes a recorded pose with a confidence score", () => {
+    const templates = new GestureTemplates();
+    templates.addSample("point", "pose", GestureTemplates.normalizePose(POINT, "right"));
+
+    const match = templates.recognize(hand({ extended: [false, true, false, false, false], angle: 0.3 }), "right", 0);
+    expect(match["custom:point"]).toMatchObject({ type: "custom", template: "point", kind: "pose", isActive: true });
+    expect(match["custom:point"].confidence).toBeGreaterThan(0.95);
+
+    const miss = templates.recognize(OPEN, "right", 0);
+    expect(miss["custom:point"].isActive).toBe(false);
+    expect(miss["custom:point"].confidence).toBeLessThan(0.65);
+  });
+
+  test("records samples from live frames", async () => {
+    const templates = new GestureTemplates({ poseDuration: 100 });
+    const pose = templates.record("pose");
+    [0, 50, 100].forEach((time) => templates.capture(FIST, "right", time));
+    const expected = GestureTemplates.normalizePose(FIST, "right");
+    (await pose).forEach((value, i) => expect(value).toBeCloseTo(expected[i], 9));
+
+    const motion = templates.record("motion", { duration: 500 });
+    swipe(16).forEach((landmarks, i) => templates.capture(landmarks, "right", (i * 500) / 15));
+    const sample = await motion;
+    expect(sample.duration).toBe(500);
+    expect(sample.points).toHaveLength(32);
+
+    const cancelled = templates.record("pose");
+    templates.cancelRecording();
+    expect(await cancelled).toBeNull();
+  });
+
+  test("recognizes a motion once and ignores a hand that stays still", () => {
+    const templates = new GestureTemplates();
+    const recorder = new GestureTemplates();
+    const recording = recorder.record("motion", { duration: 600 });
+    swipe(19).forEach((landmarks, i) => recorder.capture(landmarks, "right", (i * 600) / 18));
+    return recording.then((sample) => {
+      templates.addSample("swipe right", "motion", sample);
+
+      // Same swipe, larger hand and elsewhere in the frame
+      const bigger = Array.from({ length: 19 }, (_, i) => moved(hand({ extended: [false, true, false, false, false], x: 0.3, size: 0.2 }), (0.6 * i) / 18, 0));
+      // Fires once: the trail restarts after a recognized motion
+      const active = bigger.filter((landmarks, i) => templates.recognize(landmarks, "right", (i * 1000) / 30)["custom:swipe right"].isActive);
+      expect(active).toHaveLength(1);
+
+      const still = Array.from({ length: 19 }, () => POINT);
+      expect(feed(templates, still, "right", 1000)["custom:swipe right"].confidence).toBe(0);
+      const vertical = Array.from({ length: 19 }, (_, i) => moved(POINT, 0, (0.3 * i) / 18));
+      expect(feed(templates, vertical, "right", 2000)["custom:swipe right"].isActive).toBe(false);
+    });
+  });
+
+  test("round-trips gesture sets and skips malformed templates", () => {
+    const templates = new GestureTemplates();
+    templates.addSample("fist", "pose", GestureTemplates.normalizePose(FIST, "right"));
+    templates.addSample("fist", "pose", GestureTemplates.normalizePose(FIST, "left"));
+    expect(() => templates.addSample("fist", "motion", { duration: 100, points: [] })).toThrow("already a pose");
+
+    const json = JSON.stringify(templates);
+    const copy = new GestureTemplates();
+    copy.addSample("fist", "pose", GestureTemplates.normalizePose(OPEN, "right"));
+    const data = JSON.parse(json);
+    data.templates.push({ name: "broken", type: "pose", samples: [[1, 2, 3]] }, { name: "odd", type: "wave", samples: [[]] });
+
+    const { imported, skipped } = copy.load(data);
+    expect(imported).toBe(1);
+    expect(skipped.map((s) => s.name)).toEqual(["broken", "odd"]);
+    // Imported templates replace those with the same name
+    expect(copy.list()).toEqual([{ name: "fist", type: "pose", samples: 2 }]);
+    expect(copy.recognize(FIST, "right", 0)["custom:fist"].isActive).toBe(true);
+
+    expect(() => copy.load({ format: "something-else", templates: [] })).toThrow("Not a gesture set");
+    expect(() => copy.load({ format: GESTURE_SET_FORMAT, version: 99, templates: [] })).toThrow("newer");
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * 🎞️ GIF Encoder
+ * Animated GIF89a writer for RGBA frames
+ *
+ * Features:
+ * - Median-cut quantization to a local palette of up to 256 colors per frame
+ * - LZW compression with variable code sizes
+ * - Looping (NETSCAPE2.0) with a per-frame delay
+ *
+ * @module GifEncoder
+ */
+
+// Histogram bins keep 5 bits per channel
+const HISTOGRAM_BITS = 5;
+const MAX_LZW_CODE = 4096;
+const MAX_SUB_BLOCK = 255;
+
+class GifEncoder {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      width: options.width || 320,
+      height: options.height || 240,
+      delay: options.delay || 100, // Frame delay in ms (GIF stores hundredths of a second)
+      loop: options.loop !== undefined ? options.loop : 0, // Repeat count, 0 = forever
+      maxColors: Math.min(256, options.maxColors || 256),
+    };
+
+    // State
+    this.chunks = [];
+    this.size = 0;
+    this.frameCount = 0;
+    this._writeHeader();
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8Array|Uint8ClampedArray} rgba - width * height * 4 bytes, top row first
+   * @param {number} delay - Frame delay in ms (defaults to config.delay)
+   */
+  addFrame(rgba, delay = this.config.delay) {
+    const { width, height } = this.config;
+    if (rgba.length !== width * height * 4) {
+      throw new Error(`Expected ${width * height * 4} bytes for a ${width}x${height} frame, got ${rgba.length}`);
+    }
+
+    const { palette, indices } = GifEncoder.quantize(rgba, this.config.maxColors);
+    const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+    const table = new Uint8Array(3 << tableBits);
+    table.set(palette);
+
+    const centiseconds = Math.max(2, Math.round(delay / 10));
+    // Graphic control extension: no transparency, no disposal
+    this._write([0x21, 0xf9, 0x04, 0x00, centiseconds & 0xff, centiseconds >> 8, 0x00, 0x00]);
+    // Image descriptor with a local color table
+    this._write([0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x80 | (tableBits - 1)]);
+    this._write(table);
+
+    const minCodeSize = Math.max(2, tableBits);
+    this._write([minCodeSize]);
+    this._writeSubBlocks(GifEncoder.lzw(indices, minCodeSize));
+    this.frameCount++;
+  }
+
+  /**
+   * Finish the file
+   * @returns {Uint8Array} GIF file bytes
+   */
+  finish() {
+    this._write([0x3b]);
+    const bytes = new Uint8Array(this.size);
+    let offset = 0;
+    this.chunks.forEach((chunk) => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    this.chunks = [];
+    return bytes;
+  }
+
+  /**
+   * Reduce RGBA pixels to a palette with median cut
+   * @param {Uint8Array} rgba - Pixels
+   * @param {number} maxColors - Palette size limit
+   * @returns {Object} {palette: Uint8Array of r,g,b triples, indices: Uint8Array per pixel}
+   */
+  static quantize(rgba, maxColors = 256) {
+    const shift = 8 - HISTOGRAM_BITS;
+    const bin = (i) => ((rgba[i] >> shift) << (2 * HISTOGRAM_BITS)) | ((rgba[i + 1] >> shift) << HISTOGRAM_BITS) | (rgba[i + 2] >> shift);
+
+    // Pixel count and channel sums per bin, so palette colors are averages of real pixels
+    const histogram = new Uint32Array(1 << (3 * HISTOGRAM_BITS));
+    const sums = new Float64Array(histogram.length * 3);
+    for (let i = 0; i < rgba.length; i += 4) {
+      const key = bin(i);
+      histogram[key]++;
+      sums[key * 3] += rgba[i];
+      sums[key * 3 + 1] += rgba[i + 1];
+      sums[key * 3 + 2] += rgba[i + 2];
+    }
+
+    const mask = (1 << HISTOGRAM_BITS) - 1;
+    const colors = [];
+    histogram.forEach((count, key) => {
+      if (count > 0) colors.push({ key, count, c: [key >> (2 * HISTOGRAM_BITS), (key >> HISTOGRAM_BITS) & mask, key & mask] });
+    });
+
+    // Box with its widest channel, so splitting never rescans unchanged boxes
+    const makeBox = (box) => {
+      let range = 0;
+      let axis = 0;
+      for (let a = 0; a < 3; a++) {
+        let min = mask;
+        let max = 0;
+        box.forEach(({ c }) => {
+          if (c[a] < min) min = c[a];
+          if (c[a] > max) max = c[a];
+        });
+        if (max - min > range) {
+          range = max - min;
+          axis = a;
+        }
+      }
+      return { colors: box, range, axis };
+    };
+
+    // Split the box with the widest channel range until the palette is full
+    const boxes = [makeBox(colors)];
+    while (boxes.length < maxColors) {
+      let best = -1;
+      boxes.forEach((box, i) => {
+        if (box.range > 0 && (best < 0 || box.range > boxes[best].range)) best = i;
+      });
+      if (best < 0) break;
+
+      const { colors: box, axis } = boxes[best];
+      box.sort((a, b) => a.c[axis] - b.c[axis]);
+      const total = box.reduce((sum, color) => sum + color.count, 0);
+      let split = 1;
+      for (let seen = box[0].count; split < box.length - 1 && seen < total / 2; split++) seen += box[split].count;
+      boxes.splice(best, 1, makeBox(box.slice(0, split)), makeBox(box.slice(split)));
+    }
+
+    const palette = new Uint8Array(Math.max(2, boxes.length) * 3);
+    const lookup = new Uint8Array(histogram.length);
+    boxes.forEach(({ colors: box }, index) => {
+      const sum = [0, 0, 0];
+      let count = 0;
+      box.forEach((color) => {
+        for (let axis = 0; axis < 3; axis++) sum[axis] += sums[color.key * 3 + axis];
+        count += color.count;
+        lookup[color.key] = index;
+      });
+      for (let axis = 0; axis < 3; axis++) palette[index * 3 + axis] = Math.round(sum[axis] / count);
+    });
+
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < rgba.length; i += 4, p++) indices[p] = lookup[bin(i)];
+    return { palette, indices };
+  }
+
+  /**
+   * LZW-compress palette indices the way GIF expects (codes packed least significant bit first)
+   * @param {Uint8Array} indices - Palette index per pixel
+   * @param {number} minCodeSize - Initial code size in bits (2-8)
+   * @returns {Uint8Array} Compressed data
+   */
+  static lzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let buffer = 0;
+    let bits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        out.push(buffer & 0xff);
+        buffer >>= 8;
+        bits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let prefix = indices.length > 0 ? indices[0] : 0;
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === MAX_LZW_CODE) {
+        emit(clearCode);
+        table = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) out.push(buffer & 0xff);
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Signature, screen descriptor and loop extension
+   * @private
+   */
+  _writeHeader() {
+    const { width, height, loop } = this.config;
+    this._write(Array.from("GIF89a", (c) => c.charCodeAt(0)));
+    this._write([width & 0xff, width >> 8, height & 0xff, height >> 8, 0x00, 0x00, 0x00]);
+    this._write([0x21, 0xff, 0x0b, ...Array.from("NETSCAPE2.0", (c) => c.charCodeAt(0)), 0x03, 0x01, loop & 0xff, loop >> 8, 0x00]);
+  }
+
+  /**
+   * Data split into length-prefixed blocks of at most 255 bytes
+   * @private
+   */
+  _writeSubBlocks(data) {
+    for (let offset = 0; offset < data.length; offset += MAX_SUB_BLOCK) {
+      const block = data.subarray(offset, offset + MAX_SUB_BLOCK);
+      this._write([block.length]);
+      this._write(block);
+    }
+    this._write([0x00]);
+  }
+
+  /**
+   * Append bytes
+   * @private
+   */
+  _write(bytes) {
+    const chunk = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+    this.chunks.push(chunk);
+    this.size += chunk.length;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.chunks = [];
+    this.size = 0;
+  }
+}
+
+export default GifEncoder;
@@ -0,0 +1,113 @@
+import GifEncoder from "./GifEncoder";
+
+// Reference GIF LZW decoder (codes packed least significant bit first)
+const decodeLzw = (data, minCodeSize, pixelCount) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let table;
+  let codeSize;
+  let previous = null;
+  const reset = () => {
+    table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  let bitPos = 0;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    return code;
+  };
+
+  while (out.length <= pixelCount) {
+    const code = read();
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    const entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+    out.push(...entry);
+    if (previous !== null && table.length < 4096) {
+      table.push([...table[previous], entry[0]]);
+      if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    previous = code;
+  }
+  return out;
+};
+
+const frame = (width, height, color) => {
+  const rgba = new Uint8Array(width * height * 4);
+  for (let p = 0; p < width * height; p++) rgba.set([...color(p % width, Math.floor(p / width)), 255], p * 4);
+  return rgba;
+};
+
+describe("GifEncoder", () => {
+  test("LZW output decodes back to the input", () => {
+    const random = Array.from({ length: 20000 }, (_, i) => (i * 7919) % 13 ^ (i >> 6) % 4);
+    const runs = Array.from({ length: 20000 }, (_, i) => Math.floor(i / 500) % 4);
+    [random, runs, [3]].forEach((input) => {
+      const indices = Uint8Array.from(input);
+      expect(decodeLzw(GifEncoder.lzw(indices, 4), 4, indices.length)).toEqual(input);
+    });
+  });
+
+  test("LZW handles table resets on long noisy input", () => {
+    let seed = 1;
+    const input = Array.from({ length: 60000 }, () => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return seed >> 23;
+    });
+    expect(decodeLzw(GifEncoder.lzw(Uint8Array.from(input), 8), 8, input.length)).toEqual(input);
+  });
+
+  test("keeps exact colors when there are few of them", () => {
+    const colors = [
+      [0, 0, 0],
+      [255, 0, 0],
+      [0, 255, 255],
+      [255, 255, 255],
+    ];
+    const rgba = frame(8, 8, (x, y) => colors[(x + y) % 4]);
+    const { palette, indices } = GifEncoder.quantize(rgba);
+
+    expect(palette.length / 3).toBe(4);
+    indices.forEach((index, p) => {
+      expect(Array.from(palette.subarray(index * 3, index * 3 + 3))).toEqual(colors[((p % 8) + Math.floor(p / 8)) % 4]);
+    });
+  });
+
+  test("reduces gradients to the palette limit", () => {
+    const rgba = frame(64, 64, (x, y) => [x * 4, y * 4, (x + y) * 2]);
+    const { palette, indices } = GifEncoder.quantize(rgba, 16);
+
+    expect(palette.length / 3).toBe(16);
+    expect(Math.max(...indices)).toBe(15);
+    // Every pixel maps to a palette color near its own
+    indices.forEach((index, p) => {
+      const error = [0, 1, 2].map((c) => Math.abs(palette[index * 3 + c] - rgba[p * 4 + c]));
+      expect(Math.max(...error)).toBeLessThan(80);
+    });
+  });
+
+  test("writes a looping GIF89a with one image per frame", () => {
+    const encoder = new GifEncoder({ width: 4, height: 2, delay: 50 });
+    encoder.addFrame(frame(4, 2, () => [255, 0, 0]));
+    encoder.addFrame(frame(4, 2, (x) => (x < 2 ? [0, 0, 255] : [0, 255, 0])));
+    const gif = encoder.finish();
+    const text = String.fromCharCode(...gif);
+
+    expect(text.slice(0, 6)).toBe("GIF89a");
+    expect([gif[6], gif[8]]).toEqual([4, 2]);
+    expect(text).toContain("NETSCAPE2.0");
+    expect(text.split("\x21\xf9\x04").length - 1).toBe(2);
+    // 50 ms is stored as 5 hundredths
+    expect(gif[text.indexOf("\x21\xf9\x04") + 4]).toBe(5);
+    expect(gif[gif.length - 1]).toBe(0x3b);
+    expect(() => encoder.addFrame(new Uint8Array(3))).toThrow("Expected 32 bytes");
+  });
+});
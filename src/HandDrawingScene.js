@@ -5,16 +5,76 @@ import { Camera } from "@mediapipe/camera_utils";
 
 // Import new Open Air Brush modules
 import HandTracker from "./HandTracker";
-import GestureEngine from "./GestureEngine";
+import GestureEngine, { CALIBRATION_DEFAULTS } from "./GestureEngine";
+import GestureTemplates, { CUSTOM_GESTURE_PREFIX } from "./GestureTemplates";
+import GestureBindings, { GESTURE_COMMANDS, BINDABLE_GESTURES } from "./GestureBindings";
+import GestureCalibration, { CALIBRATION_STEPS } from "./GestureCalibration";
 import PhysicsEngine from "./PhysicsEngine";
 import AirBrushHUD from "./AirBrushHUD";
 import ImageManipulator from "./ImageManipulator";
 import VisualEffects from "./VisualEffects";
+import TubeStroke from "./TubeStroke";
+import LayerManager from "./LayerManager";
+import CommandHistory from "./CommandHistory";
+import Symmetry from "./Symmetry";
+import LandmarkFilter from "./LandmarkFilter";
+import Selection from "./Selection";
+import HandIdentity from "./HandIdentity";
+import PointerInput from "./PointerInput";
+import LandmarkSession from "./LandmarkSession";
+import SessionPlayer from "./SessionPlayer";
+import ModelExporter from "./ModelExporter";
+import VoxModel from "./VoxModel";
+import ProjectSchema from "./ProjectSchema";
+import Autosave from "./Autosave";
+import ProjectLibrary from "./ProjectLibrary";
+import TurntableExporter from "./TurntableExporter";
+import RecordingCompositor from "./RecordingCompositor";
+
+// Segments longer than this are treated as tracking jumps and not filled
+const MAX_STROKE_GAP = 1.5;
+
+// Select tool: pinches that move less than this are taps; wrist rotation gain in radians per normalized unit
+const SELECT_TAP_DISTANCE = 0.15;
+const SELECT_ROTATION_SPEED = 8;
+
+// Off-hand palette: swatch ring radius and hit radius in canvas pixels, frames the tool hand must hover to pick
+const PALETTE_RADIUS = 70;
+const PALETTE_SWATCH_RADIUS = 12;
+const PALETTE_DWELL_FRAMES = 8;
+
+// Project library thumbnails: width in pixels and JPEG quality
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_QUALITY = 0.8;
+
+// localStorage keys of the user's custom gestures, gesture bindings and calibration profiles
+const GESTURE_TEMPLATES_KEY = "open-air-brush-gestures";
+const GESTURE_BINDINGS_KEY = "open-air-brush-gesture-bindings";
+const GESTURE_CALIBRATION_KEY = "open-air-brush-calibration";
+
+// Gestures the select tool interprets itself; bindings on them pause while it is active
+const SELECT_TOOL_GESTURES = ["openPalm", "closedFist", "pinch", "drag", "rotation", "twoHandZoom"];
+
+// Save a generated file through a temporary link
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
 function HandDrawingScene({
   activeTool,
   selectedColor,
   brushSize,
+  brushMode = "voxel",
+  symmetry = { mode: "none", axis: "x", count: 6 },
+  smoothing = { mode: "oneEuro", minCutoff: 1.5, beta: 8, emaFactor: 0.3 },
+  handTools = { mode: "shared", offHand: "erase", leftHanded: false },
+  palette = [],
+  inputMode = "hands",
   showGrid,
   videoOpacity,
   isRecording,
@@ -23,37 +83,59 @@ function HandDrawingScene({
   sidebarCollapsed = false,
   isMobile = false,
   onImageUpload,
+  onColorPick,
 }) {
   const videoRef = useRef(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
   const rendererRef = useRef(null);
-  const cubesRef = useRef([]);
-  const occupiedGridRef = useRef(new Set());
-  const historyRef = useRef({ undo: [], redo: [] });
-  const lastSaveTimeRef = useRef(0);
+  const layersRef = useRef(null); // LayerManager, created with the first scene and kept across scene rebuilds
+  const activeStrokeRef = useRef(null);
+  const historyRef = useRef(new CommandHistory());
   const [handDetected, setHandDetected] = useState(false);
   const [handCount, setHandCount] = useState(0);
+  const [handSides, setHandSides] = useState(""); // e.g. "R + L", tool hand first
   const [gestureStatus, setGestureStatus] = useState("Loading camera...");
   const [showImageModal, setShowImageModal] = useState(false);
 
   const currentColorRef = useRef(parseInt(selectedColor.replace("#", "0x"), 16));
   const currentBrushSizeRef = useRef(brushSize || 0.08); // Smaller default brush size for better detail
   const currentToolRef = useRef(activeTool);
+  const currentBrushModeRef = useRef(brushMode);
+  const currentSymmetryRef = useRef(symmetry);
+  const symmetryRef = useRef(null); // Symmetry, created with the scene
+  const landmarkFilterRef = useRef(new LandmarkFilter(smoothing));
+  const handIdentityRef = useRef(new HandIdentity({ dominant: handTools.leftHanded ? "left" : "right" }));
+  const currentHandToolsRef = useRef(handTools);
+  const offHandRef = useRef({ erasing: false, last: null, hoverColor: null, hoverFrames: 0 });
+  const paletteRef = useRef(palette);
+  const onColorPickRef = useRef(onColorPick);
+  const currentInputModeRef = useRef(inputMode);
+  const pointerInputRef = useRef(null); // PointerInput, created with the scene
+  const pointerSurfaceRef = useRef(null);
+  const sessionRecorderRef = useRef(null); // LandmarkSession while recording
+  const sessionPlayerRef = useRef(null); // SessionPlayer while replaying
+  const autosaveRef = useRef(null);
+  const turntableRef = useRef(null); // Turntable export in progress
+  const compositorRef = useRef(null); // RecordingCompositor while recording
+  const selectionRef = useRef(null); // Selection, created with the scene
+  const selectGestureRef = useRef({ mode: null, start: null, last: null });
   const handsRef = useRef(null);
   const cameraMPRef = useRef(null);
-  const wasDrawingRef = useRef(false);
   const lastDrawPositionRef = useRef(null);
-  const prevTwoHandDistRef = useRef(null);
   const ctxRef = useRef(null);
   const currentGloveRef = useRef(selectedGlove);
 
   // Transparent image control state
   const imageMeshRef = useRef(null);
   const imageTextureRef = useRef(null);
+  const imageSourceRef = useRef(null); // Data URL of the image on the plane, saved with projects
 
   // New advanced components
   const gestureEngineRef = useRef(null);
+  const gestureTemplatesRef = useRef(new GestureTemplates({ confidenceThreshold: 0.65 }));
+  const gestureBindingsRef = useRef(new GestureBindings());
+  const gestureCalibrationRef = useRef(new GestureCalibration());
   const handTrackerRef = useRef(null);
   const physicsEngineRef = useRef(null);
   const airBrushHUDRef = useRef(null);
@@ -65,43 +147,39 @@ function HandDrawingScene({
 
   // Initialize Open Air Brush components on mount
   useEffect(() => {
+    // GestureEngine and PhysicsEngine don't need the scene, so they exist even
+    // though this effect runs before the scene effect has created it
+    gestureEngineRef.current = new GestureEngine({
+      openPalmThreshold: 0.7,
+      twoHandZoomThreshold: 0.02,
+      confidenceThreshold: 0.65,
+      hysteresisBuffer: 5,
+      debugMode: false,
+      templates: gestureTemplatesRef.current,
+      // No onGestureStart/onGestureEnd: gestures, poses and custom templates trigger actions through gestureBindingsRef
+    });
+
+    // Initialize PhysicsEngine
+    physicsEngineRef.current = new PhysicsEngine({
+      positionDamping: 0.85,
+      rotationDamping: 0.9,
+      scaleDamping: 0.8,
+      springStiffness: 0.15,
+      springDamping: 0.8,
+      enableSnap: true,
+      snapGridSize: 0.1,
+    });
+
     if (sceneRef.current && cameraRef.current) {
       // Initialize HandTracker
       handTrackerRef.current = new HandTracker(sceneRef.current, {
-        smoothingFactor: 0.2,
+        smoothingFactor: 1, // Landmarks are already filtered by LandmarkFilter
         showSkeleton: true,
         showJoints: true,
         jointSize: 0.005, // Smaller joints for better detail
         jointGlowSize: 0.008, // Smaller glow
       });
 
-      // Initialize GestureEngine
-      gestureEngineRef.current = new GestureEngine({
-        pinchThreshold: 0.06,
-        openPalmThreshold: 0.7,
-        twoHandZoomThreshold: 0.02,
-        confidenceThreshold: 0.65,
-        hysteresisBuffer: 5,
-        debugMode: false,
-        onGestureStart: (gesture, data) => {
-          console.log(`Gesture started: ${gesture}`, data);
-        },
-        onGestureEnd: (gesture, data) => {
-          console.log(`Gesture ended: ${gesture}`, data);
-        },
-      });
-
-      // Initialize PhysicsEngine
-      physicsEngineRef.current = new PhysicsEngine({
-        positionDamping: 0.85,
-        rotationDamping: 0.9,
-        scaleDamping: 0.8,
-        springStiffness: 0.15,
-        springDamping: 0.8,
-        enableSnap: true,
-        snapGridSize: 0.1,
-      });
-
       // Initialize AirBrushHUD
       airBrushHUDRef.current = new AirBrushHUD(sceneRef.current, cameraRef.current, {
         particleCount: 50,
@@ -119,8 +197,35 @@ function HandDrawingScene({
     currentColorRef.current = parseInt(selectedColor.replace("#", "0x"), 16);
     currentBrushSizeRef.current = brushSize || 0.15;
     currentToolRef.current = activeTool;
+    currentBrushModeRef.current = brushMode;
     currentGloveRef.current = selectedGlove;
-  }, [selectedColor, brushSize, activeTool, selectedGlove]);
+    paletteRef.current = palette;
+    onColorPickRef.current = onColorPick;
+  }, [selectedColor, brushSize, brushMode, activeTool, selectedGlove, palette, onColorPick]);
+
+  // Update per-hand tool settings; left-handed mode makes the left hand the tool hand
+  useEffect(() => {
+    currentHandToolsRef.current = { mode: handTools.mode, offHand: handTools.offHand };
+    handIdentityRef.current.updateConfig({ dominant: handTools.leftHanded ? "left" : "right" });
+  }, [handTools.mode, handTools.offHand, handTools.leftHanded]);
+
+  // Update landmark smoothing settings
+  useEffect(() => {
+    landmarkFilterRef.current.updateConfig({
+      mode: smoothing.mode,
+      minCutoff: smoothing.minCutoff,
+      beta: smoothing.beta,
+      emaFactor: smoothing.emaFactor,
+    });
+  }, [smoothing.mode, smoothing.minCutoff, smoothing.beta, smoothing.emaFactor]);
+
+  // Update symmetry settings and guide
+  useEffect(() => {
+    currentSymmetryRef.current = { mode: symmetry.mode, axis: symmetry.axis, count: symmetry.count };
+    if (symmetryRef.current) {
+      symmetryRef.current.setSettings(currentSymmetryRef.current);
+    }
+  }, [symmetry.mode, symmetry.axis, symmetry.count]);
 
   // Handle uploaded image - load texture but don't display yet
   useEffect(() => {
@@ -135,6 +240,7 @@ function HandDrawingScene({
         uploadedImage,
         (texture) => {
           imageTextureRef.current = texture;
+          imageSourceRef.current = uploadedImage;
 
           // Maximum quality texture settings for perfect clarity
           texture.minFilter = THREE.LinearMipmapLinearFilter;
@@ -175,154 +281,746 @@ function HandDrawingScene({
     }
   }, [uploadedImage]);
 
-  // Create cube
-  const createCube = useCallback((position, color, size) => {
-    if (!sceneRef.current) return;
+  // Add a cube at the grid cell containing a position (occupied cells are skipped)
+  const addCube = useCallback((position, color, size, layerId) => {
+    const layers = layersRef.current;
+    if (!layers) return null;
+    const layer = layers.get(layerId) || layers.active;
+    return layer.voxels.add(position, color, size);
+  }, []);
 
-    const geometry = new THREE.BoxGeometry(size, size, size);
-    const material = new THREE.MeshStandardMaterial({
-      color: color,
-      transparent: true,
-      opacity: 0.9,
-      emissive: new THREE.Color(color).multiplyScalar(0.5),
-      emissiveIntensity: 0.8,
-      metalness: 0.3,
-      roughness: 0.4,
-    });
+  // Tube strokes
+  const addStroke = useCallback((stroke, layerId) => {
+    if (!layersRef.current) return;
+    layersRef.current.addStroke(stroke, layerId);
+  }, []);
+
+  const removeStroke = useCallback((stroke) => {
+    if (layersRef.current) layersRef.current.removeStroke(stroke);
+    if (activeStrokeRef.current === stroke) activeStrokeRef.current = null;
+  }, []);
+
+  // Whether the active layer accepts drawing and erasing
+  const canEditActiveLayer = useCallback(() => {
+    const layers = layersRef.current;
+    return Boolean(layers) && layers.isEditable(layers.active);
+  }, []);
+
+  // Apply one history operation to the scene
+  const applyOperation = useCallback(
+    (operation) => {
+      const layers = layersRef.current;
+      if (!layers) return;
+
+      // Operations on a layer that no longer exists are skipped
+      const layer = layers.get(operation.layer);
+      if (!layer) return;
+      const voxels = layer.voxels;
+
+      const removeVoxelAt = (position) => {
+        const id = voxels.findAt(position);
+        if (id !== undefined) voxels.remove(id);
+      };
+
+      switch (operation.type) {
+        case "add":
+          addCube(operation.voxel.position, operation.voxel.color, operation.voxel.size, layer.id);
+          break;
+        case "erase":
+          removeVoxelAt(operation.voxel.position);
+          break;
+        case "recolor": {
+          const id = voxels.findAt(operation.position);
+          if (id !== undefined) voxels.setColor(id, operation.to);
+          break;
+        }
+        case "transform":
+          operation.before.forEach((voxel) => removeVoxelAt(voxel.position));
+          operation.after.forEach((voxel) => addCube(voxel.position, voxel.color, voxel.size, layer.id));
+          break;
+        case "addStroke":
+          addStroke(TubeStroke.fromJSON(operation.stroke), layer.id);
+          break;
+        case "eraseStroke": {
+          const stroke = layers.findStroke(operation.stroke.id);
+          if (stroke) removeStroke(stroke);
+          break;
+        }
+        default:
+          break;
+      }
+    },
+    [addCube, addStroke, removeStroke]
+  );
+
+  // Draw a cube plus its symmetric copies on the active layer and record them in the current stroke's undo group
+  const drawCube = useCallback(
+    (position, color, size) => {
+      if (!canEditActiveLayer()) return null;
+
+      const layer = layersRef.current.active;
+      const positions = symmetryRef.current ? symmetryRef.current.apply(position) : [position];
+      let firstId = null;
+
+      positions.forEach((symmetricPosition) => {
+        const id = layer.voxels.add(symmetricPosition, color, size);
+        if (id === null) return;
+
+        const voxel = layer.voxels.get(id);
+        historyRef.current.beginGroup("stroke");
+        historyRef.current.record({
+          type: "add",
+          layer: layer.id,
+          voxel: { position: voxel.position, color: voxel.color, size: voxel.size },
+        });
+        if (firstId === null) firstId = id;
+      });
+
+      return firstId;
+    },
+    [canEditActiveLayer]
+  );
+
+  // Draw cubes along the segment from the previous draw position so fast strokes stay continuous
+  const drawSegment = useCallback(
+    (from, to, color, size) => {
+      if (!layersRef.current) return;
+
+      if (!from || from.distanceTo(to) > MAX_STROKE_GAP) {
+        drawCube(to, color, size);
+        return;
+      }
+
+      // Half the brush size keeps neighbouring cubes overlapping; occupied cells are skipped
+      layersRef.current.active.voxels.index.rasterizeSegment(from, to, size / 2).forEach((position) => {
+        drawCube(position, color, size);
+      });
+    },
+    [drawCube]
+  );
+
+  const eraseCube = useCallback(
+    (pos, radius = 0.2) => {
+      if (!canEditActiveLayer()) return false;
+
+      const layer = layersRef.current.active;
+      const removed = layer.voxels.removeWithin(pos, radius);
+      if (removed.length > 0) historyRef.current.beginGroup("erase");
+      removed.forEach((voxel) => historyRef.current.record({ type: "erase", layer: layer.id, voxel }));
+      return removed.length > 0;
+    },
+    [canEditActiveLayer]
+  );
 
-    const edges = new THREE.EdgesGeometry(geometry);
-    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 1 });
-    const wireframe = new THREE.LineSegments(edges, lineMaterial);
+  // Strokes are erased whole when the eraser touches any part of the tube
+  const eraseStroke = useCallback(
+    (pos, radius = 0.2) => {
+      if (!canEditActiveLayer()) return false;
+
+      const layer = layersRef.current.active;
+      let erased = false;
+      for (let i = layer.strokes.length - 1; i >= 0; i--) {
+        const stroke = layer.strokes[i];
+        if (stroke.distanceTo(pos) < radius + stroke.radius) {
+          historyRef.current.beginGroup("erase");
+          historyRef.current.record({ type: "eraseStroke", layer: layer.id, stroke: stroke.toJSON() });
+          removeStroke(stroke);
+          erased = true;
+        }
+      }
+      return erased;
+    },
+    [canEditActiveLayer, removeStroke]
+  );
 
-    const cube = new THREE.Mesh(geometry, material);
-    cube.position.set(position.x, position.y, position.z);
-    cube.add(wireframe);
-    cube.castShadow = true;
-    cube.receiveShadow = true;
+  const eraseAt = useCallback(
+    (pos, radius = 0.2) => {
+      const erasedCubes = eraseCube(pos, radius);
+      const erasedStrokes = eraseStroke(pos, radius);
+      return erasedCubes || erasedStrokes;
+    },
+    [eraseCube, eraseStroke]
+  );
 
-    sceneRef.current.add(cube);
-    cubesRef.current.push(cube);
+  // Start a tube stroke on drag begin, grow it while moving
+  const extendStroke = useCallback(
+    (pos, color, size) => {
+      if (!activeStrokeRef.current) {
+        if (!canEditActiveLayer()) return null;
+        historyRef.current.beginGroup("stroke");
+        const stroke = new TubeStroke({ color, radius: size / 2 });
+        addStroke(stroke);
+        activeStrokeRef.current = stroke;
+      }
+      activeStrokeRef.current.addPoint(pos);
+      return activeStrokeRef.current;
+    },
+    [addStroke, canEditActiveLayer]
+  );
 
-    const gridSize = 0.1;
-    const gridKey = `${Math.round(position.x / gridSize)},${Math.round(position.y / gridSize)},${Math.round(position.z / gridSize)}`;
-    occupiedGridRef.current.add(gridKey);
+  // Finish the current stroke (pinch-stop, open palm, hand lost): finalize
+  // the active tube and close its undo group
+  const finalizeStroke = useCallback(() => {
+    const stroke = activeStrokeRef.current;
+    if (stroke) {
+      stroke.finalize();
+      activeStrokeRef.current = null;
+      const layer = layersRef.current && layersRef.current.layerOf(stroke);
+      if (stroke.points.length > 0 && layer) {
+        historyRef.current.record({ type: "addStroke", layer: layer.id, stroke: stroke.toJSON() });
+      } else {
+        removeStroke(stroke);
+      }
+    }
+    historyRef.current.endGroup();
+  }, [removeStroke]);
+
+  // Bake the selection's pending move/rotate/scale and record it as one undoable transform
+  const commitSelection = useCallback(() => {
+    const selection = selectionRef.current;
+    if (!selection || !layersRef.current) return;
+
+    const result = selection.commit(layersRef.current);
+    if (!result) return;
+
+    const history = historyRef.current;
+    history.endGroup();
+    history.beginGroup("transform");
+    if (result.before.length > 0 || result.after.length > 0) {
+      history.record({ type: "transform", layer: result.layerId, before: result.before, after: result.after });
+    }
+    result.strokesBefore.forEach((stroke) => history.record({ type: "eraseStroke", layer: result.layerId, stroke }));
+    result.strokesAfter.forEach((stroke) => history.record({ type: "addStroke", layer: result.layerId, stroke }));
+    history.endGroup();
   }, []);
 
-  // Save state
-  const saveState = useCallback(() => {
-    const now = Date.now();
-    if (now - lastSaveTimeRef.current < 500) return;
-    lastSaveTimeRef.current = now;
-
-    const state = cubesRef.current.map((cube) => ({
-      position: { x: cube.position.x, y: cube.position.y, z: cube.position.z },
-      color: cube.material.color.getHex(),
-      size: cube.geometry.parameters.width,
-    }));
-
-    const lastState = historyRef.current.undo[historyRef.current.undo.length - 1];
-    if (lastState && JSON.stringify(state) === JSON.stringify(lastState)) return;
-
-    historyRef.current.undo.push(state);
-    historyRef.current.redo = [];
-    if (historyRef.current.undo.length > 100) {
-      historyRef.current.undo.shift();
+  // Put the selection back onto its layer
+  const dropSelection = useCallback(() => {
+    const selection = selectionRef.current;
+    if (!selection || !layersRef.current) return;
+
+    commitSelection();
+    selection.drop(layersRef.current);
+    selection.hideSweep();
+    selectGestureRef.current = { mode: null, start: null, last: null };
+  }, [commitSelection]);
+
+  // Select tool press held (pinch or pointer drag) - move the selection or sweep a new box
+  const selectHold = useCallback((position) => {
+    const selection = selectionRef.current;
+    if (!selection) return;
+
+    const state = selectGestureRef.current;
+    if (!state.mode) {
+      state.mode = !selection.isEmpty && selection.containsPoint(position) ? "move" : "sweep";
+      state.start = position.clone();
+      state.last = position.clone();
+    }
+
+    if (state.mode === "move") {
+      selection.translate(position.clone().sub(state.last));
+      setGestureStatus("✋ Moving selection");
+    } else {
+      selection.showSweep(state.start, position);
+      setGestureStatus("🔲 Sweeping selection box");
     }
+    state.last.copy(position);
   }, []);
 
-  // Undo/Redo
-  window.undo = useCallback(() => {
-    if (historyRef.current.undo.length === 0) return;
-    const previousState = historyRef.current.undo.pop();
-    if (previousState && sceneRef.current) {
-      cubesRef.current.forEach((cube) => sceneRef.current.remove(cube));
-      cubesRef.current = [];
-      occupiedGridRef.current.clear();
-      previousState.forEach((data) => createCube(data.position, data.color, data.size));
+  // Select tool press released - bake a move, or select what the sweep or tap covered
+  const selectRelease = useCallback(() => {
+    const selection = selectionRef.current;
+    const layers = layersRef.current;
+    const state = selectGestureRef.current;
+    if (!selection || !layers) return;
+
+    if (state.mode === "move") {
+      commitSelection();
+      state.mode = null;
+      setGestureStatus("✅ Selection moved");
+      return;
     }
-  }, [createCube]);
 
-  window.redo = useCallback(() => {
-    if (historyRef.current.redo.length === 0) return;
-    const nextState = historyRef.current.redo.pop();
-    if (nextState && sceneRef.current) {
-      cubesRef.current.forEach((cube) => sceneRef.current.remove(cube));
-      cubesRef.current = [];
-      occupiedGridRef.current.clear();
-      nextState.forEach((data) => createCube(data.position, data.color, data.size));
+    if (state.mode === "sweep") {
+      selection.hideSweep();
+      state.mode = null;
+
+      const layer = layers.active;
+      if (!layers.isEditable(layer)) {
+        setGestureStatus("🔒 Active layer is locked or hidden");
+        return;
+      }
+
+      dropSelection();
+      const picked =
+        state.start.distanceTo(state.last) < SELECT_TAP_DISTANCE
+          ? selection.queryTap(layer, state.last)
+          : selection.queryBox(layer, selection.sweepBounds(state.start, state.last));
+      selection.select(layers, layer, picked.voxelIds, picked.strokes);
+
+      setGestureStatus(
+        selection.isEmpty ? "🔲 Nothing selected" : `🔲 Selected ${picked.voxelIds.length} cubes, ${picked.strokes.length} tubes`
+      );
     }
-  }, [createCube]);
+  }, [commitSelection, dropSelection]);
+
+  // Select tool: pinch-sweep a box or tap to select, pinch the selection to move it,
+  // closed fist + wrist turn to rotate, two-hand zoom to scale, open palm to deselect
+  const handleSelectGestures = useCallback(
+    (gestures, hands) => {
+      const selection = selectionRef.current;
+      const layers = layersRef.current;
+      if (!selection || !layers || hands.length === 0) return;
+
+      const state = selectGestureRef.current;
+
+      if (gestures && gestures.openPalm && gestures.openPalm.isActive && gestures.openPalm.confidence > 0.7) {
+        if (!selection.isEmpty) {
+          dropSelection();
+          setGestureStatus("🖐️ Selection cleared");
+        }
+        return;
+      }
 
-  const addCube = useCallback(
-    (pos, color, size) => {
-      const gridSize = 0.05; // Smaller grid for better detail with smaller cubes
-      const gridPos = {
-        x: Math.round(pos.x / gridSize) * gridSize,
-        y: Math.round(pos.y / gridSize) * gridSize,
-        z: Math.round(pos.z / gridSize) * gridSize,
-      };
-      const gridKey = `${Math.round(gridPos.x / gridSize)},${Math.round(gridPos.y / gridSize)},${Math.round(gridPos.z / gridSize)}`;
-      if (occupiedGridRef.current.has(gridKey)) return;
-      createCube(gridPos, color, size);
+      // Two hands - scale the selection with the zoom gesture
+      if (hands.length === 2) {
+        if (!selection.isEmpty && gestures && gestures.twoHandZoom && gestures.twoHandZoom.isActive) {
+          selection.scale(THREE.MathUtils.clamp(gestures.twoHandZoom.zoomFactor, 0.9, 1.1));
+          state.mode = "scale";
+          setGestureStatus("↔️ Scaling selection");
+        } else if (state.mode === "scale") {
+          commitSelection();
+          state.mode = null;
+        }
+        return;
+      }
+      if (state.mode === "scale") {
+        commitSelection();
+        state.mode = null;
+      }
+
+      // Closed fist - rotate the selection about the axis of GestureEngine's wrist rotation
+      if (!selection.isEmpty && gestures && gestures.closedFist && gestures.closedFist.isActive) {
+        const rotation = gestures.rotation;
+        const axis = rotation && rotation.isActive ? rotation.axis.charAt(0).toLowerCase() : null;
+        if (axis === "x" || axis === "y" || axis === "z") {
+          selection.rotate(axis, rotation.angle * SELECT_ROTATION_SPEED);
+          state.mode = "rotate";
+          setGestureStatus(`🔄 Rotating selection (${axis.toUpperCase()})`);
+        }
+        return;
+      }
+      if (state.mode === "rotate") {
+        commitSelection();
+        state.mode = null;
+      }
+
+      // Held pinch - move or sweep with the fingertip GestureEngine tracks for dragging (a pinch holds
+      // the drag gesture itself back, but its position still follows the finger)
+      const pinch = gestures && gestures.pinch;
+      const drag = gestures && gestures.drag;
+      if (pinch && pinch.isActive && drag && drag.position) {
+        const point = gestureEngineRef.current.mapToReach(drag.position);
+        selectHold(new THREE.Vector3(-(point.x - 0.5) * 8, -(point.y - 0.5) * 8, point.z + 0.3));
+      } else if (state.mode === "move" || state.mode === "sweep") {
+        selectRelease();
+      } else {
+        setGestureStatus(selection.isEmpty ? "🔲 Pinch and sweep to select" : "✋ Pinch to move, fist to rotate, open palm to deselect");
+      }
+    },
+    [commitSelection, dropSelection, selectHold, selectRelease]
+  );
+
+  // Pointer input: the same draw/erase/select/zoom/rotate actions the hand gestures drive
+  const handleInputAction = useCallback(
+    (action) => {
+      const tool = currentToolRef.current;
+
+      switch (action.type) {
+        case "strokeStart":
+        case "strokeMove": {
+          const position = new THREE.Vector3(action.position.x, action.position.y, action.position.z);
+          const from = action.type === "strokeMove" ? lastDrawPositionRef.current : null;
+          lastDrawPositionRef.current = position;
+
+          if (tool === "select") {
+            selectHold(position);
+          } else if (tool === "erase") {
+            eraseAt(position, 0.2);
+            setGestureStatus("🧽 Erasing...");
+          } else if (currentBrushModeRef.current === "tube") {
+            const stroke = extendStroke(position, currentColorRef.current, currentBrushSizeRef.current);
+            setGestureStatus(stroke ? `〰️ Drawing stroke... (${stroke.points.length} points)` : "🔒 Active layer is locked or hidden");
+          } else {
+            drawSegment(from, position, currentColorRef.current, currentBrushSizeRef.current);
+            setGestureStatus(canEditActiveLayer() ? `✏️ Drawing... (${layersRef.current.count} cubes)` : "🔒 Active layer is locked or hidden");
+          }
+          break;
+        }
+        case "strokeEnd":
+          lastDrawPositionRef.current = null;
+          if (tool === "select") {
+            selectRelease();
+          } else {
+            finalizeStroke();
+          }
+          break;
+        case "zoom":
+          if (cameraRef.current) {
+            cameraRef.current.position.z = THREE.MathUtils.clamp(cameraRef.current.position.z - action.amount, 1, 20);
+            setGestureStatus(action.amount > 0 ? "🔍 Zoom In" : "🔍 Zoom Out");
+          }
+          break;
+        case "rotate":
+          if (sceneRef.current) {
+            sceneRef.current.rotation.x += action.x;
+            sceneRef.current.rotation.y += action.y;
+            setGestureStatus("🔄 Rotating");
+          }
+          break;
+        case "depth":
+          setGestureStatus(`↕️ Drawing depth ${action.z.toFixed(1)}`);
+          break;
+        default:
+          break;
+      }
+    },
+    [canEditActiveLayer, drawSegment, eraseAt, extendStroke, finalizeStroke, selectHold, selectRelease]
+  );
+
+  // Gesture bindings: scene commands run here, the rest (undo, tools, colors, ...) go to OpenAirBrushInterface
+  const runGestureCommand = useCallback(
+    ({ command, gesture }) => {
+      switch (command) {
+        case "resetObjects":
+          // End the stroke, then spring manipulated objects back
+          isPinchingRef.current = false;
+          lastDrawPositionRef.current = null;
+          finalizeStroke();
+          if (airBrushHUDRef.current) {
+            airBrushHUDRef.current.showSuccess(new THREE.Vector3(0, 0, 0));
+          }
+          if (physicsEngineRef.current) {
+            physicsEngineRef.current.objects.forEach((physicsData) => {
+              if (physicsData.object.name === "manipulatedObject") {
+                physicsEngineRef.current.resetObject(physicsData.object, true, 500);
+              }
+            });
+          }
+          setGestureStatus("🔄 Reset with bounce effect");
+          break;
+        case "lockDraw":
+          interactionModeRef.current = "draw";
+          setGestureStatus("🔒 Interaction locked to draw");
+          if (navigator.vibrate) {
+            navigator.vibrate(50);
+          }
+          break;
+        case "resetView":
+          if (cameraRef.current) cameraRef.current.position.set(0, 0, 4);
+          if (sceneRef.current) sceneRef.current.rotation.set(0, 0, 0);
+          setGestureStatus("🎯 View reset");
+          break;
+        case "zoom": {
+          if (!cameraRef.current) break;
+          // Hands apart zoom in; gestures without a direction (poses) zoom in while held
+          const zoomIn = gesture.direction === undefined || gesture.direction > 0;
+          cameraRef.current.position.z = THREE.MathUtils.clamp(cameraRef.current.position.z + (zoomIn ? -0.3 : 0.3), 1, 20);
+          setGestureStatus(zoomIn ? "🔍 Zoom In" : "🔍 Zoom Out");
+
+          // Also resize uploaded image if visible
+          if (imageMeshRef.current?.visible) {
+            const newScale = THREE.MathUtils.clamp(imageMeshRef.current.scale.x + (zoomIn ? 0.1 : -0.1), 0.5, 10);
+            imageMeshRef.current.scale.set(newScale, newScale, 1);
+            setGestureStatus(zoomIn ? "🖼️ Zooming image in..." : "🖼️ Zooming image out...");
+          }
+          break;
+        }
+        case "rotateScene": {
+          if (!sceneRef.current) break;
+          // Wrist turns rotate by their angle; other gestures turn the scene steadily while held
+          const rotationAmount = gesture.angle !== undefined ? gesture.angle * 0.1 : 0.02;
+          if (physicsEngineRef.current) {
+            physicsEngineRef.current.applyRotationImpulse(sceneRef.current, new THREE.Euler(rotationAmount, 0, 0));
+          }
+          sceneRef.current.rotation.x += rotationAmount;
+          setGestureStatus(`🔄 Rotating (${gesture.axis || "X"})`);
+
+          if (imageMeshRef.current?.visible) {
+            imageMeshRef.current.rotation.z += rotationAmount;
+            setGestureStatus(`🖼️ Rotating image...`);
+          }
+          break;
+        }
+        default: {
+          const { icon, name } = GESTURE_COMMANDS.find((c) => c.id === command);
+          setGestureStatus(`${icon} ${name}`);
+          window.dispatchEvent(new CustomEvent("gestureCommand", { detail: { command } }));
+          break;
+        }
+      }
     },
-    [createCube]
+    [finalizeStroke]
   );
 
-  const eraseCube = useCallback((pos, radius = 0.2) => {
-    let erased = false;
-    for (let i = cubesRef.current.length - 1; i >= 0; i--) {
-      const cube = cubesRef.current[i];
-      if (cube.position.distanceTo(pos) < radius) {
-        const gridKey = `${Math.round(cube.position.x / 0.1)},${Math.round(cube.position.y / 0.1)},${Math.round(cube.position.z / 0.1)}`;
-        occupiedGridRef.current.delete(gridKey);
-        sceneRef.current.remove(cube);
-        cubesRef.current.splice(i, 1);
-        erased = true;
+  // Split hand mode: the off hand erases with a pinch or holds a color palette the tool hand picks from
+  const handleOffHand = useCallback(
+    (ctx, offHand, toolHand) => {
+      const state = offHandRef.current;
+      const tool = currentHandToolsRef.current.offHand;
+
+      // Close the off-hand erase group unless the tool hand is mid-stroke (it closes the group itself)
+      const stopErasing = () => {
+        if (state.erasing && !activeStrokeRef.current) historyRef.current.endGroup();
+        state.erasing = false;
+        state.last = null;
+      };
+
+      if (!offHand || tool !== "erase") stopErasing();
+      if (!offHand || tool !== "palette") {
+        state.hoverColor = null;
+        state.hoverFrames = 0;
+      }
+      if (!offHand) return;
+
+      if (tool === "erase") {
+        if (!gestureEngineRef.current.isPinchClosed(offHand)) {
+          stopErasing();
+          return;
+        }
+
+        const indexTip = gestureEngineRef.current.mapToReach(offHand[8]);
+        const erasePosition = new THREE.Vector3(-(indexTip.x - 0.5) * 8, -(indexTip.y - 0.5) * 8, indexTip.z * 1 + 0.3);
+        if (!state.last || erasePosition.distanceTo(state.last) > 0.01) {
+          eraseAt(erasePosition, 0.2);
+          state.last = erasePosition;
+          state.erasing = true;
+          setGestureStatus("🧽 Off hand erasing...");
+        }
+      } else if (tool === "palette") {
+        const colors = paletteRef.current;
+        if (colors.length === 0) return;
+
+        // Swatches fan out in an arc above the off-hand palm
+        const palm = offHand[9];
+        const centerX = (1 - palm.x) * ctx.canvas.width;
+        const centerY = palm.y * ctx.canvas.height;
+        const tip = toolHand ? { x: (1 - toolHand[8].x) * ctx.canvas.width, y: toolHand[8].y * ctx.canvas.height } : null;
+
+        let hovered = null;
+        colors.forEach((color, index) => {
+          const angle = Math.PI + (Math.PI * (index + 0.5)) / colors.length;
+          const x = centerX + Math.cos(angle) * PALETTE_RADIUS;
+          const y = centerY + Math.sin(angle) * PALETTE_RADIUS;
+          const isHovered = tip && Math.hypot(tip.x - x, tip.y - y) < PALETTE_SWATCH_RADIUS + 4;
+          if (isHovered) hovered = color;
+
+          ctx.beginPath();
+          ctx.arc(x, y, isHovered ? PALETTE_SWATCH_RADIUS + 4 : PALETTE_SWATCH_RADIUS, 0, Math.PI * 2);
+          ctx.fillStyle = color;
+          ctx.fill();
+          ctx.lineWidth = 2;
+          ctx.strokeStyle = isHovered ? "#ffffff" : "rgba(255,255,255,0.5)";
+          ctx.stroke();
+        });
+
+        // Picking needs a short hover so sweeping across the palette doesn't change color
+        state.hoverFrames = hovered && hovered === state.hoverColor ? state.hoverFrames + 1 : 0;
+        state.hoverColor = hovered;
+        if (hovered && state.hoverFrames === PALETTE_DWELL_FRAMES && onColorPickRef.current) {
+          onColorPickRef.current(hovered);
+          setGestureStatus(`🎨 Picked ${hovered}`);
+        }
       }
+    },
+    [eraseAt]
+  );
+
+  // Switch between hand tracking and mouse/touch/stylus input
+  useEffect(() => {
+    currentInputModeRef.current = inputMode;
+    finalizeStroke();
+    lastDrawPositionRef.current = null;
+    if (pointerInputRef.current) pointerInputRef.current.setEnabled(inputMode === "pointer");
+    if (inputMode === "pointer") {
+      setGestureStatus("🖱️ Drag to draw · Wheel = depth · Right-drag = rotate · Pinch / Ctrl+wheel = zoom");
+    }
+  }, [inputMode, finalizeStroke]);
+
+  // Brush or tool changes start a fresh stroke
+  useEffect(() => {
+    finalizeStroke();
+  }, [selectedColor, brushSize, brushMode, activeTool, finalizeStroke]);
+
+  // Leaving the select tool puts the selection back
+  useEffect(() => {
+    if (activeTool !== "select") dropSelection();
+  }, [activeTool, dropSelection]);
+
+  // Undo/Redo
+  window.undo = useCallback(() => {
+    if (!sceneRef.current) return;
+    finalizeStroke();
+    dropSelection();
+    if (historyRef.current.undo(applyOperation)) setGestureStatus("↩️ Undo");
+  }, [finalizeStroke, dropSelection, applyOperation]);
+
+  window.redo = useCallback(() => {
+    if (!sceneRef.current) return;
+    finalizeStroke();
+    dropSelection();
+    if (historyRef.current.redo(applyOperation)) setGestureStatus("↪️ Redo");
+  }, [finalizeStroke, dropSelection, applyOperation]);
+
+  // File operations
+  // Interface settings saved with projects (the interface applies them when a project loads)
+  const projectSettingsRef = useRef(null);
+  projectSettingsRef.current = {
+    color: selectedColor,
+    brushSize,
+    brushMode,
+    symmetry,
+    smoothing,
+    handTools,
+    showGrid,
+    videoOpacity,
+    glove: selectedGlove,
+  };
+
+  // Put a saved reference image back on the image plane, or hide the plane
+  const restoreImage = useCallback((image) => {
+    const mesh = imageMeshRef.current;
+    if (!mesh) return;
+    if (!image) {
+      mesh.visible = false;
+      mesh.material.opacity = 0;
+      imageSourceRef.current = null;
+      return;
+    }
+
+    new THREE.TextureLoader().load(
+      image.src,
+      (texture) => {
+        texture.colorSpace = THREE.SRGBColorSpace;
+        imageTextureRef.current = texture;
+        imageSourceRef.current = image.src;
+
+        mesh.material = new THREE.MeshBasicMaterial({
+          map: texture,
+          transparent: true,
+          opacity: image.opacity !== undefined ? image.opacity : 1,
+          side: THREE.DoubleSide,
+          depthWrite: false,
+          depthTest: true,
+        });
+        const imageAspect = texture.image ? texture.image.width / texture.image.height : 4 / 3;
+        mesh.geometry.dispose();
+        mesh.geometry = new THREE.PlaneGeometry(4, 4 / imageAspect);
+
+        if (image.position) mesh.position.set(image.position.x, image.position.y, image.position.z);
+        if (image.rotation) mesh.rotation.set(image.rotation.x, image.rotation.y, image.rotation.z);
+        if (image.scale) mesh.scale.set(image.scale.x, image.scale.y, image.scale.z);
+        mesh.visible = image.visible !== false;
+      },
+      undefined,
+      () => setGestureStatus("❌ Failed to load project image")
+    );
+  }, []);
+
+  // Current drawing as project data (shared by saving and autosave)
+  const buildProject = useCallback(() => {
+    const images = [];
+    const imageMesh = imageMeshRef.current;
+    if (imageMesh && imageMesh.visible && imageSourceRef.current) {
+      images.push({
+        src: imageSourceRef.current,
+        visible: true,
+        opacity: imageMesh.material.opacity,
+        position: { x: imageMesh.position.x, y: imageMesh.position.y, z: imageMesh.position.z },
+        rotation: { x: imageMesh.rotation.x, y: imageMesh.rotation.y, z: imageMesh.rotation.z },
+        scale: { x: imageMesh.scale.x, y: imageMesh.scale.y, z: imageMesh.scale.z },
+      });
     }
-    return erased;
+
+    const camera = cameraRef.current;
+    const scene = sceneRef.current;
+    return ProjectSchema.create({
+      layers: layersRef.current ? layersRef.current.toJSON() : [],
+      view:
+        camera && scene
+          ? {
+              camera: { position: { x: camera.position.x, y: camera.position.y, z: camera.position.z } },
+              rotation: { x: scene.rotation.x, y: scene.rotation.y, z: scene.rotation.z },
+            }
+          : null,
+      images,
+      settings: projectSettingsRef.current,
+    });
+  }, []);
+
+  // Small JPEG of the current view for the project library
+  const captureThumbnail = useCallback(() => {
+    const renderer = rendererRef.current;
+    if (!renderer || !sceneRef.current || !cameraRef.current) return null;
+
+    // The drawing buffer is only readable right after rendering, so render and copy in the same task
+    if (visualEffectsRef.current) visualEffectsRef.current.render();
+    else renderer.render(sceneRef.current, cameraRef.current);
+
+    const source = renderer.domElement;
+    const scale = Math.min(1, THUMBNAIL_WIDTH / source.width);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    const ctx = canvas.getContext("2d");
+    // The renderer is transparent over the video, so give the thumbnail the app background
+    ctx.fillStyle = "#0a0a1a";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/jpeg", THUMBNAIL_QUALITY);
   }, []);
 
   // File operations
   window.saveProject = useCallback(() => {
-    const data = {
-      cubes: cubesRef.current.map((cube) => ({
-        position: { x: cube.position.x, y: cube.position.y, z: cube.position.z },
-        color: cube.material.color.getHex(),
-        size: cube.geometry.parameters.width,
-      })),
-      timestamp: new Date().toISOString(),
-    };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `air-brush-${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, []);
+    dropSelection();
+    const project = buildProject();
+    downloadBlob(new Blob([JSON.stringify(project, null, 2)], { type: "application/json" }), `air-brush-${Date.now()}.json`);
+  }, [dropSelection, buildProject]);
 
+  // Load a project (older formats are migrated); returns ProjectSchema.parse's {ok, project, errors, fromVersion}
   window.loadProject = useCallback(
     (jsonData) => {
+      const result = ProjectSchema.parse(jsonData);
+      if (!result.ok) return result;
+      if (!layersRef.current) {
+        return { ...result, ok: false, errors: [{ path: "", message: "The scene is still starting, try again in a moment" }] };
+      }
+
+      const { project } = result;
       try {
-        const data = typeof jsonData === "string" ? JSON.parse(jsonData) : jsonData;
-        if (!data.cubes || !Array.isArray(data.cubes)) return false;
-        cubesRef.current.forEach((cube) => {
-          if (sceneRef.current) sceneRef.current.remove(cube);
-        });
-        cubesRef.current = [];
-        occupiedGridRef.current.clear();
-        data.cubes.forEach((cubeData) => createCube(cubeData.position, cubeData.color, cubeData.size));
-        historyRef.current.undo = [];
-        historyRef.current.redo = [];
-        lastSaveTimeRef.current = 0;
-        saveState();
-        return true;
+        finalizeStroke();
+        dropSelection();
+        layersRef.current.load(project.layers);
+
+        if (project.view) {
+          if (project.view.camera) {
+            const { x, y, z } = project.view.camera.position;
+            cameraRef.current.position.set(x, y, z);
+          }
+          if (project.view.rotation) {
+            const { x, y, z } = project.view.rotation;
+            sceneRef.current.rotation.set(x, y, z);
+          }
+        }
+        restoreImage(project.images[0]);
+
+        historyRef.current.clear();
+        return result;
       } catch (e) {
-        return false;
+        return { ...result, ok: false, errors: [{ path: "", message: `Could not rebuild the drawing (${e.message})` }] };
       }
     },
-    [createCube, saveState]
+    [finalizeStroke, dropSelection, restoreImage]
   );
 
   window.exportAsImage = useCallback(() => {
@@ -334,17 +1032,128 @@ function HandDrawingScene({
     }
   }, []);
 
+  window.exportGLTF = useCallback(
+    async (options = {}) => {
+      if (!layersRef.current) return;
+      finalizeStroke();
+      dropSelection();
+
+      const binary = options.binary !== false;
+      const exporter = new ModelExporter({ includeImages: options.includeImages });
+      try {
+        const result = await exporter.exportGLTF(layersRef.current, { binary, images: [imageMeshRef.current] });
+        const blob = binary
+          ? new Blob([result], { type: "model/gltf-binary" })
+          : new Blob([JSON.stringify(result)], { type: "model/gltf+json" });
+        downloadBlob(blob, `air-brush-${Date.now()}.${binary ? "glb" : "gltf"}`);
+        setGestureStatus(`📦 Exported ${binary ? "GLB" : "glTF"}`);
+      } catch (e) {
+        console.error("glTF export failed:", e);
+        setGestureStatus("❌ Export failed");
+      }
+    },
+    [finalizeStroke, dropSelection]
+  );
+
+  window.exportPrintModel = useCallback(
+    (format = "stl", options = {}) => {
+      if (!layersRef.current) return;
+      finalizeStroke();
+      dropSelection();
+
+      const exporter = new ModelExporter({ printScale: options.scale });
+      const baseName = `air-brush-${Date.now()}`;
+      if (format === "obj") {
+        const files = exporter.exportOBJ(layersRef.current, `${baseName}.mtl`);
+        if (!files) {
+          setGestureStatus("⚠️ No voxels to export");
+          return;
+        }
+        downloadBlob(new Blob([files.obj], { type: "text/plain" }), `${baseName}.obj`);
+        downloadBlob(new Blob([files.mtl], { type: "text/plain" }), `${baseName}.mtl`);
+      } else {
+        const stl = exporter.exportSTL(layersRef.current);
+        if (!stl) {
+          setGestureStatus("⚠️ No voxels to export");
+          return;
+        }
+        downloadBlob(new Blob([stl], { type: "model/stl" }), `${baseName}.stl`);
+      }
+      setGestureStatus(`🖨️ Exported ${format.toUpperCase()}`);
+    },
+    [finalizeStroke, dropSelection]
+  );
+
+  window.exportVox = useCallback(() => {
+    if (!layersRef.current) return;
+    finalizeStroke();
+    dropSelection();
+
+    const cubes = [];
+    layersRef.current.layers.forEach((layer) => {
+      if (layer.visible) layer.voxels.forEach((voxel) => cubes.push(voxel));
+    });
+    if (cubes.length === 0) {
+      setGestureStatus("⚠️ No voxels to export");
+      return;
+    }
+
+    const model = VoxModel.fromCubes(cubes);
+    downloadBlob(new Blob([model.toBinary()], { type: "application/octet-stream" }), `air-brush-${Date.now()}.vox`);
+    setGestureStatus(`🟫 Exported ${model.voxels.length} voxels${model.palette.length === 255 ? " (colors reduced)" : ""}`);
+  }, [finalizeStroke, dropSelection]);
+
+  // MagicaVoxel models load like a saved project with a single layer
+  window.importVox = useCallback((buffer, name = "MagicaVoxel") => {
+    try {
+      const model = VoxModel.fromBinary(buffer);
+      return window.loadProject({ layers: [{ name, cubes: model.toCubes(), strokes: [] }] });
+    } catch (e) {
+      return { ok: false, project: null, errors: [{ path: "", message: e.message }], fromVersion: null };
+    }
+  }, []);
+
+  // Offline 360° orbit of the drawing; options: {format: "webm" | "gif", width, height, frames, fps, onProgress(done, total)}
+  window.exportTurntable = useCallback(
+    async (options = {}) => {
+      if (!layersRef.current || !rendererRef.current || turntableRef.current) return;
+      finalizeStroke();
+      dropSelection();
+
+      const format = options.format === "gif" ? "gif" : "webm";
+      const exporter = new TurntableExporter(rendererRef.current, sceneRef.current, options);
+      turntableRef.current = exporter;
+      try {
+        const blob = await exporter.export(layersRef.current, { format, startCamera: cameraRef.current, onProgress: options.onProgress });
+        if (blob) {
+          downloadBlob(blob, `air-brush-turntable-${Date.now()}.${format}`);
+          setGestureStatus(`🔄 Exported turntable ${format.toUpperCase()}`);
+        } else if (!exporter.cancelled) {
+          setGestureStatus("⚠️ Nothing to render");
+        }
+      } catch (e) {
+        console.error("Turntable export failed:", e);
+        setGestureStatus(`❌ ${e.message}`);
+      } finally {
+        exporter.dispose();
+        turntableRef.current = null;
+      }
+    },
+    [finalizeStroke, dropSelection]
+  );
+
+  window.cancelTurntable = useCallback(() => {
+    if (turntableRef.current) turntableRef.current.cancel();
+  }, []);
+
   window.clearScene = useCallback(() => {
-    if (sceneRef.current) {
-      cubesRef.current.forEach((cube) => sceneRef.current.remove(cube));
-      cubesRef.current = [];
-      occupiedGridRef.current.clear();
-      historyRef.current.undo = [];
-      historyRef.current.redo = [];
-      lastSaveTimeRef.current = 0;
-      saveState();
+    if (sceneRef.current && layersRef.current) {
+      finalizeStroke();
+      dropSelection();
+      layersRef.current.clear();
+      historyRef.current.clear();
     }
-  }, [saveState]);
+  }, [finalizeStroke, dropSelection]);
 
   // Draw futuristic hand
   const drawFuturisticHand = (ctx, landmarks, gloveStyle) => {
@@ -461,6 +1270,57 @@ function HandDrawingScene({
     imageManipulatorRef.current = new ImageManipulator(scene);
     visualEffectsRef.current = new VisualEffects(renderer, scene, camera);
 
+    // Drawing layers, each with instanced voxel storage and tube strokes. They move into a rebuilt
+    // scene instead of being recreated, so the drawing and the undo history pointing into it survive.
+    if (layersRef.current) {
+      layersRef.current.setParent(scene);
+    } else {
+      layersRef.current = new LayerManager(scene, {
+        onChange: (layers) => window.dispatchEvent(new CustomEvent("layersChanged", { detail: layers })),
+      });
+    }
+
+    // Layer panel API; deleting or merging layers drops undo history that may point at them
+    window.layers = {
+      list: () => (layersRef.current ? layersRef.current.describe() : []),
+      add: (name) => {
+        finalizeStroke();
+        dropSelection();
+        layersRef.current.addLayer(name);
+      },
+      remove: (id) => {
+        finalizeStroke();
+        dropSelection();
+        if (layersRef.current.removeLayer(id)) historyRef.current.clear();
+      },
+      setActive: (id) => {
+        finalizeStroke();
+        dropSelection();
+        layersRef.current.setActive(id);
+      },
+      rename: (id, name) => layersRef.current.rename(id, name),
+      setVisible: (id, visible) => layersRef.current.setVisible(id, visible),
+      setLocked: (id, locked) => layersRef.current.setLocked(id, locked),
+      setOpacity: (id, opacity) => layersRef.current.setOpacity(id, opacity),
+      move: (id, direction) => layersRef.current.moveLayer(id, direction),
+      mergeDown: (id) => {
+        finalizeStroke();
+        dropSelection();
+        if (layersRef.current.mergeDown(id)) historyRef.current.clear();
+      },
+    };
+    window.dispatchEvent(new CustomEvent("layersChanged", { detail: layersRef.current.describe() }));
+
+    // Floating selection for the select tool
+    selectionRef.current = new Selection(scene, visualEffectsRef.current);
+
+    // Mouse, touch and stylus input
+    pointerInputRef.current = new PointerInput(pointerSurfaceRef.current, { onAction: handleInputAction });
+    pointerInputRef.current.setEnabled(currentInputModeRef.current === "pointer");
+
+    // Symmetry guide and mirrored drawing
+    symmetryRef.current = new Symmetry(scene, currentSymmetryRef.current);
+
     // Enhanced lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     scene.add(ambientLight);
@@ -512,24 +1372,48 @@ function HandDrawingScene({
     });
     handsRef.current = hands;
 
-    hands.onResults((results) => {
+    // Hand pipeline for one frame of results, live from the camera or replayed from a session
+    const processResults = (results) => {
       try {
         if (!ctxRef.current) return;
         const ctx = ctxRef.current;
         ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 
-        const numHands = results.multiHandLandmarks ? results.multiHandLandmarks.length : 0;
+        // Pointer input mode - hands are not tracked (replays still run, e.g. in CI without a camera)
+        if (currentInputModeRef.current === "pointer" && !sessionPlayerRef.current) {
+          setHandCount(0);
+          setHandDetected(false);
+          return;
+        }
+
+        // Give hands stable left/right identities (tool hand first), then smooth landmarks once so
+        // tracking, gestures and drawing all see the same positions
+        const identity = handIdentityRef.current.resolve(results.multiHandLandmarks || [], results.multiHandedness || []);
+        const handIds = identity.ids;
+        // Replayed frames carry their recorded time so filtering is deterministic
+        const frameTime = results.timestamp !== undefined ? results.timestamp : performance.now();
+        const multiHandLandmarks = landmarkFilterRef.current.filter(identity.landmarks, frameTime, handIds);
+        const numHands = multiHandLandmarks.length;
         setHandCount(numHands);
+        setHandSides(handIds.map((id) => (id === "left" ? "L" : "R")).join(" + "));
 
         if (numHands === 0) {
           setHandDetected(false);
           setGestureStatus("Show your hand to camera");
-          prevTwoHandDistRef.current = null;
+          finalizeStroke();
+          offHandRef.current = { erasing: false, last: null, hoverColor: null, hoverFrames: 0 };
           if (gestureEngineRef.current) gestureEngineRef.current.reset();
+          gestureBindingsRef.current.reset();
           if (handTrackerRef.current) handTrackerRef.current.clearAllHands();
           return;
         }
 
+        // In split mode the off hand has its own tool; the tool hand drives everything else
+        const offHandIndex = currentHandToolsRef.current.mode === "split" ? handIds.indexOf(handIdentityRef.current.offHand) : -1;
+        const offHand = offHandIndex !== -1 ? multiHandLandmarks[offHandIndex] : null;
+        const toolHands = multiHandLandmarks.filter((landmarks, index) => index !== offHandIndex);
+        const toolHandIds = handIds.filter((id, index) => index !== offHandIndex);
+
         setHandDetected(true);
 
         // Always show video/camera view - no Matrix overlay when hands detected
@@ -544,18 +1428,23 @@ function HandDrawingScene({
 
         // Update HandTracker with new landmarks
         if (handTrackerRef.current) {
-          handTrackerRef.current.update(results.multiHandLandmarks);
+          handTrackerRef.current.update(multiHandLandmarks, handIds);
         }
 
+        // Calibration steps are recorded from the tool hand
+        if (toolHands.length > 0) gestureCalibrationRef.current.capture(toolHands[0], frameTime);
+
         // Update GestureEngine with new landmarks
         let gestures = null;
         if (gestureEngineRef.current) {
-          gestureEngineRef.current.updateLastLandmarks(results.multiHandLandmarks);
-          gestures = gestureEngineRef.current.analyze(results.multiHandLandmarks);
+          // Movement gestures (drag, rotation) compare against the previous frame, so it is replaced after analyzing;
+          // the frame time keeps gesture timing (hold frames, motion templates) deterministic in replays
+          gestures = gestureEngineRef.current.analyze(toolHands, toolHandIds, frameTime);
+          gestureEngineRef.current.updateLastLandmarks(toolHands, toolHandIds);
 
           // Update AirBrushHUD with gesture info
-          if (airBrushHUDRef.current && results.multiHandLandmarks.length > 0) {
-            const primaryHand = results.multiHandLandmarks[0];
+          if (airBrushHUDRef.current && toolHands.length > 0) {
+            const primaryHand = toolHands[0];
             const pinch = primaryHand && primaryHand[8] ? primaryHand[8] : null;
             if (pinch) {
               const pos = new THREE.Vector3(-(pinch.x - 0.5) * 5, -(pinch.y - 0.5) * 5, pinch.z * 2 + 1);
@@ -584,7 +1473,7 @@ function HandDrawingScene({
         }
 
         // Draw hands with enhanced visuals
-        results.multiHandLandmarks.forEach((landmarks, index) => {
+        multiHandLandmarks.forEach((landmarks, index) => {
           drawFuturisticHand(ctx, landmarks, currentGloveRef.current);
 
           // Add glowing dots on joints - smaller for better detail
@@ -602,246 +1491,70 @@ function HandDrawingScene({
           });
         });
 
-        // Handle gesture-based interactions using new Jarvis system
-        // NEW BEHAVIOR: Draw directly on finger movement, pinch to stop
-        if (gestures && gestures.drag && gestures.drag.isActive) {
-          // Get drag position for drawing
-          const drawPosition = new THREE.Vector3(
-            -(gestures.drag.position.x - 0.5) * 8,
-            -(gestures.drag.position.y - 0.5) * 8,
-            (gestures.drag.position.z || 0) * 1 + 0.3
-          );
-
-          // Check if pinching - if so, STOP drawing (safety feature)
-          const isPinching = gestures.pinch && gestures.pinch.isActive && gestures.pinch.confidence > 0.5;
-
-          if (isPinching) {
-            // Pinch detected - stop drawing/erasing
-            isPinchingRef.current = true;
-            wasDrawingRef.current = false;
-            lastDrawPositionRef.current = null;
-
-            if (currentToolRef.current === "draw") {
-              setGestureStatus("✋ Pinch held - Drawing paused");
-            } else {
-              setGestureStatus("✋ Pinch held - Erasing paused");
-            }
-
-            // Add visual feedback for pinch stop
-            if (airBrushHUDRef.current) {
-              airBrushHUDRef.current.addParticle(drawPosition, "pinch");
-            }
-          } else {
-            // Not pinching - allow drawing/erasing on movement
-            isPinchingRef.current = false;
-
-            // Calculate distance moved
-            const distMoved = lastDrawPositionRef.current ? drawPosition.distanceTo(lastDrawPositionRef.current) : 0;
+        handleOffHand(ctx, offHand, toolHands[0]);
 
-            if (distMoved > 0.005) {
-              if (currentToolRef.current === "draw") {
-                // Draw mode - add cubes on movement
-                saveState();
-                addCube(drawPosition, currentColorRef.current, currentBrushSizeRef.current);
-                setGestureStatus(`✏️ Drawing... (${cubesRef.current.length} cubes)`);
-              } else {
-                // Erase mode - erase cubes on movement
-                saveState();
-                eraseCube(drawPosition, 0.2);
-                setGestureStatus(`🧽 Erasing...`);
-              }
-            }
-            lastDrawPositionRef.current = drawPosition.clone();
-          }
+        // Only the off hand is visible - end the tool hand's stroke and wait for it
+        if (toolHands.length === 0) {
+          if (activeStrokeRef.current) finalizeStroke();
+          lastDrawPositionRef.current = null;
+          if (!offHandRef.current.erasing) setGestureStatus("✋ Show your tool hand");
+          lastGestureRef.current = null;
+          return;
         }
 
-        // Handle two-hand zoom separately (outside the drag check)
-        if (gestures && gestures.twoHandZoom && gestures.twoHandZoom.isActive && cameraRef.current) {
-          if (gestures.twoHandZoom.confidence > 0.6) {
-            const zoomSpeed = 0.3;
-            if (gestures.twoHandZoom.direction > 0) {
-              // Hands apart - zoom IN
-              cameraRef.current.position.z = Math.max(1, cameraRef.current.position.z - zoomSpeed);
-              setGestureStatus("🔍 Zoom In (spread hands)");
-            } else {
-              // Hands together - zoom OUT
-              cameraRef.current.position.z = Math.min(20, cameraRef.current.position.z + zoomSpeed);
-              setGestureStatus("🔍 Zoom Out (pinch hands)");
-            }
-
-            // Also resize uploaded image if visible
-            if (imageMeshRef.current?.visible) {
-              const imageScaleSpeed = 0.1;
-              if (gestures.twoHandZoom.direction > 0) {
-                const newScale = Math.min(10, imageMeshRef.current.scale.x + imageScaleSpeed);
-                imageMeshRef.current.scale.set(newScale, newScale, 1);
-                setGestureStatus("🖼️ Zooming image in...");
-              } else {
-                const newScale = Math.max(0.5, imageMeshRef.current.scale.x - imageScaleSpeed);
-                imageMeshRef.current.scale.set(newScale, newScale, 1);
-                setGestureStatus("🖼️ Zooming image out...");
-              }
-            }
-          }
+        // Run the commands bound to held gestures
+        if (gestures) {
+          const ignore = currentToolRef.current === "select" ? SELECT_TOOL_GESTURES : [];
+          gestureBindingsRef.current.evaluate(gestures, frameTime, ignore).forEach(runGestureCommand);
         }
 
-        // Handle open palm for reset
-        if (gestures && gestures.openPalm && gestures.openPalm.isActive) {
-          isPinchingRef.current = false;
-          wasDrawingRef.current = false;
-          lastDrawPositionRef.current = null;
-
-          if (gestures.openPalm.confidence > 0.7) {
-            if (airBrushHUDRef.current) {
-              airBrushHUDRef.current.showSuccess(new THREE.Vector3(0, 0, 0));
-            }
-            if (physicsEngineRef.current) {
-              physicsEngineRef.current.objects.forEach((physicsData) => {
-                if (physicsData.object.name === "manipulatedObject") {
-                  physicsEngineRef.current.resetObject(physicsData.object, true, 500);
-                }
-              });
-            }
-            setGestureStatus("🔄 Reset with bounce effect");
-          }
+        // Select tool - gestures select and transform instead of drawing
+        if (currentToolRef.current === "select") {
+          handleSelectGestures(gestures && gestures.gestures, toolHands);
+          lastGestureRef.current = gestures?.primaryGesture;
+          return;
         }
 
-        // Handle closed fist for lock
-        if (gestures && gestures.closedFist && gestures.closedFist.isActive) {
-          interactionModeRef.current = "draw";
-          setGestureStatus("🔒 Interaction locked to draw");
-
-          if (navigator.vibrate) {
-            navigator.vibrate(50);
+        // Draw (or erase) while the index finger moves and pause while pinching. Both follow the gesture
+        // state machine, so a pinch must be held to pause and a one-frame flicker doesn't split the stroke.
+        const drag = gestures && gestures.gestures.drag;
+        const pinch = gestures && gestures.gestures.pinch;
+        if (pinch && pinch.isActive) {
+          if (!isPinchingRef.current) {
+            isPinchingRef.current = true;
+            finalizeStroke();
+            setGestureStatus(currentToolRef.current === "draw" ? "✋ Pinch held - Drawing paused" : "✋ Pinch held - Erasing paused");
           }
-        }
-
-        // Handle rotation
-        if (gestures && gestures.rotation && gestures.rotation.isActive) {
-          if (gestures.rotation.confidence > 0.5) {
-            const rotationAmount = gestures.rotation.angle * 0.1;
-
-            if (physicsEngineRef.current) {
-              physicsEngineRef.current.applyRotationImpulse(sceneRef.current, new THREE.Euler(rotationAmount, 0, 0));
-            }
-
-            sceneRef.current.rotation.x += rotationAmount;
-            setGestureStatus(`🔄 Rotating (${gestures.rotation.axis || "unknown"})`);
-
-            if (imageMeshRef.current?.visible) {
-              imageMeshRef.current.rotation.z += rotationAmount;
-              setGestureStatus(`🖼️ Rotating image...`);
-            }
+          lastDrawPositionRef.current = null;
+          if (airBrushHUDRef.current) {
+            const pinchPosition = new THREE.Vector3(pinch.position.worldX, pinch.position.worldY, pinch.position.worldZ);
+            airBrushHUDRef.current.addParticle(pinchPosition, "pinch");
           }
-        }
-
-        // Legacy fallback for backwards compatibility
-        if (!gestures || !gestures.drag || !gestures.drag.isActive) {
-          // Legacy fallback for backwards compatibility
-          if (numHands === 2) {
-            // Two-hand zoom (legacy support)
-            const landmarks1 = results.multiHandLandmarks[0];
-            const landmarks2 = results.multiHandLandmarks[1];
-
-            const index1 = landmarks1[8];
-            const index2 = landmarks2[8];
-            const twoHandDist = Math.sqrt(Math.pow(index1.x - index2.x, 2) + Math.pow(index1.y - index2.y, 2));
-
-            if (prevTwoHandDistRef.current !== null) {
-              const distChange = twoHandDist - prevTwoHandDistRef.current;
-              if (Math.abs(distChange) > 0.015 && cameraRef.current) {
-                if (distChange > 0) {
-                  // Hands apart - zoom IN
-                  cameraRef.current.position.z = Math.max(1, cameraRef.current.position.z - 0.2);
-                  setGestureStatus("🔍 Zoom In (spread hands)");
-                } else {
-                  // Hands together - zoom OUT
-                  cameraRef.current.position.z = Math.min(20, cameraRef.current.position.z + 0.2);
-                  setGestureStatus("🔍 Zoom Out (pinch hands)");
-                }
-              }
-            }
-            prevTwoHandDistRef.current = twoHandDist;
+        } else if (drag && drag.isActive) {
+          isPinchingRef.current = false;
+          const indexTip = gestureEngineRef.current.mapToReach(drag.position);
+          const drawPosition = new THREE.Vector3(-(indexTip.x - 0.5) * 8, -(indexTip.y - 0.5) * 8, indexTip.z * 1 + 0.3);
+
+          if (currentToolRef.current === "draw" && currentBrushModeRef.current === "tube") {
+            // Tube mode - grow one continuous stroke on movement
+            const stroke = extendStroke(drawPosition, currentColorRef.current, currentBrushSizeRef.current);
+            setGestureStatus(stroke ? `〰️ Drawing stroke... (${stroke.points.length} points)` : "🔒 Active layer is locked or hidden");
+          } else if (currentToolRef.current === "draw") {
+            // Draw mode - fill cubes along the movement
+            drawSegment(lastDrawPositionRef.current, drawPosition, currentColorRef.current, currentBrushSizeRef.current);
+            setGestureStatus(canEditActiveLayer() ? `✏️ Drawing... (${layersRef.current.count} cubes)` : "🔒 Active layer is locked or hidden");
           } else {
-            // Single hand - legacy pinch detection
-            prevTwoHandDistRef.current = null;
-            const landmarks = results.multiHandLandmarks[0];
-
-            // Pinch detection - use simpler distance-based detection
-            const indexTip = landmarks[8];
-            const thumbTip = landmarks[4];
-
-            // Calculate 3D distance between thumb and index
-            const pinchDist = Math.sqrt(
-              Math.pow(indexTip.x - thumbTip.x, 2) + Math.pow(indexTip.y - thumbTip.y, 2) + Math.pow(indexTip.z - thumbTip.z, 2)
-            );
-
-            // Use a simple distance threshold (no finger bend requirement)
-            const isPinching = pinchDist < 0.06; // Slightly relaxed threshold
-
-            const drawPosition = new THREE.Vector3(-(indexTip.x - 0.5) * 8, -(indexTip.y - 0.5) * 8, indexTip.z * 1 + 0.3);
-
-            if (isPinching) {
-              // Add particles for visual feedback
-              if (airBrushHUDRef.current) {
-                airBrushHUDRef.current.addParticle(drawPosition, "pinch");
-              }
-
-              // Pinch held - stop drawing, just track position
-              if (currentToolRef.current === "draw") {
-                if (!isPinchingRef.current) {
-                  isPinchingRef.current = true;
-                  wasDrawingRef.current = false;
-                  lastDrawPositionRef.current = null;
-                  setGestureStatus("✋ Pinch held - Move to draw");
-                }
-                lastDrawPositionRef.current = drawPosition.clone();
-              } else {
-                // Erase mode
-                const distMoved = lastDrawPositionRef.current ? drawPosition.distanceTo(lastDrawPositionRef.current) : 999;
-                if (distMoved > 0.01) {
-                  if (!wasDrawingRef.current) saveState();
-                  eraseCube(drawPosition, 0.2);
-                  lastDrawPositionRef.current = drawPosition.clone();
-                  wasDrawingRef.current = true;
-                  setGestureStatus("🧽 Erasing...");
-                }
-              }
-            } else {
-              // Pinch released - if moving, draw
-              if (isPinchingRef.current) {
-                isPinchingRef.current = false;
-                wasDrawingRef.current = true; // Enable drawing on move
-                if (currentToolRef.current === "draw") {
-                  setGestureStatus("✋ Release - Move hand to draw");
-                }
-              }
-
-              // If not pinching and wasDrawing is enabled, check for movement-based drawing
-              // Don't draw when ball physics mode is active
-              if (wasDrawingRef.current && currentToolRef.current === "draw") {
-                const distMoved = lastDrawPositionRef.current ? drawPosition.distanceTo(lastDrawPositionRef.current) : 0;
-                if (distMoved > 0.008) {
-                  if (!wasDrawingRef.current) saveState();
-                  addCube(drawPosition, currentColorRef.current, currentBrushSizeRef.current);
-                  lastDrawPositionRef.current = drawPosition.clone();
-                  setGestureStatus(`✏️ Drawing... (${cubesRef.current.length} cubes)`);
-                }
-              }
-
-              lastDrawPositionRef.current = drawPosition.clone();
-
-              // End physics drag
-              if (physicsEngineRef.current) {
-                physicsEngineRef.current.objects.forEach((physicsData) => {
-                  if (physicsData.isDragging) {
-                    physicsEngineRef.current.endDrag(physicsData.object);
-                  }
-                });
-              }
-
-              setGestureStatus(currentToolRef.current === "draw" ? "✋ Pinch & release, then move to draw" : "✋ Pinch to erase");
-            }
+            // Erase mode - erase cubes and strokes on movement
+            eraseAt(drawPosition, 0.2);
+            setGestureStatus("🧽 Erasing...");
+          }
+          lastDrawPositionRef.current = drawPosition;
+        } else {
+          // Finger at rest - the next movement continues from wherever it is then
+          lastDrawPositionRef.current = null;
+          if (isPinchingRef.current) {
+            isPinchingRef.current = false;
+            setGestureStatus(currentToolRef.current === "draw" ? "✋ Move your finger to draw" : "✋ Move your finger to erase");
           }
         }
 
@@ -851,8 +1564,99 @@ function HandDrawingScene({
         console.error("Error in hand tracking results:", error);
         setGestureStatus("❌ Hand tracking error - check console");
       }
+    };
+
+    // Live frames are recorded while a session recording runs, and ignored while a session replays
+    hands.onResults((results) => {
+      if (sessionPlayerRef.current) return;
+      if (sessionRecorderRef.current) sessionRecorderRef.current.addFrame(results);
+      processResults(results);
     });
 
+    // Forget per-hand tracking state so a replay starts the same way every time
+    const resetTracking = () => {
+      finalizeStroke();
+      landmarkFilterRef.current.reset();
+      handIdentityRef.current.reset();
+      if (gestureEngineRef.current) gestureEngineRef.current.reset();
+      gestureBindingsRef.current.reset();
+      lastDrawPositionRef.current = null;
+      isPinchingRef.current = false;
+    };
+
+    // Landmark session API: record the raw hand stream, save it, and replay it in place of the camera
+    const notifySession = () => {
+      window.dispatchEvent(new CustomEvent("landmarkSessionChanged", { detail: window.landmarkSession.status() }));
+    };
+    window.landmarkSession = {
+      status: () => ({
+        recording: Boolean(sessionRecorderRef.current),
+        replaying: Boolean(sessionPlayerRef.current),
+        frames: sessionRecorderRef.current ? sessionRecorderRef.current.length : 0,
+      }),
+      startRecording: () => {
+        sessionRecorderRef.current = new LandmarkSession({
+          meta: { recordedAt: new Date().toISOString(), userAgent: navigator.userAgent },
+        });
+        setGestureStatus("⏺ Recording landmarks...");
+        notifySession();
+      },
+      stopRecording: () => {
+        const session = sessionRecorderRef.current;
+        sessionRecorderRef.current = null;
+        notifySession();
+        return session;
+      },
+      save: (session, format = "json") => {
+        if (!session) return;
+        const binary = format === "binary";
+        const blob = binary
+          ? new Blob([session.toBinary()], { type: "application/octet-stream" })
+          : new Blob([JSON.stringify(session.toJSON())], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `air-brush-landmarks-${Date.now()}.${binary ? "alms" : "json"}`;
+        a.click();
+        URL.revokeObjectURL(url);
+      },
+      // source: LandmarkSession, session JSON, binary ArrayBuffer or a File; resolves when playback ends
+      replay: async (source, options = {}) => {
+        let session = source;
+        if (source instanceof ArrayBuffer) session = LandmarkSession.fromBinary(source);
+        else if (source instanceof Blob) session = await LandmarkSession.fromFile(source);
+        else if (!(source instanceof LandmarkSession)) session = LandmarkSession.fromJSON(source);
+
+        window.landmarkSession.stopReplay();
+        resetTracking();
+
+        return new Promise((resolve) => {
+          const player = new SessionPlayer(session, {
+            speed: options.speed,
+            onFrame: processResults,
+            onEnd: () => {
+              if (sessionPlayerRef.current !== player) return;
+              sessionPlayerRef.current = null;
+              resetTracking();
+              setGestureStatus(`📼 Replay finished (${session.length} frames)`);
+              notifySession();
+              resolve(session.length);
+            },
+          });
+          sessionPlayerRef.current = player;
+          notifySession();
+          if (options.instant) player.runAll();
+          else player.play();
+        });
+      },
+      stopReplay: () => {
+        const player = sessionPlayerRef.current;
+        if (!player) return;
+        player.stop();
+        player.onEnd();
+      },
+    };
+
     // Start camera
     const startCamera = async () => {
       try {
@@ -886,6 +1690,8 @@ function HandDrawingScene({
       } catch (error) {
         console.error("Camera error:", error);
         setHandDetected(false);
+        setGestureStatus("📷 No camera - switched to 🖱️ pointer input");
+        window.dispatchEvent(new CustomEvent("cameraUnavailable"));
       }
     };
 
@@ -932,6 +1738,8 @@ function HandDrawingScene({
       } else if (rendererRef.current && sceneRef.current && cameraRef.current) {
         rendererRef.current.render(sceneRef.current, cameraRef.current);
       }
+      // Composite for recording while the WebGL drawing buffer still holds this frame
+      if (compositorRef.current) compositorRef.current.drawFrame();
     };
     animate();
 
@@ -944,8 +1752,6 @@ function HandDrawingScene({
     window.addEventListener("resize", handleResize);
     handleResize();
 
-    saveState();
-
     return () => {
       window.removeEventListener("resize", handleResize);
       if (cameraMPRef.current) cameraMPRef.current.stop();
@@ -955,35 +1761,311 @@ function HandDrawingScene({
       if (physicsEngineRef.current) physicsEngineRef.current.dispose();
       if (airBrushHUDRef.current) airBrushHUDRef.current.dispose();
       if (visualEffectsRef.current) visualEffectsRef.current.dispose();
+      // Put a floating selection back on its layer, since the layers outlive this scene
+      dropSelection();
+      if (selectionRef.current) selectionRef.current.dispose();
+      selectionRef.current = null;
+      delete window.layers;
+      if (sessionPlayerRef.current) sessionPlayerRef.current.dispose();
+      sessionPlayerRef.current = null;
+      sessionRecorderRef.current = null;
+      delete window.landmarkSession;
+      if (symmetryRef.current) symmetryRef.current.dispose();
+      symmetryRef.current = null;
+      if (pointerInputRef.current) pointerInputRef.current.dispose();
+      pointerInputRef.current = null;
 
       if (rendererRef.current) rendererRef.current.dispose();
       document.body.removeChild(rendererRef.current.domElement);
     };
-  }, [saveState, addCube, eraseCube, showGrid]);
+  }, [
+    canEditActiveLayer,
+    drawSegment,
+    dropSelection,
+    eraseAt,
+    extendStroke,
+    finalizeStroke,
+    handleInputAction,
+    handleOffHand,
+    handleSelectGestures,
+    runGestureCommand,
+  ]);
+
+  // The drawing layers outlive scene rebuilds and are only released when the scene goes away
+  useEffect(
+    () => () => {
+      if (layersRef.current) layersRef.current.dispose();
+      layersRef.current = null;
+    },
+    []
+  );
+
+  // Autosave: snapshot the drawing after edits and offer the last snapshots on startup
+  useEffect(() => {
+    const autosave = new Autosave({ onError: (error) => console.warn("Autosave failed:", error) });
+    const history = historyRef.current;
+    autosaveRef.current = autosave;
+
+    // Empty scenes are not saved, so a reload cannot push the last real drawing out of the snapshots
+    const hasContent = () => layersRef.current && layersRef.current.layers.some((layer) => layer.voxels.count > 0 || layer.strokes.length > 0);
+    const scheduleSave = () => autosave.schedule(() => (hasContent() ? buildProject() : null));
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") autosave.flush();
+    };
+    history.onChange = scheduleSave;
+    window.addEventListener("layersChanged", scheduleSave);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    // Saving starts once the restore prompt is answered, so new edits cannot prune the snapshots on offer
+    window.autosave = {
+      list: () => autosave.list(),
+      restore: async (id) => {
+        const project = await autosave.load(id);
+        autosave.setEnabled(true);
+        if (!project) return { ok: false, project: null, errors: [{ path: "", message: "This snapshot no longer exists" }], fromVersion: null };
+        return window.loadProject(project);
+      },
+      dismiss: () => autosave.setEnabled(true),
+    };
+
+    autosave
+      .list()
+      .then((snapshots) => {
+        if (autosaveRef.current !== autosave) return;
+        if (snapshots.length > 0) window.dispatchEvent(new CustomEvent("autosaveAvailable", { detail: { snapshots } }));
+        else autosave.setEnabled(true);
+      })
+      .catch((error) => {
+        console.warn("Autosave unavailable:", error);
+      });
+
+    return () => {
+      history.onChange = null;
+      window.removeEventListener("layersChanged", scheduleSave);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      autosave.flush().finally(() => autosave.dispose());
+      autosaveRef.current = null;
+      delete window.autosave;
+    };
+  }, [buildProject]);
+
+  // Project library: named projects with thumbnails in IndexedDB
+  useEffect(() => {
+    const library = new ProjectLibrary();
+    const missing = { ok: false, project: null, errors: [{ path: "", message: "This project no longer exists" }], fromVersion: null };
+
+    window.library = {
+      list: (options) => library.list(options),
+      // Saves over the entry when an ID is given
+      save: (name, id) => {
+        finalizeStroke();
+        dropSelection();
+        return library.save({ id, name, project: buildProject(), thumbnail: captureThumbnail() });
+      },
+      open: async (id) => {
+        const project = await library.open(id);
+        return project ? window.loadProject(project) : missing;
+      },
+      rename: (id, name) => library.rename(id, name),
+      duplicate: (id) => library.duplicate(id),
+      remove: (id) => library.remove(id),
+      exportArchive: async () => {
+        const archive = await library.exportArchive();
+        downloadBlob(new Blob([JSON.stringify(archive)], { type: "application/json" }), `air-brush-library-${Date.now()}.json`);
+        return archive.projects.length;
+      },
+      importArchive: (text) => library.importArchive(text),
+    };
+
+    return () => {
+      library.dispose();
+      delete window.library;
+    };
+  }, [buildProject, captureThumbnail, finalizeStroke, dropSelection]);
 
-  // Keyboard
+  // Screen recording of the composited view (video + hand overlay + 3D scene)
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.ctrlKey || e.metaKey) {
-        if (e.key === "z") {
-          e.preventDefault();
-          window.undo();
-        } else if (e.key === "y") {
-          e.preventDefault();
-          window.redo();
-        } else if (e.key === "s") {
-          e.preventDefault();
-          window.saveProject();
-        } else if (e.key === "e") {
-          e.preventDefault();
-          window.exportAsImage();
+    // Read lazily, since the renderer is recreated when the scene effect re-runs
+    const sources = {
+      get video() {
+        return videoRef.current;
+      },
+      get overlay() {
+        return ctxRef.current ? ctxRef.current.canvas : null;
+      },
+      get scene() {
+        return rendererRef.current ? rendererRef.current.domElement : null;
+      },
+    };
+
+    window.recorder = {
+      formats: () => RecordingCompositor.supportedFormats(),
+      // options: {format, audio, layers: {video, hands, scene}}; resolves with the format in use
+      start: async (options = {}) => {
+        if (compositorRef.current) throw new Error("Already recording");
+        const compositor = new RecordingCompositor(sources, options);
+        try {
+          const format = await compositor.start();
+          compositorRef.current = compositor;
+          return format;
+        } catch (error) {
+          compositor.dispose();
+          throw error;
         }
+      },
+      pause: () => compositorRef.current && compositorRef.current.pause(),
+      resume: () => compositorRef.current && compositorRef.current.resume(),
+      setLayers: (layers) => compositorRef.current && compositorRef.current.setLayers(layers),
+      // Resolves with {blob, extension}, or null if nothing was recording
+      stop: async () => {
+        const compositor = compositorRef.current;
+        if (!compositor) return null;
+        const blob = await compositor.stop();
+        compositorRef.current = null;
+        const extension = compositor.format.extension;
+        compositor.dispose();
+        return { blob, extension };
+      },
+    };
+
+    return () => {
+      if (compositorRef.current) compositorRef.current.dispose();
+      compositorRef.current = null;
+      delete window.recorder;
+    };
+  }, []);
+
+  // Custom gestures: recorded poses and motions, kept in localStorage
+  useEffect(() => {
+    const templates = gestureTemplatesRef.current;
+    try {
+      const saved = localStorage.getItem(GESTURE_TEMPLATES_KEY);
+      if (saved) templates.load(saved);
+    } catch (error) {
+      console.warn("Could not load custom gestures:", error);
+    }
+
+    templates.onChange = (list) => {
+      try {
+        localStorage.setItem(GESTURE_TEMPLATES_KEY, JSON.stringify(templates));
+      } catch (error) {
+        console.warn("Could not save custom gestures:", error);
+      }
+      window.dispatchEvent(new CustomEvent("gestureTemplatesChanged", { detail: { templates: list } }));
+    };
+
+    window.gestureTemplates = {
+      list: () => templates.list(),
+      // Records one sample from the tool hand; resolves false if cancelled or nothing usable was captured
+      record: async (name, type) => {
+        const sample = await templates.record(type);
+        if (!sample) return false;
+        templates.addSample(name, type, sample);
+        return true;
+      },
+      cancel: () => templates.cancelRecording(),
+      remove: (name, sampleIndex) => templates.remove(name, sampleIndex),
+      exportSet: () => {
+        const set = templates.toJSON();
+        downloadBlob(new Blob([JSON.stringify(set, null, 2)], { type: "application/json" }), `air-brush-gestures-${Date.now()}.json`);
+        return set.templates.length;
+      },
+      importSet: (text) => templates.load(text),
+    };
+
+    return () => {
+      templates.cancelRecording();
+      templates.onChange = null;
+      delete window.gestureTemplates;
+    };
+  }, []);
+
+  // Gesture bindings: which gesture runs which command, kept in localStorage
+  useEffect(() => {
+    const bindings = gestureBindingsRef.current;
+    try {
+      const saved = localStorage.getItem(GESTURE_BINDINGS_KEY);
+      if (saved) bindings.load(saved);
+    } catch (error) {
+      console.warn("Could not load gesture bindings:", error);
+    }
+
+    bindings.onChange = (list) => {
+      try {
+        localStorage.setItem(GESTURE_BINDINGS_KEY, JSON.stringify(bindings));
+      } catch (error) {
+        console.warn("Could not save gesture bindings:", error);
+      }
+      window.dispatchEvent(new CustomEvent("gestureBindingsChanged", { detail: { bindings: list } }));
+    };
+
+    window.gestureBindings = {
+      list: () => bindings.list(),
+      commands: () => GESTURE_COMMANDS,
+      // Built-in gestures followed by the recorded ones
+      gestures: () => [
+        ...BINDABLE_GESTURES,
+        ...gestureTemplatesRef.current.list().map((template) => ({ id: CUSTOM_GESTURE_PREFIX + template.name, name: template.name, custom: true })),
+      ],
+      add: (binding) => bindings.add(binding),
+      change: (id, changes) => bindings.change(id, changes),
+      remove: (id) => bindings.remove(id),
+      resetToDefaults: () => bindings.resetToDefaults(),
+    };
+
+    return () => {
+      bindings.onChange = null;
+      delete window.gestureBindings;
+    };
+  }, []);
+
+  // Calibration profiles: per-user hand measurements for the gesture engine, kept in localStorage
+  useEffect(() => {
+    const calibration = gestureCalibrationRef.current;
+    const apply = () => {
+      if (gestureEngineRef.current) gestureEngineRef.current.updateConfig(calibration.getActive() || CALIBRATION_DEFAULTS);
+    };
+    try {
+      const saved = localStorage.getItem(GESTURE_CALIBRATION_KEY);
+      if (saved) calibration.load(saved);
+    } catch (error) {
+      console.warn("Could not load calibration profiles:", error);
+    }
+    apply();
+
+    calibration.onChange = (state) => {
+      try {
+        localStorage.setItem(GESTURE_CALIBRATION_KEY, JSON.stringify(calibration));
+      } catch (error) {
+        console.warn("Could not save calibration profiles:", error);
       }
+      apply();
+      window.dispatchEvent(new CustomEvent("gestureCalibrationChanged", { detail: state }));
+    };
+
+    window.gestureCalibration = {
+      steps: () => CALIBRATION_STEPS,
+      // Records one step from the tool hand; resolves false if cancelled or the hand was barely visible
+      record: async (stepId) => Boolean(await calibration.record(stepId)),
+      cancel: () => calibration.cancelRecording(),
+      measured: () => calibration.measuredSteps(),
+      restart: () => calibration.restart(),
+      save: (name) => calibration.save(name),
+      profiles: () => calibration.list(),
+      active: () => calibration.active,
+      use: (name) => calibration.use(name),
+      remove: (name) => calibration.remove(name),
+    };
+
+    return () => {
+      calibration.cancelRecording();
+      calibration.onChange = null;
+      delete window.gestureCalibration;
     };
-    window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
   }, []);
 
+  // Keyboard shortcuts are handled once in OpenAirBrushInterface
+
   return (
     <>
       {/* Video - visible as background */}
@@ -1037,6 +2119,22 @@ function HandDrawingScene({
         }}
       />
 
+      {/* Pointer input surface - only catches events in pointer mode */}
+      <div
+        ref={pointerSurfaceRef}
+        style={{
+          position: "fixed",
+          top: 0,
+          left: 0,
+          width: "100%",
+          height: "100%",
+          zIndex: 3,
+          pointerEvents: inputMode === "pointer" ? "auto" : "none",
+          touchAction: "none",
+          cursor: inputMode === "pointer" ? "crosshair" : "default",
+        }}
+      />
+
       {/* Uploaded Image Modal - only show when triggered */}
       {uploadedImage && showImageModal && (
         <div
@@ -1184,7 +2282,11 @@ function HandDrawingScene({
             fontSize: isMobile ? "12px" : "13px",
           }}
         >
-          {handDetected ? `✓ ${handCount} Hand${handCount > 1 ? "s" : ""}` : "⏳ No hand"}
+          {inputMode === "pointer"
+            ? "🖱️ Pointer input"
+            : handDetected
+            ? `✓ ${handCount} Hand${handCount > 1 ? "s" : ""} (${handSides})`
+            : "⏳ No hand"}
         </div>
 
         {/* Gesture Status */}
@@ -1212,12 +2314,12 @@ function HandDrawingScene({
         <div style={{ display: "flex", justifyContent: "center", gap: "8px", alignItems: "center", flexWrap: "wrap" }}>
           <span
             style={{
-              color: activeTool === "draw" ? "#00ff00" : "#ff6666",
+              color: activeTool === "draw" ? "#00ff00" : activeTool === "select" ? "#ffff00" : "#ff6666",
               fontSize: isMobile ? "12px" : "13px",
               fontWeight: "bold",
             }}
           >
-            {activeTool === "draw" ? "✏️ Draw" : "🧽 Erase"}
+            {activeTool === "draw" ? (brushMode === "tube" ? "〰️ Tube" : "✏️ Draw") : activeTool === "select" ? "🔲 Select" : "🧽 Erase"}
           </span>
 
           {isRecording && (
@@ -0,0 +1,173 @@
+import { render, act } from "@testing-library/react";
+import HandDrawingScene from "./HandDrawingScene";
+import ProjectSchema from "./ProjectSchema";
+import LandmarkSession from "./LandmarkSession";
+import GestureEngine from "./GestureEngine";
+
+// jsdom has no WebGL, camera or hand tracking, and jest cannot load three's post-processing addons
+jest.mock("three", () => {
+  const THREE = jest.requireActual("three");
+  class WebGLRenderer {
+    constructor() {
+      this.domElement = global.document.createElement("canvas");
+      global.mockRenderers.push(this);
+    }
+    setSize() {}
+    setPixelRatio() {}
+    render() {}
+    dispose() {}
+  }
+  return { ...THREE, WebGLRenderer };
+});
+jest.mock("./VisualEffects", () => {
+  const THREE = jest.requireActual("three");
+  return class VisualEffects {
+    createAnimatedGrid() {
+      return new THREE.Group();
+    }
+    createHolographicRing() {
+      return new THREE.Group();
+    }
+    addGlow() {}
+    removeGlow() {}
+    animateGrid() {}
+    setBloom() {}
+    setHolographic() {}
+    update() {}
+    render() {}
+    dispose() {}
+  };
+});
+jest.mock("./ModelExporter", () => class ModelExporter {});
+jest.mock("@mediapipe/hands", () => ({
+  Hands: class Hands {
+    setOptions() {}
+    onResults() {}
+    close() {}
+  },
+}));
+jest.mock("@mediapipe/camera_utils", () => ({ Camera: class Camera {} }));
+
+const cube = (x) => ({ position: { x, y: 0, z: 0 }, color: 0xff0000, size: 0.15 });
+
+// Synthetic MediaPipe hand (y grows downward) with its wrist at (x, 0.8): open, pinching thumb and index,
+// or a fist (the pinch with the thumb tip pulled away across the fingers)
+const hand = (shape, x) => {
+  const points = [[0.5, 0.8]];
+  if (shape === "open") points.push([0.45, 0.75], [0.41, 0.72], [0.38, 0.69], [0.35, 0.66]);
+  else points.push([0.46, 0.74], [0.45, 0.68], [0.46, 0.6], shape === "pinch" ? [0.47, 0.62] : [0.56, 0.68]);
+  [0.45, 0.5, 0.55, 0.6].forEach((fx) => (shape === "open" ? [0.6, 0.5, 0.45, 0.4] : [0.6, 0.52, 0.56, 0.6]).forEach((fy) => points.push([fx, fy])));
+  if (shape !== "open") points[8] = [0.47, 0.625];
+  return points.map(([px, py]) => ({ x: px + x - 0.5, y: py, z: 0 }));
+};
+
+// A 30 fps session replayed through the scene's hand pipeline (instantly unless playback options are given);
+// a frame is the right hand or [right, left]
+const replay = async (frames, options = { instant: true }) => {
+  const session = new LandmarkSession();
+  frames.forEach((frame, i) => {
+    const hands = Array.isArray(frame[0]) ? frame : [frame];
+    const multiHandedness = hands.map((landmarks, index) => ({ index, label: index === 0 ? "Right" : "Left", score: 0.9 }));
+    session.addFrame({ multiHandLandmarks: hands, multiHandedness }, i * 33);
+  });
+  await act(() => window.landmarkSession.replay(session, options));
+};
+
+// Canvas 2D context that accepts every drawing call
+const context2d = (canvas) => new Proxy({ canvas }, { get: (target, key) => (key in target ? target[key] : () => {}) });
+
+describe("HandDrawingScene", () => {
+  beforeEach(() => {
+    global.mockRenderers = [];
+    jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockImplementation(function getContext() {
+      return context2d(this);
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("a loaded project keeps its layers when the interface applies its showGrid setting", () => {
+    const { rerender, unmount } = render(<HandDrawingScene activeTool="draw" selectedColor="#00ffff" brushSize={0.15} showGrid videoOpacity={1} />);
+
+    let result;
+    act(() => {
+      result = window.loadProject(ProjectSchema.create({ layers: [{ name: "Sketch", cubes: [cube(0), cube(1)], strokes: [] }], settings: { showGrid: false } }));
+    });
+    expect(result.ok).toBe(true);
+
+    // What the interface does with the loaded settings
+    rerender(<HandDrawingScene activeTool="draw" selectedColor="#00ffff" brushSize={0.15} showGrid={result.project.settings.showGrid} videoOpacity={1} />);
+
+    expect(window.layers.list()).toEqual([expect.objectContaining({ name: "Sketch", count: 2 })]);
+    // Toggling the grid doesn't rebuild the scene
+    expect(global.mockRenderers).toHaveLength(1);
+    unmount();
+  });
+
+  test("draws while the finger moves and pauses while a pinch is held", async () => {
+    const { unmount } = render(<HandDrawingScene activeTool="draw" selectedColor="#00ffff" brushSize={0.15} showGrid videoOpacity={1} />);
+    const count = () => window.layers.list()[0].count;
+
+    await replay([0, 1, 2, 3, 4, 5, 6, 7].map((i) => hand("open", 0.3 + i * 0.03)));
+    expect(count()).toBeGreaterThan(0);
+
+    // The pinch is held before the hand moves, so none of the movement draws
+    const drawn = count();
+    await replay([0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((i) => hand("pinch", 0.5 + Math.max(0, i - 4) * 0.03)));
+    expect(count()).toBe(drawn);
+    unmount();
+  });
+
+  test("two fists spreading apart scale the selection", async () => {
+    const { unmount } = render(<HandDrawingScene activeTool="select" selectedColor="#00ffff" brushSize={0.15} showGrid videoOpacity={1} />);
+    // Two cubes under the pinched fingertip, which maps to (0.24, -1, 0.3)
+    act(() => {
+      window.loadProject(ProjectSchema.create({ layers: [{ name: "Layer 1", cubes: [cube(0.25), cube(0.4)].map((c) => ({ ...c, position: { ...c.position, y: -1, z: 0.3 } })), strokes: [] }] }));
+    });
+
+    // Tap the cubes with a pinch, let go, then spread both fists
+    const tap = [...new Array(8).fill(hand("pinch", 0.5)), ...new Array(8).fill(hand("fist", 0.5))];
+    const spread = [0, 1, 2, 3, 4, 5, 6, 7].map((i) => [hand("fist", 0.65 + i * 0.01), hand("fist", 0.35 - i * 0.01)]);
+    await replay([...tap, ...spread]);
+
+    // Saving drops the selection back onto its layer; jsdom has no object URLs, so the file is caught here
+    const blobs = [];
+    URL.createObjectURL = (blob) => {
+      blobs.push(blob);
+      return "blob:project";
+    };
+    URL.revokeObjectURL = () => {};
+    act(() => window.saveProject());
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+
+    const project = JSON.parse(await new Response(blobs[0]).text());
+    const [a, b] = project.layers[0].cubes;
+    expect(a.size).toBeGreaterThan(0.15);
+    expect(Math.abs(b.position.x - a.position.x)).toBeGreaterThan(0.2);
+    unmount();
+  });
+
+  test("replays give the same gestures at any playback speed", async () => {
+    const analyze = jest.spyOn(GestureEngine.prototype, "analyze");
+    const { unmount } = render(<HandDrawingScene activeTool="draw" selectedColor="#00ffff" brushSize={0.15} showGrid videoOpacity={1} />);
+    const frames = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map((i) => hand(i < 6 ? "open" : "pinch", 0.3 + i * 0.03));
+
+    const outputs = [];
+    for (const speed of [1, 4]) {
+      analyze.mockClear();
+      await replay(frames, { speed });
+      outputs.push(analyze.mock.results.map((result) => result.value));
+    }
+
+    expect(outputs[0]).toHaveLength(frames.length);
+    expect(outputs[0][11].gestures.pinch.isActive).toBe(true);
+    expect(outputs[1]).toEqual(outputs[0]);
+    unmount();
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * 🤚 Hand Identity
+ * Stable left/right identities for the hands MediaPipe detects
+ *
+ * Features:
+ * - Uses MediaPipe handedness, corrected for unmirrored camera input
+ * - Resolves duplicate labels by classification score
+ * - Keeps a hand's identity through single-frame label flicker
+ * - Orders hands dominant first (left-handed mode makes the left hand dominant)
+ *
+ * @module HandIdentity
+ */
+
+class HandIdentity {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      dominant: options.dominant || "right", // "right" | "left"
+      mirrored: options.mirrored || false, // True when frames are mirrored before detection
+      continuityDistance: options.continuityDistance || 0.12, // Max wrist jump (normalized) to keep a lone hand's identity
+    };
+
+    // State
+    this.lastWrists = new Map(); // Hand ID -> wrist position last frame
+  }
+
+  /**
+   * Assign identities to detected hands and order them dominant first
+   * @param {Array} landmarksArray - Array of hand landmark arrays from MediaPipe
+   * @param {Array} handedness - results.multiHandedness from MediaPipe
+   * @returns {Object} {landmarks, ids} - Reordered landmark arrays and their hand IDs
+   */
+  resolve(landmarksArray, handedness = []) {
+    if (!landmarksArray || landmarksArray.length === 0) {
+      this.reset();
+      return { landmarks: [], ids: [] };
+    }
+
+    const hands = landmarksArray.slice(0, 2).map((landmarks, index) => {
+      const classification = this._classification(handedness[index]);
+      return {
+        landmarks,
+        id: classification ? this._physicalHand(classification.label) : null,
+        score: classification ? classification.score : 0,
+      };
+    });
+
+    if (hands.length === 2) {
+      // MediaPipe occasionally labels both hands the same; the more confident one keeps the label
+      if (!hands[0].id || !hands[1].id || hands[0].id === hands[1].id) {
+        const [strong, weak] = hands[0].score >= hands[1].score ? hands : [hands[1], hands[0]];
+        strong.id = strong.id || this._nearestId(strong.landmarks[0]) || this.config.dominant;
+        weak.id = this._otherHand(strong.id);
+      }
+    } else {
+      // A lone hand that barely moved keeps last frame's identity (label flicker, other hand leaving)
+      const hand = hands[0];
+      hand.id = this._nearestId(hand.landmarks[0]) || hand.id || this.config.dominant;
+    }
+
+    hands.sort((a, b) => (a.id === this.config.dominant ? -1 : 0) - (b.id === this.config.dominant ? -1 : 0));
+
+    this.lastWrists.clear();
+    hands.forEach((hand) => this.lastWrists.set(hand.id, { x: hand.landmarks[0].x, y: hand.landmarks[0].y }));
+
+    return {
+      landmarks: hands.map((hand) => hand.landmarks),
+      ids: hands.map((hand) => hand.id),
+    };
+  }
+
+  /**
+   * Hand that is not the dominant one
+   * @returns {string} Hand ID
+   */
+  get offHand() {
+    return this._otherHand(this.config.dominant);
+  }
+
+  /**
+   * Top classification for one hand
+   * @private
+   */
+  _classification(entry) {
+    if (!entry) return null;
+    // Solutions API returns {label, score}; older builds wrap it in a classification list
+    const classification = Array.isArray(entry.classification) ? entry.classification[0] : entry;
+    return classification && classification.label ? classification : null;
+  }
+
+  /**
+   * MediaPipe labels assume a mirrored selfie image; this app feeds raw frames, so labels are swapped
+   * @private
+   */
+  _physicalHand(label) {
+    const id = label.toLowerCase() === "left" ? "left" : "right";
+    return this.config.mirrored ? id : this._otherHand(id);
+  }
+
+  /**
+   * Opposite hand
+   * @private
+   */
+  _otherHand(id) {
+    return id === "left" ? "right" : "left";
+  }
+
+  /**
+   * Identity of the previous-frame hand closest to a wrist, within the continuity distance
+   * @private
+   */
+  _nearestId(wrist) {
+    let nearestId = null;
+    let nearestDistance = this.config.continuityDistance;
+    this.lastWrists.forEach((last, id) => {
+      const distance = Math.hypot(wrist.x - last.x, wrist.y - last.y);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestId = id;
+      }
+    });
+    return nearestId;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config - Partial configuration
+   */
+  updateConfig(config) {
+    Object.assign(this.config, config);
+  }
+
+  /**
+   * Forget previous frames (e.g. when hands are lost)
+   */
+  reset() {
+    this.lastWrists.clear();
+  }
+}
+
+export default HandIdentity;
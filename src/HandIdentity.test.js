@@ -0,0 +1,54 @@
+import HandIdentity from "./HandIdentity";
+
+// Minimal hand: only the wrist matters for identity
+const hand = (x, y = 0.5) => Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+
+// MediaPipe labels assume a mirrored image, so a physical right hand is reported as "Left"
+const label = (mediaPipeLabel, score = 0.9) => ({ index: 0, label: mediaPipeLabel, score });
+
+describe("HandIdentity", () => {
+  test("maps MediaPipe labels to physical hands and orders the dominant hand first", () => {
+    const identity = new HandIdentity();
+    const left = hand(0.8);
+    const right = hand(0.2);
+
+    const { landmarks, ids } = identity.resolve([left, right], [label("Right"), label("Left")]);
+    expect(ids).toEqual(["right", "left"]);
+    expect(landmarks).toEqual([right, left]);
+  });
+
+  test("left-handed mode puts the left hand first", () => {
+    const identity = new HandIdentity({ dominant: "left" });
+    const { ids } = identity.resolve([hand(0.2), hand(0.8)], [label("Left"), label("Right")]);
+    expect(ids).toEqual(["left", "right"]);
+    expect(identity.offHand).toBe("right");
+  });
+
+  test("duplicate labels go to the more confident hand", () => {
+    const identity = new HandIdentity();
+    const { ids } = identity.resolve([hand(0.2), hand(0.8)], [label("Left", 0.6), label("Left", 0.95)]);
+    expect(ids).toEqual(["right", "left"]);
+
+    const { landmarks } = identity.resolve([hand(0.2), hand(0.8)], [label("Left", 0.6), label("Left", 0.95)]);
+    expect(landmarks[0][0].x).toBe(0.8);
+  });
+
+  test("a remaining hand keeps its identity when the other leaves or its label flickers", () => {
+    const identity = new HandIdentity();
+    identity.resolve([hand(0.2), hand(0.8)], [label("Left"), label("Right")]);
+
+    // Right hand leaves; the left hand is mislabelled for a frame
+    expect(identity.resolve([hand(0.81)], [label("Left")]).ids).toEqual(["left"]);
+    expect(identity.resolve([hand(0.82)], [label("Right")]).ids).toEqual(["left"]);
+
+    // After losing all hands, labels are trusted again
+    identity.resolve([], []);
+    expect(identity.resolve([hand(0.82)], [label("Left")]).ids).toEqual(["right"]);
+  });
+
+  test("falls back to the dominant hand without handedness", () => {
+    const identity = new HandIdentity();
+    expect(identity.resolve([hand(0.5)]).ids).toEqual(["right"]);
+    expect(identity.resolve([hand(0.5), hand(0.9)]).ids).toEqual(["right", "left"]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * ✌️ Hand Poses
+ * Static hand-pose classifier for finger counting and sign shortcuts
+ *
+ * Features:
+ * - Per-finger extension scores from the 21 landmarks, independent of hand size and rotation
+ * - Finger counts 1–5, counted the usual way: index first, thumb last
+ * - Signs: peace, thumbs up / down, point, rock and OK
+ * - Counts and signs are separate families and may overlap (two fingers up is also a peace sign)
+ * - Confidence is the weakest finger's match, 0.5 on the decision boundary
+ *
+ * @module HandPoses
+ */
+
+import GestureTemplates from "./GestureTemplates";
+
+// Poses, with the finger states they need: true = extended, false = curled, omitted = either
+export const HAND_POSES = [
+  { id: "fingers1", name: "1 finger", icon: "1️⃣", family: "count", fingers: { thumb: false, index: true, middle: false, ring: false, pinky: false } },
+  { id: "fingers2", name: "2 fingers", icon: "2️⃣", family: "count", fingers: { thumb: false, index: true, middle: true, ring: false, pinky: false } },
+  { id: "fingers3", name: "3 fingers", icon: "3️⃣", family: "count", fingers: { thumb: false, index: true, middle: true, ring: true, pinky: false } },
+  { id: "fingers4", name: "4 fingers", icon: "4️⃣", family: "count", fingers: { thumb: false, index: true, middle: true, ring: true, pinky: true } },
+  { id: "fingers5", name: "5 fingers", icon: "5️⃣", family: "count", fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true } },
+  { id: "peace", name: "Peace", icon: "✌️", family: "sign", fingers: { index: true, middle: true, ring: false, pinky: false } },
+  { id: "thumbsUp", name: "Thumbs up", icon: "👍", family: "sign", fingers: { thumb: true, index: false, middle: false, ring: false, pinky: false } },
+  { id: "thumbsDown", name: "Thumbs down", icon: "👎", family: "sign", fingers: { thumb: true, index: false, middle: false, ring: false, pinky: false } },
+  { id: "point", name: "Point", icon: "👉", family: "sign", fingers: { index: true, middle: false, ring: false, pinky: false } },
+  { id: "rock", name: "Rock", icon: "🤘", family: "sign", fingers: { index: true, middle: false, ring: false, pinky: true } },
+  { id: "ok", name: "OK", icon: "👌", family: "sign", fingers: { middle: true, ring: true, pinky: true } },
+];
+
+// Gesture type of the classified poses in GestureEngine results
+export const HAND_POSE_TYPE = "handPose";
+
+// [MCP, PIP, tip] landmarks of the four fingers
+const FINGERS = {
+  index: [5, 6, 8],
+  middle: [9, 10, 12],
+  ring: [13, 14, 16],
+  pinky: [17, 18, 20],
+};
+const WRIST = 0;
+const THUMB_MCP = 2;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const INDEX_TIP = 8;
+
+class HandPoses {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      curledRatio: options.curledRatio || 0.95, // Wrist-to-tip over wrist-to-PIP distance of a curled finger
+      extendedRatio: options.extendedRatio || 1.25, // ... and of an extended one
+      thumbTucked: options.thumbTucked || 0.35, // Thumb tip to index knuckle distance (palm units) of a tucked thumb
+      thumbSpread: options.thumbSpread || 0.75, // ... and of an extended one
+      okDistance: options.okDistance || 0.35, // Thumb-index tip distance (palm units) that still closes an OK sign
+    };
+  }
+
+  /**
+   * Score every pose for one hand
+   * @param {Array} landmarks - 21 landmarks
+   * @returns {Object} Gestures by pose ID: {type, isActive, confidence, family}
+   */
+  classify(landmarks) {
+    const palmSize = GestureTemplates.palmSize(landmarks);
+    const extension = this.fingerExtension(landmarks, palmSize);
+    const gestures = {};
+
+    HAND_POSES.forEach((pose) => {
+      let confidence = this._shapeScore(pose.id, landmarks, palmSize);
+      Object.entries(pose.fingers).forEach(([finger, extended]) => {
+        confidence = Math.min(confidence, extended ? extension[finger] : 1 - extension[finger]);
+      });
+      gestures[pose.id] = { type: HAND_POSE_TYPE, family: pose.family, isActive: confidence >= 0.5, confidence };
+    });
+    return gestures;
+  }
+
+  /**
+   * How extended each finger is: 0 curled, 1 extended, 0.5 in between
+   * @param {Array} landmarks - 21 landmarks
+   * @param {number} palmSize - Palm size, if already measured
+   * @returns {Object} {thumb, index, middle, ring, pinky}
+   */
+  fingerExtension(landmarks, palmSize = GestureTemplates.palmSize(landmarks)) {
+    const wrist = landmarks[WRIST];
+    const extension = {
+      // The thumb folds across the palm, so it counts as extended when its tip is away from the index knuckle
+      thumb: HandPoses._ramp(HandPoses._distance(landmarks[THUMB_TIP], landmarks[INDEX_MCP]) / palmSize, this.config.thumbTucked, this.config.thumbSpread),
+    };
+    Object.entries(FINGERS).forEach(([finger, [, pip, tip]]) => {
+      const ratio = HandPoses._distance(wrist, landmarks[tip]) / Math.max(1e-6, HandPoses._distance(wrist, landmarks[pip]));
+      extension[finger] = HandPoses._ramp(ratio, this.config.curledRatio, this.config.extendedRatio);
+    });
+    return extension;
+  }
+
+  /**
+   * Score of what a pose needs beyond finger states: direction or touching fingertips
+   * @private
+   */
+  _shapeScore(poseId, landmarks, palmSize) {
+    switch (poseId) {
+      case "thumbsUp":
+        return HandPoses._ramp(HandPoses._upness(landmarks[THUMB_MCP], landmarks[THUMB_TIP]), 0.2, 0.8);
+      case "thumbsDown":
+        return HandPoses._ramp(-HandPoses._upness(landmarks[THUMB_MCP], landmarks[THUMB_TIP]), 0.2, 0.8);
+      case "fingers1":
+        return HandPoses._ramp(HandPoses._upness(landmarks[INDEX_MCP], landmarks[INDEX_TIP]), 0.2, 0.8);
+      case "point":
+        // Pointing anywhere but up, which counts one
+        return HandPoses._ramp(HandPoses._upness(landmarks[INDEX_MCP], landmarks[INDEX_TIP]), 0.8, 0.2);
+      case "ok": {
+        const gap = HandPoses._distance(landmarks[THUMB_TIP], landmarks[INDEX_TIP]) / palmSize;
+        return HandPoses._ramp(gap, this.config.okDistance * 2, 0);
+      }
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * How much a joint-to-tip direction points up in the image, from -1 (down) to 1 (up)
+   * @private
+   */
+  static _upness(from, to) {
+    return (from.y - to.y) / Math.max(1e-6, Math.hypot(to.x - from.x, to.y - from.y));
+  }
+
+  /**
+   * 0 at low, 1 at high, clamped (low may be above high)
+   * @private
+   */
+  static _ramp(value, low, high) {
+    return Math.max(0, Math.min(1, (value - low) / (high - low)));
+  }
+
+  /**
+   * 3D distance between two landmarks
+   * @private
+   */
+  static _distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+  }
+}
+
+export default HandPoses;
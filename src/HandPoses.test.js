@@ -0,0 +1,75 @@
+import HandPoses, { HAND_POSES } from "./HandPoses";
+import GestureEngine from "./GestureEngine";
+
+// Synthetic hand in palm units, wrist at the origin and fingers up (-y), then rotated, scaled and placed
+const MCPS = { index: [-0.35, -0.95], middle: [0, -1], ring: [0.3, -0.95], pinky: [0.55, -0.85] };
+const THUMBS = {
+  out: [[-0.25, -0.25], [-0.45, -0.45], [-0.7, -0.62], [-1, -0.8]],
+  tucked: [[-0.25, -0.25], [-0.4, -0.4], [-0.25, -0.6], [-0.05, -0.7]],
+  ok: [[-0.25, -0.25], [-0.45, -0.5], [-0.6, -0.75], [-0.6, -1]],
+};
+const hand = (extended, thumb = "tucked", { angle = 0, scale = 0.2, x = 0.5, y = 0.7 } = {}) => {
+  const points = [[0, 0], ...THUMBS[thumb]];
+  Object.entries(MCPS).forEach(([finger, [mx, my]]) => {
+    if (extended.includes(finger)) points.push([mx, my], [mx, my - 0.45], [mx, my - 0.7], [mx, my - 0.9]);
+    else points.push([mx, my], [mx, my - 0.35], [mx, my - 0.15], [mx, my + 0.1]);
+  });
+  // OK: the index curls round to meet the thumb
+  if (thumb === "ok") points.splice(5, 4, [-0.35, -0.95], [-0.45, -1.3], [-0.6, -1.25], [-0.6, -1]);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(([px, py]) => ({ x: x + (px * cos - py * sin) * scale, y: y + (px * sin + py * cos) * scale, z: 0 }));
+};
+
+const activePoses = (landmarks) =>
+  Object.entries(new HandPoses().classify(landmarks))
+    .filter(([, pose]) => pose.isActive)
+    .map(([id]) => id);
+
+describe("HandPoses", () => {
+  test("counts fingers, index first", () => {
+    expect(activePoses(hand(["index"]))).toEqual(["fingers1"]);
+    expect(activePoses(hand(["index", "middle"]))).toEqual(["fingers2", "peace"]);
+    expect(activePoses(hand(["index", "middle", "ring"]))).toEqual(["fingers3"]);
+    expect(activePoses(hand(["index", "middle", "ring", "pinky"]))).toEqual(["fingers4"]);
+    expect(activePoses(hand(["index", "middle", "ring", "pinky"], "out"))).toEqual(["fingers5"]);
+    expect(activePoses(hand([]))).toEqual([]);
+  });
+
+  test("recognizes signs", () => {
+    expect(activePoses(hand(["index", "pinky"]))).toEqual(["rock"]);
+    expect(activePoses(hand(["middle", "ring", "pinky"], "ok"))).toEqual(["ok"]);
+    // Sideways index points; upright it counts one
+    expect(activePoses(hand(["index"], "tucked", { angle: Math.PI / 2 }))).toEqual(["point"]);
+    // Thumb out sideways from a fist, turned to point up or down
+    expect(activePoses(hand([], "out", { angle: Math.PI / 2 }))).toEqual(["thumbsUp"]);
+    expect(activePoses(hand([], "out", { angle: -Math.PI / 2 }))).toEqual(["thumbsDown"]);
+  });
+
+  test("doesn't depend on hand size, tilt or position", () => {
+    const poses = new HandPoses();
+    const near = poses.fingerExtension(hand(["index", "middle", "ring"]));
+    const far = poses.fingerExtension(hand(["index", "middle", "ring"], "tucked", { angle: 0.4, scale: 0.06, x: 0.2, y: 0.3 }));
+
+    Object.keys(near).forEach((finger) => expect(far[finger]).toBeCloseTo(near[finger]));
+    expect(activePoses(hand(["index", "middle", "ring"], "tucked", { angle: -0.4, scale: 0.06 }))).toEqual(["fingers3"]);
+  });
+
+  test("GestureEngine starts a pose once it is held, not while the hand passes through it", () => {
+    const engine = new GestureEngine();
+    const started = [];
+    engine.onGestureStart = (name, data) => data.type === "handPose" && started.push(name);
+    const frames = [
+      ...Array(3).fill(hand(["index"])), // On the way from one finger to three
+      ...Array(12).fill(hand(["index", "middle", "ring"])),
+      ...Array(12).fill(hand([], "out", { angle: Math.PI / 2 })),
+    ];
+    const results = frames.map((landmarks, i) => engine.analyze([landmarks], ["right"], i * 33));
+
+    expect(started).toEqual(["fingers3", "thumbsUp"]);
+    expect(results[14].hands.right.fingers3).toMatchObject({ isActive: true, state: "active" });
+    // Poses don't take the primary gesture from the interaction gestures
+    expect(results[14].primaryGesture).not.toBe("fingers3");
+    expect(HAND_POSES.every((pose) => pose.id in results[0].gestures)).toBe(true);
+  });
+});
@@ -8,6 +8,7 @@
  * - Skeleton lines with gradient colors
  * - Motion velocity vectors
  * - Depth-aware rendering
+ * - Per-hand state keyed by stable hand ID (left/right)
  *
  * @module HandTracker
  */
@@ -130,8 +131,9 @@ class HandTracker {
   /**
    * Process new MediaPipe landmarks and update 3D visualization
    * @param {Array} landmarksArray - Array of hand landmark arrays from MediaPipe
+   * @param {Array} handIds - Stable ID per hand, e.g. "left"/"right" (defaults to array index)
    */
-  update(landmarksArray) {
+  update(landmarksArray, handIds = null) {
     const now = Date.now();
     const deltaTime = (now - this.lastUpdateTime) / 1000;
     this.lastUpdateTime = now;
@@ -148,17 +150,23 @@ class HandTracker {
     }
 
     // Process each hand
+    const currentIds = landmarksArray.map((landmarks, handIndex) => this._handKey(handIds ? handIds[handIndex] : handIndex));
     landmarksArray.forEach((landmarks, handIndex) => {
-      // eslint-disable-next-line no-unused-vars
-      const handId = `hand_${handIndex}`;
-      this._updateHand(handId, landmarks, handIndex, deltaTime);
+      this._updateHand(currentIds[handIndex], landmarks, handIndex, deltaTime);
     });
 
     // Remove hands that no longer exist
-    for (let i = landmarksArray.length; i < this.hands.size; i++) {
-      const handId = `hand_${i}`;
-      this._removeHand(handId);
-    }
+    Array.from(this.hands.keys()).forEach((handId) => {
+      if (!currentIds.includes(handId)) this._removeHand(handId);
+    });
+  }
+
+  /**
+   * Map key for a hand index or hand ID
+   * @private
+   */
+  _handKey(hand) {
+    return `hand_${hand}`;
   }
 
   /**
@@ -433,21 +441,21 @@ class HandTracker {
 
   /**
    * Get hand velocity for physics calculations
-   * @param {number} handIndex - Index of hand (0 or 1)
+   * @param {number|string} hand - Hand index (0 or 1) or hand ID passed to update()
    * @returns {THREE.Vector3} Velocity vector
    */
-  getHandVelocity(handIndex = 0) {
-    return this.velocities.get(`hand_${handIndex}`) || new THREE.Vector3();
+  getHandVelocity(hand = 0) {
+    return this.velocities.get(this._handKey(hand)) || new THREE.Vector3();
   }
 
   /**
    * Get fingertip position (useful for interactions)
-   * @param {number} handIndex - Hand index
+   * @param {number|string} hand - Hand index or hand ID passed to update()
    * @param {number} fingerIndex - Finger index (0=thumb, 1=index, etc.)
    * @returns {THREE.Vector3} Position
    */
-  getFingerTip(handIndex = 0, fingerIndex = 1) {
-    const handGroup = this.hands.get(`hand_${handIndex}`);
+  getFingerTip(hand = 0, fingerIndex = 1) {
+    const handGroup = this.hands.get(this._handKey(hand));
     if (!handGroup) return new THREE.Vector3();
 
     // Finger tip landmark indices
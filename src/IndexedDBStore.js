@@ -0,0 +1,157 @@
+/**
+ * 🗄️ IndexedDB Store
+ * Promise wrapper around one IndexedDB object store
+ *
+ * Features:
+ * - Opens (and on first use creates) the database lazily
+ * - One database per store, so new stores never need a version upgrade
+ * - One transaction per call, resolved once committed
+ * - Same async get/put/add/getAll/getAllKeys/delete/clear surface as an in-memory test double
+ *
+ * @module IndexedDBStore
+ */
+
+const DB_VERSION = 1;
+
+class IndexedDBStore {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      dbName: options.dbName || "open-air-brush",
+      storeName: options.storeName || "records",
+      keyPath: options.keyPath || "id",
+      autoIncrement: options.autoIncrement || false,
+    };
+
+    this.indexedDB = options.indexedDB || (typeof window !== "undefined" ? window.indexedDB : null);
+
+    // State
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether the browser supports IndexedDB
+   */
+  get available() {
+    return Boolean(this.indexedDB);
+  }
+
+  /**
+   * Record by key
+   * @param {*} key - Record key
+   * @returns {Promise<Object|undefined>} Record
+   */
+  get(key) {
+    return this._transaction("readonly", (store) => store.get(key));
+  }
+
+  /**
+   * Every record
+   * @returns {Promise<Array>} Records in key order
+   */
+  getAll() {
+    return this._transaction("readonly", (store) => store.getAll());
+  }
+
+  /**
+   * Every key
+   * @returns {Promise<Array>} Keys in order
+   */
+  getAllKeys() {
+    return this._transaction("readonly", (store) => store.getAllKeys());
+  }
+
+  /**
+   * Insert a record (fails if the key exists)
+   * @param {Object} record - Record
+   * @returns {Promise<*>} Key of the record
+   */
+  add(record) {
+    return this._transaction("readwrite", (store) => store.add(record));
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {Object} record - Record
+   * @returns {Promise<*>} Key of the record
+   */
+  put(record) {
+    return this._transaction("readwrite", (store) => store.put(record));
+  }
+
+  /**
+   * Delete records by key
+   * @param {*|Array} keys - One key or a list of keys
+   */
+  async delete(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0) return;
+    await this._transaction("readwrite", (store) => {
+      list.forEach((key) => store.delete(key));
+      return null;
+    });
+  }
+
+  /**
+   * Delete every record
+   */
+  async clear() {
+    await this._transaction("readwrite", (store) => store.clear());
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @private
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+        const request = this.indexedDB.open(this.config.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.config.storeName, {
+            keyPath: this.config.keyPath,
+            autoIncrement: this.config.autoIncrement,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a retry after a failed open (e.g. private browsing)
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests in one transaction; resolves with the returned request's result once committed
+   * @private
+   */
+  async _transaction(mode, run) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.config.storeName, mode);
+      const request = run(transaction.objectStore(this.config.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.dbPromise) {
+      this.dbPromise.then((db) => db.close()).catch(() => {});
+      this.dbPromise = null;
+    }
+  }
+}
+
+export default IndexedDBStore;
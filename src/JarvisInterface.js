@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect, useCallback } from "react";
 import HandDrawingScene from "./HandDrawingScene";
+import ProjectSchema from "./ProjectSchema";
 
 function JarvisInterface() {
   const [activeTool, setActiveTool] = useState("draw");
@@ -94,11 +95,11 @@ function JarvisInterface() {
       const reader = new FileReader();
       reader.onload = (e) => {
         if (window.loadProject) {
-          const success = window.loadProject(e.target.result);
-          if (success) {
+          const result = window.loadProject(e.target.result);
+          if (result.ok) {
             alert("Project loaded successfully!");
           } else {
-            alert("Failed to load project.");
+            alert(`Failed to load project:\n${result.errors.map(ProjectSchema.describeError).join("\n")}`);
           }
         }
       };
@@ -0,0 +1,185 @@
+/**
+ * 🎚️ Landmark Filter
+ * Smoothing stage for raw MediaPipe hand landmarks
+ *
+ * Features:
+ * - One Euro filter per landmark coordinate (low lag when moving, low jitter when still)
+ * - Exponential moving average mode matching the old HandTracker lerp
+ * - Pass-through mode for raw landmarks
+ * - Applied once, before gesture analysis, tracking and drawing
+ *
+ * @module LandmarkFilter
+ */
+
+export const SMOOTHING_MODES = ["oneEuro", "ema", "none"];
+
+/**
+ * One Euro filter for a single scalar signal
+ * (Casiez et al., "1€ Filter: A Simple Speed-based Low-pass Filter for Noisy Input in Interactive Systems")
+ */
+export class OneEuroFilter {
+  constructor(minCutoff = 1.0, beta = 0.0, dCutoff = 1.0) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  /**
+   * Smoothing factor for a cutoff frequency and sample interval
+   * @private
+   */
+  static _alpha(cutoff, deltaTime) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / deltaTime);
+  }
+
+  /**
+   * Filter one sample
+   * @param {number} value - Raw value
+   * @param {number} timestamp - Sample time in seconds
+   * @returns {number} Filtered value
+   */
+  filter(value, timestamp) {
+    if (this.lastTime === null) {
+      this.lastTime = timestamp;
+      this.lastValue = value;
+      this.lastDerivative = 0;
+      return value;
+    }
+
+    // Repeated or out-of-order timestamps fall back to a nominal 60fps interval
+    const deltaTime = timestamp > this.lastTime ? timestamp - this.lastTime : 1 / 60;
+    this.lastTime = timestamp;
+
+    const derivative = (value - this.lastValue) / deltaTime;
+    const derivativeAlpha = OneEuroFilter._alpha(this.dCutoff, deltaTime);
+    this.lastDerivative += (derivative - this.lastDerivative) * derivativeAlpha;
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.lastDerivative);
+    const alpha = OneEuroFilter._alpha(cutoff, deltaTime);
+    this.lastValue += (value - this.lastValue) * alpha;
+
+    return this.lastValue;
+  }
+
+  /**
+   * Forget filter state
+   */
+  reset() {
+    this.lastTime = null;
+    this.lastValue = 0;
+    this.lastDerivative = 0;
+  }
+}
+
+class LandmarkFilter {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      mode: options.mode || "oneEuro", // "oneEuro" | "ema" | "none"
+      minCutoff: options.minCutoff || 1.5, // Hz, lower = less jitter when still
+      beta: options.beta !== undefined ? options.beta : 8, // Speed coefficient, higher = less lag when moving
+      dCutoff: options.dCutoff || 1.0, // Hz, cutoff for the speed estimate
+      emaFactor: options.emaFactor || 0.3, // 0-1, lower = smoother but more lag
+    };
+
+    // State
+    this.filters = new Map(); // Hand ID -> per-coordinate OneEuroFilters
+    this.previous = new Map(); // Hand ID -> last EMA output
+  }
+
+  /**
+   * Filter landmarks for every detected hand
+   * @param {Array} landmarksArray - Array of hand landmark arrays from MediaPipe
+   * @param {number} timestamp - Frame time in milliseconds
+   * @param {Array} handIds - Stable ID per hand (defaults to array index)
+   * @returns {Array} Filtered landmark arrays (inputs are not modified)
+   */
+  filter(landmarksArray, timestamp = performance.now(), handIds = null) {
+    if (!landmarksArray || landmarksArray.length === 0) {
+      this.reset();
+      return landmarksArray || [];
+    }
+
+    const ids = landmarksArray.map((landmarks, handIndex) => (handIds && handIds[handIndex]) || `hand_${handIndex}`);
+
+    // Drop state for hands that disappeared
+    [this.filters, this.previous].forEach((state) => {
+      state.forEach((value, handId) => {
+        if (!ids.includes(handId)) state.delete(handId);
+      });
+    });
+
+    if (this.config.mode === "none") {
+      return landmarksArray;
+    }
+
+    return landmarksArray.map((landmarks, handIndex) => {
+      const handId = ids[handIndex];
+      return this.config.mode === "ema" ? this._filterEMA(handId, landmarks) : this._filterOneEuro(handId, landmarks, timestamp / 1000);
+    });
+  }
+
+  /**
+   * One Euro filter every coordinate of a hand
+   * @private
+   */
+  _filterOneEuro(handId, landmarks, time) {
+    let filters = this.filters.get(handId);
+    if (!filters || filters.length !== landmarks.length * 3) {
+      const { minCutoff, beta, dCutoff } = this.config;
+      filters = Array.from({ length: landmarks.length * 3 }, () => new OneEuroFilter(minCutoff, beta, dCutoff));
+      this.filters.set(handId, filters);
+    }
+
+    return landmarks.map((lm, index) => ({
+      ...lm,
+      x: filters[index * 3].filter(lm.x, time),
+      y: filters[index * 3 + 1].filter(lm.y, time),
+      z: filters[index * 3 + 2].filter(lm.z, time),
+    }));
+  }
+
+  /**
+   * Exponential moving average of every coordinate of a hand
+   * @private
+   */
+  _filterEMA(handId, landmarks) {
+    const previous = this.previous.get(handId);
+    const factor = this.config.emaFactor;
+
+    const filtered = landmarks.map((lm, index) => {
+      const prev = previous && previous[index];
+      if (!prev) return { ...lm };
+      return {
+        ...lm,
+        x: prev.x + (lm.x - prev.x) * factor,
+        y: prev.y + (lm.y - prev.y) * factor,
+        z: prev.z + (lm.z - prev.z) * factor,
+      };
+    });
+
+    this.previous.set(handId, filtered);
+    return filtered;
+  }
+
+  /**
+   * Update configuration; filter state restarts so new parameters apply cleanly
+   * @param {Object} config - Partial configuration
+   */
+  updateConfig(config) {
+    Object.assign(this.config, config);
+    this.reset();
+  }
+
+  /**
+   * Forget all filter state (e.g. when hands are lost)
+   */
+  reset() {
+    this.filters.clear();
+    this.previous.clear();
+  }
+}
+
+export default LandmarkFilter;
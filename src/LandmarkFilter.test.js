@@ -0,0 +1,115 @@
+import LandmarkFilter, { OneEuroFilter } from "./LandmarkFilter";
+
+// Fingertip trace at 30fps: held still for 2s, then swept across the frame in 0.5s, then held again.
+// Jitter is deterministic noise of the size MediaPipe shows on a steady hand (~0.5% of the frame).
+const FRAME_MS = 1000 / 30;
+const jitterTrace = () => {
+  let state = 42;
+  const noise = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296 - 0.5) * 0.01;
+  };
+
+  const samples = [];
+  for (let frame = 0; frame < 90; frame++) {
+    const t = frame * FRAME_MS;
+    let x = 0.3;
+    if (frame >= 60 && frame < 75) x = 0.3 + ((frame - 60) / 15) * 0.4;
+    if (frame >= 75) x = 0.7;
+    samples.push({ t, truth: x, landmark: { x: x + noise(), y: 0.5 + noise(), z: noise() * 0.1 } });
+  }
+  return samples;
+};
+
+const hand = (landmark) => Array.from({ length: 21 }, () => ({ ...landmark }));
+
+const runFilter = (filter, samples) => samples.map(({ t, landmark }) => filter.filter([hand(landmark)], t)[0][8]);
+
+const stillError = (samples, outputs, from, to) => {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += Math.abs(outputs[i].x - samples[i].truth);
+  return sum / (to - from);
+};
+
+describe("OneEuroFilter", () => {
+  test("first sample passes through unchanged", () => {
+    const filter = new OneEuroFilter(1, 0, 1);
+    expect(filter.filter(0.42, 0)).toBe(0.42);
+  });
+
+  test("converges on a constant signal", () => {
+    const filter = new OneEuroFilter(1, 0, 1);
+    filter.filter(0, 0);
+    let value = 0;
+    for (let i = 1; i <= 120; i++) value = filter.filter(1, i / 30);
+    expect(value).toBeCloseTo(1, 3);
+  });
+});
+
+describe("LandmarkFilter", () => {
+  test("one euro reduces jitter on a still hand", () => {
+    const samples = jitterTrace();
+    const raw = runFilter(new LandmarkFilter({ mode: "none" }), samples);
+    const filtered = runFilter(new LandmarkFilter({ mode: "oneEuro" }), samples);
+
+    // Skip the first frames while the filter settles
+    expect(stillError(samples, filtered, 10, 60)).toBeLessThan(stillError(samples, raw, 10, 60) * 0.5);
+  });
+
+  test("one euro lags less than an equally smooth EMA during fast motion", () => {
+    const samples = jitterTrace();
+    const oneEuro = runFilter(new LandmarkFilter({ mode: "oneEuro" }), samples);
+    const ema = runFilter(new LandmarkFilter({ mode: "ema", emaFactor: 0.2 }), samples);
+
+    // Comparable or better jitter suppression when still...
+    expect(stillError(samples, oneEuro, 10, 60)).toBeLessThan(stillError(samples, ema, 10, 60) * 1.5);
+    // ...but tracks the sweep more closely
+    expect(stillError(samples, oneEuro, 62, 80)).toBeLessThan(stillError(samples, ema, 62, 80));
+  });
+
+  test("none mode returns raw landmarks", () => {
+    const filter = new LandmarkFilter({ mode: "none" });
+    const hands = [hand({ x: 0.1, y: 0.2, z: 0 })];
+    expect(filter.filter(hands, 0)).toBe(hands);
+  });
+
+  test("does not modify input and keeps extra landmark fields", () => {
+    const filter = new LandmarkFilter();
+    filter.filter([hand({ x: 0.1, y: 0.1, z: 0 })], 0);
+
+    const input = [hand({ x: 0.9, y: 0.9, z: 0, visibility: 1 })];
+    const output = filter.filter(input, FRAME_MS);
+    expect(input[0][8].x).toBe(0.9);
+    expect(output[0][8].x).toBeLessThan(0.9);
+    expect(output[0][8].visibility).toBe(1);
+  });
+
+  test("restarts when hands are lost or settings change", () => {
+    const filter = new LandmarkFilter();
+    filter.filter([hand({ x: 0.1, y: 0.1, z: 0 }), hand({ x: 0.5, y: 0.5, z: 0 })], 0);
+    expect(filter.filters.size).toBe(2);
+
+    filter.filter([hand({ x: 0.1, y: 0.1, z: 0 })], FRAME_MS);
+    expect(filter.filters.size).toBe(1);
+
+    filter.filter([], 2 * FRAME_MS);
+    expect(filter.filters.size).toBe(0);
+    expect(filter.filter([hand({ x: 0.8, y: 0.8, z: 0 })], 3 * FRAME_MS)[0][0].x).toBe(0.8);
+
+    filter.updateConfig({ mode: "ema" });
+    expect(filter.filters.size).toBe(0);
+  });
+
+  test("keeps per-hand state with its hand ID when hand order changes", () => {
+    const filter = new LandmarkFilter();
+    filter.filter([hand({ x: 0.2, y: 0.5, z: 0 }), hand({ x: 0.8, y: 0.5, z: 0 })], 0, ["right", "left"]);
+
+    // Same hands, reported in the opposite order
+    const output = filter.filter([hand({ x: 0.8, y: 0.5, z: 0 }), hand({ x: 0.2, y: 0.5, z: 0 })], FRAME_MS, ["left", "right"]);
+    expect(output[0][8].x).toBeCloseTo(0.8);
+    expect(output[1][8].x).toBeCloseTo(0.2);
+
+    filter.filter([hand({ x: 0.8, y: 0.5, z: 0 })], 2 * FRAME_MS, ["left"]);
+    expect([...filter.filters.keys()]).toEqual(["left"]);
+  });
+});
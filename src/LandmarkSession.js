@@ -0,0 +1,219 @@
+/**
+ * 📼 Landmark Session
+ * Recording of the raw MediaPipe hand stream for replay, benchmarks and regression tests
+ *
+ * Features:
+ * - Captures multiHandLandmarks and multiHandedness with frame timestamps
+ * - JSON format (readable, diffable) and compact binary format
+ * - Rebuilds MediaPipe-shaped results for feeding the live pipeline
+ *
+ * Binary layout (little-endian):
+ * - "ALMS" magic, uint16 version, uint32 frame count
+ * - Per frame: float64 time (ms), uint8 hand count
+ * - Per hand: uint8 label (0 = Left, 1 = Right, 255 = none), float32 score,
+ *   uint8 landmark count, then x, y, z float32 per landmark
+ *
+ * @module LandmarkSession
+ */
+
+export const SESSION_VERSION = 1;
+const MAGIC = "ALMS";
+const NO_LABEL = 255;
+
+class LandmarkSession {
+  constructor(options = {}) {
+    this.version = SESSION_VERSION;
+    this.frames = options.frames || []; // [{t, hands: [{label, score, landmarks: [x, y, z, ...]}]}]
+    this.meta = options.meta || {};
+
+    // Recording state
+    this.startTime = null;
+  }
+
+  /**
+   * Number of recorded frames
+   */
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * Time of the last frame in milliseconds
+   */
+  get duration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+  }
+
+  /**
+   * Record one onResults callback
+   * @param {Object} results - MediaPipe Hands results
+   * @param {number} timestamp - Frame time in milliseconds
+   */
+  addFrame(results, timestamp = performance.now()) {
+    if (this.startTime === null) this.startTime = timestamp;
+
+    const landmarksArray = results.multiHandLandmarks || [];
+    const handedness = results.multiHandedness || [];
+    this.frames.push({
+      t: timestamp - this.startTime,
+      hands: landmarksArray.map((landmarks, index) => {
+        const classification = handedness[index] || {};
+        return {
+          label: classification.label || null,
+          score: classification.score !== undefined ? classification.score : 0,
+          landmarks: landmarks.flatMap((lm) => [lm.x, lm.y, lm.z]),
+        };
+      }),
+    });
+  }
+
+  /**
+   * MediaPipe-shaped results for a recorded frame
+   * @param {number} index - Frame index
+   * @returns {Object} {multiHandLandmarks, multiHandedness, timestamp}
+   */
+  toResults(index) {
+    const frame = this.frames[index];
+    return {
+      multiHandLandmarks: frame.hands.map((hand) => {
+        const landmarks = [];
+        for (let i = 0; i < hand.landmarks.length; i += 3) {
+          landmarks.push({ x: hand.landmarks[i], y: hand.landmarks[i + 1], z: hand.landmarks[i + 2] });
+        }
+        return landmarks;
+      }),
+      multiHandedness: frame.hands.map((hand, handIndex) => ({ index: handIndex, label: hand.label, score: hand.score })),
+      timestamp: frame.t,
+    };
+  }
+
+  /**
+   * Serialize to plain JSON data
+   * @returns {Object} Session data
+   */
+  toJSON() {
+    return { version: this.version, meta: this.meta, frames: this.frames };
+  }
+
+  /**
+   * Serialize to the compact binary format
+   * @returns {ArrayBuffer} Binary session
+   */
+  toBinary() {
+    let size = 4 + 2 + 4;
+    this.frames.forEach((frame) => {
+      size += 8 + 1;
+      frame.hands.forEach((hand) => {
+        size += 1 + 4 + 1 + hand.landmarks.length * 4;
+      });
+    });
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    for (let i = 0; i < MAGIC.length; i++) view.setUint8(offset++, MAGIC.charCodeAt(i));
+    view.setUint16(offset, this.version, true);
+    offset += 2;
+    view.setUint32(offset, this.frames.length, true);
+    offset += 4;
+
+    this.frames.forEach((frame) => {
+      view.setFloat64(offset, frame.t, true);
+      offset += 8;
+      view.setUint8(offset++, frame.hands.length);
+
+      frame.hands.forEach((hand) => {
+        const label = hand.label === "Left" ? 0 : hand.label === "Right" ? 1 : NO_LABEL;
+        view.setUint8(offset++, label);
+        view.setFloat32(offset, hand.score, true);
+        offset += 4;
+        view.setUint8(offset++, hand.landmarks.length / 3);
+        hand.landmarks.forEach((value) => {
+          view.setFloat32(offset, value, true);
+          offset += 4;
+        });
+      });
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Restore a session from JSON data
+   * @param {Object} data - Data from toJSON()
+   * @returns {LandmarkSession} Session
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.frames)) {
+      throw new Error("Not a landmark session");
+    }
+    if (data.version > SESSION_VERSION) {
+      throw new Error(`Landmark session version ${data.version} is newer than supported (${SESSION_VERSION})`);
+    }
+    return new LandmarkSession({ frames: data.frames, meta: data.meta });
+  }
+
+  /**
+   * Restore a session from the binary format
+   * @param {ArrayBuffer} buffer - Data from toBinary()
+   * @returns {LandmarkSession} Session
+   */
+  static fromBinary(buffer) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (magic !== MAGIC) {
+      throw new Error("Not a landmark session");
+    }
+    offset += 4;
+    const version = view.getUint16(offset, true);
+    offset += 2;
+    if (version > SESSION_VERSION) {
+      throw new Error(`Landmark session version ${version} is newer than supported (${SESSION_VERSION})`);
+    }
+    const frameCount = view.getUint32(offset, true);
+    offset += 4;
+
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+      const t = view.getFloat64(offset, true);
+      offset += 8;
+      const handCount = view.getUint8(offset++);
+
+      const hands = [];
+      for (let h = 0; h < handCount; h++) {
+        const label = view.getUint8(offset++);
+        const score = view.getFloat32(offset, true);
+        offset += 4;
+        const landmarkCount = view.getUint8(offset++);
+        const landmarks = [];
+        for (let i = 0; i < landmarkCount * 3; i++) {
+          landmarks.push(view.getFloat32(offset, true));
+          offset += 4;
+        }
+        hands.push({ label: label === 0 ? "Left" : label === 1 ? "Right" : null, score, landmarks });
+      }
+      frames.push({ t, hands });
+    }
+
+    return new LandmarkSession({ frames });
+  }
+
+  /**
+   * Read a session file in either format
+   * @param {File|Blob} file - .json or binary session file
+   * @returns {Promise<LandmarkSession>} Session
+   */
+  static async fromFile(file) {
+    const buffer = await file.arrayBuffer();
+    const head = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (head === MAGIC) {
+      return LandmarkSession.fromBinary(buffer);
+    }
+    return LandmarkSession.fromJSON(JSON.parse(new TextDecoder().decode(buffer)));
+  }
+}
+
+export default LandmarkSession;
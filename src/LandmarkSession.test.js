@@ -0,0 +1,94 @@
+import LandmarkSession from "./LandmarkSession";
+import SessionPlayer from "./SessionPlayer";
+
+const hand = (x) => Array.from({ length: 21 }, (_, i) => ({ x: x + i / 100, y: 0.5 - i / 200, z: 0.01 - i / 1000 }));
+
+// Three frames at 30fps: two hands, one hand, none
+const recordSession = () => {
+  const session = new LandmarkSession();
+  session.addFrame(
+    {
+      multiHandLandmarks: [hand(0.25), hand(0.5)],
+      multiHandedness: [
+        { index: 0, label: "Left", score: 0.98 },
+        { index: 1, label: "Right", score: 0.75 },
+      ],
+    },
+    1000
+  );
+  session.addFrame({ multiHandLandmarks: [hand(0.3)], multiHandedness: [{ index: 0, label: "Left", score: 0.9 }] }, 1033);
+  session.addFrame({}, 1066);
+  return session;
+};
+
+describe("LandmarkSession", () => {
+  test("records frames relative to the first timestamp and rebuilds MediaPipe results", () => {
+    const session = recordSession();
+    expect(session.length).toBe(3);
+    expect(session.duration).toBe(66);
+
+    const results = session.toResults(0);
+    expect(results.timestamp).toBe(0);
+    expect(results.multiHandLandmarks).toEqual([hand(0.25), hand(0.5)]);
+    expect(results.multiHandedness[1]).toEqual({ index: 1, label: "Right", score: 0.75 });
+    expect(session.toResults(2).multiHandLandmarks).toEqual([]);
+  });
+
+  test("JSON round trip is exact", () => {
+    const session = recordSession();
+    const restored = LandmarkSession.fromJSON(JSON.parse(JSON.stringify(session.toJSON())));
+    expect(restored.frames).toEqual(session.frames);
+  });
+
+  test("binary round trip keeps frames to float32 precision", () => {
+    const session = recordSession();
+    const restored = LandmarkSession.fromBinary(session.toBinary());
+
+    expect(restored.length).toBe(3);
+    restored.frames.forEach((frame, f) => {
+      expect(frame.t).toBe(session.frames[f].t);
+      frame.hands.forEach((restoredHand, h) => {
+        const original = session.frames[f].hands[h];
+        expect(restoredHand.label).toBe(original.label);
+        expect(restoredHand.score).toBeCloseTo(original.score, 5);
+        restoredHand.landmarks.forEach((value, i) => expect(value).toBeCloseTo(original.landmarks[i], 6));
+      });
+    });
+  });
+
+  test("rejects other files", () => {
+    expect(() => LandmarkSession.fromJSON({ cubes: [] })).toThrow("Not a landmark session");
+    expect(() => LandmarkSession.fromBinary(new ArrayBuffer(16))).toThrow("Not a landmark session");
+  });
+});
+
+describe("SessionPlayer", () => {
+  test("instant playback pushes every frame in order", () => {
+    const frames = [];
+    const onEnd = jest.fn();
+    new SessionPlayer(recordSession(), { onFrame: (results) => frames.push(results), onEnd }).runAll();
+
+    expect(frames.map((results) => results.timestamp)).toEqual([0, 33, 66]);
+    expect(frames.map((results) => results.multiHandLandmarks.length)).toEqual([2, 1, 0]);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test("real-time playback follows recorded timing", () => {
+    jest.useFakeTimers();
+    const onFrame = jest.fn();
+    const player = new SessionPlayer(recordSession(), { onFrame, speed: 2 });
+    player.play();
+
+    jest.advanceTimersByTime(0);
+    expect(onFrame).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(10);
+    expect(onFrame).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(10);
+    expect(onFrame).toHaveBeenCalledTimes(2);
+
+    player.stop();
+    jest.advanceTimersByTime(100);
+    expect(onFrame).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+});
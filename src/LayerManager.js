@@ -0,0 +1,418 @@
+/**
+ * 🗂️ Layer Manager
+ * Named drawing layers, each with its own group, voxels and tube strokes
+ *
+ * Features:
+ * - Active layer that drawing writes into
+ * - Per-layer visibility, lock and opacity
+ * - Reorder, rename, delete and merge down
+ * - Can move to a new parent, so the drawing outlives the scene it was drawn in
+ * - JSON serialization for project files
+ *
+ * @module LayerManager
+ */
+
+import * as THREE from "three";
+import VoxelStore from "./VoxelStore";
+import TubeStroke from "./TubeStroke";
+
+// Base opacity of cubes and tubes before layer opacity is applied
+const BASE_OPACITY = 0.9;
+
+class LayerManager {
+  constructor(parent, options = {}) {
+    this.parent = parent;
+
+    // Layers are ordered bottom to top
+    this.layers = [];
+    this.activeId = null;
+    this.nextId = 1;
+
+    // Change callback (layer list or properties changed)
+    this.onChange = options.onChange || null;
+
+    this.group = new THREE.Group();
+    this.group.name = "layers";
+    parent.add(this.group);
+
+    this.addLayer();
+  }
+
+  /**
+   * Layer that drawing writes into
+   */
+  get active() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Total voxel count across all layers
+   */
+  get count() {
+    return this.layers.reduce((sum, layer) => sum + layer.voxels.count, 0);
+  }
+
+  /**
+   * Move the layers under a new parent, e.g. a rebuilt scene
+   * @param {THREE.Object3D} parent - New parent
+   */
+  setParent(parent) {
+    this.parent.remove(this.group);
+    this.parent = parent;
+    parent.add(this.group);
+  }
+
+  /**
+   * Create a layer above the others and make it active
+   * @param {string} name - Layer name
+   * @returns {Object} New layer
+   */
+  addLayer(name) {
+    const id = `layer_${this.nextId++}`;
+    const group = new THREE.Group();
+    group.name = id;
+    this.group.add(group);
+
+    const layer = {
+      id,
+      name: name || `Layer ${this.layers.length + 1}`,
+      group,
+      voxels: new VoxelStore(group),
+      strokes: [],
+      visible: true,
+      locked: false,
+      opacity: 1,
+    };
+
+    this.layers.push(layer);
+    this.activeId = id;
+    this._applyOrder();
+    this._notify();
+    return layer;
+  }
+
+  /**
+   * Delete a layer and everything on it (the last layer is kept)
+   * @param {string} id - Layer ID
+   * @returns {boolean} Whether the layer was removed
+   */
+  removeLayer(id) {
+    const index = this.layers.findIndex((layer) => layer.id === id);
+    if (index === -1 || this.layers.length === 1) return false;
+
+    this._disposeLayer(this.layers[index]);
+    this.layers.splice(index, 1);
+    if (this.activeId === id) {
+      this.activeId = this.layers[Math.max(0, index - 1)].id;
+    }
+
+    this._applyOrder();
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Find a layer by ID
+   * @param {string} id - Layer ID
+   * @returns {Object|undefined} Layer
+   */
+  get(id) {
+    return this.layers.find((layer) => layer.id === id);
+  }
+
+  /**
+   * Make a layer the drawing target
+   * @param {string} id - Layer ID
+   */
+  setActive(id) {
+    if (!this.get(id)) return;
+    this.activeId = id;
+    this._notify();
+  }
+
+  /**
+   * Rename a layer
+   * @param {string} id - Layer ID
+   * @param {string} name - New name
+   */
+  rename(id, name) {
+    const layer = this.get(id);
+    if (!layer || !name) return;
+    layer.name = name;
+    this._notify();
+  }
+
+  /**
+   * Show or hide a layer
+   * @param {string} id - Layer ID
+   * @param {boolean} visible - Visibility
+   */
+  setVisible(id, visible) {
+    const layer = this.get(id);
+    if (!layer) return;
+    layer.visible = visible;
+    layer.group.visible = visible;
+    this._notify();
+  }
+
+  /**
+   * Lock or unlock a layer against drawing and erasing
+   * @param {string} id - Layer ID
+   * @param {boolean} locked - Lock state
+   */
+  setLocked(id, locked) {
+    const layer = this.get(id);
+    if (!layer) return;
+    layer.locked = locked;
+    this._notify();
+  }
+
+  /**
+   * Set a layer's opacity
+   * @param {string} id - Layer ID
+   * @param {number} opacity - Opacity (0-1)
+   */
+  setOpacity(id, opacity) {
+    const layer = this.get(id);
+    if (!layer) return;
+    layer.opacity = Math.max(0, Math.min(1, opacity));
+    layer.voxels.setOpacity(BASE_OPACITY * layer.opacity);
+    layer.strokes.forEach((stroke) => {
+      stroke.material.opacity = BASE_OPACITY * layer.opacity;
+    });
+    this._notify();
+  }
+
+  /**
+   * Whether a layer accepts drawing and erasing
+   * @param {Object} layer - Layer
+   * @returns {boolean} Editable
+   */
+  isEditable(layer) {
+    return Boolean(layer) && layer.visible && !layer.locked;
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1) in the stack
+   * @param {string} id - Layer ID
+   * @param {number} direction - +1 or -1
+   */
+  moveLayer(id, direction) {
+    const index = this.layers.findIndex((layer) => layer.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= this.layers.length) return;
+
+    [this.layers[index], this.layers[target]] = [this.layers[target], this.layers[index]];
+    this._applyOrder();
+    this._notify();
+  }
+
+  /**
+   * Merge a layer into the one below it
+   * @param {string} id - Layer ID
+   * @returns {boolean} Whether the merge happened
+   */
+  mergeDown(id) {
+    const index = this.layers.findIndex((layer) => layer.id === id);
+    if (index <= 0) return false;
+
+    const source = this.layers[index];
+    const target = this.layers[index - 1];
+
+    // Voxels in cells already occupied on the target are dropped
+    source.voxels.forEach((voxel) => target.voxels.add(voxel.position, voxel.color, voxel.size));
+    source.strokes.forEach((stroke) => {
+      source.group.remove(stroke.mesh);
+      this._attachStroke(target, stroke);
+    });
+    source.strokes = [];
+
+    this._disposeLayer(source);
+    this.layers.splice(index, 1);
+    if (this.activeId === id) this.activeId = target.id;
+
+    this._applyOrder();
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Add a tube stroke to a layer
+   * @param {TubeStroke} stroke - Stroke
+   * @param {string} id - Layer ID (defaults to the active layer)
+   */
+  addStroke(stroke, id = this.activeId) {
+    const layer = this.get(id) || this.active;
+    this._attachStroke(layer, stroke);
+  }
+
+  /**
+   * Remove and dispose a tube stroke from whichever layer owns it
+   * @param {TubeStroke} stroke - Stroke
+   */
+  removeStroke(stroke) {
+    this.layers.forEach((layer) => {
+      if (!layer.strokes.includes(stroke)) return;
+      layer.group.remove(stroke.mesh);
+      layer.strokes = layer.strokes.filter((s) => s !== stroke);
+    });
+    stroke.dispose();
+  }
+
+  /**
+   * Take a tube stroke off its layer without disposing it
+   * @param {TubeStroke} stroke - Stroke
+   */
+  detachStroke(stroke) {
+    const layer = this.layerOf(stroke);
+    if (!layer) return;
+    layer.group.remove(stroke.mesh);
+    layer.strokes = layer.strokes.filter((s) => s !== stroke);
+    this._notify();
+  }
+
+  /**
+   * Find a tube stroke by ID
+   * @param {string} strokeId - Stroke ID
+   * @returns {TubeStroke|undefined} Stroke
+   */
+  findStroke(strokeId) {
+    for (const layer of this.layers) {
+      const stroke = layer.strokes.find((s) => s.id === strokeId);
+      if (stroke) return stroke;
+    }
+    return undefined;
+  }
+
+  /**
+   * Layer that owns a tube stroke
+   * @param {TubeStroke} stroke - Stroke
+   * @returns {Object|undefined} Layer
+   */
+  layerOf(stroke) {
+    return this.layers.find((layer) => layer.strokes.includes(stroke));
+  }
+
+  /**
+   * Remove all layers and start over with one empty layer
+   */
+  clear() {
+    this.layers.forEach((layer) => this._disposeLayer(layer));
+    this.layers = [];
+    this.nextId = 1;
+    this.addLayer();
+  }
+
+  /**
+   * Serialize all layers, bottom to top
+   * @returns {Array} Layer data
+   */
+  toJSON() {
+    return this.layers.map((layer) => ({
+      id: layer.id,
+      name: layer.name,
+      visible: layer.visible,
+      locked: layer.locked,
+      opacity: layer.opacity,
+      active: layer.id === this.activeId,
+      cubes: layer.voxels.toArray(),
+      strokes: layer.strokes.map((stroke) => stroke.toJSON()),
+    }));
+  }
+
+  /**
+   * Replace all layers with serialized layer data
+   * @param {Array} layersData - Data from toJSON()
+   */
+  load(layersData) {
+    this.layers.forEach((layer) => this._disposeLayer(layer));
+    this.layers = [];
+    this.nextId = 1;
+
+    let activeId = null;
+    layersData.forEach((data) => {
+      const layer = this.addLayer(data.name);
+      (data.cubes || []).forEach((cube) => layer.voxels.add(cube.position, cube.color, cube.size));
+      (data.strokes || []).forEach((strokeData) => this._attachStroke(layer, TubeStroke.fromJSON(strokeData)));
+      if (data.active) activeId = layer.id;
+
+      this.setVisible(layer.id, data.visible !== false);
+      this.setLocked(layer.id, Boolean(data.locked));
+      this.setOpacity(layer.id, data.opacity !== undefined ? data.opacity : 1);
+    });
+
+    if (this.layers.length === 0) this.addLayer();
+    if (activeId) this.setActive(activeId);
+  }
+
+  /**
+   * Plain summary of the layer stack for UI panels, top layer first
+   * @returns {Array} [{id, name, visible, locked, opacity, active, count}]
+   */
+  describe() {
+    return this.layers
+      .map((layer) => ({
+        id: layer.id,
+        name: layer.name,
+        visible: layer.visible,
+        locked: layer.locked,
+        opacity: layer.opacity,
+        active: layer.id === this.activeId,
+        count: layer.voxels.count + layer.strokes.length,
+      }))
+      .reverse();
+  }
+
+  /**
+   * Parent a stroke under a layer and apply the layer's opacity
+   * @private
+   */
+  _attachStroke(layer, stroke) {
+    stroke.material.opacity = BASE_OPACITY * layer.opacity;
+    layer.group.add(stroke.mesh);
+    layer.strokes.push(stroke);
+  }
+
+  /**
+   * Keep scene children and render order in stack order
+   * @private
+   */
+  _applyOrder() {
+    this.layers.forEach((layer, index) => {
+      layer.group.renderOrder = index;
+    });
+    this.group.children = this.layers.map((layer) => layer.group);
+  }
+
+  /**
+   * Release a layer's resources
+   * @private
+   */
+  _disposeLayer(layer) {
+    layer.strokes.forEach((stroke) => stroke.dispose());
+    layer.strokes = [];
+    layer.voxels.dispose();
+    this.group.remove(layer.group);
+  }
+
+  /**
+   * Notify listeners of layer changes
+   * @private
+   */
+  _notify() {
+    if (this.onChange) {
+      this.onChange(this.describe());
+    }
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.layers.forEach((layer) => this._disposeLayer(layer));
+    this.layers = [];
+    this.parent.remove(this.group);
+  }
+}
+
+export default LayerManager;
@@ -0,0 +1,127 @@
+import * as THREE from "three";
+import LayerManager from "./LayerManager";
+import ProjectSchema from "./ProjectSchema";
+import TubeStroke from "./TubeStroke";
+
+const cube = (x, color = 0xff0000) => ({ position: { x, y: 0, z: 0 }, color, size: 0.15 });
+const names = (layers) => layers.layers.map((layer) => layer.name);
+
+describe("LayerManager", () => {
+  test("adds, removes and reorders layers, keeping the scene in stack order", () => {
+    const changes = [];
+    const layers = new LayerManager(new THREE.Scene(), { onChange: (list) => changes.push(list) });
+    const base = layers.active;
+    const sketch = layers.addLayer("Sketch");
+    const ink = layers.addLayer();
+
+    expect(names(layers)).toEqual(["Layer 1", "Sketch", "Layer 3"]);
+    expect(layers.active).toBe(ink);
+    expect(changes[changes.length - 1].map((layer) => layer.name)).toEqual(["Layer 3", "Sketch", "Layer 1"]);
+
+    layers.moveLayer(ink.id, -1);
+    layers.moveLayer(base.id, -1); // Already at the bottom
+    expect(names(layers)).toEqual(["Layer 1", "Layer 3", "Sketch"]);
+    expect(layers.group.children).toEqual([base.group, ink.group, sketch.group]);
+    expect(sketch.group.renderOrder).toBe(2);
+
+    // Deleting the active layer activates the one below it; the last layer is kept
+    expect(layers.removeLayer(ink.id)).toBe(true);
+    expect(layers.active).toBe(base);
+    expect(layers.removeLayer(sketch.id)).toBe(true);
+    expect(layers.removeLayer(base.id)).toBe(false);
+    expect(layers.removeLayer("layer_99")).toBe(false);
+    expect(layers.group.children).toEqual([base.group]);
+  });
+
+  test("merges a layer down, dropping voxels in occupied cells", () => {
+    const layers = new LayerManager(new THREE.Scene());
+    const base = layers.active;
+    base.voxels.add(cube(0).position, 0xff0000, 0.15);
+    const top = layers.addLayer("Top");
+    top.voxels.add(cube(0).position, 0x00ff00, 0.15);
+    top.voxels.add(cube(1).position, 0x00ff00, 0.15);
+    const stroke = new TubeStroke({ points: [cube(0).position, cube(1).position] });
+    layers.addStroke(stroke);
+
+    expect(layers.mergeDown(base.id)).toBe(false);
+    expect(layers.mergeDown(top.id)).toBe(true);
+    expect(layers.layers).toEqual([base]);
+    expect(layers.active).toBe(base);
+    expect(base.voxels.toArray().map((voxel) => voxel.color)).toEqual([0xff0000, 0x00ff00]);
+    expect(layers.layerOf(stroke)).toBe(base);
+    expect(stroke.mesh.parent).toBe(base.group);
+  });
+
+  test("visibility and lock control editing; opacity reaches voxels and strokes", () => {
+    const layers = new LayerManager(new THREE.Scene());
+    const layer = layers.active;
+    const stroke = new TubeStroke({ points: [cube(0).position] });
+    layers.addStroke(stroke, layer.id);
+
+    expect(layers.isEditable(layer)).toBe(true);
+    layers.setVisible(layer.id, false);
+    expect(layer.group.visible).toBe(false);
+    expect(layers.isEditable(layer)).toBe(false);
+    layers.setVisible(layer.id, true);
+    layers.setLocked(layer.id, true);
+    expect(layers.isEditable(layer)).toBe(false);
+    expect(layers.isEditable(undefined)).toBe(false);
+
+    layers.setOpacity(layer.id, 1.5);
+    expect(layer.opacity).toBe(1);
+    layers.setOpacity(layer.id, 0.5);
+    expect(layer.voxels.materials.cube.opacity).toBeCloseTo(0.45);
+    expect(stroke.material.opacity).toBeCloseTo(0.45);
+    expect(layers.describe()[0]).toMatchObject({ locked: true, visible: true, opacity: 0.5, count: 1 });
+  });
+
+  test("round-trips layers through JSON", () => {
+    const layers = new LayerManager(new THREE.Scene());
+    layers.active.voxels.add(cube(0).position, 0xff0000, 0.15);
+    const sketch = layers.addLayer("Sketch");
+    layers.addStroke(new TubeStroke({ id: "stroke_a", color: 0x00ff00, points: [cube(0).position, cube(1).position] }));
+    layers.setOpacity(sketch.id, 0.4);
+    layers.setLocked(sketch.id, true);
+    layers.addLayer("Hidden");
+    layers.setVisible("layer_3", false);
+    layers.setActive(sketch.id);
+    const data = JSON.parse(JSON.stringify(layers));
+
+    const restored = new LayerManager(new THREE.Scene());
+    restored.load(data);
+
+    expect(restored.toJSON()).toEqual(data);
+    expect(restored.active.name).toBe("Sketch");
+    expect(restored.findStroke("stroke_a").isFinalized).toBe(true);
+    expect(restored.get("layer_3").group.visible).toBe(false);
+    expect(restored.count).toBe(1);
+
+    restored.load([]);
+    expect(names(restored)).toEqual(["Layer 1"]);
+  });
+
+  test("loads a legacy flat cubes file onto one layer", () => {
+    const { project } = ProjectSchema.parse({ cubes: [cube(0), cube(1, 0x0000ff)], timestamp: "2024-01-01T00:00:00.000Z" });
+    const layers = new LayerManager(new THREE.Scene());
+    layers.load(project.layers);
+
+    expect(names(layers)).toEqual(["Layer 1"]);
+    expect(layers.active.voxels.toArray()).toEqual([cube(0), cube(1, 0x0000ff)]);
+    expect(layers.active).toMatchObject({ visible: true, locked: false, opacity: 1, strokes: [] });
+  });
+
+  test("moves to a new parent with its drawing intact", () => {
+    const oldScene = new THREE.Scene();
+    const newScene = new THREE.Scene();
+    const layers = new LayerManager(oldScene);
+    layers.active.voxels.add(cube(0).position, 0xff0000, 0.15);
+
+    layers.setParent(newScene);
+    expect(oldScene.children).not.toContain(layers.group);
+    expect(newScene.children).toContain(layers.group);
+    expect(layers.count).toBe(1);
+
+    layers.dispose();
+    expect(newScene.children).not.toContain(layers.group);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Library Panel Component
+ * Gallery of projects saved in the browser, with search, sort and per-project actions
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react";
+
+const SORT_OPTIONS = [
+  { id: "updated", name: "Last changed" },
+  { id: "created", name: "Newest" },
+  { id: "name", name: "Name" },
+];
+
+const buttonStyle = (color, rgb) => ({
+  padding: "6px 10px",
+  background: `rgba(${rgb}, 0.15)`,
+  border: `1px solid ${color}`,
+  borderRadius: "6px",
+  color,
+  cursor: "pointer",
+  fontSize: "11px",
+});
+
+function LibraryPanel({ isMobile, currentEntry, onCurrentEntryChange, onOpen, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState("updated");
+  const [name, setName] = useState(currentEntry ? currentEntry.name : "");
+  const [status, setStatus] = useState("");
+  const [busy, setBusy] = useState(false);
+  const archiveInputRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    if (!window.library) return;
+    try {
+      setEntries(await window.library.list({ search, sort }));
+    } catch (error) {
+      setStatus(`❌ Library unavailable (${error.message})`);
+    }
+  }, [search, sort]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Run a library call, then show its message and reload the gallery
+  const run = async (action, message) => {
+    if (!window.library || busy) return;
+    setBusy(true);
+    try {
+      const result = await action();
+      setStatus(typeof message === "function" ? message(result) : message);
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    }
+    setBusy(false);
+    refresh();
+  };
+
+  const handleSave = (asNew) =>
+    run(
+      async () => {
+        const entry = await window.library.save(name || "Untitled", asNew ? undefined : currentEntry && currentEntry.id);
+        onCurrentEntryChange({ id: entry.id, name: entry.name });
+        return entry;
+      },
+      (entry) => `💾 Saved "${entry.name}"`
+    );
+
+  const handleOpen = async (entry) => {
+    if (!window.library) return;
+    let result;
+    try {
+      result = await window.library.open(entry.id);
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+      return;
+    }
+    if (result.ok) {
+      onCurrentEntryChange({ id: entry.id, name: entry.name });
+      setName(entry.name);
+    }
+    onOpen(result, entry.name);
+    if (result.ok) onClose();
+  };
+
+  const handleRename = (entry) => {
+    const newName = window.prompt("Rename project", entry.name);
+    if (!newName) return;
+    run(async () => {
+      const renamed = await window.library.rename(entry.id, newName);
+      if (renamed && currentEntry && currentEntry.id === entry.id) onCurrentEntryChange({ id: entry.id, name: renamed.name });
+    }, `✏️ Renamed to "${newName.trim()}"`);
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete "${entry.name}" from the library?`)) return;
+    run(async () => {
+      await window.library.remove(entry.id);
+      if (currentEntry && currentEntry.id === entry.id) onCurrentEntryChange(null);
+    }, `🗑️ Deleted "${entry.name}"`);
+  };
+
+  const handleImportArchive = (file) => {
+    const reader = new FileReader();
+    reader.onload = (ev) =>
+      run(
+        () => window.library.importArchive(ev.target.result),
+        ({ imported, skipped }) =>
+          `📥 Imported ${imported} ${imported === 1 ? "project" : "projects"}` +
+          (skipped.length > 0 ? `, skipped ${skipped.length} invalid (${skipped.map((s) => s.name).join(", ")})` : "")
+      );
+    reader.readAsText(file);
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0, 0, 0, 0.85)",
+        zIndex: 3000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: "linear-gradient(135deg, rgba(20,20,40,0.98), rgba(10,30,40,0.98))",
+          border: "2px solid #00ffff",
+          borderRadius: "15px",
+          padding: isMobile ? "15px" : "25px",
+          width: isMobile ? "95%" : "760px",
+          maxWidth: "95%",
+          maxHeight: "90vh",
+          display: "flex",
+          flexDirection: "column",
+          color: "white",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", fontSize: "18px", margin: 0 }}>📚 Project Library</h3>
+          <button onClick={onClose} style={buttonStyle("#fff", "255, 255, 255")}>
+            ✕
+          </button>
+        </div>
+
+        {/* Save current drawing */}
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "12px" }}>
+          <input
+            type="text"
+            value={name}
+            placeholder="Project name"
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              e.stopPropagation();
+              if (e.key === "Enter") handleSave(false);
+            }}
+            style={{
+              flex: 1,
+              minWidth: "140px",
+              padding: "6px 10px",
+              background: "rgba(0,0,0,0.4)",
+              border: "1px solid rgba(0,255,255,0.4)",
+              borderRadius: "6px",
+              color: "#fff",
+              fontSize: "12px",
+            }}
+          />
+          <button onClick={() => handleSave(false)} disabled={busy} style={buttonStyle("#ffff00", "255, 255, 0")}>
+            {currentEntry ? `💾 Update "${currentEntry.name}"` : "💾 Save to library"}
+          </button>
+          {currentEntry && (
+            <button onClick={() => handleSave(true)} disabled={busy} style={buttonStyle("#ffff00", "255, 255, 0")}>
+              Save as new
+            </button>
+          )}
+        </div>
+
+        {/* Search, sort and archive */}
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "12px" }}>
+          <input
+            type="search"
+            value={search}
+            placeholder="🔍 Search"
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => e.stopPropagation()}
+            style={{
+              flex: 1,
+              minWidth: "120px",
+              padding: "6px 10px",
+              background: "rgba(0,0,0,0.4)",
+              border: "1px solid rgba(255,255,255,0.2)",
+              borderRadius: "6px",
+              color: "#fff",
+              fontSize: "12px",
+            }}
+          />
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            style={{
+              padding: "6px",
+              background: "rgba(0,0,0,0.4)",
+              border: "1px solid rgba(255,255,255,0.2)",
+              borderRadius: "6px",
+              color: "#fff",
+              fontSize: "12px",
+            }}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => run(() => window.library.exportArchive(), (count) => `📤 Exported ${count} ${count === 1 ? "project" : "projects"}`)}
+            disabled={busy}
+            title="Download every project as one archive file"
+            style={buttonStyle("#ff00ff", "255, 0, 255")}
+          >
+            Export library
+          </button>
+          <button
+            onClick={() => archiveInputRef.current?.click()}
+            disabled={busy}
+            title="Add the projects of a library archive"
+            style={buttonStyle("#00ff00", "0, 255, 0")}
+          >
+            Import library
+          </button>
+          <input
+            ref={archiveInputRef}
+            type="file"
+            accept=".json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const f = e.target.files[0];
+              e.target.value = "";
+              if (f) handleImportArchive(f);
+            }}
+          />
+        </div>
+
+        {status && <div style={{ fontSize: "12px", color: "rgba(255,255,255,0.8)", marginBottom: "10px" }}>{status}</div>}
+
+        {/* Gallery */}
+        <div
+          style={{
+            overflow: "auto",
+            display: "grid",
+            gridTemplateColumns: `repeat(auto-fill, minmax(${isMobile ? "140px" : "170px"}, 1fr))`,
+            gap: "10px",
+          }}
+        >
+          {entries.length === 0 && (
+            <div style={{ gridColumn: "1 / -1", textAlign: "center", padding: "30px", color: "rgba(255,255,255,0.5)", fontSize: "13px" }}>
+              {search ? "No projects match your search" : "No saved projects yet"}
+            </div>
+          )}
+          {entries.map((entry) => (
+            <div
+              key={entry.id}
+              style={{
+                background: "rgba(255,255,255,0.05)",
+                border: `1px solid ${currentEntry && currentEntry.id === entry.id ? "#00ffff" : "rgba(255,255,255,0.15)"}`,
+                borderRadius: "8px",
+                overflow: "hidden",
+              }}
+            >
+              <div
+                onClick={() => handleOpen(entry)}
+                title="Open"
+                style={{
+                  aspectRatio: "16 / 9",
+                  background: entry.thumbnail ? `#0a0a1a url(${entry.thumbnail}) center / cover no-repeat` : "#0a0a1a",
+                  cursor: "pointer",
+                }}
+              />
+              <div style={{ padding: "6px 8px" }}>
+                <div style={{ fontSize: "12px", color: "#fff", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={entry.name}>
+                  {entry.name}
+                </div>
+                <div style={{ fontSize: "10px", color: "rgba(255,255,255,0.5)", marginBottom: "6px" }}>
+                  {new Date(entry.updatedAt).toLocaleString()} · {entry.summary.cubes} cubes, {entry.summary.strokes} strokes
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: "3px" }}>
+                  {[
+                    { label: "Open", color: "#00ffff", rgb: "0, 255, 255", action: () => handleOpen(entry) },
+                    { label: "Rename", color: "#ffffff", rgb: "255, 255, 255", action: () => handleRename(entry) },
+                    { label: "Copy", color: "#ffaa00", rgb: "255, 170, 0", action: () => run(() => window.library.duplicate(entry.id), `📄 Duplicated "${entry.name}"`) },
+                    { label: "Delete", color: "#ff4444", rgb: "255, 68, 68", action: () => handleDelete(entry) },
+                  ].map(({ label, color, rgb, action }) => (
+                    <button key={label} onClick={action} disabled={busy} style={{ ...buttonStyle(color, rgb), padding: "3px 0", fontSize: "9px" }}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LibraryPanel;
@@ -0,0 +1,328 @@
+/**
+ * 📦 Model Exporter
+ * Exports the drawing as standard 3D model files
+ *
+ * Features:
+ * - glTF 2.0 (.gltf JSON) and binary GLB export
+ * - One node per layer, named after the layer
+ * - Voxels merged into one mesh per layer and color (no instancing extension needed)
+ * - Tube strokes exported with their own color material
+ * - Optional reference image planes
+ * - Print export: voxels of all visible layers as one closed surface in binary STL or OBJ + MTL,
+ *   in millimetres, Z up and resting on the origin
+ *
+ * @module ModelExporter
+ */
+
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import VoxelMesher from "./VoxelMesher";
+
+// Binary STL sizes in bytes
+const STL_HEADER_SIZE = 80;
+const STL_TRIANGLE_SIZE = 50;
+
+class ModelExporter {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      name: options.name || "AirBrushDrawing",
+      onlyVisible: options.onlyVisible !== false, // Skip hidden layers
+      includeImages: options.includeImages || false, // Export reference image planes
+      printScale: options.printScale || 25, // Millimetres per scene unit for STL / OBJ
+    };
+  }
+
+  /**
+   * Build a standalone scene with the drawn geometry, ready for an exporter
+   * @param {LayerManager} layers - Drawing layers
+   * @param {Array} images - Reference image meshes
+   * @returns {THREE.Scene} Export scene (dispose with disposeScene)
+   */
+  buildScene(layers, images = []) {
+    const scene = new THREE.Scene();
+    scene.name = this.config.name;
+
+    layers.layers.forEach((layer) => {
+      if (this.config.onlyVisible && !layer.visible) return;
+
+      const group = new THREE.Group();
+      group.name = layer.name;
+      this._buildVoxelMeshes(layer).forEach((mesh) => group.add(mesh));
+      layer.strokes.forEach((stroke) => {
+        const mesh = this._buildStrokeMesh(stroke, layer);
+        if (mesh) group.add(mesh);
+      });
+
+      if (group.children.length > 0) scene.add(group);
+    });
+
+    if (this.config.includeImages) {
+      images.forEach((image, index) => {
+        if (!image || !image.visible || !image.material.map) return;
+        scene.add(this._buildImagePlane(image, index));
+      });
+    }
+
+    return scene;
+  }
+
+  /**
+   * Export the drawing as glTF 2.0
+   * @param {LayerManager} layers - Drawing layers
+   * @param {Object} options - {binary: GLB when true, images: reference image meshes}
+   * @returns {Promise<ArrayBuffer|Object>} GLB buffer or glTF JSON
+   */
+  async exportGLTF(layers, options = {}) {
+    const scene = this.buildScene(layers, options.images);
+    try {
+      const exporter = new GLTFExporter();
+      return await exporter.parseAsync(scene, { binary: Boolean(options.binary), onlyVisible: true });
+    } finally {
+      this.disposeScene(scene);
+    }
+  }
+
+  /**
+   * Closed surface of all exported voxels, in print coordinates
+   * @param {LayerManager} layers - Drawing layers
+   * @returns {Object|null} {positions, triangles, colors} from VoxelMesher, or null when there are no voxels
+   */
+  buildPrintMesh(layers) {
+    const voxels = [];
+    layers.layers.forEach((layer) => {
+      if (this.config.onlyVisible && !layer.visible) return;
+      layer.voxels.forEach((voxel) => voxels.push(voxel));
+    });
+    if (voxels.length === 0) return null;
+
+    const mesh = new VoxelMesher().mesh(voxels);
+    mesh.positions = this._toPrintSpace(mesh.positions);
+    mesh.triangles.forEach((triangle) => {
+      triangle.normal = [triangle.normal[0], -triangle.normal[2], triangle.normal[1]];
+    });
+    return mesh;
+  }
+
+  /**
+   * Export voxels as a binary STL
+   * @param {LayerManager} layers - Drawing layers
+   * @returns {ArrayBuffer|null} STL file, or null when there are no voxels
+   */
+  exportSTL(layers) {
+    const mesh = this.buildPrintMesh(layers);
+    if (!mesh) return null;
+
+    const triangleCount = mesh.triangles.length;
+    const buffer = new ArrayBuffer(STL_HEADER_SIZE + 4 + triangleCount * STL_TRIANGLE_SIZE);
+    const view = new DataView(buffer);
+    const header = `${this.config.name} - binary STL, millimetres`;
+    for (let i = 0; i < Math.min(header.length, STL_HEADER_SIZE); i++) {
+      view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(STL_HEADER_SIZE, triangleCount, true);
+
+    let offset = STL_HEADER_SIZE + 4;
+    const writeVector = (x, y, z) => {
+      view.setFloat32(offset, x, true);
+      view.setFloat32(offset + 4, y, true);
+      view.setFloat32(offset + 8, z, true);
+      offset += 12;
+    };
+    mesh.triangles.forEach(({ indices, normal }) => {
+      writeVector(normal[0], normal[1], normal[2]);
+      indices.forEach((index) => writeVector(mesh.positions[index * 3], mesh.positions[index * 3 + 1], mesh.positions[index * 3 + 2]));
+      offset += 2; // Attribute byte count
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Export voxels as OBJ with an MTL file for colors
+   * @param {LayerManager} layers - Drawing layers
+   * @param {string} mtlName - File name the OBJ uses to reference the MTL
+   * @returns {Object|null} {obj, mtl} file contents, or null when there are no voxels
+   */
+  exportOBJ(layers, mtlName = "material.mtl") {
+    const mesh = this.buildPrintMesh(layers);
+    if (!mesh) return null;
+
+    const obj = [`# ${this.config.name} - units: millimetres`, `mtllib ${mtlName}`, `o ${this.config.name}`];
+    for (let i = 0; i < mesh.positions.length; i += 3) {
+      obj.push(`v ${this._num(mesh.positions[i])} ${this._num(mesh.positions[i + 1])} ${this._num(mesh.positions[i + 2])}`);
+    }
+
+    // One normal per face direction
+    const normals = [];
+    const normalIndex = (normal) => {
+      const key = normal.join(" ");
+      if (!normals.includes(key)) normals.push(key);
+      return normals.indexOf(key) + 1;
+    };
+    const faces = mesh.colors.map(() => []);
+    mesh.triangles.forEach(({ indices, normal, color }) => {
+      const n = normalIndex(normal);
+      faces[mesh.colors.indexOf(color)].push(`f ${indices.map((index) => `${index + 1}//${n}`).join(" ")}`);
+    });
+    normals.forEach((normal) => obj.push(`vn ${normal}`));
+
+    const mtl = [`# ${this.config.name}`];
+    mesh.colors.forEach((color, i) => {
+      if (faces[i].length === 0) return;
+      const name = `color_${new THREE.Color(color).getHexString()}`;
+      const { r, g, b } = new THREE.Color(color);
+      obj.push(`usemtl ${name}`, ...faces[i]);
+      mtl.push("", `newmtl ${name}`, `Kd ${this._num(r)} ${this._num(g)} ${this._num(b)}`, "Ka 0 0 0", "Ks 0 0 0", "d 1", "illum 1");
+    });
+
+    return { obj: obj.join("\n") + "\n", mtl: mtl.join("\n") + "\n" };
+  }
+
+  /**
+   * Scale to millimetres, rotate Y-up to Z-up and move the bounding box corner to the origin
+   * @private
+   */
+  _toPrintSpace(positions) {
+    const scale = this.config.printScale;
+    const result = new Float32Array(positions.length);
+    const min = [Infinity, Infinity, Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+      result[i] = positions[i] * scale;
+      result[i + 1] = -positions[i + 2] * scale;
+      result[i + 2] = positions[i + 1] * scale;
+      for (let a = 0; a < 3; a++) min[a] = Math.min(min[a], result[i + a]);
+    }
+    for (let i = 0; i < result.length; i++) result[i] -= min[i % 3];
+    return result;
+  }
+
+  /**
+   * Compact number formatting for text formats
+   * @private
+   */
+  _num(value) {
+    return Number(value.toFixed(4)).toString();
+  }
+
+  /**
+   * One merged box mesh per voxel color
+   * @private
+   */
+  _buildVoxelMeshes(layer) {
+    const byColor = new Map();
+    layer.voxels.forEach((voxel) => {
+      if (!byColor.has(voxel.color)) byColor.set(voxel.color, []);
+      byColor.get(voxel.color).push(voxel);
+    });
+
+    const template = new THREE.BoxGeometry(1, 1, 1);
+    const templatePositions = template.attributes.position.array;
+    const templateNormals = template.attributes.normal.array;
+    const templateIndex = template.index.array;
+    const vertexCount = template.attributes.position.count;
+
+    const meshes = [];
+    byColor.forEach((voxels, color) => {
+      const positions = new Float32Array(voxels.length * templatePositions.length);
+      const normals = new Float32Array(voxels.length * templateNormals.length);
+      const indices = new Uint32Array(voxels.length * templateIndex.length);
+
+      voxels.forEach((voxel, v) => {
+        const { x, y, z } = voxel.position;
+        const positionOffset = v * templatePositions.length;
+        for (let i = 0; i < templatePositions.length; i += 3) {
+          positions[positionOffset + i] = templatePositions[i] * voxel.size + x;
+          positions[positionOffset + i + 1] = templatePositions[i + 1] * voxel.size + y;
+          positions[positionOffset + i + 2] = templatePositions[i + 2] * voxel.size + z;
+        }
+        normals.set(templateNormals, v * templateNormals.length);
+        for (let i = 0; i < templateIndex.length; i++) {
+          indices[v * templateIndex.length + i] = templateIndex[i] + v * vertexCount;
+        }
+      });
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+      geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+      geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+      const mesh = new THREE.Mesh(geometry, this._material(color, layer.opacity));
+      mesh.name = `voxels_${this._hex(color)}`;
+      meshes.push(mesh);
+    });
+
+    template.dispose();
+    return meshes;
+  }
+
+  /**
+   * Copy of a tube stroke's geometry with an exportable material
+   * @private
+   */
+  _buildStrokeMesh(stroke, layer) {
+    const geometry = stroke.mesh.geometry;
+    if (!geometry.attributes.position) return null;
+
+    const mesh = new THREE.Mesh(geometry.clone(), this._material(stroke.color, layer.opacity));
+    mesh.name = stroke.id;
+    return mesh;
+  }
+
+  /**
+   * Unlit textured copy of a reference image plane
+   * @private
+   */
+  _buildImagePlane(image, index) {
+    const material = new THREE.MeshBasicMaterial({
+      map: image.material.map,
+      side: THREE.DoubleSide,
+      transparent: image.material.opacity < 1,
+      opacity: image.material.opacity,
+    });
+    const plane = new THREE.Mesh(image.geometry.clone(), material);
+    plane.name = `referenceImage_${index + 1}`;
+    plane.position.copy(image.position);
+    plane.quaternion.copy(image.quaternion);
+    plane.scale.copy(image.scale);
+    return plane;
+  }
+
+  /**
+   * Plain PBR material for a color (no emissive glow, so models look the same in any viewer)
+   * @private
+   */
+  _material(color, opacity = 1) {
+    const material = new THREE.MeshStandardMaterial({
+      color,
+      metalness: 0.3,
+      roughness: 0.4,
+      transparent: opacity < 1,
+      opacity,
+    });
+    material.name = this._hex(color);
+    return material;
+  }
+
+  /**
+   * Hex string for a color number
+   * @private
+   */
+  _hex(color) {
+    return `#${new THREE.Color(color).getHexString()}`;
+  }
+
+  /**
+   * Release geometries and materials created by buildScene (textures stay with their owners)
+   * @param {THREE.Scene} scene - Scene from buildScene
+   */
+  disposeScene(scene) {
+    scene.traverse((object) => {
+      if (!object.isMesh) return;
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+  }
+}
+
+export default ModelExporter;
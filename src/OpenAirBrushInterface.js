@@ -4,13 +4,33 @@
  */
 import { useState, useRef, useEffect, useCallback } from "react";
 import HandDrawingScene from "./HandDrawingScene";
+import ProjectSchema from "./ProjectSchema";
+import LibraryPanel from "./LibraryPanel";
+import GesturePanel from "./GesturePanel";
+import BindingsPanel from "./BindingsPanel";
+import CalibrationPanel from "./CalibrationPanel";
+import RecordingCompositor from "./RecordingCompositor";
 
 function OpenAirBrushInterface() {
   const [activeTool, setActiveTool] = useState("draw");
+  const [inputMode, setInputMode] = useState("hands");
+  const [landmarkSession, setLandmarkSession] = useState({ recording: false, replaying: false, frames: 0 });
+  const [sessionFormat, setSessionFormat] = useState("json");
+  const [modelExport, setModelExport] = useState({ includeImages: false, printScale: 25 });
+  const [turntable, setTurntable] = useState({ resolution: "640x360", frames: 72 });
+  const [turntableProgress, setTurntableProgress] = useState(null); // {format, done, total} while rendering
   const [selectedColor, setSelectedColor] = useState("#00ffff");
   const [brushSize, setBrushSize] = useState(0.15);
+  const [brushMode, setBrushMode] = useState("voxel");
+  const [symmetry, setSymmetry] = useState({ mode: "none", axis: "x", count: 6 });
+  const [layers, setLayers] = useState([]);
+  const [smoothing, setSmoothing] = useState({ mode: "oneEuro", minCutoff: 1.5, beta: 8, emaFactor: 0.3 });
+  const [handTools, setHandTools] = useState({ mode: "shared", offHand: "erase", leftHanded: false });
   const [isRecording, setIsRecording] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
+  const [isRecordingPaused, setIsRecordingPaused] = useState(false);
+  const [recordingOptions, setRecordingOptions] = useState({ format: null, audio: false, layers: { video: true, hands: true, scene: true } });
+  const [recordingFormats] = useState(() => RecordingCompositor.supportedFormats());
   const [videoOpacity, setVideoOpacity] = useState(0.5);
   const [showGrid, setShowGrid] = useState(true);
   const [selectedGlove, setSelectedGlove] = useState("skeleton");
@@ -19,10 +39,19 @@ function OpenAirBrushInterface() {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [showInstructions, setShowInstructions] = useState(false);
+  const [loadError, setLoadError] = useState(null); // {fileName, errors} of a project that failed to load
+  const [restoreSnapshots, setRestoreSnapshots] = useState(null); // Autosave snapshots offered on startup
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showGestures, setShowGestures] = useState(false);
+  const [showBindings, setShowBindings] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [libraryEntry, setLibraryEntry] = useState(null); // {id, name} of the library project being edited
   const loadInputRef = useRef(null);
-  const mediaRecorderRef = useRef(null);
-  const recordedChunksRef = useRef([]);
+  const replayInputRef = useRef(null);
   const recordingTimerRef = useRef(null);
+  // Keyboard shortcuts are registered once, so they read export options through a ref
+  const modelExportRef = useRef(modelExport);
+  modelExportRef.current = modelExport;
 
   const colors = [
     "#00ffff",
@@ -46,10 +75,49 @@ function OpenAirBrushInterface() {
     { id: "cyber", name: "Cyber", color: "#00ffff" },
     { id: "ghost", name: "Ghost", color: "#aaffaa" },
   ];
+  const inputModes = [
+    { id: "hands", name: "Hands", icon: "✋" },
+    { id: "pointer", name: "Pointer", icon: "🖱️" },
+  ];
   const tools = [
     { id: "draw", name: "Draw", icon: "✏️" },
     { id: "erase", name: "Erase", icon: "🧽" },
+    { id: "select", name: "Select", icon: "🔲" },
+  ];
+  const brushModes = [
+    { id: "voxel", name: "Cubes", icon: "🧊" },
+    { id: "tube", name: "Tube", icon: "〰️" },
+  ];
+  const symmetryModes = [
+    { id: "none", name: "Off" },
+    { id: "mirror", name: "Mirror" },
+    { id: "radial", name: "Radial" },
+  ];
+  const symmetryAxes = ["x", "y", "z"];
+  const turntableResolutions = [
+    { id: "480x270", name: "270p" },
+    { id: "640x360", name: "360p" },
+    { id: "1280x720", name: "720p" },
+    { id: "1920x1080", name: "1080p" },
+  ];
+  const turntableFrameCounts = [36, 72, 120];
+  const smoothingModes = [
+    { id: "oneEuro", name: "1€" },
+    { id: "ema", name: "EMA" },
+    { id: "none", name: "Raw" },
+  ];
+  const handModes = [
+    { id: "shared", name: "Both" },
+    { id: "split", name: "Split" },
+  ];
+  const offHandTools = [
+    { id: "erase", name: "Erase", icon: "🧽" },
+    { id: "palette", name: "Palette", icon: "🎨" },
+    { id: "none", name: "None", icon: "✋" },
   ];
+  // Gesture commands are registered once, so they cycle tools and colors through a ref
+  const cycleListsRef = useRef(null);
+  cycleListsRef.current = { tools: tools.map((t) => t.id), colors };
 
   useEffect(() => {
     // Mobile detection
@@ -68,6 +136,29 @@ function OpenAirBrushInterface() {
     };
     window.addEventListener("openInstructions", handleOpenInstructions);
 
+    // Layer panel mirrors the scene's layer stack
+    const handleLayersChanged = (e) => {
+      setLayers(e.detail);
+    };
+    window.addEventListener("layersChanged", handleLayersChanged);
+    if (window.layers) setLayers(window.layers.list());
+
+    // Fall back to mouse/touch/stylus input when the camera can't be opened
+    const handleCameraUnavailable = () => {
+      setInputMode("pointer");
+    };
+    window.addEventListener("cameraUnavailable", handleCameraUnavailable);
+
+    const handleLandmarkSessionChanged = (e) => {
+      setLandmarkSession(e.detail);
+    };
+    window.addEventListener("landmarkSessionChanged", handleLandmarkSessionChanged);
+
+    const handleAutosaveAvailable = (e) => {
+      setRestoreSnapshots(e.detail.snapshots);
+    };
+    window.addEventListener("autosaveAvailable", handleAutosaveAvailable);
+
     const handleKeyDown = (e) => {
       if (e.ctrlKey || e.metaKey) {
         if (e.key === "z") {
@@ -82,6 +173,9 @@ function OpenAirBrushInterface() {
         } else if (e.key === "e") {
           e.preventDefault();
           handleExportImage();
+        } else if (e.key === "g") {
+          e.preventDefault();
+          handleExportModel();
         }
       }
     };
@@ -90,6 +184,10 @@ function OpenAirBrushInterface() {
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("resize", checkMobile);
       window.removeEventListener("openInstructions", handleOpenInstructions);
+      window.removeEventListener("layersChanged", handleLayersChanged);
+      window.removeEventListener("cameraUnavailable", handleCameraUnavailable);
+      window.removeEventListener("landmarkSessionChanged", handleLandmarkSessionChanged);
+      window.removeEventListener("autosaveAvailable", handleAutosaveAvailable);
     };
   }, []);
 
@@ -99,6 +197,62 @@ function OpenAirBrushInterface() {
   const handleExportImage = () => {
     if (window.exportAsImage) window.exportAsImage();
   };
+  const handleExportModel = () => {
+    if (window.exportGLTF) window.exportGLTF({ binary: true, includeImages: modelExportRef.current.includeImages });
+  };
+  const handleExportPrint = (format) => {
+    if (window.exportPrintModel) window.exportPrintModel(format, { scale: modelExport.printScale });
+  };
+  const handleProjectLoaded = (result, fileName) => {
+    if (!result) return;
+    if (!result.ok) {
+      setLoadError({ fileName, errors: result.errors });
+      return;
+    }
+
+    const settings = result.project.settings;
+    if (settings.color) setSelectedColor(settings.color);
+    if (settings.brushSize) setBrushSize(settings.brushSize);
+    if (brushModes.some((m) => m.id === settings.brushMode)) setBrushMode(settings.brushMode);
+    if (gloves.some((g) => g.id === settings.glove)) setSelectedGlove(settings.glove);
+    if (settings.symmetry) setSymmetry((current) => ({ ...current, ...settings.symmetry }));
+    if (settings.smoothing) setSmoothing((current) => ({ ...current, ...settings.smoothing }));
+    if (settings.handTools) setHandTools((current) => ({ ...current, ...settings.handTools }));
+    if (settings.showGrid !== undefined) setShowGrid(settings.showGrid);
+    if (settings.videoOpacity !== undefined) setVideoOpacity(settings.videoOpacity);
+  };
+  const handleRestoreSnapshot = async (id) => {
+    setRestoreSnapshots(null);
+    if (window.autosave) handleProjectLoaded(await window.autosave.restore(id), "autosaved session");
+  };
+  const handleDismissRestore = () => {
+    setRestoreSnapshots(null);
+    if (window.autosave) window.autosave.dismiss();
+  };
+  const handleExportTurntable = async (format) => {
+    if (!window.exportTurntable || turntableProgress) return;
+    const [width, height] = turntable.resolution.split("x").map(Number);
+    setTurntableProgress({ format, done: 0, total: turntable.frames });
+    await window.exportTurntable({
+      format,
+      width,
+      height,
+      frames: turntable.frames,
+      onProgress: (done, total) => setTurntableProgress({ format, done, total }),
+    });
+    setTurntableProgress(null);
+  };
+  const handleExportVox = () => {
+    if (window.exportVox) window.exportVox();
+  };
+  const handleLandmarkRecording = () => {
+    if (!window.landmarkSession) return;
+    if (landmarkSession.recording) {
+      window.landmarkSession.save(window.landmarkSession.stopRecording(), sessionFormat);
+    } else {
+      window.landmarkSession.startRecording();
+    }
+  };
   const handleUndo = () => {
     if (window.undo) window.undo();
   };
@@ -106,42 +260,113 @@ function OpenAirBrushInterface() {
     if (window.redo) window.redo();
   };
   const handleClearScene = () => {
-    if (window.clearScene && window.confirm("Clear all drawings?")) window.clearScene();
+    if (window.clearScene && window.confirm("Clear all drawings?")) {
+      window.clearScene();
+      setLibraryEntry(null);
+    }
   };
 
-  const startRecording = useCallback(() => {
-    const canvas = document.querySelector("canvas");
-    if (!canvas) {
+  // Commands bound to gestures that change app state; scene commands run in HandDrawingScene
+  useEffect(() => {
+    const cycle = (list, current, step) => list[(list.indexOf(current) + step + list.length) % list.length];
+    const handleGestureCommand = (e) => {
+      switch (e.detail.command) {
+        case "undo":
+          handleUndo();
+          break;
+        case "redo":
+          handleRedo();
+          break;
+        case "save":
+          handleSaveProject();
+          break;
+        case "clear":
+          handleClearScene();
+          break;
+        case "nextTool":
+          setActiveTool((tool) => cycle(cycleListsRef.current.tools, tool, 1));
+          break;
+        case "toolDraw":
+          setActiveTool("draw");
+          break;
+        case "toolErase":
+          setActiveTool("erase");
+          break;
+        case "toolSelect":
+          setActiveTool("select");
+          break;
+        case "nextColor":
+          setSelectedColor((color) => cycle(cycleListsRef.current.colors, color, 1));
+          break;
+        case "previousColor":
+          setSelectedColor((color) => cycle(cycleListsRef.current.colors, color, -1));
+          break;
+        default: {
+          // color1, color2, ...: that palette color
+          const palette = /^color(\d+)$/.exec(e.detail.command);
+          if (palette && cycleListsRef.current.colors[palette[1] - 1]) setSelectedColor(cycleListsRef.current.colors[palette[1] - 1]);
+          break;
+        }
+      }
+    };
+    window.addEventListener("gestureCommand", handleGestureCommand);
+    return () => window.removeEventListener("gestureCommand", handleGestureCommand);
+  }, []);
+
+  // Records the composited view (webcam + hand overlay + 3D scene) through window.recorder
+  const startRecording = useCallback(async () => {
+    if (!window.recorder) {
       alert("3D scene not ready.");
       return;
     }
-    const stream = canvas.captureStream(30);
-    const mediaRecorder = new MediaRecorder(stream, { mimeType: "video/webm" });
-    mediaRecorder.ondataavailable = (e) => {
-      if (e.data.size > 0) recordedChunksRef.current.push(e.data);
-    };
-    mediaRecorder.onstop = () => {
-      const blob = new Blob(recordedChunksRef.current, { type: "video/webm" });
-      const a = document.createElement("a");
-      a.href = URL.createObjectURL(blob);
-      a.download = `open-air-brush-${Date.now()}.webm`;
-      a.click();
-      recordedChunksRef.current = [];
-    };
-    mediaRecorder.start();
+    try {
+      await window.recorder.start(recordingOptions);
+    } catch (error) {
+      alert(`Could not start recording: ${error.message}`);
+      return;
+    }
     setIsRecording(true);
+    setIsRecordingPaused(false);
     setRecordingTime(0);
     recordingTimerRef.current = setInterval(() => setRecordingTime((p) => p + 1), 1000);
-  }, []);
+  }, [recordingOptions]);
 
-  const stopRecording = useCallback(() => {
-    if (mediaRecorderRef.current?.state !== "inactive") mediaRecorderRef.current?.stop();
+  const togglePauseRecording = useCallback(() => {
+    if (!window.recorder) return;
+    if (isRecordingPaused) {
+      window.recorder.resume();
+      recordingTimerRef.current = setInterval(() => setRecordingTime((p) => p + 1), 1000);
+    } else {
+      window.recorder.pause();
+      clearInterval(recordingTimerRef.current);
+      recordingTimerRef.current = null;
+    }
+    setIsRecordingPaused(!isRecordingPaused);
+  }, [isRecordingPaused]);
+
+  const stopRecording = useCallback(async () => {
     setIsRecording(false);
+    setIsRecordingPaused(false);
     clearInterval(recordingTimerRef.current);
     recordingTimerRef.current = null;
     setRecordingTime(0);
+
+    const recording = window.recorder ? await window.recorder.stop() : null;
+    if (recording) {
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(recording.blob);
+      a.download = `open-air-brush-${Date.now()}.${recording.extension}`;
+      a.click();
+    }
   }, []);
 
+  // Layer toggles apply immediately while recording
+  const setRecordingLayer = (layer, visible) => {
+    const layers = { ...recordingOptions.layers, [layer]: visible };
+    setRecordingOptions({ ...recordingOptions, layers });
+    if (window.recorder) window.recorder.setLayers(layers);
+  };
+
   const formatTime = (s) =>
     `${Math.floor(s / 60)
       .toString()
@@ -209,7 +434,31 @@ function OpenAirBrushInterface() {
             ✏️ <strong>Move finger</strong> = Draw 3D cubes
           </div>
           <div>
-            🧽 <strong>Move finger (Erase mode)</strong> = Erase cubes
+            〰️ <strong>Move finger (Tube brush)</strong> = Draw a continuous tube, pinch to finish it
+          </div>
+          <div>
+            🪞 <strong>Symmetry (sidebar)</strong> = Mirror cubes across a plane or repeat them around an axis
+          </div>
+          <div>
+            🗂️ <strong>Layers (sidebar)</strong> = Click a layer to draw on it, double-click to rename
+          </div>
+          <div>
+            🧽 <strong>Move finger (Erase mode)</strong> = Erase cubes and tubes
+          </div>
+          <div>
+            🤲 <strong>Hands: Split (sidebar)</strong> = Your drawing hand uses the tool, the other hand pinches to erase or holds
+            a palette you point at to pick a color
+          </div>
+          <div>
+            🖱️ <strong>Input: Pointer (sidebar)</strong> = No camera? Drag with mouse, finger or pen to draw, wheel or pen
+            pressure for depth, right-drag to rotate, pinch or Ctrl+wheel to zoom
+          </div>
+          <div>
+            🔲 <strong>Pinch & sweep (Select mode)</strong> = Select a box, or pinch-tap a shape to select it
+          </div>
+          <div>
+            🔲 <strong>Selection</strong> = Pinch it to move, closed fist + turn to rotate, two hands to scale, open palm to
+            deselect
           </div>
           <div>
             ✋ <strong>Pinch finger & thumb</strong> = Pause drawing
@@ -303,7 +552,12 @@ function OpenAirBrushInterface() {
           <div>• Start with your index finger pointing up</div>
           <div>• Move slowly for precise control</div>
           <div>• Use two hands for zooming images</div>
-          <div>• Ctrl+Z to undo, Ctrl+S to save</div>
+          <div>• Ctrl+Z to undo, Ctrl+S to save, Ctrl+G to export a 3D model (.glb)</div>
+          <div>• Library keeps named projects with thumbnails in this browser</div>
+          <div>• Teach it your own poses and motions under Hands → Custom gestures</div>
+          <div>• Choose what each gesture does under Hands → Bindings</div>
+          <div>• Bind finger counts and signs too, e.g. 3 fingers → Palette color 3, 👍 → Save project</div>
+          <div>• Pinches not registering, or the canvas edges hard to reach? Hands → Calibrate my hand</div>
         </div>
       </div>
 
@@ -373,6 +627,161 @@ function OpenAirBrushInterface() {
         </div>
       )}
 
+      {/* Restore Previous Session Prompt */}
+      {restoreSnapshots && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0, 0, 0, 0.85)",
+            zIndex: 3000,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+        >
+          <div
+            style={{
+              background: "linear-gradient(135deg, rgba(20,20,40,0.98), rgba(10,30,40,0.98))",
+              border: "2px solid #00ffff",
+              borderRadius: "15px",
+              padding: "25px",
+              maxWidth: "460px",
+              width: "90%",
+              color: "white",
+            }}
+          >
+            <h3 style={{ color: "#00ffff", marginBottom: "10px", fontSize: "18px" }}>💾 Restore previous session?</h3>
+            <div style={{ fontSize: "13px", color: "rgba(255,255,255,0.8)", marginBottom: "12px" }}>
+              Your drawing was saved automatically before the page closed.
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: "6px", marginBottom: "15px" }}>
+              {restoreSnapshots.map((snapshot, i) => (
+                <button
+                  key={snapshot.id}
+                  onClick={() => handleRestoreSnapshot(snapshot.id)}
+                  style={{
+                    padding: "8px 12px",
+                    background: i === 0 ? "rgba(0,255,255,0.2)" : "rgba(255,255,255,0.05)",
+                    border: `1px solid ${i === 0 ? "#00ffff" : "rgba(255,255,255,0.2)"}`,
+                    borderRadius: "8px",
+                    color: i === 0 ? "#00ffff" : "#fff",
+                    cursor: "pointer",
+                    fontSize: "12px",
+                    textAlign: "left",
+                  }}
+                >
+                  {new Date(snapshot.savedAt).toLocaleString()} · {snapshot.summary.cubes} cubes, {snapshot.summary.strokes} strokes,{" "}
+                  {snapshot.summary.layers} {snapshot.summary.layers === 1 ? "layer" : "layers"}
+                </button>
+              ))}
+            </div>
+            <div style={{ textAlign: "right" }}>
+              <button
+                onClick={handleDismissRestore}
+                style={{
+                  padding: "8px 25px",
+                  background: "rgba(255, 255, 255, 0.05)",
+                  border: "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "8px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "14px",
+                }}
+              >
+                Start fresh
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Project Library Gallery */}
+      {showLibrary && (
+        <LibraryPanel
+          isMobile={isMobile}
+          currentEntry={libraryEntry}
+          onCurrentEntryChange={setLibraryEntry}
+          onOpen={handleProjectLoaded}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {/* Custom Gesture Recording */}
+      {showGestures && <GesturePanel isMobile={isMobile} onClose={() => setShowGestures(false)} />}
+
+      {/* Gesture Binding Settings */}
+      {showBindings && <BindingsPanel isMobile={isMobile} onClose={() => setShowBindings(false)} />}
+
+      {/* Hand Calibration */}
+      {showCalibration && <CalibrationPanel isMobile={isMobile} onClose={() => setShowCalibration(false)} />}
+
+      {/* Project Load Error Dialog */}
+      {loadError && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0, 0, 0, 0.85)",
+            zIndex: 3000,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          onClick={() => setLoadError(null)}
+        >
+          <div
+            onClick={(e) => e.stopPropagation()}
+            style={{
+              background: "linear-gradient(135deg, rgba(20,20,40,0.98), rgba(40,10,20,0.98))",
+              border: "2px solid #ff4444",
+              borderRadius: "15px",
+              padding: "25px",
+              maxWidth: "520px",
+              width: "90%",
+              color: "white",
+            }}
+          >
+            <h3 style={{ color: "#ff4444", marginBottom: "10px", fontSize: "18px" }}>❌ Could not load {loadError.fileName}</h3>
+            <div style={{ fontSize: "13px", color: "rgba(255,255,255,0.8)", marginBottom: "10px" }}>
+              Problems found:
+            </div>
+            <ul
+              style={{
+                maxHeight: "240px",
+                overflow: "auto",
+                margin: "0 0 15px",
+                paddingLeft: "20px",
+                fontFamily: "monospace",
+                fontSize: "12px",
+                color: "#ffaaaa",
+                lineHeight: "1.6",
+              }}
+            >
+              {loadError.errors.map((error, i) => (
+                <li key={i}>{ProjectSchema.describeError(error)}</li>
+              ))}
+            </ul>
+            <div style={{ textAlign: "right" }}>
+              <button
+                onClick={() => setLoadError(null)}
+                style={{
+                  padding: "8px 25px",
+                  background: "rgba(255, 68, 68, 0.2)",
+                  border: "1px solid #ff4444",
+                  borderRadius: "8px",
+                  color: "#ff4444",
+                  cursor: "pointer",
+                  fontSize: "14px",
+                }}
+              >
+                OK
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Help Button (❓) */}
       <button
         onClick={() => setShowInstructions(true)}
@@ -451,6 +860,34 @@ function OpenAirBrushInterface() {
             padding: "15px",
           }}
         >
+          {/* Mobile Input */}
+          <div style={{ marginBottom: "20px" }}>
+            <h3 style={{ color: "#00ffff", marginBottom: "10px", fontSize: "14px", textTransform: "uppercase" }}>Input</h3>
+            <div style={{ display: "flex", gap: "10px" }}>
+              {inputModes.map((m) => (
+                <button
+                  key={m.id}
+                  onClick={() => {
+                    setInputMode(m.id);
+                    setMobileMenuOpen(false);
+                  }}
+                  style={{
+                    flex: 1,
+                    padding: "5px 15px",
+                    background: inputMode === m.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                    border: inputMode === m.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                    borderRadius: "8px",
+                    color: "#fff",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                  }}
+                >
+                  {m.icon} {m.name}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Mobile Tools */}
           <div style={{ marginBottom: "20px" }}>
             <h3 style={{ color: "#00ffff", marginBottom: "10px", fontSize: "14px", textTransform: "uppercase" }}>Tools</h3>
@@ -481,6 +918,36 @@ function OpenAirBrushInterface() {
             </div>
           </div>
 
+          {/* Mobile Brush Mode */}
+          <div style={{ marginBottom: "20px" }}>
+            <h3 style={{ color: "#00ffff", marginBottom: "10px", fontSize: "14px", textTransform: "uppercase" }}>Brush</h3>
+            <div style={{ display: "flex", gap: "10px" }}>
+              {brushModes.map((m) => (
+                <button
+                  key={m.id}
+                  onClick={() => {
+                    setBrushMode(m.id);
+                    setMobileMenuOpen(false);
+                  }}
+                  style={{
+                    flex: 1,
+                    padding: "5px 15px",
+                    background: brushMode === m.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                    border: brushMode === m.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                    borderRadius: "8px",
+                    color: "#fff",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                  }}
+                >
+                  <span style={{ fontSize: "24px" }}>{m.icon}</span>
+                  <br />
+                  <span>{m.name}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Mobile Colors */}
           <div style={{ marginBottom: "20px" }}>
             <h3 style={{ color: "#00ffff", marginBottom: "10px", fontSize: "14px", textTransform: "uppercase" }}>Colors</h3>
@@ -578,6 +1045,62 @@ function OpenAirBrushInterface() {
             >
               📤 Export
             </button>
+            <button
+              onClick={handleExportModel}
+              style={{
+                padding: "12px",
+                background: "rgba(255, 170, 0, 0.15)",
+                border: "1px solid #ffaa00",
+                borderRadius: "8px",
+                color: "#ffaa00",
+                cursor: "pointer",
+                fontSize: "12px",
+              }}
+            >
+              📦 Export GLB
+            </button>
+            <button
+              onClick={() => handleExportPrint("stl")}
+              style={{
+                padding: "12px",
+                background: "rgba(255, 170, 0, 0.15)",
+                border: "1px solid #ffaa00",
+                borderRadius: "8px",
+                color: "#ffaa00",
+                cursor: "pointer",
+                fontSize: "12px",
+              }}
+            >
+              🖨️ Export STL
+            </button>
+            <button
+              onClick={() => (turntableProgress ? window.cancelTurntable && window.cancelTurntable() : handleExportTurntable("gif"))}
+              style={{
+                padding: "12px",
+                background: "rgba(255, 170, 0, 0.15)",
+                border: "1px solid #ffaa00",
+                borderRadius: "8px",
+                color: "#ffaa00",
+                cursor: "pointer",
+                fontSize: "12px",
+              }}
+            >
+              {turntableProgress ? `⏹️ ${turntableProgress.done}/${turntableProgress.total}` : "🔄 Turntable GIF"}
+            </button>
+            <button
+              onClick={() => setShowLibrary(true)}
+              style={{
+                padding: "12px",
+                background: "rgba(0, 255, 255, 0.15)",
+                border: "1px solid #00ffff",
+                borderRadius: "8px",
+                color: "#00ffff",
+                cursor: "pointer",
+                fontSize: "12px",
+              }}
+            >
+              📚 Library
+            </button>
           </div>
 
           {/* Mobile Clear Button */}
@@ -634,6 +1157,8 @@ function OpenAirBrushInterface() {
             <br />
             🧽 Move finger = Erase
             <br />
+            🔲 Pinch & sweep = Select
+            <br />
             ✋ Pinch = Stop
             <br />
             🙌 Two hands near = Zoom
@@ -693,8 +1218,30 @@ function OpenAirBrushInterface() {
           <p style={{ color: "#88ccff", margin: "8px 0 0", fontSize: "10px", opacity: 0.9 }}>Hand Gesture 3D Drawing</p>
         </div>
         <div style={{ marginBottom: "12px" }}>
-          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Tools</h3>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Input</h3>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "6px" }}>
+            {inputModes.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setInputMode(m.id)}
+                style={{
+                  padding: "6px",
+                  background: inputMode === m.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: inputMode === m.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "6px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "11px",
+                }}
+              >
+                {m.icon} {m.name}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Tools</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "6px" }}>
             {tools.map((t) => (
               <button
                 key={t.id}
@@ -716,6 +1263,30 @@ function OpenAirBrushInterface() {
             ))}
           </div>
         </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Brush</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "6px" }}>
+            {brushModes.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setBrushMode(m.id)}
+                style={{
+                  padding: "10px",
+                  background: brushMode === m.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: brushMode === m.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "6px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "11px",
+                }}
+              >
+                <span style={{ fontSize: "18px" }}>{m.icon}</span>
+                <br />
+                <span>{m.name}</span>
+              </button>
+            ))}
+          </div>
+        </div>
         <div style={{ marginBottom: "12px" }}>
           <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Colors</h3>
           <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: "4px" }}>
@@ -748,6 +1319,320 @@ function OpenAirBrushInterface() {
             style={{ width: "100%" }}
           />
         </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Layers</h3>
+          <div style={{ display: "flex", flexDirection: "column", gap: "4px", marginBottom: "6px" }}>
+            {layers.map((layer) => (
+              <div
+                key={layer.id}
+                onClick={() => window.layers && window.layers.setActive(layer.id)}
+                onDoubleClick={() => {
+                  const name = window.prompt("Layer name", layer.name);
+                  if (name && window.layers) window.layers.rename(layer.id, name);
+                }}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "4px",
+                  padding: "4px 6px",
+                  background: layer.active ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: layer.active ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  cursor: "pointer",
+                  fontSize: "10px",
+                  opacity: layer.visible ? 1 : 0.5,
+                }}
+              >
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    window.layers.setVisible(layer.id, !layer.visible);
+                  }}
+                  title={layer.visible ? "Hide layer" : "Show layer"}
+                  style={{ background: "none", border: "none", cursor: "pointer", padding: 0, fontSize: "12px" }}
+                >
+                  {layer.visible ? "👁️" : "🚫"}
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    window.layers.setLocked(layer.id, !layer.locked);
+                  }}
+                  title={layer.locked ? "Unlock layer" : "Lock layer"}
+                  style={{ background: "none", border: "none", cursor: "pointer", padding: 0, fontSize: "12px" }}
+                >
+                  {layer.locked ? "🔒" : "🔓"}
+                </button>
+                <span style={{ flex: 1, color: "#fff", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{layer.name}</span>
+                <span style={{ color: "#aaa" }}>{layer.count}</span>
+              </div>
+            ))}
+          </div>
+          {layers
+            .filter((layer) => layer.active)
+            .map((layer) => (
+              <div key={layer.id}>
+                <div style={{ fontSize: "10px", color: "#aaa", marginBottom: "2px" }}>Opacity: {Math.round(layer.opacity * 100)}%</div>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={layer.opacity}
+                  onChange={(e) => window.layers.setOpacity(layer.id, parseFloat(e.target.value))}
+                  style={{ width: "100%" }}
+                />
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: "4px" }}>
+                  {[
+                    { icon: "➕", title: "New layer", action: () => window.layers.add() },
+                    { icon: "⬆️", title: "Move up", action: () => window.layers.move(layer.id, 1) },
+                    { icon: "⬇️", title: "Move down", action: () => window.layers.move(layer.id, -1) },
+                    { icon: "⤵️", title: "Merge down", action: () => window.layers.mergeDown(layer.id) },
+                    {
+                      icon: "🗑️",
+                      title: "Delete layer",
+                      action: () => {
+                        if (window.confirm(`Delete "${layer.name}"? This clears undo history.`)) window.layers.remove(layer.id);
+                      },
+                    },
+                  ].map((b) => (
+                    <button
+                      key={b.title}
+                      onClick={b.action}
+                      title={b.title}
+                      style={{
+                        padding: "6px",
+                        background: "rgba(255,255,255,0.1)",
+                        border: "1px solid rgba(255,255,255,0.3)",
+                        borderRadius: "4px",
+                        cursor: "pointer",
+                        fontSize: "11px",
+                      }}
+                    >
+                      {b.icon}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Symmetry</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px", marginBottom: "6px" }}>
+            {symmetryModes.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setSymmetry((s) => ({ ...s, mode: m.id }))}
+                style={{
+                  padding: "6px",
+                  background: symmetry.mode === m.id ? "rgba(255,0,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: symmetry.mode === m.id ? "2px solid #ff00ff" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "10px",
+                }}
+              >
+                {m.name}
+              </button>
+            ))}
+          </div>
+          {symmetry.mode !== "none" && (
+            <>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px", marginBottom: "6px" }}>
+                {symmetryAxes.map((axis) => (
+                  <button
+                    key={axis}
+                    onClick={() => setSymmetry((s) => ({ ...s, axis }))}
+                    style={{
+                      padding: "6px",
+                      background: symmetry.axis === axis ? "rgba(255,0,255,0.25)" : "rgba(255,255,255,0.1)",
+                      border: symmetry.axis === axis ? "2px solid #ff00ff" : "1px solid rgba(255,255,255,0.3)",
+                      borderRadius: "4px",
+                      color: "#fff",
+                      cursor: "pointer",
+                      fontSize: "10px",
+                      textTransform: "uppercase",
+                    }}
+                  >
+                    {axis}
+                  </button>
+                ))}
+              </div>
+              {symmetry.mode === "radial" && (
+                <>
+                  <div style={{ fontSize: "10px", color: "#aaa", marginBottom: "2px" }}>Copies: {symmetry.count}</div>
+                  <input
+                    type="range"
+                    min="2"
+                    max="12"
+                    step="1"
+                    value={symmetry.count}
+                    onChange={(e) => {
+                      const count = parseInt(e.target.value, 10);
+                      setSymmetry((s) => ({ ...s, count }));
+                    }}
+                    style={{ width: "100%" }}
+                  />
+                </>
+              )}
+            </>
+          )}
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Smoothing</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px", marginBottom: "6px" }}>
+            {smoothingModes.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setSmoothing((s) => ({ ...s, mode: m.id }))}
+                style={{
+                  padding: "6px",
+                  background: smoothing.mode === m.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: smoothing.mode === m.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "10px",
+                }}
+              >
+                {m.name}
+              </button>
+            ))}
+          </div>
+          {smoothing.mode === "oneEuro" && (
+            <>
+              <div style={{ fontSize: "10px", color: "#aaa", marginBottom: "2px" }}>Steadiness (min cutoff): {smoothing.minCutoff.toFixed(1)} Hz</div>
+              <input
+                type="range"
+                min="0.1"
+                max="5"
+                step="0.1"
+                value={smoothing.minCutoff}
+                onChange={(e) => {
+                  const minCutoff = parseFloat(e.target.value);
+                  setSmoothing((s) => ({ ...s, minCutoff }));
+                }}
+                style={{ width: "100%" }}
+              />
+              <div style={{ fontSize: "10px", color: "#aaa", marginBottom: "2px" }}>Responsiveness (beta): {smoothing.beta}</div>
+              <input
+                type="range"
+                min="0"
+                max="30"
+                step="1"
+                value={smoothing.beta}
+                onChange={(e) => {
+                  const beta = parseFloat(e.target.value);
+                  setSmoothing((s) => ({ ...s, beta }));
+                }}
+                style={{ width: "100%" }}
+              />
+            </>
+          )}
+          {smoothing.mode === "ema" && (
+            <>
+              <div style={{ fontSize: "10px", color: "#aaa", marginBottom: "2px" }}>Follow factor: {smoothing.emaFactor.toFixed(2)}</div>
+              <input
+                type="range"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={smoothing.emaFactor}
+                onChange={(e) => {
+                  const emaFactor = parseFloat(e.target.value);
+                  setSmoothing((s) => ({ ...s, emaFactor }));
+                }}
+                style={{ width: "100%" }}
+              />
+            </>
+          )}
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Hands</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(2,1fr)", gap: "4px", marginBottom: "6px" }}>
+            {handModes.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setHandTools((h) => ({ ...h, mode: m.id }))}
+                style={{
+                  padding: "6px",
+                  background: handTools.mode === m.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                  border: handTools.mode === m.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "10px",
+                }}
+              >
+                {m.name}
+              </button>
+            ))}
+          </div>
+          {handTools.mode === "split" && (
+            <>
+              <div style={{ fontSize: "10px", color: "#aaa", marginBottom: "2px" }}>
+                {handTools.leftHanded ? "Right" : "Left"} hand:
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px", marginBottom: "6px" }}>
+                {offHandTools.map((t) => (
+                  <button
+                    key={t.id}
+                    onClick={() => setHandTools((h) => ({ ...h, offHand: t.id }))}
+                    title={t.name}
+                    style={{
+                      padding: "6px",
+                      background: handTools.offHand === t.id ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                      border: handTools.offHand === t.id ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                      borderRadius: "4px",
+                      color: "#fff",
+                      cursor: "pointer",
+                      fontSize: "10px",
+                    }}
+                  >
+                    {t.icon} {t.name}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#fff", fontSize: "10px" }}>
+            <input
+              type="checkbox"
+              checked={handTools.leftHanded}
+              onChange={(e) => {
+                const leftHanded = e.target.checked;
+                setHandTools((h) => ({ ...h, leftHanded }));
+              }}
+            />{" "}
+            Left-handed
+          </label>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(2,1fr)", gap: "4px", marginTop: "6px" }}>
+            {[
+              { label: "🤟 Custom gestures", title: "Record your own poses and motions", open: () => setShowGestures(true) },
+              { label: "🎛️ Bindings", title: "Choose which gesture runs which command", open: () => setShowBindings(true) },
+              { label: "📏 Calibrate my hand", title: "Tune gestures and reach to your hand", open: () => setShowCalibration(true), wide: true },
+            ].map(({ label, title, open, wide }) => (
+              <button
+                key={label}
+                onClick={open}
+                title={title}
+                style={{
+                  gridColumn: wide ? "1 / -1" : undefined,
+                  padding: "6px",
+                  background: "rgba(255,255,255,0.1)",
+                  border: "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "10px",
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
         <div style={{ marginBottom: "12px" }}>
           <h3 style={{ color: "#00ffff", marginBottom: "4px", fontSize: "11px", textTransform: "uppercase" }}>Glove</h3>
           <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px" }}>
@@ -771,6 +1656,57 @@ function OpenAirBrushInterface() {
             ))}
           </div>
         </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Landmark Session</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px", marginBottom: "4px" }}>
+            <button
+              onClick={handleLandmarkRecording}
+              disabled={landmarkSession.replaying}
+              title="Record the raw hand landmark stream to a file"
+              style={{
+                padding: "6px",
+                background: landmarkSession.recording ? "rgba(255,0,0,0.3)" : "rgba(255,255,255,0.1)",
+                border: landmarkSession.recording ? "2px solid #ff4444" : "1px solid rgba(255,255,255,0.3)",
+                borderRadius: "4px",
+                color: "#fff",
+                cursor: "pointer",
+                fontSize: "10px",
+              }}
+            >
+              {landmarkSession.recording ? "⏹ Save" : "⏺ Record"}
+            </button>
+            <button
+              onClick={() => {
+                if (landmarkSession.replaying) {
+                  if (window.landmarkSession) window.landmarkSession.stopReplay();
+                } else {
+                  replayInputRef.current?.click();
+                }
+              }}
+              disabled={landmarkSession.recording}
+              title="Replay a recorded session in place of the camera"
+              style={{
+                padding: "6px",
+                background: landmarkSession.replaying ? "rgba(0,255,255,0.25)" : "rgba(255,255,255,0.1)",
+                border: landmarkSession.replaying ? "2px solid #00ffff" : "1px solid rgba(255,255,255,0.3)",
+                borderRadius: "4px",
+                color: "#fff",
+                cursor: "pointer",
+                fontSize: "10px",
+              }}
+            >
+              {landmarkSession.replaying ? "⏹ Stop" : "▶️ Replay"}
+            </button>
+          </div>
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#fff", fontSize: "10px" }}>
+            <input
+              type="checkbox"
+              checked={sessionFormat === "binary"}
+              onChange={(e) => setSessionFormat(e.target.checked ? "binary" : "json")}
+            />{" "}
+            Save as binary (.alms)
+          </label>
+        </div>
         <div style={{ marginBottom: "12px" }}>
           <h3 style={{ color: "#00ffff", marginBottom: "4px", fontSize: "11px", textTransform: "uppercase" }}>
             Video: {Math.round(videoOpacity * 100)}%
@@ -821,22 +1757,214 @@ function OpenAirBrushInterface() {
           </button>
         </div>
         <div style={{ marginBottom: "12px" }}>
-          <button
-            onClick={isRecording ? stopRecording : startRecording}
-            style={{
-              width: "100%",
-              padding: "10px",
-              background: isRecording ? "rgba(255,0,0,0.2)" : "rgba(0,255,0,0.15)",
-              border: isRecording ? "1px solid #ff0000" : "1px solid #00ff00",
-              borderRadius: "4px",
-              color: isRecording ? "#ff0000" : "#00ff00",
-              cursor: "pointer",
-              fontSize: "11px",
-              fontWeight: "bold",
-            }}
-          >
-            {isRecording ? "Stop " + formatTime(recordingTime) : "Record"}
-          </button>
+          <div style={{ display: "grid", gridTemplateColumns: isRecording ? "2fr 1fr" : "1fr", gap: "4px" }}>
+            <button
+              onClick={isRecording ? stopRecording : startRecording}
+              style={{
+                width: "100%",
+                padding: "10px",
+                background: isRecording ? "rgba(255,0,0,0.2)" : "rgba(0,255,0,0.15)",
+                border: isRecording ? "1px solid #ff0000" : "1px solid #00ff00",
+                borderRadius: "4px",
+                color: isRecording ? "#ff0000" : "#00ff00",
+                cursor: "pointer",
+                fontSize: "11px",
+                fontWeight: "bold",
+              }}
+            >
+              {isRecording ? "Stop " + formatTime(recordingTime) : "Record"}
+            </button>
+            {isRecording && (
+              <button
+                onClick={togglePauseRecording}
+                style={{
+                  padding: "10px",
+                  background: "rgba(255,255,0,0.15)",
+                  border: "1px solid #ffff00",
+                  borderRadius: "4px",
+                  color: "#ffff00",
+                  cursor: "pointer",
+                  fontSize: "11px",
+                }}
+              >
+                {isRecordingPaused ? "Resume" : "Pause"}
+              </button>
+            )}
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px", marginTop: "4px" }}>
+            {[
+              { id: "video", name: "Video" },
+              { id: "hands", name: "Hands" },
+              { id: "scene", name: "3D" },
+            ].map((layer) => (
+              <button
+                key={layer.id}
+                onClick={() => setRecordingLayer(layer.id, !recordingOptions.layers[layer.id])}
+                title="Include in the recording"
+                style={{
+                  padding: "6px",
+                  background: recordingOptions.layers[layer.id] ? "rgba(0,255,0,0.25)" : "rgba(255,255,255,0.1)",
+                  border: recordingOptions.layers[layer.id] ? "2px solid #00ff00" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "9px",
+                }}
+              >
+                {layer.name}
+              </button>
+            ))}
+          </div>
+          {recordingFormats.length > 1 && (
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(2,1fr)", gap: "4px", marginTop: "4px" }}>
+              {recordingFormats.map((format, i) => {
+                const selected = recordingOptions.format ? recordingOptions.format === format.id : i === 0;
+                return (
+                  <button
+                    key={format.id}
+                    onClick={() => setRecordingOptions({ ...recordingOptions, format: format.id })}
+                    disabled={isRecording}
+                    title={format.mimeType}
+                    style={{
+                      padding: "6px",
+                      background: selected ? "rgba(0,255,0,0.25)" : "rgba(255,255,255,0.1)",
+                      border: selected ? "2px solid #00ff00" : "1px solid rgba(255,255,255,0.3)",
+                      borderRadius: "4px",
+                      color: "#fff",
+                      cursor: isRecording ? "default" : "pointer",
+                      fontSize: "9px",
+                    }}
+                  >
+                    {format.name}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#fff", fontSize: "10px", marginTop: "4px" }}>
+            <input
+              type="checkbox"
+              checked={recordingOptions.audio}
+              disabled={isRecording}
+              onChange={(e) => setRecordingOptions({ ...recordingOptions, audio: e.target.checked })}
+            />{" "}
+            Record microphone narration
+          </label>
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "4px", fontSize: "11px", textTransform: "uppercase" }}>Turntable</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: "4px", marginBottom: "4px" }}>
+            {turntableResolutions.map((r) => (
+              <button
+                key={r.id}
+                onClick={() => setTurntable({ ...turntable, resolution: r.id })}
+                title={r.id.replace("x", " × ")}
+                style={{
+                  padding: "6px",
+                  background: turntable.resolution === r.id ? "rgba(255,170,0,0.25)" : "rgba(255,255,255,0.1)",
+                  border: turntable.resolution === r.id ? "2px solid #ffaa00" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "9px",
+                }}
+              >
+                {r.name}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: "4px", marginBottom: "4px" }}>
+            {turntableFrameCounts.map((frames) => (
+              <button
+                key={frames}
+                onClick={() => setTurntable({ ...turntable, frames })}
+                style={{
+                  padding: "6px",
+                  background: turntable.frames === frames ? "rgba(255,170,0,0.25)" : "rgba(255,255,255,0.1)",
+                  border: turntable.frames === frames ? "2px solid #ffaa00" : "1px solid rgba(255,255,255,0.3)",
+                  borderRadius: "4px",
+                  color: "#fff",
+                  cursor: "pointer",
+                  fontSize: "9px",
+                }}
+              >
+                {frames} frames
+              </button>
+            ))}
+          </div>
+          {turntableProgress ? (
+            <button
+              onClick={() => window.cancelTurntable && window.cancelTurntable()}
+              title="Cancel"
+              style={{
+                width: "100%",
+                padding: "6px",
+                background: "rgba(255,0,0,0.15)",
+                border: "1px solid #ff0000",
+                borderRadius: "4px",
+                color: "#ff0000",
+                cursor: "pointer",
+                fontSize: "9px",
+              }}
+            >
+              Rendering {turntableProgress.format.toUpperCase()} {turntableProgress.done}/{turntableProgress.total} · Cancel
+            </button>
+          ) : (
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px" }}>
+              {["webm", "gif"].map((format) => (
+                <button
+                  key={format}
+                  onClick={() => handleExportTurntable(format)}
+                  title={format === "webm" ? "360° orbit video" : "360° orbit animated GIF"}
+                  style={{
+                    padding: "6px",
+                    background: "rgba(255,170,0,0.15)",
+                    border: "1px solid #ffaa00",
+                    borderRadius: "4px",
+                    color: "#ffaa00",
+                    cursor: "pointer",
+                    fontSize: "9px",
+                  }}
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <h3 style={{ color: "#00ffff", marginBottom: "4px", fontSize: "11px", textTransform: "uppercase" }}>
+            3D Print: {modelExport.printScale} mm / unit
+          </h3>
+          <input
+            type="range"
+            min="5"
+            max="100"
+            step="5"
+            value={modelExport.printScale}
+            onChange={(e) => setModelExport({ ...modelExport, printScale: parseInt(e.target.value, 10) })}
+            style={{ width: "100%" }}
+          />
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px", marginTop: "4px" }}>
+            {["stl", "obj"].map((format) => (
+              <button
+                key={format}
+                onClick={() => handleExportPrint(format)}
+                title={format === "stl" ? "Binary STL for slicers" : "OBJ + MTL with colors"}
+                style={{
+                  padding: "6px",
+                  background: "rgba(255,170,0,0.15)",
+                  border: "1px solid #ffaa00",
+                  borderRadius: "4px",
+                  color: "#ffaa00",
+                  cursor: "pointer",
+                  fontSize: "9px",
+                }}
+              >
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
         </div>
         <div style={{ marginTop: "auto" }}>
           <h3 style={{ color: "#00ffff", marginBottom: "6px", fontSize: "11px", textTransform: "uppercase" }}>Actions</h3>
@@ -897,7 +2025,61 @@ function OpenAirBrushInterface() {
             >
               Export
             </button>
+            <button
+              onClick={handleExportModel}
+              title="Export 3D model (Ctrl+G)"
+              style={{
+                padding: "6px",
+                background: "rgba(255,170,0,0.15)",
+                border: "1px solid #ffaa00",
+                borderRadius: "4px",
+                color: "#ffaa00",
+                cursor: "pointer",
+                fontSize: "9px",
+              }}
+            >
+              GLB
+            </button>
+            <button
+              onClick={handleExportVox}
+              title="Export MagicaVoxel model (load .vox files with Load)"
+              style={{
+                padding: "6px",
+                background: "rgba(255,170,0,0.15)",
+                border: "1px solid #ffaa00",
+                borderRadius: "4px",
+                color: "#ffaa00",
+                cursor: "pointer",
+                fontSize: "9px",
+              }}
+            >
+              VOX
+            </button>
+            <button
+              onClick={() => setShowLibrary(true)}
+              title="Projects saved in this browser"
+              style={{
+                gridColumn: "1 / -1",
+                padding: "6px",
+                background: "rgba(0,255,255,0.15)",
+                border: "1px solid #00ffff",
+                borderRadius: "4px",
+                color: "#00ffff",
+                cursor: "pointer",
+                fontSize: "9px",
+              }}
+            >
+              Library
+            </button>
           </div>
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#fff", fontSize: "10px", marginTop: "4px" }}>
+            <input
+              type="checkbox"
+              checked={modelExport.includeImages}
+              onChange={(e) => setModelExport({ ...modelExport, includeImages: e.target.checked })}
+            />{" "}
+            Include reference image in GLB
+          </label>
           <button
             onClick={handleClearScene}
             style={{
@@ -934,6 +2116,13 @@ function OpenAirBrushInterface() {
           activeTool={activeTool}
           selectedColor={selectedColor}
           brushSize={brushSize}
+          brushMode={brushMode}
+          symmetry={symmetry}
+          smoothing={smoothing}
+          handTools={handTools}
+          inputMode={inputMode}
+          palette={colors}
+          onColorPick={setSelectedColor}
           showGrid={showGrid}
           videoOpacity={videoOpacity}
           isRecording={isRecording}
@@ -968,19 +2157,41 @@ function OpenAirBrushInterface() {
       <input
         ref={loadInputRef}
         type="file"
-        accept=".json"
+        accept=".json,.vox"
         style={{ display: "none" }}
         onChange={(e) => {
           const f = e.target.files[0];
-          if (f) {
+          e.target.value = "";
+          // A loaded file is a new project, so library saves no longer update the previous entry
+          if (f) setLibraryEntry(null);
+          if (f && f.name.toLowerCase().endsWith(".vox")) {
             const r = new FileReader();
             r.onload = (ev) => {
-              if (window.loadProject) window.loadProject(ev.target.result);
+              if (window.importVox) handleProjectLoaded(window.importVox(ev.target.result, f.name.replace(/\.vox$/i, "")), f.name);
+            };
+            r.readAsArrayBuffer(f);
+          } else if (f) {
+            const r = new FileReader();
+            r.onload = (ev) => {
+              if (window.loadProject) handleProjectLoaded(window.loadProject(ev.target.result), f.name);
             };
             r.readAsText(f);
           }
         }}
       />
+      <input
+        ref={replayInputRef}
+        type="file"
+        accept=".json,.alms"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          const f = e.target.files[0];
+          e.target.value = "";
+          if (f && window.landmarkSession) {
+            window.landmarkSession.replay(f).catch((error) => alert(`Could not replay session: ${error.message}`));
+          }
+        }}
+      />
     </div>
   );
 }
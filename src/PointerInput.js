@@ -0,0 +1,242 @@
+/**
+ * 🖱️ Pointer Input
+ * Mouse, touch and stylus input that drives the same actions as hand gestures
+ *
+ * Features:
+ * - Primary button / one finger / pen contact drags a stroke
+ * - Depth from mouse wheel, or from pen pressure
+ * - Right or middle button (or Shift + drag) rotates
+ * - Two-finger pinch and Ctrl + wheel (trackpad pinch) zoom
+ * - Emits plain action objects, so drawing can be scripted in tests
+ *
+ * Actions passed to onAction:
+ * - { type: "strokeStart" | "strokeMove", position: {x, y, z}, pressure }
+ * - { type: "strokeEnd" }
+ * - { type: "rotate", x, y }    radians around the X and Y axes
+ * - { type: "zoom", amount }    positive = zoom in
+ * - { type: "depth", z }        new drawing depth
+ *
+ * @module PointerInput
+ */
+
+// Drawing coordinates span this many world units across the surface (same as the hand mapping)
+const WORLD_SPAN = 8;
+// Depth of the drawing plane when the wheel offset is zero (same as the hand mapping)
+const BASE_DEPTH = 0.3;
+
+class PointerInput {
+  constructor(element, options = {}) {
+    this.element = element;
+
+    // Configuration
+    this.config = {
+      depthStep: options.depthStep || 0.1, // World units per wheel notch
+      minDepth: options.minDepth !== undefined ? options.minDepth : -1.5,
+      maxDepth: options.maxDepth !== undefined ? options.maxDepth : 1.5,
+      pressureDepth: options.pressureDepth !== undefined ? options.pressureDepth : 1.0, // Depth range covered by pen pressure
+      rotateSpeed: options.rotateSpeed || 0.01, // Radians per pixel
+      zoomSpeed: options.zoomSpeed || 0.01, // Zoom amount per pixel of pinch or wheel delta
+    };
+
+    // Action callback
+    this.onAction = options.onAction || null;
+
+    // State
+    this.enabled = false;
+    this.depth = 0; // Wheel depth offset
+    this.pointers = new Map(); // Pointer ID -> {x, y} of active pointers
+    this.mode = null; // "stroke" | "rotate" | "zoom"
+    this.last = null; // Last pointer position for rotation
+    this.pinchDistance = null;
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
+
+    element.addEventListener("pointerdown", this._onPointerDown);
+    element.addEventListener("pointermove", this._onPointerMove);
+    element.addEventListener("pointerup", this._onPointerUp);
+    element.addEventListener("pointercancel", this._onPointerUp);
+    element.addEventListener("wheel", this._onWheel, { passive: false });
+    element.addEventListener("contextmenu", this._onContextMenu);
+  }
+
+  /**
+   * Start or stop reacting to pointer events
+   * @param {boolean} enabled - Whether input is active
+   */
+  setEnabled(enabled) {
+    if (!enabled) this._endGesture();
+    this.enabled = enabled;
+  }
+
+  /**
+   * Convert a client position to drawing coordinates
+   * @param {number} clientX - Client X in pixels
+   * @param {number} clientY - Client Y in pixels
+   * @param {number} pressure - Pen pressure (0-1), or null to use the wheel depth only
+   * @returns {Object} {x, y, z}
+   */
+  toWorld(clientX, clientY, pressure = null) {
+    const rect = this.element.getBoundingClientRect();
+    const width = rect.width || 1;
+    const height = rect.height || 1;
+    const pressureOffset = pressure === null ? 0 : (pressure - 0.5) * this.config.pressureDepth;
+
+    return {
+      x: ((clientX - rect.left) / width - 0.5) * WORLD_SPAN,
+      y: (0.5 - (clientY - rect.top) / height) * WORLD_SPAN,
+      z: BASE_DEPTH + this.depth + pressureOffset,
+    };
+  }
+
+  /**
+   * Start a stroke, rotation or pinch
+   * @private
+   */
+  _onPointerDown(event) {
+    if (!this.enabled) return;
+    event.preventDefault();
+    if (this.element.setPointerCapture && event.pointerId !== undefined) {
+      try {
+        this.element.setPointerCapture(event.pointerId);
+      } catch (e) {}
+    }
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    // A second finger turns the stroke into a pinch zoom
+    if (event.pointerType === "touch" && this.pointers.size === 2) {
+      this._endGesture(false);
+      this.mode = "zoom";
+      this.pinchDistance = this._pinchDistance();
+      return;
+    }
+    if (this.mode) return;
+
+    if (event.button === 1 || event.button === 2 || event.shiftKey) {
+      this.mode = "rotate";
+      this.last = { x: event.clientX, y: event.clientY };
+      return;
+    }
+
+    this.mode = "stroke";
+    this._emitStroke("strokeStart", event);
+  }
+
+  /**
+   * Continue the current gesture
+   * @private
+   */
+  _onPointerMove(event) {
+    if (!this.enabled || !this.pointers.has(event.pointerId)) return;
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (this.mode === "stroke") {
+      this._emitStroke("strokeMove", event);
+    } else if (this.mode === "rotate") {
+      const dx = event.clientX - this.last.x;
+      const dy = event.clientY - this.last.y;
+      this.last = { x: event.clientX, y: event.clientY };
+      this._emit({ type: "rotate", x: dy * this.config.rotateSpeed, y: dx * this.config.rotateSpeed });
+    } else if (this.mode === "zoom" && this.pointers.size === 2) {
+      const distance = this._pinchDistance();
+      this._emit({ type: "zoom", amount: (distance - this.pinchDistance) * this.config.zoomSpeed });
+      this.pinchDistance = distance;
+    }
+  }
+
+  /**
+   * End the gesture once all pointers are up
+   * @private
+   */
+  _onPointerUp(event) {
+    if (!this.pointers.has(event.pointerId)) return;
+    this.pointers.delete(event.pointerId);
+
+    // Lifting one finger of a pinch waits for the other before drawing again
+    if (this.pointers.size === 0) this._endGesture();
+  }
+
+  /**
+   * Wheel sets depth; Ctrl + wheel (what trackpads send for pinch) zooms
+   * @private
+   */
+  _onWheel(event) {
+    if (!this.enabled) return;
+    event.preventDefault();
+
+    if (event.ctrlKey) {
+      this._emit({ type: "zoom", amount: -event.deltaY * this.config.zoomSpeed });
+      return;
+    }
+
+    const { depthStep, minDepth, maxDepth } = this.config;
+    const depth = this.depth - Math.sign(event.deltaY) * depthStep;
+    this.depth = Math.max(minDepth, Math.min(maxDepth, depth));
+    this._emit({ type: "depth", z: BASE_DEPTH + this.depth });
+  }
+
+  /**
+   * Right button rotates, so the browser menu is suppressed while enabled
+   * @private
+   */
+  _onContextMenu(event) {
+    if (this.enabled) event.preventDefault();
+  }
+
+  /**
+   * Emit a stroke action at an event's position
+   * @private
+   */
+  _emitStroke(type, event) {
+    // Pens report real pressure; mice report a constant 0.5 and touch varies by device, so only pens set depth
+    const pressure = event.pointerType === "pen" && event.pressure > 0 ? event.pressure : null;
+    this._emit({ type, position: this.toWorld(event.clientX, event.clientY, pressure), pressure: pressure === null ? 0.5 : pressure });
+  }
+
+  /**
+   * Finish the current gesture
+   * @private
+   */
+  _endGesture(clearPointers = true) {
+    if (this.mode === "stroke") this._emit({ type: "strokeEnd" });
+    this.mode = null;
+    this.last = null;
+    this.pinchDistance = null;
+    if (clearPointers) this.pointers.clear();
+  }
+
+  /**
+   * Distance between the two active pointers in pixels
+   * @private
+   */
+  _pinchDistance() {
+    const [a, b] = Array.from(this.pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Send an action to the listener
+   * @private
+   */
+  _emit(action) {
+    if (this.onAction) this.onAction(action);
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this._endGesture();
+    this.element.removeEventListener("pointerdown", this._onPointerDown);
+    this.element.removeEventListener("pointermove", this._onPointerMove);
+    this.element.removeEventListener("pointerup", this._onPointerUp);
+    this.element.removeEventListener("pointercancel", this._onPointerUp);
+    this.element.removeEventListener("wheel", this._onWheel);
+    this.element.removeEventListener("contextmenu", this._onContextMenu);
+  }
+}
+
+export default PointerInput;
@@ -0,0 +1,77 @@
+import PointerInput from "./PointerInput";
+
+// jsdom has no PointerEvent, so pointer fields are added to a MouseEvent
+const pointer = (type, { id = 1, x = 0, y = 0, pointerType = "mouse", pressure = 0.5, button = 0, shiftKey = false } = {}) => {
+  const event = new MouseEvent(type, { clientX: x, clientY: y, button, shiftKey, bubbles: true, cancelable: true });
+  Object.defineProperties(event, {
+    pointerId: { value: id },
+    pointerType: { value: pointerType },
+    pressure: { value: pressure },
+  });
+  return event;
+};
+
+const setup = () => {
+  const element = document.createElement("div");
+  element.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+  const actions = [];
+  const input = new PointerInput(element, { onAction: (action) => actions.push(action) });
+  input.setEnabled(true);
+  return { element, input, actions };
+};
+
+describe("PointerInput", () => {
+  test("a scripted drag produces a stroke in drawing coordinates", () => {
+    const { element, actions } = setup();
+    element.dispatchEvent(pointer("pointerdown", { x: 400, y: 300 }));
+    element.dispatchEvent(pointer("pointermove", { x: 600, y: 150 }));
+    element.dispatchEvent(pointer("pointerup", { x: 600, y: 150 }));
+
+    expect(actions.map((a) => a.type)).toEqual(["strokeStart", "strokeMove", "strokeEnd"]);
+    expect(actions[0].position).toEqual({ x: 0, y: 0, z: 0.3 });
+    expect(actions[1].position.x).toBeCloseTo(2);
+    expect(actions[1].position.y).toBeCloseTo(2);
+  });
+
+  test("wheel moves the drawing depth and pen pressure offsets it", () => {
+    const { element, actions } = setup();
+    element.dispatchEvent(new WheelEvent("wheel", { deltaY: -100, cancelable: true }));
+    expect(actions[0].type).toBe("depth");
+    expect(actions[0].z).toBeCloseTo(0.4);
+
+    element.dispatchEvent(pointer("pointerdown", { x: 400, y: 300, pointerType: "pen", pressure: 1 }));
+    expect(actions[1].position.z).toBeCloseTo(0.9);
+    expect(actions[1].pressure).toBe(1);
+  });
+
+  test("right drag rotates and ctrl + wheel zooms", () => {
+    const { element, actions } = setup();
+    element.dispatchEvent(pointer("pointerdown", { x: 100, y: 100, button: 2 }));
+    element.dispatchEvent(pointer("pointermove", { x: 150, y: 100 }));
+    element.dispatchEvent(pointer("pointerup", { x: 150, y: 100 }));
+    element.dispatchEvent(new WheelEvent("wheel", { deltaY: -50, ctrlKey: true, cancelable: true }));
+
+    expect(actions.map((a) => a.type)).toEqual(["rotate", "zoom"]);
+    expect(actions[0].y).toBeGreaterThan(0);
+    expect(actions[0].x).toBe(0);
+    expect(actions[1].amount).toBeGreaterThan(0);
+  });
+
+  test("a second finger ends the stroke and pinches to zoom", () => {
+    const { element, actions } = setup();
+    element.dispatchEvent(pointer("pointerdown", { id: 1, x: 300, y: 300, pointerType: "touch" }));
+    element.dispatchEvent(pointer("pointerdown", { id: 2, x: 400, y: 300, pointerType: "touch" }));
+    element.dispatchEvent(pointer("pointermove", { id: 2, x: 500, y: 300, pointerType: "touch" }));
+
+    expect(actions.map((a) => a.type)).toEqual(["strokeStart", "strokeEnd", "zoom"]);
+    expect(actions[2].amount).toBeGreaterThan(0);
+  });
+
+  test("ignores events while disabled", () => {
+    const { element, input, actions } = setup();
+    input.setEnabled(false);
+    element.dispatchEvent(pointer("pointerdown", { x: 400, y: 300 }));
+    element.dispatchEvent(new WheelEvent("wheel", { deltaY: 100, cancelable: true }));
+    expect(actions).toEqual([]);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * 📚 Project Library
+ * Named projects with thumbnails saved in browser storage
+ *
+ * Features:
+ * - Save, open, rename, duplicate and delete named projects
+ * - Search by name and sort by last change, creation or name
+ * - Export the whole library as one archive file and import it elsewhere
+ *
+ * @module ProjectLibrary
+ */
+
+import IndexedDBStore from "./IndexedDBStore";
+import ProjectSchema from "./ProjectSchema";
+
+export const LIBRARY_ARCHIVE_FORMAT = "open-air-brush-library";
+export const LIBRARY_ARCHIVE_VERSION = 1;
+
+let entryCounter = 0;
+
+class ProjectLibrary {
+  constructor(options = {}) {
+    this.store = options.store || new IndexedDBStore({ dbName: "open-air-brush-library", storeName: "projects" });
+  }
+
+  /**
+   * Save a project as a new entry, or over an existing one when an ID is given
+   * @param {Object} entry - {id, name, project, thumbnail}
+   * @returns {Promise<Object>} Saved entry summary
+   */
+  async save({ id, name, project, thumbnail = null }) {
+    const existing = id ? await this.store.get(id) : null;
+    const now = Date.now();
+    const record = {
+      id: existing ? existing.id : ProjectLibrary._newId(),
+      name: (name || (existing && existing.name) || "Untitled").trim(),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      thumbnail: thumbnail || (existing && existing.thumbnail) || null,
+      summary: ProjectLibrary._summarize(project),
+      project,
+    };
+    await this.store.put(record);
+    return ProjectLibrary._describe(record);
+  }
+
+  /**
+   * Entry summaries without project data
+   * @param {Object} options - {search: name filter, sort: "updated" | "created" | "name"}
+   * @returns {Promise<Array>} [{id, name, createdAt, updatedAt, thumbnail, summary}]
+   */
+  async list(options = {}) {
+    const records = await this.store.getAll();
+    return ProjectLibrary.filter(records.map(ProjectLibrary._describe), options);
+  }
+
+  /**
+   * Project data of an entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Project data
+   */
+  async open(id) {
+    const record = await this.store.get(id);
+    return record ? record.project : null;
+  }
+
+  /**
+   * Rename an entry
+   * @param {string} id - Entry ID
+   * @param {string} name - New name
+   * @returns {Promise<Object|null>} Updated entry summary
+   */
+  async rename(id, name) {
+    const record = await this.store.get(id);
+    if (!record || !name || !name.trim()) return null;
+    record.name = name.trim();
+    record.updatedAt = Date.now();
+    await this.store.put(record);
+    return ProjectLibrary._describe(record);
+  }
+
+  /**
+   * Copy an entry under a new name
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} New entry summary
+   */
+  async duplicate(id) {
+    const record = await this.store.get(id);
+    if (!record) return null;
+    const now = Date.now();
+    const copy = { ...record, id: ProjectLibrary._newId(), name: `${record.name} copy`, createdAt: now, updatedAt: now };
+    await this.store.put(copy);
+    return ProjectLibrary._describe(copy);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   */
+  async remove(id) {
+    await this.store.delete(id);
+  }
+
+  /**
+   * Whole library as one archive object (save it as JSON)
+   * @returns {Promise<Object>} Archive
+   */
+  async exportArchive() {
+    return {
+      format: LIBRARY_ARCHIVE_FORMAT,
+      version: LIBRARY_ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      projects: await this.store.getAll(),
+    };
+  }
+
+  /**
+   * Add the projects of an archive; entries whose ID already exists are added as copies
+   * @param {string|Object} input - Archive JSON text or object
+   * @returns {Promise<Object>} {imported, skipped: [{name, errors}]}
+   */
+  async importArchive(input) {
+    const archive = typeof input === "string" ? JSON.parse(input) : input;
+    if (!archive || archive.format !== LIBRARY_ARCHIVE_FORMAT || !Array.isArray(archive.projects)) {
+      throw new Error("Not a project library archive");
+    }
+    if (archive.version > LIBRARY_ARCHIVE_VERSION) {
+      throw new Error(`Library archive version ${archive.version} is newer than supported (${LIBRARY_ARCHIVE_VERSION})`);
+    }
+
+    const existingIds = new Set(await this.store.getAllKeys());
+    const skipped = [];
+    let imported = 0;
+    for (const entry of archive.projects) {
+      const name = entry && typeof entry.name === "string" ? entry.name : "Untitled";
+      const result = ProjectSchema.parse(entry ? entry.project : null);
+      if (!result.ok) {
+        skipped.push({ name, errors: result.errors });
+        continue;
+      }
+
+      const now = Date.now();
+      const id = entry.id && !existingIds.has(entry.id) ? entry.id : ProjectLibrary._newId();
+      existingIds.add(id);
+      await this.store.put({
+        id,
+        name,
+        createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : now,
+        updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : now,
+        thumbnail: typeof entry.thumbnail === "string" ? entry.thumbnail : null,
+        summary: ProjectLibrary._summarize(result.project),
+        project: result.project,
+      });
+      imported++;
+    }
+    return { imported, skipped };
+  }
+
+  /**
+   * Search and sort entry summaries
+   * @param {Array} entries - Entry summaries
+   * @param {Object} options - {search, sort: "updated" | "created" | "name"}
+   * @returns {Array} Matching entries
+   */
+  static filter(entries, options = {}) {
+    const search = (options.search || "").trim().toLowerCase();
+    const sort = options.sort || "updated";
+    const matches = search ? entries.filter((entry) => entry.name.toLowerCase().includes(search)) : entries.slice();
+
+    if (sort === "name") {
+      matches.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" }));
+    } else if (sort === "created") {
+      matches.sort((a, b) => b.createdAt - a.createdAt);
+    } else {
+      matches.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    return matches;
+  }
+
+  /**
+   * Entry without its project data
+   * @private
+   */
+  static _describe({ id, name, createdAt, updatedAt, thumbnail, summary }) {
+    return { id, name, createdAt, updatedAt, thumbnail, summary };
+  }
+
+  /**
+   * Counts shown in the gallery
+   * @private
+   */
+  static _summarize(project) {
+    const layers = (project && project.layers) || [];
+    return {
+      layers: layers.length,
+      cubes: layers.reduce((sum, layer) => sum + (layer.cubes ? layer.cubes.length : 0), 0),
+      strokes: layers.reduce((sum, layer) => sum + (layer.strokes ? layer.strokes.length : 0), 0),
+    };
+  }
+
+  /**
+   * Unique entry ID
+   * @private
+   */
+  static _newId() {
+    return `project_${Date.now()}_${entryCounter++}`;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.store.dispose();
+  }
+}
+
+export default ProjectLibrary;
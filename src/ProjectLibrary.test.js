@@ -0,0 +1,125 @@
+import ProjectLibrary, { LIBRARY_ARCHIVE_FORMAT } from "./ProjectLibrary";
+import ProjectSchema from "./ProjectSchema";
+
+// Same async surface as IndexedDBStore, kept in a Map
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+  async get(key) {
+    return this.records.has(key) ? JSON.parse(JSON.stringify(this.records.get(key))) : undefined;
+  }
+  async getAll() {
+    return [...this.records.values()].map((record) => JSON.parse(JSON.stringify(record)));
+  }
+  async getAllKeys() {
+    return [...this.records.keys()];
+  }
+  async put(record) {
+    this.records.set(record.id, JSON.parse(JSON.stringify(record)));
+    return record.id;
+  }
+  async delete(key) {
+    this.records.delete(key);
+  }
+  dispose() {}
+}
+
+const project = (cubes = 1) =>
+  ProjectSchema.create({
+    layers: [{ name: "Layer 1", cubes: Array.from({ length: cubes }, (_, x) => ({ position: { x, y: 0, z: 0 }, color: 0xff0000, size: 0.15 })), strokes: [] }],
+  });
+
+describe("ProjectLibrary", () => {
+  let now;
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, "now").mockImplementation(() => now++);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("saves, lists without project data and opens projects", async () => {
+    const library = new ProjectLibrary({ store: new MemoryStore() });
+    const saved = await library.save({ name: "  Castle ", project: project(3), thumbnail: "data:image/jpeg;base64,AA" });
+
+    expect(saved.name).toBe("Castle");
+    expect(saved.summary).toEqual({ layers: 1, cubes: 3, strokes: 0 });
+    const entries = await library.list();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].project).toBeUndefined();
+    expect((await library.open(saved.id)).layers[0].cubes).toHaveLength(3);
+  });
+
+  test("saving over an entry keeps its ID, creation time and thumbnail", async () => {
+    const library = new ProjectLibrary({ store: new MemoryStore() });
+    const first = await library.save({ name: "Tree", project: project(1), thumbnail: "thumb" });
+    const second = await library.save({ id: first.id, project: project(2) });
+
+    expect(second).toMatchObject({ id: first.id, name: "Tree", createdAt: first.createdAt, thumbnail: "thumb" });
+    expect(second.updatedAt).toBeGreaterThan(first.updatedAt);
+    expect(await library.list()).toHaveLength(1);
+  });
+
+  test("searches and sorts entries", async () => {
+    const library = new ProjectLibrary({ store: new MemoryStore() });
+    const a = await library.save({ name: "Robot 10", project: project() });
+    await library.save({ name: "Robot 2", project: project() });
+    await library.save({ name: "house", project: project() });
+    await library.rename(a.id, "Robot 10");
+
+    expect((await library.list()).map((e) => e.name)).toEqual(["Robot 10", "house", "Robot 2"]);
+    expect((await library.list({ sort: "created" })).map((e) => e.name)).toEqual(["house", "Robot 2", "Robot 10"]);
+    expect((await library.list({ sort: "name" })).map((e) => e.name)).toEqual(["house", "Robot 2", "Robot 10"]);
+    expect((await library.list({ search: " robot", sort: "name" })).map((e) => e.name)).toEqual(["Robot 2", "Robot 10"]);
+  });
+
+  test("renames, duplicates and deletes entries", async () => {
+    const library = new ProjectLibrary({ store: new MemoryStore() });
+    const entry = await library.save({ name: "Ship", project: project(2) });
+
+    expect(await library.rename(entry.id, "   ")).toBeNull();
+    expect((await library.rename(entry.id, "Boat")).name).toBe("Boat");
+    const copy = await library.duplicate(entry.id);
+    expect(copy.id).not.toBe(entry.id);
+    expect(copy.name).toBe("Boat copy");
+    expect((await library.open(copy.id)).layers[0].cubes).toHaveLength(2);
+
+    await library.remove(entry.id);
+    expect((await library.list()).map((e) => e.id)).toEqual([copy.id]);
+  });
+
+  test("round-trips the library through an archive", async () => {
+    const source = new ProjectLibrary({ store: new MemoryStore() });
+    await source.save({ name: "One", project: project(1), thumbnail: "t1" });
+    await source.save({ name: "Two", project: project(2) });
+    const archive = JSON.stringify(await source.exportArchive());
+
+    const target = new ProjectLibrary({ store: new MemoryStore() });
+    const result = await target.importArchive(archive);
+
+    expect(result).toEqual({ imported: 2, skipped: [] });
+    expect((await target.list({ sort: "name" })).map((e) => [e.name, e.thumbnail, e.summary.cubes])).toEqual([
+      ["One", "t1", 1],
+      ["Two", null, 2],
+    ]);
+  });
+
+  test("imports conflicting IDs as copies and skips invalid projects", async () => {
+    const library = new ProjectLibrary({ store: new MemoryStore() });
+    const entry = await library.save({ name: "Mine", project: project() });
+    const archive = {
+      format: LIBRARY_ARCHIVE_FORMAT,
+      version: 1,
+      projects: [
+        { id: entry.id, name: "Theirs", project: project(4) },
+        { id: "broken", name: "Broken", project: { version: 2, layers: "nope" } },
+      ],
+    };
+
+    const result = await library.importArchive(archive);
+    expect(result.imported).toBe(1);
+    expect(result.skipped).toEqual([{ name: "Broken", errors: [{ path: "layers", message: "expected an array" }] }]);
+    expect((await library.list({ sort: "name" })).map((e) => e.name)).toEqual(["Mine", "Theirs"]);
+    await expect(library.importArchive({ projects: [] })).rejects.toThrow("Not a project library archive");
+  });
+});
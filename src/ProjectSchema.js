@@ -0,0 +1,252 @@
+/**
+ * 📐 Project Schema
+ * Versioned project file format with validation and migration
+ *
+ * Features:
+ * - Current format: version, metadata, camera/view state, layers, images and settings
+ * - Migrates unversioned files (flat {cubes, timestamp} and {layers, timestamp})
+ * - Validation reports the exact path of every wrong field
+ *
+ * Versions:
+ * - 0: unversioned {cubes, strokes, timestamp}
+ * - 1: unversioned {layers, timestamp}
+ * - 2: {version, meta, view, layers, images, settings}
+ *
+ * @module ProjectSchema
+ */
+
+export const PROJECT_VERSION = 2;
+// Errors listed before the rest are summarized, so a corrupt file cannot flood the dialog
+const MAX_ERRORS = 20;
+
+// Migrations from each version to the next
+const MIGRATIONS = {
+  0: (data) => ({
+    layers: [{ name: "Layer 1", cubes: data.cubes, strokes: data.strokes || [] }],
+    timestamp: data.timestamp,
+  }),
+  1: (data) => ({
+    version: 2,
+    meta: { created: data.timestamp || null, modified: data.timestamp || null },
+    view: null,
+    layers: data.layers,
+    images: [],
+    settings: {},
+  }),
+};
+
+class ProjectSchema {
+  /**
+   * Build a project in the current format
+   * @param {Object} parts - {layers, view, images, settings, meta}
+   * @returns {Object} Project data
+   */
+  static create(parts = {}) {
+    const now = new Date().toISOString();
+    return {
+      version: PROJECT_VERSION,
+      meta: { app: "open-air-brush", created: now, ...parts.meta, modified: now },
+      view: parts.view || null,
+      layers: parts.layers || [],
+      images: parts.images || [],
+      settings: parts.settings || {},
+    };
+  }
+
+  /**
+   * Parse, migrate and validate project data
+   * @param {string|Object} input - JSON text or parsed data
+   * @returns {Object} {ok, project, errors: [{path, message}], fromVersion}
+   */
+  static parse(input) {
+    let data = input;
+    if (typeof input === "string") {
+      try {
+        data = JSON.parse(input);
+      } catch (e) {
+        return { ok: false, project: null, errors: [{ path: "", message: `File is not valid JSON (${e.message})` }], fromVersion: null };
+      }
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return { ok: false, project: null, errors: [{ path: "", message: "Not an Air Brush project" }], fromVersion: null };
+    }
+
+    const fromVersion = ProjectSchema.detectVersion(data);
+    const errors = [];
+    if (fromVersion === 0 && !Array.isArray(data.cubes)) {
+      errors.push({ path: "cubes", message: data.cubes === undefined ? "Not an Air Brush project (no layers or cubes)" : "expected an array" });
+    } else if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+      errors.push({ path: "version", message: "expected a whole number" });
+    } else if (fromVersion > PROJECT_VERSION) {
+      errors.push({ path: "version", message: `version ${fromVersion} is newer than this app supports (${PROJECT_VERSION})` });
+    }
+    if (errors.length > 0) return { ok: false, project: null, errors, fromVersion };
+
+    const project = ProjectSchema.migrate(data, fromVersion);
+    const validationErrors = ProjectSchema.validate(project);
+    return { ok: validationErrors.length === 0, project, errors: validationErrors, fromVersion };
+  }
+
+  /**
+   * Version of project data (unversioned files are 0 or 1 by shape)
+   * @param {Object} data - Project data
+   * @returns {number} Version
+   */
+  static detectVersion(data) {
+    if (data.version !== undefined) return data.version;
+    return Array.isArray(data.layers) ? 1 : 0;
+  }
+
+  /**
+   * Upgrade project data to the current version
+   * @param {Object} data - Project data
+   * @param {number} fromVersion - Version of the data
+   * @returns {Object} Project in the current format
+   */
+  static migrate(data, fromVersion = ProjectSchema.detectVersion(data)) {
+    let project = data;
+    for (let version = fromVersion; version < PROJECT_VERSION; version++) {
+      project = MIGRATIONS[version](project);
+    }
+    return project;
+  }
+
+  /**
+   * Check a current-version project
+   * @param {Object} project - Project data
+   * @returns {Array} [{path, message}], empty when valid
+   */
+  static validate(project) {
+    const errors = [];
+    let hidden = 0;
+    const fail = (path, message) => {
+      if (errors.length < MAX_ERRORS) errors.push({ path, message });
+      else hidden++;
+      return false;
+    };
+    const check = ProjectSchema._checkers(fail);
+
+    if (project.version !== PROJECT_VERSION) fail("version", `expected ${PROJECT_VERSION}`);
+
+    if (project.meta !== undefined && check.object(project.meta, "meta")) {
+      ["name", "created", "modified", "app"].forEach((key) => {
+        const value = project.meta[key];
+        if (value !== undefined && value !== null && typeof value !== "string") fail(`meta.${key}`, "expected text");
+      });
+    }
+
+    if (project.view !== undefined && project.view !== null && check.object(project.view, "view")) {
+      if (project.view.camera !== undefined && check.object(project.view.camera, "view.camera")) {
+        check.vector(project.view.camera.position, "view.camera.position");
+      }
+      if (project.view.rotation !== undefined) check.vector(project.view.rotation, "view.rotation");
+    }
+
+    if (check.array(project.layers, "layers")) {
+      project.layers.forEach((layer, i) => ProjectSchema._validateLayer(layer, `layers[${i}]`, check, fail));
+    }
+
+    if (project.images !== undefined && check.array(project.images, "images")) {
+      project.images.forEach((image, i) => {
+        const path = `images[${i}]`;
+        if (!check.object(image, path)) return;
+        if (typeof image.src !== "string" || image.src.length === 0) fail(`${path}.src`, "expected an image data URL");
+        if (image.visible !== undefined) check.boolean(image.visible, `${path}.visible`);
+        if (image.opacity !== undefined) check.range(image.opacity, `${path}.opacity`, 0, 1);
+        ["position", "rotation", "scale"].forEach((key) => {
+          if (image[key] !== undefined) check.vector(image[key], `${path}.${key}`);
+        });
+      });
+    }
+
+    if (project.settings !== undefined && check.object(project.settings, "settings")) {
+      ProjectSchema._validateSettings(project.settings, check, fail);
+    }
+
+    if (hidden > 0) errors.push({ path: "", message: `…and ${hidden} more problems` });
+    return errors;
+  }
+
+  /**
+   * Format an error for display
+   * @param {Object} error - {path, message}
+   * @returns {string} Readable error
+   */
+  static describeError(error) {
+    return error.path ? `${error.path}: ${error.message}` : error.message;
+  }
+
+  /**
+   * Check one layer with its cubes and strokes
+   * @private
+   */
+  static _validateLayer(layer, path, check, fail) {
+    if (!check.object(layer, path)) return;
+    if (layer.name !== undefined && typeof layer.name !== "string") fail(`${path}.name`, "expected text");
+    if (layer.visible !== undefined) check.boolean(layer.visible, `${path}.visible`);
+    if (layer.locked !== undefined) check.boolean(layer.locked, `${path}.locked`);
+    if (layer.opacity !== undefined) check.range(layer.opacity, `${path}.opacity`, 0, 1);
+
+    if (layer.cubes !== undefined && check.array(layer.cubes, `${path}.cubes`)) {
+      layer.cubes.forEach((cube, i) => {
+        const cubePath = `${path}.cubes[${i}]`;
+        if (!check.object(cube, cubePath)) return;
+        check.vector(cube.position, `${cubePath}.position`);
+        check.color(cube.color, `${cubePath}.color`);
+        check.positive(cube.size, `${cubePath}.size`);
+      });
+    }
+
+    if (layer.strokes !== undefined && check.array(layer.strokes, `${path}.strokes`)) {
+      layer.strokes.forEach((stroke, i) => {
+        const strokePath = `${path}.strokes[${i}]`;
+        if (!check.object(stroke, strokePath)) return;
+        if (check.array(stroke.points, `${strokePath}.points`)) {
+          stroke.points.forEach((point, p) => check.vector(point, `${strokePath}.points[${p}]`));
+        }
+        check.color(stroke.color, `${strokePath}.color`);
+        check.positive(stroke.radius, `${strokePath}.radius`);
+      });
+    }
+  }
+
+  /**
+   * Check the interface settings that are present (unknown keys are ignored)
+   * @private
+   */
+  static _validateSettings(settings, check, fail) {
+    if (settings.color !== undefined && !/^#[0-9a-f]{6}$/i.test(settings.color)) fail("settings.color", "expected a #rrggbb color");
+    if (settings.brushSize !== undefined) check.positive(settings.brushSize, "settings.brushSize");
+    if (settings.brushMode !== undefined && typeof settings.brushMode !== "string") fail("settings.brushMode", "expected text");
+    if (settings.glove !== undefined && typeof settings.glove !== "string") fail("settings.glove", "expected text");
+    if (settings.showGrid !== undefined) check.boolean(settings.showGrid, "settings.showGrid");
+    if (settings.videoOpacity !== undefined) check.range(settings.videoOpacity, "settings.videoOpacity", 0, 1);
+    ["symmetry", "smoothing", "handTools"].forEach((key) => {
+      if (settings[key] !== undefined) check.object(settings[key], `settings.${key}`);
+    });
+  }
+
+  /**
+   * Field checks that report failures and return whether the value is valid
+   * @private
+   */
+  static _checkers(fail) {
+    const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+    return {
+      object: (value, path) => (value && typeof value === "object" && !Array.isArray(value)) || fail(path, "expected an object"),
+      array: (value, path) => Array.isArray(value) || fail(path, "expected an array"),
+      boolean: (value, path) => typeof value === "boolean" || fail(path, "expected true or false"),
+      positive: (value, path) => (isNumber(value) && value > 0) || fail(path, "expected a number greater than 0"),
+      range: (value, path, min, max) => (isNumber(value) && value >= min && value <= max) || fail(path, `expected a number from ${min} to ${max}`),
+      color: (value, path) => (Number.isInteger(value) && value >= 0 && value <= 0xffffff) || fail(path, "expected a color number (0x000000-0xffffff)"),
+      vector: (value, path) => {
+        if (!value || typeof value !== "object") return fail(path, "expected {x, y, z}");
+        const bad = ["x", "y", "z"].filter((axis) => !isNumber(value[axis]));
+        return bad.length === 0 || fail(`${path}.${bad[0]}`, "expected a number");
+      },
+    };
+  }
+}
+
+export default ProjectSchema;
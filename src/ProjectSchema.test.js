@@ -0,0 +1,70 @@
+import ProjectSchema, { PROJECT_VERSION } from "./ProjectSchema";
+
+const cube = (x = 0, color = 0xff0000) => ({ position: { x, y: 0, z: 0 }, color, size: 0.15 });
+
+describe("ProjectSchema", () => {
+  test("accepts a project it created", () => {
+    const project = ProjectSchema.create({
+      layers: [{ name: "Layer 1", visible: true, locked: false, opacity: 1, cubes: [cube()], strokes: [] }],
+      view: { camera: { position: { x: 0, y: 0, z: 5 } }, rotation: { x: 0.1, y: 0.2, z: 0 } },
+      settings: { color: "#00ffff", brushSize: 0.15, showGrid: true },
+    });
+    const result = ProjectSchema.parse(JSON.stringify(project));
+
+    expect(result.ok).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.fromVersion).toBe(PROJECT_VERSION);
+    expect(result.project.settings.color).toBe("#00ffff");
+  });
+
+  test("migrates flat unversioned {cubes, timestamp} files", () => {
+    const result = ProjectSchema.parse({ cubes: [cube(1)], timestamp: "2024-01-01T00:00:00.000Z" });
+
+    expect(result.ok).toBe(true);
+    expect(result.fromVersion).toBe(0);
+    expect(result.project.version).toBe(PROJECT_VERSION);
+    expect(result.project.layers).toEqual([{ name: "Layer 1", cubes: [cube(1)], strokes: [] }]);
+    expect(result.project.meta.created).toBe("2024-01-01T00:00:00.000Z");
+  });
+
+  test("migrates unversioned layered files", () => {
+    const layers = [{ name: "Sketch", cubes: [], strokes: [{ points: [{ x: 0, y: 0, z: 0 }], color: 0x00ff00, radius: 0.05 }] }];
+    const result = ProjectSchema.parse({ layers, timestamp: "2024-02-01T00:00:00.000Z" });
+
+    expect(result.ok).toBe(true);
+    expect(result.fromVersion).toBe(1);
+    expect(result.project.layers).toEqual(layers);
+    expect(result.project.images).toEqual([]);
+  });
+
+  test("reports the exact path of wrong fields", () => {
+    const project = ProjectSchema.create({
+      layers: [
+        { name: "Good", cubes: [cube()] },
+        { name: "Bad", opacity: 2, cubes: [cube(), { position: { x: 0, y: "1", z: 0 }, color: 0xff0000, size: 0.1 }] },
+      ],
+    });
+    const errors = ProjectSchema.parse(project).errors;
+
+    expect(errors).toEqual([
+      { path: "layers[1].opacity", message: "expected a number from 0 to 1" },
+      { path: "layers[1].cubes[1].position.y", message: "expected a number" },
+    ]);
+    expect(ProjectSchema.describeError(errors[1])).toBe("layers[1].cubes[1].position.y: expected a number");
+  });
+
+  test("explains files that cannot be loaded at all", () => {
+    expect(ProjectSchema.parse("{not json").errors[0].message).toMatch(/not valid JSON/);
+    expect(ProjectSchema.parse({ hello: "world" }).errors).toEqual([{ path: "cubes", message: "Not an Air Brush project (no layers or cubes)" }]);
+    expect(ProjectSchema.parse({ cubes: "lots" }).errors).toEqual([{ path: "cubes", message: "expected an array" }]);
+    expect(ProjectSchema.parse({ version: PROJECT_VERSION + 1, layers: [] }).errors[0].path).toBe("version");
+  });
+
+  test("summarizes long error lists", () => {
+    const cubes = Array.from({ length: 30 }, () => ({ position: null, color: 0, size: 1 }));
+    const errors = ProjectSchema.parse({ layers: [{ cubes }] }).errors;
+
+    expect(errors).toHaveLength(21);
+    expect(errors[20].message).toBe("…and 10 more problems");
+  });
+});
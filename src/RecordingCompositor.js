@@ -0,0 +1,250 @@
+/**
+ * 🎥 Recording Compositor
+ * Records the composited view: webcam video, hand overlay and 3D scene in one stream
+ *
+ * Features:
+ * - Blends the <video>, the 2D hand canvas and the WebGL canvas the way they are stacked on screen
+ * - Layer toggles that can change while recording
+ * - Optional microphone narration
+ * - Pause / resume
+ * - Container and codec choice from what the browser's MediaRecorder supports
+ *
+ * @module RecordingCompositor
+ */
+
+// Container/codec choices, best first; only those the browser supports are offered
+const RECORDING_FORMATS = [
+  { id: "webm-vp9", name: "WebM VP9", mimeType: "video/webm;codecs=vp9,opus", extension: "webm" },
+  { id: "webm-vp8", name: "WebM VP8", mimeType: "video/webm;codecs=vp8,opus", extension: "webm" },
+  { id: "webm-h264", name: "WebM H.264", mimeType: "video/webm;codecs=h264,opus", extension: "webm" },
+  { id: "mp4-h264", name: "MP4 H.264", mimeType: "video/mp4;codecs=avc1,mp4a.40.2", extension: "mp4" },
+  { id: "mp4", name: "MP4", mimeType: "video/mp4", extension: "mp4" },
+  { id: "webm", name: "WebM", mimeType: "video/webm", extension: "webm" },
+];
+
+class RecordingCompositor {
+  constructor(sources, options = {}) {
+    this.sources = sources; // {video, overlay, scene} elements
+
+    // Configuration
+    this.config = {
+      width: options.width || 0, // Output size, 0 = size of the 3D canvas
+      height: options.height || 0,
+      maxWidth: options.maxWidth || 1920,
+      fps: options.fps || 30,
+      format: options.format || null, // RECORDING_FORMATS id, null = best supported
+      audio: options.audio || false, // Record microphone narration
+      videoBitsPerSecond: options.videoBitsPerSecond || 8000000,
+      mirrorVideo: options.mirrorVideo !== false, // The webcam is shown mirrored
+      background: options.background || "#000000",
+    };
+
+    this.layers = { video: true, hands: true, scene: true, ...options.layers };
+
+    // State
+    this.canvas = null;
+    this.ctx = null;
+    this.stream = null;
+    this.micStream = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.format = null;
+  }
+
+  /**
+   * Formats this browser can record
+   * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+   * @returns {Array} [{id, name, mimeType, extension}]
+   */
+  static supportedFormats(isTypeSupported = RecordingCompositor._isTypeSupported) {
+    return RECORDING_FORMATS.filter((format) => isTypeSupported(format.mimeType));
+  }
+
+  /**
+   * Where to draw a source so it covers the output like CSS object-fit: cover
+   * @param {number} srcWidth - Source width
+   * @param {number} srcHeight - Source height
+   * @param {number} dstWidth - Output width
+   * @param {number} dstHeight - Output height
+   * @returns {Object} {x, y, width, height} in output pixels (may extend past the edges)
+   */
+  static coverRect(srcWidth, srcHeight, dstWidth, dstHeight) {
+    const scale = Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+    const width = srcWidth * scale;
+    const height = srcHeight * scale;
+    return { x: (dstWidth - width) / 2, y: (dstHeight - height) / 2, width, height };
+  }
+
+  /**
+   * Recorder state: "inactive", "recording" or "paused"
+   */
+  get state() {
+    return this.recorder ? this.recorder.state : "inactive";
+  }
+
+  /**
+   * Show or hide layers in the recording
+   * @param {Object} layers - {video, hands, scene}
+   */
+  setLayers(layers) {
+    this.layers = { ...this.layers, ...layers };
+  }
+
+  /**
+   * Start recording (asks for the microphone when audio is on)
+   * @returns {Promise<Object>} The format in use
+   */
+  async start() {
+    if (this.recorder) throw new Error("Already recording");
+
+    const formats = RecordingCompositor.supportedFormats();
+    this.format = formats.find((format) => format.id === this.config.format) || formats[0];
+    if (!this.format) throw new Error("This browser cannot record video");
+
+    const { width, height } = this._outputSize();
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = this.canvas.getContext("2d");
+    this.drawFrame();
+
+    this.stream = this.canvas.captureStream(this.config.fps);
+    if (this.config.audio) {
+      try {
+        this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.micStream.getAudioTracks().forEach((track) => this.stream.addTrack(track));
+      } catch (error) {
+        this._releaseStreams();
+        throw new Error(`Microphone unavailable (${error.message})`);
+      }
+    }
+
+    this.chunks = [];
+    this.recorder = new MediaRecorder(this.stream, {
+      mimeType: this.format.mimeType,
+      videoBitsPerSecond: this.config.videoBitsPerSecond,
+    });
+    this.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+    // Deliver data every second so a crash loses little
+    this.recorder.start(1000);
+    return this.format;
+  }
+
+  /**
+   * Pause recording
+   */
+  pause() {
+    if (this.state === "recording") this.recorder.pause();
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.state === "paused") this.recorder.resume();
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob|null>} Recorded video, or null if nothing was recording
+   */
+  stop() {
+    const recorder = this.recorder;
+    if (!recorder) return Promise.resolve(null);
+    this.recorder = null;
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        const blob = new Blob(this.chunks, { type: this.format.mimeType.split(";")[0] });
+        this.chunks = [];
+        this._releaseStreams();
+        resolve(blob);
+      };
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Composite the current frame; call right after the 3D scene renders, while its drawing buffer is readable
+   */
+  drawFrame() {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    const { width, height } = this.canvas;
+    const { video, overlay, scene } = this.sources;
+
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = this.config.background;
+    ctx.fillRect(0, 0, width, height);
+
+    if (this.layers.video && video && video.readyState >= 2 && video.videoWidth > 0) {
+      const rect = RecordingCompositor.coverRect(video.videoWidth, video.videoHeight, width, height);
+      const opacity = parseFloat(video.style.opacity);
+      ctx.save();
+      ctx.globalAlpha = Number.isFinite(opacity) ? opacity : 1;
+      if (this.config.mirrorVideo) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+      }
+      ctx.drawImage(video, rect.x, rect.y, rect.width, rect.height);
+      ctx.restore();
+    }
+
+    // The hand overlay and 3D canvas are stretched over the whole view, as on screen
+    if (this.layers.hands && overlay) ctx.drawImage(overlay, 0, 0, width, height);
+    if (this.layers.scene && scene) ctx.drawImage(scene, 0, 0, width, height);
+  }
+
+  /**
+   * Output size from the config or the 3D canvas, capped at maxWidth and rounded to even numbers for encoders
+   * @private
+   */
+  _outputSize() {
+    const scene = this.sources.scene;
+    let width = this.config.width || (scene ? scene.width : 1280);
+    let height = this.config.height || (scene ? scene.height : 720);
+    if (width > this.config.maxWidth) {
+      height = (height * this.config.maxWidth) / width;
+      width = this.config.maxWidth;
+    }
+    return { width: Math.round(width / 2) * 2, height: Math.round(height / 2) * 2 };
+  }
+
+  /**
+   * Stop the canvas and microphone tracks
+   * @private
+   */
+  _releaseStreams() {
+    if (this.stream) this.stream.getTracks().forEach((track) => track.stop());
+    if (this.micStream) this.micStream.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+    this.micStream = null;
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  /**
+   * MediaRecorder.isTypeSupported when available
+   * @private
+   */
+  static _isTypeSupported(mimeType) {
+    return typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported(mimeType);
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.recorder) {
+      this.recorder.ondataavailable = null;
+      if (this.recorder.state !== "inactive") this.recorder.stop();
+      this.recorder = null;
+    }
+    this._releaseStreams();
+    this.chunks = [];
+  }
+}
+
+export default RecordingCompositor;
@@ -0,0 +1,56 @@
+import RecordingCompositor from "./RecordingCompositor";
+
+// 2D context double that records drawImage calls
+const fakeCanvas = (width, height) => {
+  const calls = [];
+  const ctx = {
+    calls,
+    fillRect: () => {},
+    save: () => {},
+    restore: () => {},
+    translate: () => {},
+    scale: () => {},
+    drawImage: (source, x, y, w, h) => calls.push({ source: source.id, alpha: ctx.globalAlpha, rect: [x, y, w, h] }),
+  };
+  return { width, height, ctx };
+};
+
+describe("RecordingCompositor", () => {
+  test("covers the output like object-fit: cover", () => {
+    expect(RecordingCompositor.coverRect(640, 480, 1280, 720)).toEqual({ x: 0, y: -120, width: 1280, height: 960 });
+    const wide = RecordingCompositor.coverRect(1280, 720, 600, 600);
+    expect(wide.height).toBe(600);
+    expect(wide.width).toBeCloseTo(1066.67, 2);
+    expect(wide.x).toBeCloseTo(-233.33, 2);
+  });
+
+  test("offers only formats the browser supports, best first", () => {
+    const supported = new Set(["video/webm", "video/webm;codecs=vp8,opus", "video/mp4"]);
+    expect(RecordingCompositor.supportedFormats((type) => supported.has(type)).map((f) => f.id)).toEqual(["webm-vp8", "mp4", "webm"]);
+    expect(RecordingCompositor.supportedFormats(() => false)).toEqual([]);
+  });
+
+  test("draws the enabled layers in screen order", () => {
+    const video = { id: "video", readyState: 4, videoWidth: 640, videoHeight: 480, style: { opacity: "0.5" } };
+    const compositor = new RecordingCompositor({ video, overlay: { id: "overlay" }, scene: { id: "scene", width: 1280, height: 720 } });
+    const canvas = fakeCanvas(1280, 720);
+    compositor.canvas = canvas;
+    compositor.ctx = canvas.ctx;
+
+    compositor.drawFrame();
+    expect(canvas.ctx.calls.map((c) => c.source)).toEqual(["video", "overlay", "scene"]);
+    expect(canvas.ctx.calls[0]).toEqual({ source: "video", alpha: 0.5, rect: [0, -120, 1280, 960] });
+    expect(canvas.ctx.calls[1].rect).toEqual([0, 0, 1280, 720]);
+
+    canvas.ctx.calls.length = 0;
+    compositor.setLayers({ video: false, hands: false });
+    compositor.drawFrame();
+    expect(canvas.ctx.calls.map((c) => c.source)).toEqual(["scene"]);
+  });
+
+  test("sizes the output from the 3D canvas, capped and even", () => {
+    const scene = { width: 3841, height: 2161 };
+    expect(new RecordingCompositor({ scene })._outputSize()).toEqual({ width: 1920, height: 1080 });
+    expect(new RecordingCompositor({ scene }, { width: 801, height: 451 })._outputSize()).toEqual({ width: 802, height: 452 });
+  });
+});
@@ -0,0 +1,400 @@
+/**
+ * 🔲 Selection
+ * Floating selection of voxels and tube strokes lifted from a layer
+ *
+ * Features:
+ * - Box sweep selection and tap-to-select connected voxels or a stroke
+ * - Glowing highlight through VisualEffects
+ * - Live move, rotate and scale around the selection center
+ * - Transforms baked back to the grid as undoable deltas
+ *
+ * @module Selection
+ */
+
+import * as THREE from "three";
+import VoxelStore from "./VoxelStore";
+import TubeStroke from "./TubeStroke";
+
+class Selection {
+  constructor(scene, visualEffects, options = {}) {
+    this.scene = scene;
+    this.visualEffects = visualEffects;
+
+    // Configuration
+    this.config = {
+      glowColor: options.glowColor || 0xffff00,
+      glowIntensity: options.glowIntensity || 0.8,
+      sweepDepth: options.sweepDepth || 1.0, // Box sweeps extend this far in front of and behind the hand
+      maxComponentSize: options.maxComponentSize || 50000,
+      minVoxelSize: options.minVoxelSize || 0.02,
+      maxVoxelSize: options.maxVoxelSize || 1.0,
+    };
+
+    // State
+    this.layerId = null;
+    this.strokes = [];
+    this.pivot = new THREE.Vector3();
+    this.glowing = [];
+
+    // Floating selection, positioned relative to the pivot so transforms act around its center
+    this.group = new THREE.Group();
+    this.group.name = "selection";
+    scene.add(this.group);
+    this.voxels = new VoxelStore(this.group, { showEdges: false });
+
+    // Sweep box preview
+    this.sweepBox = new THREE.Box3();
+    this.sweepHelper = new THREE.Box3Helper(this.sweepBox, this.config.glowColor);
+    this.sweepHelper.visible = false;
+    scene.add(this.sweepHelper);
+  }
+
+  /**
+   * Whether nothing is selected
+   */
+  get isEmpty() {
+    return this.voxels.count === 0 && this.strokes.length === 0;
+  }
+
+  /**
+   * Box covering a sweep from one hand position to another
+   * @param {THREE.Vector3} start - Sweep start
+   * @param {THREE.Vector3} end - Sweep end
+   * @returns {THREE.Box3} Selection box
+   */
+  sweepBounds(start, end) {
+    const box = new THREE.Box3().setFromPoints([start, end]);
+    box.min.z -= this.config.sweepDepth;
+    box.max.z += this.config.sweepDepth;
+    return box;
+  }
+
+  /**
+   * Show the sweep box preview
+   * @param {THREE.Vector3} start - Sweep start
+   * @param {THREE.Vector3} end - Sweep end
+   */
+  showSweep(start, end) {
+    this.sweepBox.copy(this.sweepBounds(start, end));
+    this.sweepHelper.visible = true;
+  }
+
+  /**
+   * Hide the sweep box preview
+   */
+  hideSweep() {
+    this.sweepHelper.visible = false;
+  }
+
+  /**
+   * Voxel IDs and strokes on a layer inside a box
+   * @param {Object} layer - Layer from LayerManager
+   * @param {THREE.Box3} box - Selection box
+   * @returns {Object} {voxelIds, strokes}
+   */
+  queryBox(layer, box) {
+    return {
+      voxelIds: layer.voxels.index.queryBox(box.min, box.max),
+      strokes: layer.strokes.filter((stroke) => stroke.points.some((p) => box.containsPoint(p))),
+    };
+  }
+
+  /**
+   * Stroke or connected voxels under a point
+   * @param {Object} layer - Layer from LayerManager
+   * @param {THREE.Vector3} point - Tap position
+   * @param {number} tolerance - Hit distance
+   * @returns {Object} {voxelIds, strokes}
+   */
+  queryTap(layer, point, tolerance = 0.15) {
+    const stroke = layer.strokes.find((s) => s.distanceTo(point) < tolerance + s.radius);
+    if (stroke) return { voxelIds: [], strokes: [stroke] };
+
+    const hit = layer.voxels.hitTest(point, tolerance);
+    if (!hit) return { voxelIds: [], strokes: [] };
+
+    // Cubes that touch or overlap belong to the same drawn shape
+    const found = new Set([hit.id]);
+    const queue = [hit.id];
+    while (queue.length > 0 && found.size < this.config.maxComponentSize) {
+      const voxel = layer.voxels.get(queue.pop());
+      layer.voxels.index.queryRadius(voxel.position, voxel.size * 1.01).forEach((id) => {
+        if (found.has(id)) return;
+        found.add(id);
+        queue.push(id);
+      });
+    }
+
+    return { voxelIds: [...found], strokes: [] };
+  }
+
+  /**
+   * Lift voxels and strokes off a layer into the floating selection
+   * @param {LayerManager} layers - Layer manager
+   * @param {Object} layer - Source layer
+   * @param {Array} voxelIds - Voxel IDs on the layer
+   * @param {Array<TubeStroke>} strokes - Strokes on the layer
+   */
+  select(layers, layer, voxelIds, strokes) {
+    this.drop(layers);
+    if (voxelIds.length === 0 && strokes.length === 0) return;
+
+    const lifted = voxelIds.map((id) => layer.voxels.remove(id));
+    strokes.forEach((stroke) => layers.detachStroke(stroke));
+
+    this.layerId = layer.id;
+    this._setContents(lifted, strokes);
+  }
+
+  /**
+   * Whether a point is on or near the selection
+   * @param {THREE.Vector3} point - Query point
+   * @param {number} margin - Extra distance around the selection bounds
+   * @returns {boolean} Near the selection
+   */
+  containsPoint(point, margin = 0.2) {
+    if (this.isEmpty) return false;
+
+    this.group.updateMatrix();
+    const box = new THREE.Box3();
+    this.voxels.forEach((voxel) => {
+      box.expandByPoint(new THREE.Vector3(voxel.position.x, voxel.position.y, voxel.position.z).applyMatrix4(this.group.matrix));
+    });
+    this.strokes.forEach((stroke) => {
+      stroke.points.forEach((p) => box.expandByPoint(p.clone().sub(this.pivot).applyMatrix4(this.group.matrix)));
+    });
+    return box.expandByScalar(margin).containsPoint(point);
+  }
+
+  /**
+   * Move the selection
+   * @param {THREE.Vector3} delta - World offset
+   */
+  translate(delta) {
+    this.group.position.add(delta);
+  }
+
+  /**
+   * Rotate the selection around its center
+   * @param {string} axis - "x", "y" or "z"
+   * @param {number} angle - Radians
+   */
+  rotate(axis, angle) {
+    const axisVector = new THREE.Vector3(axis === "x" ? 1 : 0, axis === "y" ? 1 : 0, axis === "z" ? 1 : 0);
+    this.group.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(axisVector, angle));
+  }
+
+  /**
+   * Scale the selection around its center
+   * @param {number} factor - Relative scale factor
+   */
+  scale(factor) {
+    this.group.scale.multiplyScalar(factor);
+  }
+
+  /**
+   * Whether the selection has been moved, rotated or scaled since the last commit
+   * @returns {boolean} Pending transform
+   */
+  hasChanges() {
+    return (
+      !this.group.position.equals(this.pivot) ||
+      this.group.quaternion.angleTo(new THREE.Quaternion()) > 1e-6 ||
+      Math.abs(this.group.scale.x - 1) > 1e-6
+    );
+  }
+
+  /**
+   * Bake the pending transform into grid positions
+   * @param {LayerManager} layers - Layer manager, used to skip cells occupied on the layer
+   * @returns {Object|null} {layerId, before, after, strokesBefore, strokesAfter} or null if unchanged
+   */
+  commit(layers) {
+    if (this.isEmpty || !this.hasChanges()) return null;
+
+    const layer = layers.get(this.layerId);
+    this.group.updateMatrix();
+    const matrix = this.group.matrix;
+    const scale = this.group.scale.x;
+
+    const before = [];
+    const transformed = [];
+    this.voxels.forEach((voxel) => {
+      const local = new THREE.Vector3(voxel.position.x, voxel.position.y, voxel.position.z);
+      before.push({ position: this._toPlain(local.clone().add(this.pivot)), color: voxel.color, size: voxel.size });
+      transformed.push({
+        position: local.applyMatrix4(matrix),
+        color: voxel.color,
+        size: THREE.MathUtils.clamp(voxel.size * scale, this.config.minVoxelSize, this.config.maxVoxelSize),
+      });
+    });
+
+    // Cells already used on the layer or by another selected voxel are merged away
+    const after = [];
+    const taken = new Set();
+    transformed.forEach((voxel) => {
+      const key = this.voxels.index.keyOf(voxel.position);
+      if (taken.has(key) || (layer && layer.voxels.index.has(voxel.position))) return;
+      taken.add(key);
+      after.push({ position: this._toPlain(this.voxels.index.snap(voxel.position)), color: voxel.color, size: voxel.size });
+    });
+
+    const strokesBefore = this.strokes.map((stroke) => stroke.toJSON());
+    const strokesAfter = strokesBefore.map((data) => ({
+      type: "stroke",
+      points: data.points.map((p) => this._toPlain(new THREE.Vector3(p.x, p.y, p.z).sub(this.pivot).applyMatrix4(matrix))),
+      color: data.color,
+      radius: data.radius * scale,
+    }));
+
+    this.strokes.forEach((stroke) => this._removeStrokeMesh(stroke, true));
+    const newStrokes = strokesAfter.map((data) => {
+      const stroke = TubeStroke.fromJSON(data);
+      data.id = stroke.id;
+      return stroke;
+    });
+    this._setContents(after, newStrokes);
+
+    return { layerId: this.layerId, before, after, strokesBefore, strokesAfter };
+  }
+
+  /**
+   * Put the selection back onto its layer and clear it (commit first to keep a pending transform)
+   * @param {LayerManager} layers - Layer manager
+   */
+  drop(layers) {
+    if (this.isEmpty) {
+      this._clear();
+      return;
+    }
+
+    const layer = layers.get(this.layerId) || layers.active;
+    this.voxels.forEach((voxel) => {
+      const position = new THREE.Vector3(voxel.position.x, voxel.position.y, voxel.position.z).add(this.pivot);
+      layer.voxels.add(position, voxel.color, voxel.size);
+    });
+    this.strokes.forEach((stroke) => {
+      this._removeStrokeMesh(stroke, false);
+      layers.addStroke(stroke, layer.id);
+    });
+    this.strokes = [];
+    this._clear();
+  }
+
+  /**
+   * Fill the floating selection with world-space voxels and strokes
+   * @private
+   */
+  _setContents(voxels, strokes) {
+    this._clearGlow();
+    this.voxels.clear();
+
+    const center = new THREE.Box3();
+    voxels.forEach((voxel) => center.expandByPoint(new THREE.Vector3(voxel.position.x, voxel.position.y, voxel.position.z)));
+    strokes.forEach((stroke) => stroke.points.forEach((p) => center.expandByPoint(p)));
+    this.pivot.copy(this.voxels.index.snap(center.getCenter(new THREE.Vector3())));
+
+    this.group.position.copy(this.pivot);
+    this.group.quaternion.identity();
+    this.group.scale.set(1, 1, 1);
+
+    voxels.forEach((voxel) => {
+      const local = new THREE.Vector3(voxel.position.x, voxel.position.y, voxel.position.z).sub(this.pivot);
+      this.voxels.add(local, voxel.color, voxel.size);
+    });
+
+    this.strokes = strokes;
+    strokes.forEach((stroke) => {
+      stroke.mesh.position.copy(this.pivot).negate();
+      this.group.add(stroke.mesh);
+    });
+
+    this._applyGlow();
+  }
+
+  /**
+   * Highlight the selection
+   * @private
+   */
+  _applyGlow() {
+    if (!this.visualEffects) return;
+
+    const meshes = this.voxels.group.children.filter((child) => child.isInstancedMesh);
+    this.strokes.forEach((stroke) => meshes.push(stroke.mesh));
+    meshes.forEach((mesh) => {
+      this.visualEffects.addGlow(mesh, this.config.glowColor, this.config.glowIntensity);
+      this.glowing.push(mesh);
+    });
+  }
+
+  /**
+   * Remove the highlight and free glow materials
+   * @private
+   */
+  _clearGlow() {
+    if (!this.visualEffects) return;
+
+    this.glowing.forEach((mesh) => {
+      const glowMaterial = mesh.material;
+      this.visualEffects.removeGlow(mesh);
+      glowMaterial.dispose();
+    });
+    this.glowing = [];
+  }
+
+  /**
+   * Detach a stroke mesh from the selection group
+   * @private
+   */
+  _removeStrokeMesh(stroke, dispose) {
+    const index = this.glowing.indexOf(stroke.mesh);
+    if (index !== -1 && this.visualEffects) {
+      const glowMaterial = stroke.mesh.material;
+      this.visualEffects.removeGlow(stroke.mesh);
+      glowMaterial.dispose();
+      this.glowing.splice(index, 1);
+    }
+
+    this.group.remove(stroke.mesh);
+    stroke.mesh.position.set(0, 0, 0);
+    if (dispose) stroke.dispose();
+  }
+
+  /**
+   * Empty the selection and reset its transform
+   * @private
+   */
+  _clear() {
+    this._clearGlow();
+    this.voxels.clear();
+    this.strokes = [];
+    this.layerId = null;
+    this.pivot.set(0, 0, 0);
+    this.group.position.set(0, 0, 0);
+    this.group.quaternion.identity();
+    this.group.scale.set(1, 1, 1);
+  }
+
+  /**
+   * Plain {x, y, z} copy of a vector
+   * @private
+   */
+  _toPlain(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.strokes.forEach((stroke) => this._removeStrokeMesh(stroke, true));
+    this._clear();
+    this.voxels.dispose();
+    this.scene.remove(this.group);
+    this.scene.remove(this.sweepHelper);
+    this.sweepHelper.geometry.dispose();
+    this.sweepHelper.material.dispose();
+  }
+}
+
+export default Selection;
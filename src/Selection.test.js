@@ -0,0 +1,100 @@
+import * as THREE from "three";
+import Selection from "./Selection";
+import LayerManager from "./LayerManager";
+import TubeStroke from "./TubeStroke";
+
+// Layer with a row of touching cubes at x = 0..0.3, a lone cube at x = 1 and a stroke along y = 1
+const setup = () => {
+  const parent = new THREE.Group();
+  const layers = new LayerManager(parent);
+  const layer = layers.active;
+  const row = [0, 0.15, 0.3].map((x) => layer.voxels.add({ x, y: 0, z: 0 }, 0xff0000, 0.15));
+  const lone = layer.voxels.add({ x: 1, y: 0, z: 0 }, 0x00ff00, 0.15);
+  const stroke = new TubeStroke({ points: [{ x: 0, y: 1, z: 0 }, { x: 0.5, y: 1, z: 0 }] });
+  layers.addStroke(stroke);
+  return { parent, layers, layer, row, lone, stroke, selection: new Selection(parent, null) };
+};
+
+const positions = (voxels) => voxels.map((voxel) => [voxel.position.x, voxel.position.y, voxel.position.z].map((v) => Math.round(v * 100) / 100 + 0));
+
+describe("Selection", () => {
+  test("queryBox finds voxels and strokes inside a sweep, in front of and behind the hand", () => {
+    const { layer, row, stroke, selection } = setup();
+
+    const box = selection.sweepBounds(new THREE.Vector3(-0.1, -0.1, 0.8), new THREE.Vector3(0.2, 1.1, 0.8));
+    const picked = selection.queryBox(layer, box);
+    expect(picked.voxelIds.sort()).toEqual(row.slice(0, 2).sort());
+    expect(picked.strokes).toEqual([stroke]);
+
+    expect(selection.queryBox(layer, selection.sweepBounds(new THREE.Vector3(2, 2, 0), new THREE.Vector3(3, 3, 0)))).toEqual({ voxelIds: [], strokes: [] });
+  });
+
+  test("queryTap grows the tapped cube into the shape it touches, or picks a stroke", () => {
+    const { layer, row, lone, stroke, selection } = setup();
+
+    expect(selection.queryTap(layer, new THREE.Vector3(0.02, 0, 0)).voxelIds.sort()).toEqual([...row].sort());
+    expect(selection.queryTap(layer, new THREE.Vector3(1, 0.05, 0))).toEqual({ voxelIds: [lone], strokes: [] });
+    expect(selection.queryTap(layer, new THREE.Vector3(0.25, 1.05, 0))).toEqual({ voxelIds: [], strokes: [stroke] });
+    expect(selection.queryTap(layer, new THREE.Vector3(0.6, 0.5, 0))).toEqual({ voxelIds: [], strokes: [] });
+
+    // Growth stops at the component size limit
+    const limited = new Selection(new THREE.Group(), null, { maxComponentSize: 2 });
+    expect(limited.queryTap(layer, new THREE.Vector3(0, 0, 0)).voxelIds).toHaveLength(2);
+  });
+
+  test("commit bakes a move into before and after deltas", () => {
+    const { layers, layer, row, stroke, selection } = setup();
+    selection.select(layers, layer, row, [stroke]);
+
+    expect(layer.voxels.count).toBe(1);
+    expect(layer.strokes).toEqual([]);
+    expect(selection.commit(layers)).toBeNull(); // Nothing moved yet
+
+    selection.translate(new THREE.Vector3(0, -1, 0.5));
+    const result = selection.commit(layers);
+
+    expect(result.layerId).toBe(layer.id);
+    expect(positions(result.before)).toEqual([[0, 0, 0], [0.15, 0, 0], [0.3, 0, 0]]);
+    expect(positions(result.after)).toEqual([[0, -1, 0.5], [0.15, -1, 0.5], [0.3, -1, 0.5]]);
+    expect(result.strokesBefore).toEqual([stroke.toJSON()]);
+    expect(result.strokesAfter[0].points).toEqual([{ x: 0, y: 0, z: 0.5 }, { x: 0.5, y: 0, z: 0.5 }]);
+    expect(selection.hasChanges()).toBe(false);
+
+    selection.drop(layers);
+    expect(positions(layer.voxels.toArray()).sort()).toEqual([[0, -1, 0.5], [0.15, -1, 0.5], [0.3, -1, 0.5], [1, 0, 0]].sort());
+    expect(layer.strokes[0].id).toBe(result.strokesAfter[0].id);
+  });
+
+  test("commit rotates around the selection center and merges into occupied cells", () => {
+    const { layers, layer, row, selection } = setup();
+    layer.voxels.add({ x: 0.15, y: 0.15, z: 0 }, 0x0000ff, 0.15);
+    selection.select(layers, layer, row, []);
+
+    // A quarter turn stands the row up around its middle cube; the top cube lands on the blue one
+    selection.rotate("z", Math.PI / 2);
+    const result = selection.commit(layers);
+
+    expect(positions(result.after)).toEqual([[0.15, -0.15, 0], [0.15, 0, 0]]);
+    selection.drop(layers);
+    expect(layer.voxels.count).toBe(4);
+    expect(layer.voxels.get(layer.voxels.findAt({ x: 0.15, y: 0.15, z: 0 })).color).toBe(0x0000ff);
+  });
+
+  test("drop puts the selection back where it was, discarding an uncommitted move", () => {
+    const { layers, layer, row, stroke, selection } = setup();
+    const original = layer.voxels.toArray();
+    selection.select(layers, layer, row, [stroke]);
+    selection.translate(new THREE.Vector3(2, 0, 0));
+
+    selection.drop(layers);
+    expect(selection.isEmpty).toBe(true);
+    expect(selection.group.position.equals(new THREE.Vector3())).toBe(true);
+    expect(positions(layer.voxels.toArray()).sort()).toEqual(positions(original).sort());
+    expect(layers.layerOf(stroke)).toBe(layer);
+    expect(stroke.mesh.parent).toBe(layer.group);
+
+    // Dropping an empty selection changes nothing
+    selection.drop(layers);
+    expect(layer.voxels.count).toBe(4);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * ▶️ Session Player
+ * Replays a recorded landmark session into the hand tracking pipeline
+ *
+ * Features:
+ * - Real-time playback following recorded frame timing, with speed control
+ * - Instant playback that pushes every frame synchronously (CI, benchmarks)
+ * - Frames carry their recorded timestamps so filtering is deterministic
+ *
+ * @module SessionPlayer
+ */
+
+class SessionPlayer {
+  constructor(session, options = {}) {
+    this.session = session;
+
+    // Configuration
+    this.config = {
+      speed: options.speed || 1, // Playback rate, 2 = twice as fast
+      loop: options.loop || false,
+    };
+
+    // Callbacks
+    this.onFrame = options.onFrame || null; // (results, index) => void
+    this.onEnd = options.onEnd || null;
+
+    // State
+    this.index = 0;
+    this.playing = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start real-time playback from the current frame
+   */
+  play() {
+    if (this.playing || this.session.length === 0) return;
+    this.playing = true;
+    this._scheduleNext(0);
+  }
+
+  /**
+   * Push every remaining frame synchronously
+   */
+  runAll() {
+    this.playing = true;
+    while (this.playing && this.index < this.session.length) {
+      this.step();
+    }
+    this._finish();
+  }
+
+  /**
+   * Push the next frame
+   * @returns {boolean} Whether a frame was pushed
+   */
+  step() {
+    if (this.index >= this.session.length) return false;
+    const results = this.session.toResults(this.index);
+    if (this.onFrame) this.onFrame(results, this.index);
+    this.index++;
+    return true;
+  }
+
+  /**
+   * Stop playback (the end callback is not called)
+   */
+  stop() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Rewind to the first frame
+   */
+  reset() {
+    this.stop();
+    this.index = 0;
+  }
+
+  /**
+   * Wait the recorded gap to the next frame, then push it
+   * @private
+   */
+  _scheduleNext(delay) {
+    this.timer = setTimeout(() => {
+      if (!this.playing) return;
+      const previousTime = this.session.frames[this.index].t;
+      this.step();
+
+      if (this.index >= this.session.length) {
+        if (!this.config.loop) {
+          this._finish();
+          return;
+        }
+        this.index = 0;
+      }
+
+      const gap = Math.max(0, this.session.frames[this.index].t - previousTime);
+      this._scheduleNext(gap / this.config.speed);
+    }, delay);
+  }
+
+  /**
+   * Playback reached the end
+   * @private
+   */
+  _finish() {
+    const wasPlaying = this.playing;
+    this.stop();
+    if (wasPlaying && this.onEnd) this.onEnd();
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.stop();
+    this.onFrame = null;
+    this.onEnd = null;
+  }
+}
+
+export default SessionPlayer;
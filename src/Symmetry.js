@@ -0,0 +1,156 @@
+/**
+ * 🪞 Symmetry
+ * Mirror and radial symmetry for drawing, with an in-scene guide
+ *
+ * Features:
+ * - Mirror across the X, Y or Z plane through the origin
+ * - Radial repeat N times around the X, Y or Z axis
+ * - Translucent plane / axis guide showing the active symmetry
+ *
+ * @module Symmetry
+ */
+
+import * as THREE from "three";
+
+class Symmetry {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+
+    // Configuration
+    this.settings = {
+      mode: options.mode || "none", // "none" | "mirror" | "radial"
+      axis: options.axis || "x", // Mirror plane normal or radial axis
+      count: options.count || 6, // Radial copies
+      // Center of the drawing volume (drawing depth is offset by 0.3)
+      origin: options.origin || new THREE.Vector3(0, 0, 0.3),
+    };
+
+    this.guideColor = options.guideColor || 0xff00ff;
+    this.guide = null;
+    this._buildGuide();
+  }
+
+  /**
+   * Update symmetry settings and rebuild the guide
+   * @param {Object} settings - {mode, axis, count}
+   */
+  setSettings(settings) {
+    Object.assign(this.settings, settings);
+    this._buildGuide();
+  }
+
+  /**
+   * All positions produced by the current symmetry, including the original
+   * @param {THREE.Vector3} position - Drawn position
+   * @returns {Array<THREE.Vector3>} Positions to draw
+   */
+  apply(position) {
+    const { mode, axis, count, origin } = this.settings;
+    const original = new THREE.Vector3(position.x, position.y, position.z);
+
+    if (mode === "mirror") {
+      const mirrored = original.clone();
+      mirrored[axis] = 2 * origin[axis] - original[axis];
+      return [original, mirrored];
+    }
+
+    if (mode === "radial" && count > 1) {
+      const axisVector = this._axisVector();
+      const offset = original.clone().sub(origin);
+      const positions = [original];
+      for (let i = 1; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        positions.push(offset.clone().applyAxisAngle(axisVector, angle).add(origin));
+      }
+      return positions;
+    }
+
+    return [original];
+  }
+
+  /**
+   * Unit vector for the configured axis
+   * @private
+   */
+  _axisVector() {
+    return new THREE.Vector3(this.settings.axis === "x" ? 1 : 0, this.settings.axis === "y" ? 1 : 0, this.settings.axis === "z" ? 1 : 0);
+  }
+
+  /**
+   * Create the plane or axis guide for the current settings
+   * @private
+   */
+  _buildGuide() {
+    this._disposeGuide();
+
+    const { mode, axis, count, origin } = this.settings;
+    if (mode === "none") return;
+
+    const guide = new THREE.Group();
+    guide.name = "symmetryGuide";
+    guide.position.copy(origin);
+
+    const lineMaterial = new THREE.LineBasicMaterial({ color: this.guideColor, transparent: true, opacity: 0.6 });
+
+    if (mode === "mirror") {
+      // Plane geometry lies in XY (normal Z); rotate so its normal matches the axis
+      const planeGeometry = new THREE.PlaneGeometry(8, 8);
+      const plane = new THREE.Mesh(
+        planeGeometry,
+        new THREE.MeshBasicMaterial({
+          color: this.guideColor,
+          transparent: true,
+          opacity: 0.08,
+          side: THREE.DoubleSide,
+          depthWrite: false,
+        })
+      );
+      const outline = new THREE.LineSegments(new THREE.EdgesGeometry(planeGeometry), lineMaterial);
+      const frame = new THREE.Group();
+      frame.add(plane);
+      frame.add(outline);
+      if (axis === "x") frame.rotation.y = Math.PI / 2;
+      if (axis === "y") frame.rotation.x = Math.PI / 2;
+      guide.add(frame);
+    } else {
+      // Axis line plus one spoke per radial copy
+      const axisVector = this._axisVector();
+      const points = [axisVector.clone().multiplyScalar(-4), axisVector.clone().multiplyScalar(4)];
+
+      const spoke = new THREE.Vector3(axis === "x" ? 0 : 1, axis === "x" ? 1 : 0, 0).multiplyScalar(0.5);
+      for (let i = 0; i < count; i++) {
+        points.push(new THREE.Vector3(0, 0, 0));
+        points.push(spoke.clone().applyAxisAngle(axisVector, (i / count) * Math.PI * 2));
+      }
+
+      guide.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), lineMaterial));
+    }
+
+    this.guide = guide;
+    this.scene.add(guide);
+  }
+
+  /**
+   * Remove the current guide
+   * @private
+   */
+  _disposeGuide() {
+    if (!this.guide) return;
+
+    this.guide.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    this.scene.remove(this.guide);
+    this.guide = null;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this._disposeGuide();
+  }
+}
+
+export default Symmetry;
@@ -0,0 +1,58 @@
+import * as THREE from "three";
+import Symmetry from "./Symmetry";
+
+const ORIGIN = new THREE.Vector3(0, 0, 0.3);
+
+// Positions as rounded [x, y, z] triples (+ 0 turns -0 into 0)
+const rounded = (positions) => positions.map((p) => [p.x, p.y, p.z].map((v) => Math.round(v * 1000) / 1000 + 0));
+
+describe("Symmetry", () => {
+  test("draws only the original position when off", () => {
+    const symmetry = new Symmetry(new THREE.Scene());
+    expect(rounded(symmetry.apply({ x: 1, y: 2, z: 3 }))).toEqual([[1, 2, 3]]);
+    expect(symmetry.guide).toBeNull();
+  });
+
+  test("mirrors across the plane through the origin on each axis", () => {
+    const symmetry = new Symmetry(new THREE.Scene(), { mode: "mirror" });
+    const position = { x: 0.5, y: -0.2, z: 0.1 };
+
+    expect(rounded(symmetry.apply(position))).toEqual([[0.5, -0.2, 0.1], [-0.5, -0.2, 0.1]]);
+    symmetry.setSettings({ axis: "y" });
+    expect(rounded(symmetry.apply(position))).toEqual([[0.5, -0.2, 0.1], [0.5, 0.2, 0.1]]);
+    symmetry.setSettings({ axis: "z" });
+    expect(rounded(symmetry.apply(position))).toEqual([[0.5, -0.2, 0.1], [0.5, -0.2, 0.5]]);
+  });
+
+  test("repeats radially around each axis through the origin", () => {
+    const symmetry = new Symmetry(new THREE.Scene(), { mode: "radial", count: 4 });
+
+    expect(rounded(symmetry.apply({ x: 2, y: 1, z: 0.3 }))).toEqual([[2, 1, 0.3], [2, 0, 1.3], [2, -1, 0.3], [2, 0, -0.7]]);
+    symmetry.setSettings({ axis: "y" });
+    expect(rounded(symmetry.apply({ x: 1, y: 2, z: 0.3 }))).toEqual([[1, 2, 0.3], [0, 2, -0.7], [-1, 2, 0.3], [0, 2, 1.3]]);
+    symmetry.setSettings({ axis: "z", count: 3 });
+    const positions = symmetry.apply({ x: 1, y: 0, z: 0.8 });
+    expect(positions).toHaveLength(3);
+    positions.forEach((p) => {
+      expect(p.z).toBeCloseTo(0.8);
+      expect(Math.hypot(p.x - ORIGIN.x, p.y - ORIGIN.y)).toBeCloseTo(1);
+    });
+    expect(positions[1].x).toBeCloseTo(-0.5);
+    expect(positions[1].y).toBeCloseTo(Math.sqrt(3) / 2);
+  });
+
+  test("rebuilds the guide for the settings and removes it when off", () => {
+    const scene = new THREE.Scene();
+    const symmetry = new Symmetry(scene, { mode: "mirror", axis: "y" });
+    expect(scene.getObjectByName("symmetryGuide")).toBe(symmetry.guide);
+
+    symmetry.setSettings({ mode: "radial", count: 5 });
+    expect(scene.children.filter((child) => child.name === "symmetryGuide")).toHaveLength(1);
+    // Axis line plus one spoke per copy
+    expect(symmetry.guide.children[0].geometry.getAttribute("position").count).toBe(2 + 5 * 2);
+
+    symmetry.setSettings({ mode: "none" });
+    expect(scene.getObjectByName("symmetryGuide")).toBeUndefined();
+    symmetry.dispose();
+  });
+});
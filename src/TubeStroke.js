@@ -0,0 +1,160 @@
+/**
+ * 〰️ Tube Stroke
+ * Continuous brush stroke rendered as a single growing tube mesh
+ *
+ * Features:
+ * - Accumulates the finger path into one TubeGeometry per stroke
+ * - Catmull-Rom smoothing between sampled points
+ * - Dot (sphere) fallback for single-point strokes
+ * - JSON round trip for save/load and undo snapshots
+ *
+ * @module TubeStroke
+ */
+
+import * as THREE from "three";
+
+let strokeCounter = 0;
+
+class TubeStroke {
+  constructor(options = {}) {
+    // Configuration
+    this.id = options.id || `stroke_${Date.now()}_${strokeCounter++}`;
+    this.color = options.color !== undefined ? options.color : 0x00ffff;
+    this.radius = options.radius || 0.04;
+    this.radialSegments = options.radialSegments || 8;
+    this.segmentsPerPoint = options.segmentsPerPoint || 4;
+    this.minPointSpacing = options.minPointSpacing || this.radius * 0.5;
+
+    // State
+    this.points = [];
+    this.isFinalized = false;
+
+    this.material = new THREE.MeshStandardMaterial({
+      color: this.color,
+      transparent: true,
+      opacity: 0.9,
+      emissive: new THREE.Color(this.color).multiplyScalar(0.5),
+      emissiveIntensity: 0.8,
+      metalness: 0.3,
+      roughness: 0.4,
+    });
+
+    this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.material);
+    this.mesh.name = "tubeStroke";
+    this.mesh.userData.type = "stroke";
+    this.mesh.userData.strokeId = this.id;
+    this.mesh.castShadow = true;
+    this.mesh.receiveShadow = true;
+
+    if (options.points) {
+      options.points.forEach((p) => this.points.push(new THREE.Vector3(p.x, p.y, p.z)));
+      this._rebuild();
+    }
+  }
+
+  /**
+   * Append a point to the stroke path
+   * @param {THREE.Vector3} point - New path point
+   * @returns {boolean} Whether the point was added
+   */
+  addPoint(point) {
+    if (this.isFinalized) return false;
+
+    const last = this.points[this.points.length - 1];
+    if (last && last.distanceTo(point) < this.minPointSpacing) return false;
+
+    this.points.push(new THREE.Vector3(point.x, point.y, point.z));
+    this._rebuild();
+    return true;
+  }
+
+  /**
+   * Stop accepting points
+   */
+  finalize() {
+    this.isFinalized = true;
+  }
+
+  /**
+   * Rebuild tube geometry from the current path
+   * @private
+   */
+  _rebuild() {
+    const oldGeometry = this.mesh.geometry;
+
+    if (this.points.length === 0) {
+      this.mesh.geometry = new THREE.BufferGeometry();
+    } else if (this.points.length === 1) {
+      this.mesh.geometry = new THREE.SphereGeometry(this.radius, this.radialSegments * 2, this.radialSegments);
+      this.mesh.geometry.translate(this.points[0].x, this.points[0].y, this.points[0].z);
+    } else {
+      const curve = new THREE.CatmullRomCurve3(this.points, false, "centripetal");
+      const tubularSegments = Math.max(2, (this.points.length - 1) * this.segmentsPerPoint);
+      this.mesh.geometry = new THREE.TubeGeometry(curve, tubularSegments, this.radius, this.radialSegments, false);
+    }
+
+    oldGeometry.dispose();
+  }
+
+  /**
+   * Shortest distance from a point to the stroke path
+   * @param {THREE.Vector3} point - Query point
+   * @returns {number} Distance to the nearest path segment
+   */
+  distanceTo(point) {
+    if (this.points.length === 0) return Infinity;
+    if (this.points.length === 1) return this.points[0].distanceTo(point);
+
+    const segment = new THREE.Line3();
+    const closest = new THREE.Vector3();
+    let minDistance = Infinity;
+
+    for (let i = 1; i < this.points.length; i++) {
+      segment.set(this.points[i - 1], this.points[i]);
+      segment.closestPointToPoint(point, true, closest);
+      minDistance = Math.min(minDistance, closest.distanceTo(point));
+    }
+
+    return minDistance;
+  }
+
+  /**
+   * Serialize stroke for save files and history snapshots
+   * @returns {Object} Plain stroke data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: "stroke",
+      points: this.points.map((p) => ({ x: p.x, y: p.y, z: p.z })),
+      color: this.color,
+      radius: this.radius,
+    };
+  }
+
+  /**
+   * Create a finalized stroke from serialized data
+   * @param {Object} data - Output of toJSON()
+   * @returns {TubeStroke} Restored stroke
+   */
+  static fromJSON(data) {
+    const stroke = new TubeStroke({
+      id: data.id,
+      color: data.color,
+      radius: data.radius,
+      points: data.points || [],
+    });
+    stroke.finalize();
+    return stroke;
+  }
+
+  /**
+   * Dispose of GPU resources
+   */
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+export default TubeStroke;
@@ -0,0 +1,46 @@
+import * as THREE from "three";
+import TubeStroke from "./TubeStroke";
+
+describe("TubeStroke", () => {
+  test("round-trips through JSON as a finalized stroke", () => {
+    const stroke = new TubeStroke({ color: 0xff8800, radius: 0.05 });
+    [0, 0.1, 0.2, 0.3].forEach((x) => stroke.addPoint(new THREE.Vector3(x, x / 2, 0.3)));
+    const data = JSON.parse(JSON.stringify(stroke));
+
+    expect(data).toEqual(stroke.toJSON());
+    expect(data.points).toHaveLength(4);
+
+    const restored = TubeStroke.fromJSON(data);
+    expect(restored.toJSON()).toEqual(data);
+    expect(restored.mesh.userData.strokeId).toBe(stroke.id);
+    expect(restored.mesh.geometry.type).toBe("TubeGeometry");
+    expect(restored.isFinalized).toBe(true);
+    expect(restored.addPoint(new THREE.Vector3(1, 1, 1))).toBe(false);
+  });
+
+  test("skips points closer than the spacing and draws a single point as a dot", () => {
+    const stroke = new TubeStroke({ radius: 0.04 });
+    expect(stroke.addPoint(new THREE.Vector3(0, 0, 0))).toBe(true);
+    expect(stroke.mesh.geometry.type).toBe("SphereGeometry");
+    expect(stroke.addPoint(new THREE.Vector3(0.01, 0, 0))).toBe(false);
+    expect(stroke.points).toHaveLength(1);
+
+    const dot = TubeStroke.fromJSON({ id: "dot", points: [{ x: 1, y: 2, z: 3 }], color: 0, radius: 0.04 });
+    expect(dot.color).toBe(0);
+    expect(dot.mesh.geometry.type).toBe("SphereGeometry");
+    expect(TubeStroke.fromJSON({ id: "empty", color: 0 }).points).toEqual([]);
+  });
+
+  test("distanceTo measures to the nearest path segment", () => {
+    const stroke = new TubeStroke({ points: [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 1, y: 1, z: 0 }] });
+
+    expect(stroke.distanceTo(new THREE.Vector3(0.5, 0.2, 0))).toBeCloseTo(0.2);
+    expect(stroke.distanceTo(new THREE.Vector3(1.3, 0.5, 0))).toBeCloseTo(0.3);
+    // Past the ends it measures to the end points
+    expect(stroke.distanceTo(new THREE.Vector3(-0.3, 0, 0.4))).toBeCloseTo(0.5);
+    expect(stroke.distanceTo(new THREE.Vector3(1, 1, 0))).toBeCloseTo(0);
+
+    expect(new TubeStroke({ points: [{ x: 0, y: 0, z: 0 }] }).distanceTo(new THREE.Vector3(0, 3, 4))).toBeCloseTo(5);
+    expect(new TubeStroke().distanceTo(new THREE.Vector3())).toBe(Infinity);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * 🔄 Turntable Exporter
+ * Offline 360° orbit renders of the drawing as WebM video or animated GIF
+ *
+ * Features:
+ * - Camera orbits the bounding box of the visible layers, starting from the current view
+ * - Renders a fixed number of frames off screen at any resolution (independent of the display frame rate)
+ * - WebM through WebCodecs (VP9, falling back to VP8), GIF through GifEncoder
+ * - Only layers and lights are drawn; grid, HUD and effects are left out
+ * - Progress callback and cancellation
+ *
+ * @module TurntableExporter
+ */
+
+import * as THREE from "three";
+import GifEncoder from "./GifEncoder";
+import WebMWriter from "./WebMWriter";
+
+// WebCodecs codecs to try for WebM, best first
+const WEBM_CODECS = ["vp09.00.10.08", "vp8"];
+// Encoder bitrate in bits per pixel per frame
+const WEBM_BITS_PER_PIXEL = 0.15;
+
+class TurntableExporter {
+  constructor(renderer, scene, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+
+    // Configuration
+    this.config = {
+      width: options.width || 640,
+      height: options.height || 360,
+      frames: options.frames || 72, // Frames per full turn
+      fps: options.fps || 24,
+      fov: options.fov || 40, // Degrees
+      elevation: options.elevation !== undefined ? options.elevation : 20, // Degrees above the drawing's center
+      padding: options.padding || 1.15, // Space around the bounding sphere
+      background: options.background || "#0a0a1a",
+    };
+
+    // State
+    this.cancelled = false;
+  }
+
+  /**
+   * Render the turntable
+   * @param {LayerManager} layers - Drawing layers
+   * @param {Object} options - {format: "webm" | "gif", startCamera: camera whose view the orbit starts from, onProgress(done, total)}
+   * @returns {Promise<Blob|null>} Video, or null when there is nothing to render or the export was cancelled
+   */
+  async export(layers, options = {}) {
+    const format = options.format || "webm";
+    const box = new THREE.Box3().setFromObject(layers.group);
+    if (box.isEmpty()) return null;
+
+    // Video encoders need even dimensions
+    const width = Math.max(2, Math.round(this.config.width / 2) * 2);
+    const height = Math.max(2, Math.round(this.config.height / 2) * 2);
+    const camera = new THREE.PerspectiveCamera(this.config.fov, width / height, 0.01, 1000);
+    const orbit = this._orbit(box, camera, options.startCamera);
+    const target = new THREE.WebGLRenderTarget(width, height, { samples: 4 });
+    target.texture.colorSpace = THREE.SRGBColorSpace;
+
+    const sink = format === "gif" ? this._gifSink(width, height) : await this._webmSink(width, height);
+    this.cancelled = false;
+    try {
+      for (let i = 0; i < this.config.frames && !this.cancelled; i++) {
+        orbit(camera, i / this.config.frames);
+        await sink.add(this._renderFrame(layers.group, camera, target, width, height), i);
+        if (options.onProgress) options.onProgress(i + 1, this.config.frames);
+        // Let the page repaint between frames
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      return this.cancelled ? null : await sink.finish();
+    } finally {
+      sink.close();
+      target.dispose();
+    }
+  }
+
+  /**
+   * Stop an export in progress after the current frame
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Whether WebM export can run in this browser
+   */
+  static get supportsWebM() {
+    return typeof window !== "undefined" && typeof window.VideoEncoder === "function";
+  }
+
+  /**
+   * Camera placement for a fraction of the turn, starting from the direction of the current view
+   * @private
+   */
+  _orbit(box, camera, startCamera) {
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const center = sphere.center;
+    const vFov = THREE.MathUtils.degToRad(camera.fov);
+    const hFov = 2 * Math.atan(Math.tan(vFov / 2) * camera.aspect);
+    const distance = (Math.max(sphere.radius, 0.05) * this.config.padding) / Math.sin(Math.min(vFov, hFov) / 2);
+    const elevation = THREE.MathUtils.degToRad(this.config.elevation);
+    const start = startCamera ? Math.atan2(startCamera.position.x - center.x, startCamera.position.z - center.z) : 0;
+
+    return (cam, t) => {
+      const angle = start + t * Math.PI * 2;
+      cam.position.set(
+        center.x + distance * Math.cos(elevation) * Math.sin(angle),
+        center.y + distance * Math.sin(elevation),
+        center.z + distance * Math.cos(elevation) * Math.cos(angle)
+      );
+      cam.lookAt(center);
+      cam.updateMatrixWorld();
+    };
+  }
+
+  /**
+   * Render one frame of layers and lights only, and read it back top row first
+   * @private
+   */
+  _renderFrame(layersGroup, camera, target, width, height) {
+    const renderer = this.renderer;
+    const scene = this.scene;
+
+    // Hide everything else for this render only, so the live view never shows the change
+    const hidden = scene.children.filter((child) => child.visible && child !== layersGroup && !child.isLight);
+    hidden.forEach((child) => (child.visible = false));
+    const background = scene.background;
+    scene.background = new THREE.Color(this.config.background);
+    const previousTarget = renderer.getRenderTarget();
+
+    renderer.setRenderTarget(target);
+    renderer.render(scene, camera);
+    const pixels = new Uint8Array(width * height * 4);
+    renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+
+    renderer.setRenderTarget(previousTarget);
+    scene.background = background;
+    hidden.forEach((child) => (child.visible = true));
+
+    // WebGL rows start at the bottom
+    const rowSize = width * 4;
+    const flipped = new Uint8Array(pixels.length);
+    for (let y = 0; y < height; y++) {
+      flipped.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), (height - 1 - y) * rowSize);
+    }
+    return flipped;
+  }
+
+  /**
+   * GIF frame sink
+   * @private
+   */
+  _gifSink(width, height) {
+    const encoder = new GifEncoder({ width, height, delay: 1000 / this.config.fps });
+    return {
+      add: (pixels) => encoder.addFrame(pixels),
+      finish: () => new Blob([encoder.finish()], { type: "image/gif" }),
+      close: () => encoder.dispose(),
+    };
+  }
+
+  /**
+   * WebM frame sink on a WebCodecs VideoEncoder
+   * @private
+   */
+  async _webmSink(width, height) {
+    if (!TurntableExporter.supportsWebM) throw new Error("This browser cannot encode WebM video (WebCodecs is missing)");
+
+    const { fps } = this.config;
+    let config = null;
+    for (const codec of WEBM_CODECS) {
+      const candidate = { codec, width, height, framerate: fps, bitrate: Math.round(width * height * fps * WEBM_BITS_PER_PIXEL) };
+      const support = await window.VideoEncoder.isConfigSupported(candidate).catch(() => null);
+      if (support && support.supported) {
+        config = candidate;
+        break;
+      }
+    }
+    if (!config) throw new Error("This browser cannot encode VP8 or VP9 video");
+
+    const writer = new WebMWriter({ width, height, codec: config.codec, frameRate: fps });
+    let failure = null;
+    const encoder = new window.VideoEncoder({
+      output: (chunk) => writer.addChunk(chunk),
+      error: (error) => {
+        failure = error;
+      },
+    });
+    encoder.configure(config);
+
+    return {
+      add: async (pixels, index) => {
+        if (failure) throw failure;
+        const frame = new window.VideoFrame(pixels, {
+          format: "RGBA",
+          codedWidth: width,
+          codedHeight: height,
+          timestamp: Math.round((index * 1000000) / fps),
+          duration: Math.round(1000000 / fps),
+        });
+        // A keyframe every second keeps the file seekable
+        encoder.encode(frame, { keyFrame: index % fps === 0 });
+        frame.close();
+        // Keep the encoder queue short so frames are not held in memory
+        while (encoder.encodeQueueSize > 2) await new Promise((resolve) => setTimeout(resolve, 5));
+      },
+      finish: async () => {
+        await encoder.flush();
+        if (failure) throw failure;
+        return new Blob([writer.finish()], { type: "video/webm" });
+      },
+      close: () => {
+        if (encoder.state !== "closed") encoder.close();
+        writer.dispose();
+      },
+    };
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.cancel();
+    this.renderer = null;
+    this.scene = null;
+  }
+}
+
+export default TurntableExporter;
@@ -0,0 +1,454 @@
+/**
+ * 🟫 Vox Model
+ * MagicaVoxel .vox import and export
+ *
+ * Features:
+ * - Quantizes cubes onto the voxel grid (overlapping cubes become solid cells)
+ * - Reduces colors to the 255-entry .vox palette, mapping extras to the nearest kept color
+ * - Writes a scene graph translation so positions survive a round trip
+ * - Reads multi-model files, placing models by their translations (rotations are ignored)
+ *
+ * Axes: .vox is Z-up, so scene (x, y, z) maps to .vox (x, -z, y).
+ *
+ * @module VoxModel
+ */
+
+import VoxelMesher from "./VoxelMesher";
+import { VOXEL_CELL_SIZE } from "./VoxelIndex";
+
+export const VOX_VERSION = 150;
+// Largest model edge and usable palette entries allowed by the format
+const MAX_MODEL_SIZE = 256;
+const PALETTE_SIZE = 255;
+
+class VoxModel {
+  constructor(options = {}) {
+    this.size = options.size || { x: 0, y: 0, z: 0 };
+    this.voxels = options.voxels || []; // [{x, y, z, colorIndex}] with colorIndex 1-255
+    this.palette = options.palette || []; // Color for colorIndex i at palette[i - 1]
+    this.origin = options.origin || { x: 0, y: 0, z: 0 }; // Position of voxel (0, 0, 0) in .vox world coordinates
+    this.unit = options.unit || VOXEL_CELL_SIZE; // Scene units per voxel when exported
+  }
+
+  /**
+   * Quantize scene cubes into a model
+   * @param {Array} cubes - [{position: {x, y, z}, color, size}]
+   * @param {Object} options - {unit: scene units per voxel}
+   * @returns {VoxModel} Model
+   */
+  static fromCubes(cubes, options = {}) {
+    let unit = options.unit || VOXEL_CELL_SIZE;
+    let mesher = new VoxelMesher({ resolution: unit });
+    let grid = mesher.rasterize(cubes);
+
+    // Coarsen the grid until the drawing fits in one model
+    const extent = Math.max(...grid.size) - 2;
+    if (extent > MAX_MODEL_SIZE) {
+      unit *= Math.ceil(extent / MAX_MODEL_SIZE);
+      mesher = new VoxelMesher({ resolution: unit });
+      grid = mesher.rasterize(cubes);
+    }
+
+    const counts = new Map();
+    grid.cells.forEach((colorIndex) => counts.set(colorIndex, (counts.get(colorIndex) || 0) + 1));
+    const { palette, lookup } = VoxModel._buildPalette(grid.colors, counts);
+
+    const cells = [];
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    grid.cells.forEach((colorIndex, key) => {
+      const [i, j, k] = mesher.cellAt(grid, key);
+      const cell = { x: i, y: -k, z: j, colorIndex: lookup.get(colorIndex) };
+      cells.push(cell);
+      min.x = Math.min(min.x, cell.x);
+      min.y = Math.min(min.y, cell.y);
+      min.z = Math.min(min.z, cell.z);
+    });
+
+    const size = { x: 0, y: 0, z: 0 };
+    const voxels = cells.map((cell) => {
+      const voxel = { x: cell.x - min.x, y: cell.y - min.y, z: cell.z - min.z, colorIndex: cell.colorIndex };
+      size.x = Math.max(size.x, voxel.x + 1);
+      size.y = Math.max(size.y, voxel.y + 1);
+      size.z = Math.max(size.z, voxel.z + 1);
+      return voxel;
+    });
+
+    return new VoxModel({ size, voxels, palette, origin: cells.length > 0 ? min : undefined, unit });
+  }
+
+  /**
+   * Cubes for the scene, one per voxel
+   * @param {Object} options - {unit: scene units per voxel (defaults to the voxel cell size)}
+   * @returns {Array} [{position: {x, y, z}, color, size}]
+   */
+  toCubes(options = {}) {
+    const unit = options.unit || VOXEL_CELL_SIZE;
+    return this.voxels.map((voxel) => {
+      const x = this.origin.x + voxel.x;
+      const y = this.origin.y + voxel.y;
+      const z = this.origin.z + voxel.z;
+      return {
+        position: { x: x * unit, y: z * unit, z: -y * unit },
+        color: this.palette[voxel.colorIndex - 1] !== undefined ? this.palette[voxel.colorIndex - 1] : 0xffffff,
+        size: unit,
+      };
+    });
+  }
+
+  /**
+   * Serialize to a .vox file
+   * @returns {ArrayBuffer} File data
+   */
+  toBinary() {
+    const chunks = [
+      VoxModel._chunk("SIZE", (w) => {
+        w.int32(this.size.x);
+        w.int32(this.size.y);
+        w.int32(this.size.z);
+      }),
+      VoxModel._chunk("XYZI", (w) => {
+        w.int32(this.voxels.length);
+        this.voxels.forEach((voxel) => {
+          w.uint8(voxel.x);
+          w.uint8(voxel.y);
+          w.uint8(voxel.z);
+          w.uint8(voxel.colorIndex);
+        });
+      }),
+      // Scene graph: root transform -> group -> transform carrying the model position -> shape
+      VoxModel._chunk("nTRN", (w) => VoxModel._writeTransform(w, 0, 1, null)),
+      VoxModel._chunk("nGRP", (w) => {
+        w.int32(1);
+        w.dict({});
+        w.int32(1);
+        w.int32(2);
+      }),
+      VoxModel._chunk("nTRN", (w) => {
+        // MagicaVoxel places a model's center, rounded down, at the translation
+        const t = {
+          x: this.origin.x + Math.floor(this.size.x / 2),
+          y: this.origin.y + Math.floor(this.size.y / 2),
+          z: this.origin.z + Math.floor(this.size.z / 2),
+        };
+        VoxModel._writeTransform(w, 2, 3, `${t.x} ${t.y} ${t.z}`);
+      }),
+      VoxModel._chunk("nSHP", (w) => {
+        w.int32(3);
+        w.dict({});
+        w.int32(1);
+        w.int32(0);
+        w.dict({});
+      }),
+      VoxModel._chunk("RGBA", (w) => {
+        for (let i = 0; i < 256; i++) {
+          const color = this.palette[i];
+          w.uint8(color !== undefined ? (color >> 16) & 0xff : 0);
+          w.uint8(color !== undefined ? (color >> 8) & 0xff : 0);
+          w.uint8(color !== undefined ? color & 0xff : 0);
+          w.uint8(color !== undefined ? 0xff : 0);
+        }
+      }),
+    ];
+
+    const childrenSize = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(8 + 12 + childrenSize);
+    const view = new DataView(bytes.buffer);
+    VoxModel._writeId(bytes, 0, "VOX ");
+    view.setInt32(4, VOX_VERSION, true);
+    VoxModel._writeId(bytes, 8, "MAIN");
+    view.setInt32(12, 0, true);
+    view.setInt32(16, childrenSize, true);
+
+    let offset = 20;
+    chunks.forEach((chunk) => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes.buffer;
+  }
+
+  /**
+   * Read a .vox file, merging all models into one
+   * @param {ArrayBuffer} buffer - File data
+   * @returns {VoxModel} Model
+   */
+  static fromBinary(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (bytes.length < 20 || VoxModel._readId(bytes, 0) !== "VOX " || VoxModel._readId(bytes, 8) !== "MAIN") {
+      throw new Error("Not a MagicaVoxel .vox file");
+    }
+
+    const models = [];
+    const nodes = new Map();
+    let palette = null;
+
+    const mainEnd = 20 + view.getInt32(12, true) + view.getInt32(16, true);
+    let offset = 20 + view.getInt32(12, true);
+    while (offset + 12 <= Math.min(mainEnd, bytes.length)) {
+      const id = VoxModel._readId(bytes, offset);
+      const contentSize = view.getInt32(offset + 4, true);
+      const r = VoxModel._reader(view, offset + 12);
+
+      if (id === "SIZE") {
+        models.push({ size: { x: r.int32(), y: r.int32(), z: r.int32() }, voxels: [] });
+      } else if (id === "XYZI" && models.length > 0) {
+        const count = r.int32();
+        const model = models[models.length - 1];
+        for (let i = 0; i < count; i++) {
+          model.voxels.push({ x: r.uint8(), y: r.uint8(), z: r.uint8(), colorIndex: r.uint8() });
+        }
+      } else if (id === "RGBA") {
+        palette = [];
+        for (let i = 0; i < PALETTE_SIZE; i++) {
+          const red = r.uint8();
+          const green = r.uint8();
+          const blue = r.uint8();
+          r.uint8(); // Alpha
+          palette.push((red << 16) | (green << 8) | blue);
+        }
+      } else if (id === "nTRN") {
+        const nodeId = r.int32();
+        r.dict();
+        const child = r.int32();
+        r.int32(); // Reserved
+        r.int32(); // Layer
+        const frames = r.int32();
+        const frame = frames > 0 ? r.dict() : {};
+        const t = (frame._t || "0 0 0").split(" ").map(Number);
+        nodes.set(nodeId, { type: "transform", child, translation: { x: t[0], y: t[1], z: t[2] } });
+      } else if (id === "nGRP") {
+        const nodeId = r.int32();
+        r.dict();
+        const children = [];
+        const count = r.int32();
+        for (let i = 0; i < count; i++) children.push(r.int32());
+        nodes.set(nodeId, { type: "group", children });
+      } else if (id === "nSHP") {
+        const nodeId = r.int32();
+        r.dict();
+        const shapeModels = [];
+        const count = r.int32();
+        for (let i = 0; i < count; i++) {
+          shapeModels.push(r.int32());
+          r.dict();
+        }
+        nodes.set(nodeId, { type: "shape", models: shapeModels });
+      }
+
+      offset += 12 + contentSize + view.getInt32(offset + 8, true);
+    }
+
+    // Place models in world coordinates; files without a scene graph use one untranslated instance per model
+    const placements = [];
+    const visit = (nodeId, translation) => {
+      const node = nodes.get(nodeId);
+      if (!node) return;
+      if (node.type === "transform") {
+        visit(node.child, {
+          x: translation.x + node.translation.x,
+          y: translation.y + node.translation.y,
+          z: translation.z + node.translation.z,
+        });
+      } else if (node.type === "group") {
+        node.children.forEach((child) => visit(child, translation));
+      } else {
+        node.models.forEach((model) => placements.push({ model, translation }));
+      }
+    };
+    if (nodes.has(0)) visit(0, { x: 0, y: 0, z: 0 });
+    else models.forEach((model, index) => placements.push({ model: index, translation: { x: 0, y: 0, z: 0 } }));
+
+    const cells = new Map();
+    placements.forEach(({ model: modelIndex, translation }) => {
+      const model = models[modelIndex];
+      if (!model) return;
+      model.voxels.forEach((voxel) => {
+        const x = translation.x + voxel.x - Math.floor(model.size.x / 2);
+        const y = translation.y + voxel.y - Math.floor(model.size.y / 2);
+        const z = translation.z + voxel.z - Math.floor(model.size.z / 2);
+        const key = `${x},${y},${z}`;
+        if (!cells.has(key)) cells.set(key, { x, y, z, colorIndex: voxel.colorIndex });
+      });
+    });
+
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    cells.forEach((cell) => {
+      min.x = Math.min(min.x, cell.x);
+      min.y = Math.min(min.y, cell.y);
+      min.z = Math.min(min.z, cell.z);
+    });
+
+    const size = { x: 0, y: 0, z: 0 };
+    const voxels = Array.from(cells.values()).map((cell) => {
+      const voxel = { x: cell.x - min.x, y: cell.y - min.y, z: cell.z - min.z, colorIndex: cell.colorIndex };
+      size.x = Math.max(size.x, voxel.x + 1);
+      size.y = Math.max(size.y, voxel.y + 1);
+      size.z = Math.max(size.z, voxel.z + 1);
+      return voxel;
+    });
+
+    return new VoxModel({ size, voxels, palette: palette || VoxModel.defaultPalette(), origin: cells.size > 0 ? min : undefined });
+  }
+
+  /**
+   * MagicaVoxel's built-in palette, used by files without an RGBA chunk
+   * @returns {Array} 255 colors
+   */
+  static defaultPalette() {
+    const levels = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+    const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    const palette = [];
+    levels.forEach((r) => {
+      levels.forEach((g) => {
+        levels.forEach((b) => {
+          if (r || g || b) palette.push((r << 16) | (g << 8) | b);
+        });
+      });
+    });
+    ramp.forEach((value) => palette.push(value << 16));
+    ramp.forEach((value) => palette.push(value << 8));
+    ramp.forEach((value) => palette.push(value));
+    ramp.forEach((value) => palette.push(value * 0x010101));
+    return palette;
+  }
+
+  /**
+   * Keep the most used colors and map the rest to their nearest kept color
+   * @private
+   */
+  static _buildPalette(colors, counts) {
+    const used = colors.map((color, index) => index).filter((index) => counts.has(index));
+    used.sort((a, b) => counts.get(b) - counts.get(a));
+    const kept = used.slice(0, PALETTE_SIZE);
+
+    const palette = kept.map((index) => colors[index]);
+    const lookup = new Map(kept.map((index, i) => [index, i + 1]));
+    used.slice(PALETTE_SIZE).forEach((index) => {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      palette.forEach((color, i) => {
+        const distance = VoxModel._colorDistance(colors[index], color);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = i;
+        }
+      });
+      lookup.set(index, nearest + 1);
+    });
+
+    return { palette, lookup };
+  }
+
+  /**
+   * Squared RGB distance between two colors
+   * @private
+   */
+  static _colorDistance(a, b) {
+    const dr = ((a >> 16) & 0xff) - ((b >> 16) & 0xff);
+    const dg = ((a >> 8) & 0xff) - ((b >> 8) & 0xff);
+    const db = (a & 0xff) - (b & 0xff);
+    return dr * dr + dg * dg + db * db;
+  }
+
+  /**
+   * Transform node with a single frame
+   * @private
+   */
+  static _writeTransform(w, nodeId, childId, translation) {
+    w.int32(nodeId);
+    w.dict({});
+    w.int32(childId);
+    w.int32(-1); // Reserved
+    w.int32(-1); // Layer
+    w.int32(1);
+    w.dict(translation ? { _t: translation } : {});
+  }
+
+  /**
+   * Build a chunk with no children
+   * @private
+   */
+  static _chunk(id, write) {
+    const content = [];
+    const scratch = new DataView(new ArrayBuffer(4));
+    const w = {
+      uint8: (value) => content.push(value & 0xff),
+      int32: (value) => {
+        scratch.setInt32(0, value, true);
+        for (let i = 0; i < 4; i++) content.push(scratch.getUint8(i));
+      },
+      string: (value) => {
+        w.int32(value.length);
+        for (let i = 0; i < value.length; i++) content.push(value.charCodeAt(i));
+      },
+      dict: (values) => {
+        const entries = Object.entries(values);
+        w.int32(entries.length);
+        entries.forEach(([key, value]) => {
+          w.string(key);
+          w.string(value);
+        });
+      },
+    };
+    write(w);
+
+    const chunk = new Uint8Array(12 + content.length);
+    const view = new DataView(chunk.buffer);
+    VoxModel._writeId(chunk, 0, id);
+    view.setInt32(4, content.length, true);
+    view.setInt32(8, 0, true);
+    chunk.set(content, 12);
+    return chunk;
+  }
+
+  /**
+   * Sequential reader for chunk content
+   * @private
+   */
+  static _reader(view, start) {
+    let offset = start;
+    const r = {
+      uint8: () => view.getUint8(offset++),
+      int32: () => {
+        const value = view.getInt32(offset, true);
+        offset += 4;
+        return value;
+      },
+      string: () => {
+        const length = r.int32();
+        let value = "";
+        for (let i = 0; i < length; i++) value += String.fromCharCode(r.uint8());
+        return value;
+      },
+      dict: () => {
+        const values = {};
+        const count = r.int32();
+        for (let i = 0; i < count; i++) {
+          const key = r.string();
+          values[key] = r.string();
+        }
+        return values;
+      },
+    };
+    return r;
+  }
+
+  /**
+   * Four-character chunk ID
+   * @private
+   */
+  static _readId(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+  }
+
+  /**
+   * Write a four-character chunk ID
+   * @private
+   */
+  static _writeId(bytes, offset, id) {
+    for (let i = 0; i < 4; i++) bytes[offset + i] = id.charCodeAt(i);
+  }
+}
+
+export default VoxModel;
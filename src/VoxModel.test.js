@@ -0,0 +1,66 @@
+import VoxModel from "./VoxModel";
+import { VOXEL_CELL_SIZE } from "./VoxelIndex";
+
+const C = VOXEL_CELL_SIZE;
+
+const cube = (i, j, k, color = 0xff0000, size = C) => ({ position: { x: i * C, y: j * C, z: k * C }, color, size });
+
+// Cell coordinates and color of each cube, order independent
+const cellsOf = (cubes) =>
+  cubes
+    .map(({ position, color }) => `${Math.round(position.x / C)},${Math.round(position.y / C)},${Math.round(position.z / C)}:${color}`)
+    .sort();
+
+describe("VoxModel", () => {
+  test("round trips cubes through the .vox format", () => {
+    const cubes = [cube(0, 0, 0), cube(3, 1, -2, 0x00ff00), cube(-5, 4, 7, 0x123456)];
+    const model = VoxModel.fromBinary(VoxModel.fromCubes(cubes).toBinary());
+
+    expect(model.voxels).toHaveLength(3);
+    expect(cellsOf(model.toCubes())).toEqual(cellsOf(cubes));
+  });
+
+  test("maps scene Y up to .vox Z up", () => {
+    const model = VoxModel.fromCubes([cube(0, 0, 0), cube(0, 2, 0)]);
+
+    expect(model.size).toEqual({ x: 1, y: 1, z: 3 });
+  });
+
+  test("fills every cell covered by larger and overlapping cubes", () => {
+    const model = VoxModel.fromCubes([cube(0, 0, 0, 0xff0000, 3 * C), cube(1, 0, 0, 0xff0000, 3 * C)]);
+
+    expect(model.voxels).toHaveLength(4 * 3 * 3);
+    expect(model.size).toEqual({ x: 4, y: 3, z: 3 });
+  });
+
+  test("reduces more than 255 colors to the nearest palette entry", () => {
+    const cubes = [];
+    for (let i = 0; i < 300; i++) {
+      cubes.push(cube(i % 20, Math.floor(i / 20), 0, (i << 12) | i));
+    }
+    cubes.push(cube(0, 0, 5, 0xfe0000), cube(1, 0, 5, 0xfe0000)); // Most used color is always kept
+
+    const model = VoxModel.fromCubes(cubes);
+
+    expect(model.palette.length).toBeLessThanOrEqual(255);
+    expect(model.palette).toContain(0xfe0000);
+    model.voxels.forEach((voxel) => {
+      expect(voxel.colorIndex).toBeGreaterThanOrEqual(1);
+      expect(voxel.colorIndex).toBeLessThanOrEqual(model.palette.length);
+    });
+  });
+
+  test("rejects files that are not .vox", () => {
+    const json = Uint8Array.from('{"layers": []}', (char) => char.charCodeAt(0));
+    expect(() => VoxModel.fromBinary(json.buffer)).toThrow("Not a MagicaVoxel .vox file");
+  });
+
+  test("provides MagicaVoxel's default palette", () => {
+    const palette = VoxModel.defaultPalette();
+
+    expect(palette).toHaveLength(255);
+    expect(palette.slice(0, 3)).toEqual([0xffffff, 0xffffcc, 0xffff99]);
+    expect(palette[215]).toBe(0xee0000);
+    expect(palette[254]).toBe(0x111111);
+  });
+});
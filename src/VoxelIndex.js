@@ -0,0 +1,285 @@
+/**
+ * 🧭 Voxel Index
+ * Sparse hash-grid index for voxel occupancy and spatial queries
+ *
+ * Features:
+ * - One cell size shared by drawing, erasing, hit-testing and export
+ * - O(1) occupancy checks, insert and remove
+ * - Radius and box queries that only visit nearby cells
+ * - Segment rasterization for gap-free strokes
+ * - Integer cell coordinates for grid-based exporters
+ *
+ * @module VoxelIndex
+ */
+
+// Grid cell size in scene units for every voxel operation
+export const VOXEL_CELL_SIZE = 0.05;
+
+class VoxelIndex {
+  constructor(options = {}) {
+    this.cellSize = options.cellSize || VOXEL_CELL_SIZE;
+
+    // State
+    this.cells = new Map(); // Cell key -> voxel ID
+    this.keys = new Map(); // Voxel ID -> cell key
+  }
+
+  /**
+   * Build the key for integer cell coordinates
+   * @param {number} i - Cell X
+   * @param {number} j - Cell Y
+   * @param {number} k - Cell Z
+   * @returns {string} Cell key
+   */
+  static cellKey(i, j, k) {
+    return `${i},${j},${k}`;
+  }
+
+  /**
+   * Integer cell coordinates containing a position
+   * @param {Object} position - {x, y, z}
+   * @returns {Object} {i, j, k}
+   */
+  cellOf(position) {
+    return {
+      i: Math.round(position.x / this.cellSize),
+      j: Math.round(position.y / this.cellSize),
+      k: Math.round(position.z / this.cellSize),
+    };
+  }
+
+  /**
+   * Cell key for a position
+   * @param {Object} position - {x, y, z}
+   * @returns {string} Cell key
+   */
+  keyOf(position) {
+    const { i, j, k } = this.cellOf(position);
+    return VoxelIndex.cellKey(i, j, k);
+  }
+
+  /**
+   * Center of the cell containing a position
+   * @param {Object} position - {x, y, z}
+   * @returns {Object} Snapped {x, y, z}
+   */
+  snap(position) {
+    const { i, j, k } = this.cellOf(position);
+    return this.cellCenter(i, j, k);
+  }
+
+  /**
+   * Center of a cell
+   * @param {number} i - Cell X
+   * @param {number} j - Cell Y
+   * @param {number} k - Cell Z
+   * @returns {Object} {x, y, z}
+   */
+  cellCenter(i, j, k) {
+    return { x: i * this.cellSize, y: j * this.cellSize, z: k * this.cellSize };
+  }
+
+  /**
+   * Number of occupied cells
+   */
+  get size() {
+    return this.cells.size;
+  }
+
+  /**
+   * Check whether the cell containing a position is occupied
+   * @param {Object} position - {x, y, z}
+   * @returns {boolean} Occupied
+   */
+  has(position) {
+    return this.cells.has(this.keyOf(position));
+  }
+
+  /**
+   * Voxel ID stored in the cell containing a position
+   * @param {Object} position - {x, y, z}
+   * @returns {*} Voxel ID or undefined
+   */
+  get(position) {
+    return this.cells.get(this.keyOf(position));
+  }
+
+  /**
+   * Store a voxel ID in the cell containing a position
+   * @param {Object} position - {x, y, z}
+   * @param {*} id - Voxel ID
+   * @returns {boolean} False if the cell was already occupied
+   */
+  insert(position, id) {
+    const key = this.keyOf(position);
+    if (this.cells.has(key)) return false;
+
+    this.cells.set(key, id);
+    this.keys.set(id, key);
+    return true;
+  }
+
+  /**
+   * Remove a voxel ID
+   * @param {*} id - Voxel ID
+   * @returns {boolean} Whether the ID was indexed
+   */
+  remove(id) {
+    const key = this.keys.get(id);
+    if (key === undefined) return false;
+
+    this.cells.delete(key);
+    this.keys.delete(id);
+    return true;
+  }
+
+  /**
+   * Find voxels whose cell center lies within a radius
+   * @param {Object} center - {x, y, z}
+   * @param {number} radius - Query radius
+   * @returns {Array} Voxel IDs
+   */
+  queryRadius(center, radius) {
+    const result = [];
+    const radiusSq = radius * radius;
+
+    this._forEachCellInBounds(
+      { x: center.x - radius, y: center.y - radius, z: center.z - radius },
+      { x: center.x + radius, y: center.y + radius, z: center.z + radius },
+      (i, j, k, id) => {
+        const dx = i * this.cellSize - center.x;
+        const dy = j * this.cellSize - center.y;
+        const dz = k * this.cellSize - center.z;
+        if (dx * dx + dy * dy + dz * dz < radiusSq) result.push(id);
+      }
+    );
+
+    return result;
+  }
+
+  /**
+   * Find voxels whose cell center lies inside an axis-aligned box
+   * @param {Object} min - {x, y, z} lower corner
+   * @param {Object} max - {x, y, z} upper corner
+   * @returns {Array} Voxel IDs
+   */
+  queryBox(min, max) {
+    const result = [];
+    this._forEachCellInBounds(min, max, (i, j, k, id) => {
+      const x = i * this.cellSize;
+      const y = j * this.cellSize;
+      const z = k * this.cellSize;
+      if (x >= min.x && x <= max.x && y >= min.y && y <= max.y && z >= min.z && z <= max.z) {
+        result.push(id);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Nearest voxel to a point, for hit-testing
+   * @param {Object} point - {x, y, z}
+   * @param {number} maxDistance - Search radius
+   * @returns {*} Voxel ID or null
+   */
+  findNearest(point, maxDistance) {
+    let nearest = null;
+    let nearestDistSq = maxDistance * maxDistance;
+
+    this._forEachCellInBounds(
+      { x: point.x - maxDistance, y: point.y - maxDistance, z: point.z - maxDistance },
+      { x: point.x + maxDistance, y: point.y + maxDistance, z: point.z + maxDistance },
+      (i, j, k, id) => {
+        const dx = i * this.cellSize - point.x;
+        const dy = j * this.cellSize - point.y;
+        const dz = k * this.cellSize - point.z;
+        const distSq = dx * dx + dy * dy + dz * dz;
+        if (distSq <= nearestDistSq) {
+          nearest = id;
+          nearestDistSq = distSq;
+        }
+      }
+    );
+
+    return nearest;
+  }
+
+  /**
+   * Cell centers along a segment, in order from start to end
+   * @param {Object} from - Segment start {x, y, z}
+   * @param {Object} to - Segment end {x, y, z}
+   * @param {number} spacing - Distance between samples (at least one cell)
+   * @returns {Array<Object>} Unique snapped {x, y, z} positions
+   */
+  rasterizeSegment(from, to, spacing = this.cellSize) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const steps = Math.max(1, Math.ceil(length / Math.max(spacing, this.cellSize)));
+
+    const positions = [];
+    const seen = new Set();
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      const sample = { x: from.x + dx * t, y: from.y + dy * t, z: from.z + dz * t };
+      const key = this.keyOf(sample);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      positions.push(this.snap(sample));
+    }
+
+    return positions;
+  }
+
+  /**
+   * Iterate over occupied cells
+   * @param {Function} callback - Called with (i, j, k, id)
+   */
+  forEachCell(callback) {
+    this.cells.forEach((id, key) => {
+      const [i, j, k] = key.split(",").map(Number);
+      callback(i, j, k, id);
+    });
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.cells.clear();
+    this.keys.clear();
+  }
+
+  /**
+   * Visit occupied cells overlapping a bounding box.
+   * Walks the box cell by cell, or the occupied set when that is smaller,
+   * so query cost never exceeds min(box volume, voxel count).
+   * @private
+   */
+  _forEachCellInBounds(min, max, callback) {
+    const lo = this.cellOf(min);
+    const hi = this.cellOf(max);
+    const volume = (hi.i - lo.i + 1) * (hi.j - lo.j + 1) * (hi.k - lo.k + 1);
+
+    if (volume > this.cells.size) {
+      this.forEachCell((i, j, k, id) => {
+        if (i >= lo.i && i <= hi.i && j >= lo.j && j <= hi.j && k >= lo.k && k <= hi.k) {
+          callback(i, j, k, id);
+        }
+      });
+      return;
+    }
+
+    for (let i = lo.i; i <= hi.i; i++) {
+      for (let j = lo.j; j <= hi.j; j++) {
+        for (let k = lo.k; k <= hi.k; k++) {
+          const id = this.cells.get(VoxelIndex.cellKey(i, j, k));
+          if (id !== undefined) callback(i, j, k, id);
+        }
+      }
+    }
+  }
+}
+
+export default VoxelIndex;
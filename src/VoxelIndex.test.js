@@ -0,0 +1,131 @@
+import * as THREE from "three";
+import VoxelIndex, { VOXEL_CELL_SIZE } from "./VoxelIndex";
+import VoxelStore from "./VoxelStore";
+
+// Deterministic pseudo-random positions so failures are reproducible
+const randomPositions = (count, seed = 1) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+  return Array.from({ length: count }, () => ({ x: next() * 4 - 2, y: next() * 4 - 2, z: next() * 2 - 1 }));
+};
+
+const distance = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+
+describe("VoxelIndex", () => {
+  test("uses one cell size for keys, snapping and occupancy", () => {
+    const index = new VoxelIndex();
+    expect(index.cellSize).toBe(VOXEL_CELL_SIZE);
+
+    const position = { x: 0.26, y: -0.12, z: 0.049 };
+    const snapped = index.snap(position);
+    expect(snapped.x).toBeCloseTo(0.25);
+    expect(snapped.y).toBeCloseTo(-0.1);
+    expect(snapped.z).toBeCloseTo(0.05);
+    expect(index.keyOf(position)).toBe(index.keyOf(snapped));
+  });
+
+  test("insert, has, get and remove round trip", () => {
+    const index = new VoxelIndex();
+    const position = { x: 0.5, y: 0.5, z: 0 };
+
+    expect(index.insert(position, "a")).toBe(true);
+    expect(index.has(position)).toBe(true);
+    expect(index.get({ x: 0.51, y: 0.49, z: 0.01 })).toBe("a");
+
+    // Second voxel in the same cell is rejected
+    expect(index.insert({ x: 0.52, y: 0.5, z: 0 }, "b")).toBe(false);
+    expect(index.size).toBe(1);
+
+    expect(index.remove("a")).toBe(true);
+    expect(index.has(position)).toBe(false);
+    expect(index.remove("a")).toBe(false);
+    expect(index.size).toBe(0);
+
+    expect(index.insert(position, "b")).toBe(true);
+    expect(index.get(position)).toBe("b");
+  });
+
+  test("radius query matches a brute-force scan", () => {
+    const index = new VoxelIndex();
+    const stored = new Map();
+    randomPositions(2000).forEach((position, id) => {
+      if (index.insert(position, id)) stored.set(id, index.snap(position));
+    });
+
+    randomPositions(20, 7).forEach((center) => {
+      [0.05, 0.2, 0.5].forEach((radius) => {
+        const expected = [...stored].filter(([, p]) => distance(p, center) < radius).map(([id]) => id);
+        expect(index.queryRadius(center, radius).sort((a, b) => a - b)).toEqual(expected.sort((a, b) => a - b));
+      });
+    });
+  });
+
+  test("radius query only visits cells near the center", () => {
+    const index = new VoxelIndex();
+    randomPositions(5000).forEach((position, id) => index.insert(position, id));
+
+    const lookups = jest.spyOn(index.cells, "get");
+    const forEach = jest.spyOn(index.cells, "forEach");
+    index.queryRadius({ x: 0, y: 0, z: 0 }, 0.1);
+
+    expect(forEach).not.toHaveBeenCalled();
+    expect(lookups.mock.calls.length).toBeLessThanOrEqual(125);
+  });
+
+  test("box query returns voxels inside the bounds", () => {
+    const index = new VoxelIndex();
+    index.insert({ x: 0, y: 0, z: 0 }, 1);
+    index.insert({ x: 0.3, y: 0.3, z: 0 }, 2);
+    index.insert({ x: 1, y: 1, z: 1 }, 3);
+
+    const ids = index.queryBox({ x: -0.1, y: -0.1, z: -0.1 }, { x: 0.5, y: 0.5, z: 0.5 });
+    expect(ids.sort()).toEqual([1, 2]);
+  });
+
+  test("findNearest returns the closest voxel within tolerance", () => {
+    const index = new VoxelIndex();
+    index.insert({ x: 0, y: 0, z: 0 }, 1);
+    index.insert({ x: 0.2, y: 0, z: 0 }, 2);
+
+    expect(index.findNearest({ x: 0.16, y: 0, z: 0 }, 0.1)).toBe(2);
+    expect(index.findNearest({ x: 0.5, y: 0, z: 0 }, 0.1)).toBeNull();
+  });
+
+  test("segment rasterization leaves no gaps larger than the spacing", () => {
+    const index = new VoxelIndex();
+    const from = { x: -1, y: 0.3, z: 0.2 };
+    const to = { x: 1.2, y: -0.4, z: 0.35 };
+    const positions = index.rasterizeSegment(from, to, 0.075);
+
+    expect(positions[0]).toEqual(index.snap(from));
+    expect(positions[positions.length - 1]).toEqual(index.snap(to));
+    expect(new Set(positions.map((p) => index.keyOf(p))).size).toBe(positions.length);
+    for (let i = 1; i < positions.length; i++) {
+      expect(distance(positions[i - 1], positions[i])).toBeLessThanOrEqual(0.075 + index.cellSize * Math.sqrt(3));
+    }
+  });
+});
+
+describe("VoxelStore occupancy", () => {
+  test("add, erase and query share the store's index", () => {
+    const store = new VoxelStore(new THREE.Scene());
+
+    const id = store.add({ x: 0.26, y: 0, z: 0 }, 0xff0000, 0.15);
+    expect(store.get(id).position.x).toBeCloseTo(0.25);
+    expect(store.add({ x: 0.24, y: 0, z: 0 }, 0x00ff00, 0.15)).toBeNull();
+    expect(store.findAt({ x: 0.25, y: 0, z: 0 })).toBe(id);
+
+    store.add({ x: 0.5, y: 0, z: 0 }, 0x00ff00, 0.15);
+    store.add({ x: 2, y: 0, z: 0 }, 0x0000ff, 0.15);
+    expect(store.hitTest({ x: 0.52, y: 0, z: 0 }, 0.1).color).toBe(0x00ff00);
+
+    const removed = store.removeWithin({ x: 0.4, y: 0, z: 0 }, 0.2);
+    expect(removed).toHaveLength(2);
+    expect(store.count).toBe(1);
+    expect(store.index.size).toBe(1);
+    expect(store.add({ x: 0.25, y: 0, z: 0 }, 0xffffff, 0.15)).not.toBeNull();
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * 🧱 Voxel Mesher
+ * Turns overlapping voxel cubes into one closed surface for printing
+ *
+ * Features:
+ * - Rasterizes every cube onto a fine grid, so overlaps become a single solid
+ * - Keeps only faces between filled and empty cells (no internal faces)
+ * - Greedy meshing merges coplanar same-color faces into large quads
+ * - Bridges cubes that touch only along an edge, and splits quad edges at the corners of neighboring
+ *   quads, so every edge joins exactly two triangles (manifold, no T-junctions)
+ * - Shared, deduplicated vertices with consistent outward winding
+ *
+ * @module VoxelMesher
+ */
+
+import { VOXEL_CELL_SIZE } from "./VoxelIndex";
+
+// Face directions as [axis, sign]; normals point out of the solid
+const DIRECTIONS = [
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [2, 1],
+  [2, -1],
+];
+
+// The 12 cells sharing only an edge with a cell, as [axis, step, other axis, other step]
+const EDGE_NEIGHBORS = [
+  [0, 1],
+  [0, 2],
+  [1, 2],
+].flatMap(([a, b]) =>
+  [
+    [1, 1],
+    [1, -1],
+    [-1, 1],
+    [-1, -1],
+  ].map(([stepA, stepB]) => [a, stepA, b, stepB])
+);
+
+class VoxelMesher {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      // Half a voxel cell: voxel centers sit on grid lines and cell-multiple cube sizes cover whole cells
+      resolution: options.resolution || VOXEL_CELL_SIZE / 2,
+    };
+  }
+
+  /**
+   * Build the outer surface of a set of voxels
+   * @param {Array} voxels - [{position: {x, y, z}, color, size}]
+   * @returns {Object} {positions: [x, y, z, ...] in scene units, triangles: [{indices: [a, b, c], normal: [x, y, z], color}], colors}
+   */
+  mesh(voxels) {
+    const grid = this.rasterize(voxels);
+    const result = { positions: [], triangles: [], colors: grid.colors };
+    if (grid.cells.size === 0) return result;
+    this.bridgeEdges(grid);
+
+    const quads = [];
+    DIRECTIONS.forEach(([axis, sign]) => {
+      this._exposedFaces(grid, axis, sign).forEach((faces, plane) => {
+        this._greedy(faces).forEach((rect) => quads.push(this._quad(axis, sign, plane, rect, grid.colors[rect.color])));
+      });
+    });
+
+    // A quad edge can pass a corner of a smaller neighbor; split it there so the neighbors share vertices
+    const lines = this._lines(quads);
+    const vertexIds = new Map();
+    quads.forEach((quad) => this._triangulate(result, vertexIds, quad, this._splitEdges(quad.corners, lines)));
+
+    return result;
+  }
+
+  /**
+   * Fill grid cells covered by each cube (first color wins where cubes overlap)
+   * @param {Array} voxels - [{position: {x, y, z}, color, size}]
+   * @returns {Object} {cells: Map of cell key -> color index, colors, origin, size}; see cellAt for keys
+   */
+  rasterize(voxels) {
+    const h = this.config.resolution;
+    const boxes = [];
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    voxels.forEach((voxel) => {
+      const center = [voxel.position.x, voxel.position.y, voxel.position.z];
+      // Work in whole cells so float noise in positions and sizes cannot shift an edge
+      const cells = Math.max(1, Math.round(voxel.size / h));
+      const lo = [];
+      const hi = [];
+      for (let a = 0; a < 3; a++) {
+        lo[a] = Math.round(center[a] / h) - Math.floor(cells / 2);
+        hi[a] = lo[a] + cells;
+        min[a] = Math.min(min[a], lo[a]);
+        max[a] = Math.max(max[a], hi[a]);
+      }
+      boxes.push({ lo, hi, color: voxel.color });
+    });
+
+    // Pad by one cell so neighbor lookups never leave the key space
+    const origin = min.map((value) => value - 1);
+    const size = max.map((value, a) => value - origin[a] + 1);
+    const grid = { cells: new Map(), colors: [], origin, size };
+
+    const colorIndex = new Map();
+    boxes.forEach(({ lo, hi, color }) => {
+      if (!colorIndex.has(color)) {
+        colorIndex.set(color, grid.colors.length);
+        grid.colors.push(color);
+      }
+      const index = colorIndex.get(color);
+      for (let i = lo[0]; i < hi[0]; i++) {
+        for (let j = lo[1]; j < hi[1]; j++) {
+          for (let k = lo[2]; k < hi[2]; k++) {
+            const key = this._key(grid, [i, j, k]);
+            if (!grid.cells.has(key)) grid.cells.set(key, index);
+          }
+        }
+      }
+    });
+
+    return grid;
+  }
+
+  /**
+   * Fill a cell next to every two cells that touch only along an edge, joining them with a face
+   * instead of an edge four faces meet at (slicers reject such edges, and the print would break there)
+   * @param {Object} grid - Grid from rasterize, filled in place
+   * @returns {number} Number of cells added
+   */
+  bridgeEdges(grid) {
+    const filled = (cell) => grid.cells.has(this._key(grid, cell));
+    const pending = Array.from(grid.cells.keys());
+    let added = 0;
+
+    while (pending.length > 0) {
+      const key = pending.pop();
+      const cell = this.cellAt(grid, key);
+      for (const [a, stepA, b, stepB] of EDGE_NEIGHBORS) {
+        const side = cell.slice();
+        side[a] += stepA;
+        const otherSide = cell.slice();
+        otherSide[b] += stepB;
+        const diagonal = side.slice();
+        diagonal[b] += stepB;
+        if (!filled(diagonal) || filled(side) || filled(otherSide)) continue;
+
+        // Both cells lie inside the grid's bounds, so the bridge does too; it may touch others in turn
+        const bridge = this._key(grid, side);
+        grid.cells.set(bridge, grid.cells.get(key));
+        pending.push(bridge);
+        added++;
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Faces of filled cells whose neighbor in a direction is empty, grouped by plane
+   * @private
+   */
+  _exposedFaces(grid, axis, sign) {
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    const planes = new Map(); // Plane coordinate -> [{u, v, color}]
+
+    grid.cells.forEach((color, key) => {
+      const cell = this.cellAt(grid, key);
+      const neighbor = cell.slice();
+      neighbor[axis] += sign;
+      if (grid.cells.has(this._key(grid, neighbor))) return;
+
+      const plane = sign > 0 ? cell[axis] + 1 : cell[axis];
+      if (!planes.has(plane)) planes.set(plane, []);
+      planes.get(plane).push({ u: cell[u], v: cell[v], color });
+    });
+
+    return planes;
+  }
+
+  /**
+   * Merge one plane's faces into maximal same-color rectangles
+   * @private
+   */
+  _greedy(faces) {
+    let uMin = Infinity;
+    let vMin = Infinity;
+    let uMax = -Infinity;
+    let vMax = -Infinity;
+    faces.forEach((face) => {
+      uMin = Math.min(uMin, face.u);
+      vMin = Math.min(vMin, face.v);
+      uMax = Math.max(uMax, face.u);
+      vMax = Math.max(vMax, face.v);
+    });
+
+    const width = uMax - uMin + 1;
+    const height = vMax - vMin + 1;
+    const mask = new Int32Array(width * height).fill(-1);
+    faces.forEach((face) => {
+      mask[(face.v - vMin) * width + (face.u - uMin)] = face.color;
+    });
+
+    const rects = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; ) {
+        const color = mask[y * width + x];
+        if (color < 0) {
+          x++;
+          continue;
+        }
+
+        let w = 1;
+        while (x + w < width && mask[y * width + x + w] === color) w++;
+
+        let h = 1;
+        while (y + h < height) {
+          let rowMatches = true;
+          for (let dx = 0; dx < w; dx++) {
+            if (mask[(y + h) * width + x + dx] !== color) {
+              rowMatches = false;
+              break;
+            }
+          }
+          if (!rowMatches) break;
+          h++;
+        }
+
+        for (let dy = 0; dy < h; dy++) {
+          mask.fill(-1, (y + dy) * width + x, (y + dy) * width + x + w);
+        }
+        rects.push({ u: uMin + x, v: vMin + y, w, h, color });
+        x += w;
+      }
+    }
+
+    return rects;
+  }
+
+  /**
+   * Quad for a merged rectangle, corners in grid units wound counter-clockwise when seen from outside
+   * @private
+   */
+  _quad(axis, sign, plane, rect, color) {
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    const corners = [
+      [rect.u, rect.v],
+      [rect.u + rect.w, rect.v],
+      [rect.u + rect.w, rect.v + rect.h],
+      [rect.u, rect.v + rect.h],
+    ];
+    // u x v points along +axis, so negative faces reverse the order
+    if (sign < 0) corners.reverse();
+
+    const normal = [0, 0, 0];
+    normal[axis] = sign;
+    return {
+      corners: corners.map(([cu, cv]) => {
+        const point = [];
+        point[axis] = plane;
+        point[u] = cu;
+        point[v] = cv;
+        return point;
+      }),
+      normal,
+      color,
+    };
+  }
+
+  /**
+   * Sorted corner coordinates along every grid line that quad corners lie on
+   * @private
+   */
+  _lines(quads) {
+    const lines = new Map();
+    quads.forEach(({ corners }) => {
+      corners.forEach((point) => {
+        for (let axis = 0; axis < 3; axis++) {
+          const key = this._lineKey(point, axis);
+          if (!lines.has(key)) lines.set(key, new Set());
+          lines.get(key).add(point[axis]);
+        }
+      });
+    });
+    lines.forEach((values, key) => lines.set(key, Array.from(values).sort((a, b) => a - b)));
+    return lines;
+  }
+
+  /**
+   * Quad outline with the corners of neighboring quads that lie on its edges added in order
+   * @private
+   */
+  _splitEdges(corners, lines) {
+    const outline = [];
+    corners.forEach((from, i) => {
+      const to = corners[(i + 1) % corners.length];
+      outline.push(from);
+
+      const axis = [0, 1, 2].find((a) => from[a] !== to[a]);
+      const lo = Math.min(from[axis], to[axis]);
+      const hi = Math.max(from[axis], to[axis]);
+      const between = lines.get(this._lineKey(from, axis)).filter((value) => value > lo && value < hi);
+      if (to[axis] < from[axis]) between.reverse();
+      between.forEach((value) => {
+        const point = from.slice();
+        point[axis] = value;
+        outline.push(point);
+      });
+    });
+    return outline;
+  }
+
+  /**
+   * Triangles for a quad outline: two for a plain quad, else a fan around the quad's center so no
+   * triangle is degenerate
+   * @private
+   */
+  _triangulate(result, vertexIds, { corners, normal, color }, outline) {
+    const indices = outline.map((point) => this._vertex(result, vertexIds, point));
+    const add = (a, b, c) => result.triangles.push({ indices: [a, b, c], normal, color });
+
+    if (indices.length === 4) {
+      add(indices[0], indices[1], indices[2]);
+      add(indices[0], indices[2], indices[3]);
+      return;
+    }
+
+    const center = this._vertex(result, vertexIds, corners[0].map((value, a) => (value + corners[2][a]) / 2));
+    indices.forEach((index, i) => add(center, index, indices[(i + 1) % indices.length]));
+  }
+
+  /**
+   * Key of the grid line along an axis through a point
+   * @private
+   */
+  _lineKey(point, axis) {
+    return `${axis}:${point[(axis + 1) % 3]},${point[(axis + 2) % 3]}`;
+  }
+
+  /**
+   * Index of a grid point, adding it on first use
+   * @private
+   */
+  _vertex(result, vertexIds, point) {
+    const key = `${point[0]},${point[1]},${point[2]}`;
+    if (!vertexIds.has(key)) {
+      const h = this.config.resolution;
+      vertexIds.set(key, result.positions.length / 3);
+      result.positions.push(point[0] * h, point[1] * h, point[2] * h);
+    }
+    return vertexIds.get(key);
+  }
+
+  /**
+   * Numeric key for a grid cell
+   * @private
+   */
+  _key(grid, cell) {
+    const [sx, sy, sz] = grid.size;
+    const i = cell[0] - grid.origin[0];
+    const j = cell[1] - grid.origin[1];
+    const k = cell[2] - grid.origin[2];
+    if (i < 0 || j < 0 || k < 0 || i >= sx || j >= sy || k >= sz) return -1;
+    return (i * sy + j) * sz + k;
+  }
+
+  /**
+   * Integer grid cell for a key from rasterize (multiply by the resolution for scene units)
+   * @param {Object} grid - Grid from rasterize
+   * @param {number} key - Cell key
+   * @returns {Array} [i, j, k]
+   */
+  cellAt(grid, key) {
+    const [, sy, sz] = grid.size;
+    const k = key % sz;
+    const j = Math.floor(key / sz) % sy;
+    const i = Math.floor(key / (sy * sz));
+    return [i + grid.origin[0], j + grid.origin[1], k + grid.origin[2]];
+  }
+}
+
+export default VoxelMesher;
@@ -0,0 +1,109 @@
+import VoxelMesher from "./VoxelMesher";
+
+const H = 0.025;
+
+// Signed volume of the closed surface; positive when every face winds outward
+const meshVolume = ({ positions, triangles }) => {
+  const point = (index) => positions.slice(index * 3, index * 3 + 3);
+  const tetra = (a, b, c) =>
+    (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+  return triangles.reduce((sum, { indices: [a, b, c] }) => sum + tetra(point(a), point(b), point(c)), 0);
+};
+
+// Every directed edge must be matched by its reverse for a closed, consistently wound, manifold surface
+const isClosed = ({ triangles }) => {
+  const edges = new Map();
+  triangles.forEach(({ indices }) => {
+    indices.forEach((from, i) => {
+      const key = `${from}>${indices[(i + 1) % 3]}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    });
+  });
+  return Array.from(edges.keys()).every((key) => {
+    const [from, to] = key.split(">");
+    return edges.get(key) === 1 && edges.get(`${to}>${from}`) === 1;
+  });
+};
+
+const voxel = (x, y, z, size = H, color = 0xff0000) => ({ position: { x, y, z }, color, size });
+
+describe("VoxelMesher", () => {
+  test("meshes a single cube as six outward quads", () => {
+    const mesh = new VoxelMesher({ resolution: H }).mesh([voxel(0, 0, 0)]);
+
+    expect(mesh.triangles).toHaveLength(6 * 2);
+    expect(mesh.positions).toHaveLength(8 * 3);
+    expect(isClosed(mesh)).toBe(true);
+    expect(meshVolume(mesh)).toBeCloseTo(H ** 3, 10);
+  });
+
+  test("drops internal faces and merges neighbors of one color", () => {
+    const mesh = new VoxelMesher({ resolution: H }).mesh([voxel(0, 0, 0), voxel(H, 0, 0), voxel(2 * H, 0, 0)]);
+
+    expect(mesh.triangles).toHaveLength(6 * 2);
+    expect(isClosed(mesh)).toBe(true);
+    expect(meshVolume(mesh)).toBeCloseTo(3 * H ** 3, 10);
+  });
+
+  test("keeps faces of different colors apart", () => {
+    const mesh = new VoxelMesher({ resolution: H }).mesh([voxel(0, 0, 0), voxel(H, 0, 0, H, 0x00ff00)]);
+
+    expect(mesh.colors).toEqual([0xff0000, 0x00ff00]);
+    expect(mesh.triangles).toHaveLength(10 * 2);
+    expect(mesh.triangles.filter((triangle) => triangle.color === 0x00ff00)).toHaveLength(5 * 2);
+    expect(isClosed(mesh)).toBe(true);
+  });
+
+  test("fuses overlapping cubes into one solid", () => {
+    // Two 3-cell cubes overlapping by two cells form a 4 x 3 x 3 box
+    const mesh = new VoxelMesher({ resolution: H }).mesh([voxel(0, 0, 0, 3 * H), voxel(H, 0, 0, 3 * H)]);
+
+    expect(mesh.triangles).toHaveLength(6 * 2);
+    expect(isClosed(mesh)).toBe(true);
+    expect(meshVolume(mesh)).toBeCloseTo(4 * 3 * 3 * H ** 3, 10);
+  });
+
+  test("encloses exactly the covered volume for scattered strokes", () => {
+    const voxels = [];
+    for (let i = 0; i < 40; i++) {
+      voxels.push(voxel(Math.round(Math.sin(i * 0.3) * 8) * H, i * H, Math.round(Math.cos(i * 0.7) * 4) * H, 2 * H, i % 3));
+    }
+    const mesher = new VoxelMesher({ resolution: H });
+    const mesh = mesher.mesh(voxels);
+    const grid = mesher.rasterize(voxels);
+    const covered = grid.cells.size;
+    const bridged = mesher.bridgeEdges(grid);
+
+    expect(isClosed(mesh)).toBe(true);
+    expect(bridged).toBeLessThan(covered / 20);
+    expect(meshVolume(mesh)).toBeCloseTo((covered + bridged) * H ** 3, 8);
+  });
+
+  test("shares vertices where staggered quads meet (no T-junctions)", () => {
+    // App-sized cubes half a cube apart: the top's side faces end midway along the row's
+    const voxels = [voxel(0, 0, 0, 0.15), voxel(0.05, 0, 0, 0.15), voxel(0.1, 0.05, 0, 0.15)];
+    const mesher = new VoxelMesher();
+    const mesh = mesher.mesh(voxels);
+
+    expect(isClosed(mesh)).toBe(true);
+    expect(meshVolume(mesh)).toBeCloseTo(mesher.rasterize(voxels).cells.size * mesher.config.resolution ** 3, 10);
+  });
+
+  test("bridges cubes that touch only along an edge", () => {
+    const mesher = new VoxelMesher({ resolution: H });
+    const mesh = mesher.mesh([voxel(0, 0, 0), voxel(H, H, 0)]);
+
+    expect(isClosed(mesh)).toBe(true);
+    expect(meshVolume(mesh)).toBeCloseTo(3 * H ** 3, 10);
+
+    // Cubes apart or sharing a face need no bridge
+    expect(mesher.bridgeEdges(mesher.rasterize([voxel(0, 0, 0), voxel(2 * H, H, 0)]))).toBe(0);
+    expect(mesher.bridgeEdges(mesher.rasterize([voxel(0, 0, 0), voxel(H, 0, 0), voxel(H, H, 0)]))).toBe(0);
+  });
+
+  test("returns an empty mesh for no voxels", () => {
+    const mesh = new VoxelMesher().mesh([]);
+    expect(mesh.triangles).toEqual([]);
+    expect(mesh.positions).toEqual([]);
+  });
+});
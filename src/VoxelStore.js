@@ -0,0 +1,425 @@
+/**
+ * 🧊 Voxel Store
+ * GPU-instanced voxel storage for large drawings
+ *
+ * Features:
+ * - One THREE.InstancedMesh per cube size bucket
+ * - Per-instance color and matrix (no per-voxel meshes or materials)
+ * - Instanced edge outlines sharing the cube instance matrices
+ * - O(1) add/remove with swap-with-last compaction
+ * - Grid-snapped positions with one voxel per VoxelIndex cell
+ * - Partial GPU uploads for changed instances only
+ *
+ * @module VoxelStore
+ */
+
+import * as THREE from "three";
+import VoxelIndex from "./VoxelIndex";
+
+class VoxelStore {
+  constructor(parent, options = {}) {
+    this.parent = parent;
+
+    // Configuration
+    this.config = {
+      initialCapacity: options.initialCapacity || 256,
+      opacity: options.opacity !== undefined ? options.opacity : 0.9,
+      showEdges: options.showEdges !== false,
+      edgeColor: options.edgeColor !== undefined ? options.edgeColor : 0xffffff,
+    };
+
+    // State
+    this.buckets = new Map(); // Size key -> bucket
+    this.voxels = new Map(); // Voxel ID -> voxel record
+    this.index = options.index || new VoxelIndex(); // Cell occupancy
+    this.nextId = 1;
+
+    this.group = new THREE.Group();
+    this.group.name = "voxels";
+    this.parent.add(this.group);
+
+    // Materials cache (shared by every bucket)
+    this.materials = {};
+    this._initMaterials();
+
+    // Scratch objects reused while writing instances
+    this._matrix = new THREE.Matrix4();
+    this._color = new THREE.Color();
+  }
+
+  /**
+   * Initialize cube and edge materials
+   * @private
+   */
+  _initMaterials() {
+    // Cube material - color comes from instanceColor, emissive follows it
+    this.materials.cube = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: this.config.opacity,
+      emissive: new THREE.Color(0.5, 0.5, 0.5),
+      emissiveIntensity: 0.8,
+      metalness: 0.3,
+      roughness: 0.4,
+    });
+    this.materials.cube.onBeforeCompile = (shader) => {
+      shader.fragmentShader = shader.fragmentShader.replace(
+        "#include <emissivemap_fragment>",
+        "#include <emissivemap_fragment>\n\ttotalEmissiveRadiance *= vColor.rgb;"
+      );
+    };
+
+    // Edge material - positions each outline with the cube instance matrix
+    this.materials.edges = new THREE.LineBasicMaterial({
+      color: this.config.edgeColor,
+      transparent: true,
+      opacity: 1,
+    });
+    this.materials.edges.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace("#include <common>", "#include <common>\nattribute mat4 voxelMatrix;")
+        .replace("#include <begin_vertex>", "#include <begin_vertex>\n\ttransformed = ( voxelMatrix * vec4( transformed, 1.0 ) ).xyz;");
+    };
+  }
+
+  /**
+   * Number of stored voxels
+   */
+  get count() {
+    return this.voxels.size;
+  }
+
+  /**
+   * Add a voxel at the grid cell containing a position
+   * @param {Object} position - {x, y, z} center
+   * @param {number} color - Hex color
+   * @param {number} size - Cube edge length
+   * @returns {number|null} Voxel ID, or null if the cell is occupied
+   */
+  add(position, color, size) {
+    const id = this.nextId;
+    if (!this.index.insert(position, id)) return null;
+    this.nextId++;
+
+    const bucket = this._getBucket(size);
+    if (bucket.count === bucket.capacity) {
+      this._growBucket(bucket);
+    }
+
+    const snapped = this.index.snap(position);
+    const voxel = {
+      id,
+      position: new THREE.Vector3(snapped.x, snapped.y, snapped.z),
+      color,
+      size: bucket.size,
+      bucket,
+      index: bucket.count,
+    };
+
+    bucket.ids[voxel.index] = id;
+    bucket.count++;
+    this.voxels.set(id, voxel);
+
+    this._writeMatrix(voxel);
+    this._writeColor(voxel);
+    this._syncCount(bucket);
+
+    return id;
+  }
+
+  /**
+   * Remove a voxel
+   * @param {number} id - Voxel ID
+   * @returns {Object|null} Removed voxel data
+   */
+  remove(id) {
+    const voxel = this.voxels.get(id);
+    if (!voxel) return null;
+
+    const bucket = voxel.bucket;
+    const lastIndex = bucket.count - 1;
+
+    // Move the last instance into the freed slot
+    if (voxel.index !== lastIndex) {
+      const movedId = bucket.ids[lastIndex];
+      const moved = this.voxels.get(movedId);
+      moved.index = voxel.index;
+      bucket.ids[voxel.index] = movedId;
+      this._writeMatrix(moved);
+      this._writeColor(moved);
+    }
+
+    bucket.ids.length = lastIndex;
+    bucket.count = lastIndex;
+    this.voxels.delete(id);
+    this.index.remove(id);
+    this._syncCount(bucket);
+
+    return this._toData(voxel);
+  }
+
+  /**
+   * Get voxel data by ID
+   * @param {number} id - Voxel ID
+   * @returns {Object|null} {id, position, color, size}
+   */
+  get(id) {
+    const voxel = this.voxels.get(id);
+    return voxel ? { id, ...this._toData(voxel) } : null;
+  }
+
+  /**
+   * Change a voxel's color
+   * @param {number} id - Voxel ID
+   * @param {number} color - Hex color
+   */
+  setColor(id, color) {
+    const voxel = this.voxels.get(id);
+    if (!voxel) return;
+    voxel.color = color;
+    this._writeColor(voxel);
+  }
+
+  /**
+   * Move a voxel to the grid cell containing a position
+   * @param {number} id - Voxel ID
+   * @param {Object} position - {x, y, z} center
+   * @returns {boolean} False if the target cell is occupied
+   */
+  setPosition(id, position) {
+    const voxel = this.voxels.get(id);
+    if (!voxel) return false;
+
+    this.index.remove(id);
+    if (!this.index.insert(position, id)) {
+      this.index.insert(voxel.position, id);
+      return false;
+    }
+
+    const snapped = this.index.snap(position);
+    voxel.position.set(snapped.x, snapped.y, snapped.z);
+    this._writeMatrix(voxel);
+    return true;
+  }
+
+  /**
+   * Voxel ID at the grid cell containing a position
+   * @param {Object} position - {x, y, z}
+   * @returns {number|undefined} Voxel ID
+   */
+  findAt(position) {
+    return this.index.get(position);
+  }
+
+  /**
+   * Voxel IDs within a radius of a point
+   * @param {Object} center - {x, y, z}
+   * @param {number} radius - Query radius
+   * @returns {Array} Voxel IDs
+   */
+  queryRadius(center, radius) {
+    return this.index.queryRadius(center, radius);
+  }
+
+  /**
+   * Nearest voxel to a point
+   * @param {Object} point - {x, y, z}
+   * @param {number} tolerance - Maximum distance
+   * @returns {Object|null} Voxel data
+   */
+  hitTest(point, tolerance) {
+    const id = this.index.findNearest(point, tolerance);
+    return id !== null ? this.get(id) : null;
+  }
+
+  /**
+   * Remove every voxel within a radius of a point
+   * @param {Object} center - {x, y, z}
+   * @param {number} radius - Erase radius
+   * @returns {Array} Removed voxel data
+   */
+  removeWithin(center, radius) {
+    return this.index.queryRadius(center, radius).map((id) => this.remove(id));
+  }
+
+  /**
+   * Iterate over all voxels
+   * @param {Function} callback - Called with (voxelData, id)
+   */
+  forEach(callback) {
+    this.voxels.forEach((voxel, id) => callback({ id, ...this._toData(voxel) }, id));
+  }
+
+  /**
+   * Serialize all voxels
+   * @returns {Array} [{position, color, size}]
+   */
+  toArray() {
+    const result = [];
+    this.voxels.forEach((voxel) => result.push(this._toData(voxel)));
+    return result;
+  }
+
+  /**
+   * Remove every voxel and release all buckets
+   */
+  clear() {
+    this.buckets.forEach((bucket) => this._disposeBucket(bucket));
+    this.buckets.clear();
+    this.voxels.clear();
+    this.index.clear();
+  }
+
+  /**
+   * Set opacity of all cubes
+   * @param {number} opacity - Opacity (0-1)
+   */
+  setOpacity(opacity) {
+    this.config.opacity = opacity;
+    this.materials.cube.opacity = opacity;
+    this.materials.edges.opacity = Math.min(1, opacity / 0.9);
+  }
+
+  /**
+   * Get or create the bucket for a cube size
+   * @private
+   */
+  _getBucket(size) {
+    const key = size.toFixed(4);
+    let bucket = this.buckets.get(key);
+    if (bucket) return bucket;
+
+    const roundedSize = parseFloat(key);
+    const geometry = new THREE.BoxGeometry(roundedSize, roundedSize, roundedSize);
+    const edgeGeometry = new THREE.InstancedBufferGeometry();
+    const edgeSource = new THREE.EdgesGeometry(geometry);
+    edgeGeometry.setAttribute("position", edgeSource.getAttribute("position"));
+    edgeSource.dispose(); // Only its position attribute is kept
+
+    bucket = {
+      key,
+      size: roundedSize,
+      capacity: 0,
+      count: 0,
+      ids: [],
+      geometry,
+      edgeGeometry,
+      mesh: null,
+      edges: null,
+    };
+
+    if (this.config.showEdges) {
+      bucket.edges = new THREE.LineSegments(edgeGeometry, this.materials.edges);
+      bucket.edges.frustumCulled = false;
+      this.group.add(bucket.edges);
+    }
+
+    this._allocateMesh(bucket, this.config.initialCapacity);
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Create a bucket's InstancedMesh with a given capacity, keeping existing instances
+   * @private
+   */
+  _allocateMesh(bucket, capacity) {
+    const mesh = new THREE.InstancedMesh(bucket.geometry, this.materials.cube, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    mesh.frustumCulled = false;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.type = "voxels";
+
+    const oldMesh = bucket.mesh;
+    if (oldMesh) {
+      mesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array.subarray(0, bucket.count * 16));
+      mesh.instanceColor.array.set(oldMesh.instanceColor.array.subarray(0, bucket.count * 3));
+      this.group.remove(oldMesh);
+      oldMesh.dispose();
+    }
+
+    bucket.mesh = mesh;
+    bucket.capacity = capacity;
+    bucket.edgeGeometry.setAttribute("voxelMatrix", mesh.instanceMatrix);
+    this.group.add(mesh);
+    this._syncCount(bucket);
+  }
+
+  /**
+   * Double a bucket's capacity
+   * @private
+   */
+  _growBucket(bucket) {
+    this._allocateMesh(bucket, bucket.capacity * 2);
+  }
+
+  /**
+   * Write a voxel's instance matrix
+   * @private
+   */
+  _writeMatrix(voxel) {
+    const { mesh } = voxel.bucket;
+    this._matrix.makeTranslation(voxel.position.x, voxel.position.y, voxel.position.z);
+    mesh.setMatrixAt(voxel.index, this._matrix);
+    mesh.instanceMatrix.addUpdateRange(voxel.index * 16, 16);
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Write a voxel's instance color
+   * @private
+   */
+  _writeColor(voxel) {
+    const { mesh } = voxel.bucket;
+    mesh.setColorAt(voxel.index, this._color.set(voxel.color));
+    mesh.instanceColor.addUpdateRange(voxel.index * 3, 3);
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Sync draw counts after add/remove
+   * @private
+   */
+  _syncCount(bucket) {
+    bucket.mesh.count = bucket.count;
+    bucket.edgeGeometry.instanceCount = bucket.count;
+  }
+
+  /**
+   * Dispose a bucket's GPU resources
+   * @private
+   */
+  _disposeBucket(bucket) {
+    this.group.remove(bucket.mesh);
+    bucket.mesh.dispose();
+    if (bucket.edges) this.group.remove(bucket.edges);
+    bucket.geometry.dispose();
+    bucket.edgeGeometry.dispose();
+  }
+
+  /**
+   * Convert an internal record to plain voxel data
+   * @private
+   */
+  _toData(voxel) {
+    return {
+      position: { x: voxel.position.x, y: voxel.position.y, z: voxel.position.z },
+      color: voxel.color,
+      size: voxel.size,
+    };
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.clear();
+    this.parent.remove(this.group);
+    Object.values(this.materials).forEach((mat) => mat.dispose());
+  }
+}
+
+export default VoxelStore;
@@ -0,0 +1,81 @@
+import * as THREE from "three";
+import VoxelStore from "./VoxelStore";
+
+// Instance translation of a voxel's slot, read back from its bucket's mesh
+const instancePosition = (store, id) => {
+  const voxel = store.voxels.get(id);
+  const matrix = new THREE.Matrix4();
+  voxel.bucket.mesh.getMatrixAt(voxel.index, matrix);
+  return new THREE.Vector3().setFromMatrixPosition(matrix);
+};
+
+describe("VoxelStore", () => {
+  test("add and remove keep instances packed by swapping in the last one", () => {
+    const store = new VoxelStore(new THREE.Scene());
+    const ids = [0, 1, 2].map((i) => store.add({ x: i * 0.5, y: 0, z: 0 }, 0xff0000 + i, 0.15));
+    const bucket = store.voxels.get(ids[0]).bucket;
+
+    expect(store.remove(ids[0])).toEqual({ position: { x: 0, y: 0, z: 0 }, color: 0xff0000, size: 0.15 });
+    expect(store.remove(ids[0])).toBeNull();
+    expect(store.count).toBe(2);
+    expect(bucket.count).toBe(2);
+    expect(bucket.mesh.count).toBe(2);
+    expect(bucket.edgeGeometry.instanceCount).toBe(2);
+
+    // The last voxel moved into the freed slot and still draws at its own position
+    expect(store.voxels.get(ids[2]).index).toBe(0);
+    expect(bucket.ids).toEqual([ids[2], ids[1]]);
+    expect(instancePosition(store, ids[2]).x).toBeCloseTo(1);
+    expect(store.get(ids[2]).color).toBe(0xff0002);
+  });
+
+  test("removeWithin erases what hitTest finds", () => {
+    const store = new VoxelStore(new THREE.Scene());
+    store.add({ x: 0, y: 0, z: 0 }, 0xff0000, 0.15);
+    store.add({ x: 0.1, y: 0, z: 0 }, 0x00ff00, 0.15);
+    store.add({ x: 1, y: 0, z: 0 }, 0x0000ff, 0.15);
+
+    expect(store.hitTest({ x: 0.12, y: 0.02, z: 0 }, 0.1).color).toBe(0x00ff00);
+    expect(store.removeWithin({ x: 0.05, y: 0, z: 0 }, 0.1).map((v) => v.color).sort((a, b) => a - b)).toEqual([0x00ff00, 0xff0000]);
+    expect(store.hitTest({ x: 0.12, y: 0.02, z: 0 }, 0.1)).toBeNull();
+    expect(store.removeWithin({ x: 0.05, y: 0, z: 0 }, 0.1)).toEqual([]);
+    expect(store.toArray()).toEqual([{ position: { x: 1, y: 0, z: 0 }, color: 0x0000ff, size: 0.15 }]);
+  });
+
+  test("voxels of one size share a bucket, which grows and keeps its instances", () => {
+    const scene = new THREE.Scene();
+    const store = new VoxelStore(scene, { initialCapacity: 2 });
+    const ids = [0, 1, 2, 3, 4].map((i) => store.add({ x: i * 0.2, y: 0, z: 0 }, 0xffffff, 0.15));
+    store.add({ x: 0, y: 1, z: 0 }, 0xffffff, 0.15000001);
+    store.add({ x: 0, y: 2, z: 0 }, 0xffffff, 0.3);
+
+    expect([...store.buckets.keys()]).toEqual(["0.1500", "0.3000"]);
+    const bucket = store.buckets.get("0.1500");
+    expect(bucket.count).toBe(6);
+    expect(bucket.capacity).toBe(8);
+    // The edge outlines follow the current mesh
+    expect(bucket.edgeGeometry.getAttribute("voxelMatrix")).toBe(bucket.mesh.instanceMatrix);
+    ids.forEach((id, i) => expect(instancePosition(store, id).x).toBeCloseTo(i * 0.2));
+
+    // Emptied buckets are reused, not recreated
+    store.forEach((voxel, id) => store.remove(id));
+    store.add({ x: 0, y: 0, z: 0 }, 0xffffff, 0.15);
+    expect(store.buckets.get("0.1500")).toBe(bucket);
+    expect(store.group.children.filter((child) => child.isInstancedMesh)).toHaveLength(2);
+  });
+
+  test("releases the temporary edge geometry and everything on dispose", () => {
+    const edgesDispose = jest.spyOn(THREE.EdgesGeometry.prototype, "dispose");
+    const scene = new THREE.Scene();
+    const store = new VoxelStore(scene);
+    store.add({ x: 0, y: 0, z: 0 }, 0xffffff, 0.15);
+    store.add({ x: 1, y: 0, z: 0 }, 0xffffff, 0.3);
+    expect(edgesDispose).toHaveBeenCalledTimes(2);
+    edgesDispose.mockRestore();
+
+    store.dispose();
+    expect(store.count).toBe(0);
+    expect(store.buckets.size).toBe(0);
+    expect(scene.children).not.toContain(store.group);
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * 🎬 WebM Writer
+ * Muxes encoded video frames into a WebM (Matroska) file
+ *
+ * Features:
+ * - Single VP8 / VP9 video track from WebCodecs EncodedVideoChunks
+ * - Clusters start at keyframes so players can seek
+ * - Writes the file in one pass once all frames are known (sizes and duration are exact)
+ *
+ * @module WebMWriter
+ */
+
+// EBML element IDs
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+// Timestamps are stored in milliseconds; block times are 16-bit offsets from their cluster
+const TIMECODE_SCALE = 1000000;
+const MAX_CLUSTER_SPAN = 30000;
+
+// WebCodecs codec strings to Matroska codec IDs
+const CODEC_IDS = { vp8: "V_VP8", vp09: "V_VP9" };
+
+class WebMWriter {
+  constructor(options = {}) {
+    // Configuration
+    this.config = {
+      width: options.width || 640,
+      height: options.height || 480,
+      codec: options.codec || "vp8", // WebCodecs codec string (vp8 or vp09.*)
+      frameRate: options.frameRate || 30,
+      appName: options.appName || "open-air-brush",
+    };
+
+    // State
+    this.frames = []; // [{data, timestamp (ms), keyframe}]
+  }
+
+  /**
+   * Matroska codec ID for a WebCodecs codec string
+   * @param {string} codec - e.g. "vp8" or "vp09.00.10.08"
+   * @returns {string|null} Codec ID, or null if WebM cannot hold it
+   */
+  static codecId(codec) {
+    return CODEC_IDS[codec.split(".")[0]] || null;
+  }
+
+  /**
+   * Add an encoded frame
+   * @param {Uint8Array} data - Encoded frame
+   * @param {number} timestamp - Presentation time in ms
+   * @param {boolean} keyframe - Whether the frame decodes on its own
+   */
+  addFrame(data, timestamp, keyframe) {
+    if (this.frames.length === 0 && !keyframe) throw new Error("The first frame must be a keyframe");
+    this.frames.push({ data, timestamp: Math.round(timestamp), keyframe });
+  }
+
+  /**
+   * Add a WebCodecs EncodedVideoChunk
+   * @param {EncodedVideoChunk} chunk - Encoder output
+   */
+  addChunk(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this.addFrame(data, chunk.timestamp / 1000, chunk.type === "key");
+  }
+
+  /**
+   * Build the file
+   * @returns {Uint8Array} WebM file bytes
+   */
+  finish() {
+    const codecId = WebMWriter.codecId(this.config.codec);
+    if (!codecId) throw new Error(`WebM cannot hold ${this.config.codec} video`);
+
+    const frameDuration = 1000 / this.config.frameRate;
+    const last = this.frames[this.frames.length - 1];
+    const duration = last ? last.timestamp + frameDuration : 0;
+
+    const header = this._element(ID.EBML, [
+      this._uint(ID.EBMLVersion, 1),
+      this._uint(ID.EBMLReadVersion, 1),
+      this._uint(ID.EBMLMaxIDLength, 4),
+      this._uint(ID.EBMLMaxSizeLength, 8),
+      this._string(ID.DocType, "webm"),
+      this._uint(ID.DocTypeVersion, 2),
+      this._uint(ID.DocTypeReadVersion, 2),
+    ]);
+
+    const info = this._element(ID.Info, [
+      this._uint(ID.TimecodeScale, TIMECODE_SCALE),
+      this._float(ID.Duration, duration),
+      this._string(ID.MuxingApp, this.config.appName),
+      this._string(ID.WritingApp, this.config.appName),
+    ]);
+
+    const tracks = this._element(ID.Tracks, [
+      this._element(ID.TrackEntry, [
+        this._uint(ID.TrackNumber, 1),
+        this._uint(ID.TrackUID, 1),
+        this._uint(ID.TrackType, 1), // Video
+        this._uint(ID.FlagLacing, 0),
+        this._string(ID.CodecID, codecId),
+        this._uint(ID.DefaultDuration, Math.round(frameDuration * TIMECODE_SCALE)),
+        this._element(ID.Video, [this._uint(ID.PixelWidth, this.config.width), this._uint(ID.PixelHeight, this.config.height)]),
+      ]),
+    ]);
+
+    const segment = this._element(ID.Segment, [info, tracks, ...this._clusters()]);
+    return this._concat([header, segment]);
+  }
+
+  /**
+   * Group frames into clusters that start at keyframes
+   * @private
+   */
+  _clusters() {
+    const clusters = [];
+    let start = null;
+    let blocks = [];
+    const close = () => {
+      if (blocks.length > 0) clusters.push(this._element(ID.Cluster, [this._uint(ID.Timecode, start), ...blocks]));
+      blocks = [];
+    };
+
+    this.frames.forEach((frame) => {
+      if (start === null || frame.keyframe || frame.timestamp - start > MAX_CLUSTER_SPAN) {
+        close();
+        start = frame.timestamp;
+      }
+      const offset = frame.timestamp - start;
+      // Track 1 as a one-byte number, signed 16-bit time offset, flags
+      const head = Uint8Array.of(0x81, (offset >> 8) & 0xff, offset & 0xff, frame.keyframe ? 0x80 : 0x00);
+      blocks.push(this._element(ID.SimpleBlock, this._concat([head, frame.data])));
+    });
+    close();
+    return clusters;
+  }
+
+  /**
+   * Element with its ID, size and payload (bytes or child elements)
+   * @private
+   */
+  _element(id, payload) {
+    const data = Array.isArray(payload) ? this._concat(payload) : payload;
+    return this._concat([this._id(id), this._size(data.length), data]);
+  }
+
+  /**
+   * Unsigned integer element in the fewest bytes
+   * @private
+   */
+  _uint(id, value) {
+    const bytes = [];
+    let v = value;
+    do {
+      bytes.unshift(v % 256);
+      v = Math.floor(v / 256);
+    } while (v > 0);
+    return this._element(id, Uint8Array.from(bytes));
+  }
+
+  /**
+   * 64-bit float element
+   * @private
+   */
+  _float(id, value) {
+    const data = new Uint8Array(8);
+    new DataView(data.buffer).setFloat64(0, value);
+    return this._element(id, data);
+  }
+
+  /**
+   * ASCII string element
+   * @private
+   */
+  _string(id, value) {
+    return this._element(id, Uint8Array.from(value, (c) => c.charCodeAt(0)));
+  }
+
+  /**
+   * Element ID bytes (IDs already carry their length marker)
+   * @private
+   */
+  _id(id) {
+    const bytes = [];
+    for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * Variable-length size: the position of the first set bit gives the byte count
+   * @private
+   */
+  _size(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    let v = size;
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = v % 256;
+      v = Math.floor(v / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+  }
+
+  /**
+   * Join byte arrays
+   * @private
+   */
+  _concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+    return bytes;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.frames = [];
+  }
+}
+
+export default WebMWriter;
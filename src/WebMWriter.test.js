@@ -0,0 +1,69 @@
+import WebMWriter from "./WebMWriter";
+
+// Minimal EBML reader: [{id, data, children}] for the master elements listed
+const MASTERS = new Set([0x1a45dfa3, 0x18538067, 0x1654ae6b, 0xae, 0xe0, 0x1f43b675, 0x1549a966]);
+const readElements = (bytes, start = 0, end = bytes.length) => {
+  const elements = [];
+  let pos = start;
+  const readVint = (keepMarker) => {
+    const length = Math.clz32(bytes[pos]) - 23;
+    let value = keepMarker ? bytes[pos] : bytes[pos] & (0xff >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[pos + i];
+    pos += length;
+    return value;
+  };
+  while (pos < end) {
+    const id = readVint(true);
+    const size = readVint(false);
+    const data = bytes.subarray(pos, pos + size);
+    elements.push({ id, data, children: MASTERS.has(id) ? readElements(bytes, pos, pos + size) : [] });
+    pos += size;
+  }
+  return elements;
+};
+const find = (elements, id) => elements.find((element) => element.id === id);
+const uint = (element) => element.data.reduce((value, byte) => value * 256 + byte, 0);
+const text = (element) => String.fromCharCode(...element.data);
+
+describe("WebMWriter", () => {
+  const write = () => {
+    const writer = new WebMWriter({ width: 320, height: 180, codec: "vp09.00.10.08", frameRate: 25 });
+    writer.addFrame(Uint8Array.of(1, 2, 3), 0, true);
+    writer.addFrame(Uint8Array.of(4), 40, false);
+    writer.addFrame(Uint8Array.of(5, 6), 80, true);
+    return readElements(writer.finish());
+  };
+
+  test("writes a WebM header and a VP9 track", () => {
+    const [header, segment] = write();
+    expect(text(find(header.children, 0x4282))).toBe("webm");
+
+    const track = find(find(segment.children, 0x1654ae6b).children, 0xae);
+    expect(text(find(track.children, 0x86))).toBe("V_VP9");
+    const video = find(track.children, 0xe0);
+    expect([uint(find(video.children, 0xb0)), uint(find(video.children, 0xba))]).toEqual([320, 180]);
+
+    const info = find(segment.children, 0x1549a966);
+    const duration = find(info.children, 0x4489);
+    expect(new DataView(duration.data.buffer, duration.data.byteOffset, 8).getFloat64(0)).toBe(120);
+  });
+
+  test("starts a cluster at each keyframe with block times relative to it", () => {
+    const [, segment] = write();
+    const clusters = segment.children.filter((element) => element.id === 0x1f43b675);
+
+    expect(clusters.map((cluster) => uint(find(cluster.children, 0xe7)))).toEqual([0, 80]);
+    const blocks = clusters.flatMap((cluster) => cluster.children.filter((element) => element.id === 0xa3));
+    expect(blocks.map((block) => Array.from(block.data))).toEqual([
+      [0x81, 0, 0, 0x80, 1, 2, 3],
+      [0x81, 0, 40, 0x00, 4],
+      [0x81, 0, 0, 0x80, 5, 6],
+    ]);
+  });
+
+  test("maps codecs and rejects a stream without a leading keyframe", () => {
+    expect(WebMWriter.codecId("vp8")).toBe("V_VP8");
+    expect(WebMWriter.codecId("avc1.42001f")).toBeNull();
+    expect(() => new WebMWriter().addFrame(Uint8Array.of(1), 0, false)).toThrow("keyframe");
+  });
+});